@@ -0,0 +1,6 @@
+-- Clarification a session is waiting on: the questions the assistant asked,
+-- the interpretations still in the running and the answers given so far.
+-- Cleared once a reply resolves it.
+
+alter table public.chat_sessions
+  add column clarification jsonb;
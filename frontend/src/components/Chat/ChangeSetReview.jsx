@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { Tooltip } from '@mui/material';
+import {
+  Check as CheckIcon,
+  Close as CloseIcon,
+  ContentCopy as CopyIcon,
+  Description as FileIcon
+} from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import { apiService } from '../../services/api';
+
+const OPERATION_STYLES = {
+  create: 'bg-green-500/20 text-green-300 border-green-500/30',
+  modify: 'bg-blue-500/20 text-blue-300 border-blue-500/30',
+  delete: 'bg-red-500/20 text-red-300 border-red-500/30'
+};
+
+const LINE_STYLES = {
+  '+': 'bg-green-500/10 text-green-200',
+  '-': 'bg-red-500/10 text-red-200',
+  ' ': 'text-dark-300'
+};
+
+const initialDecisions = (changeSet) =>
+  Object.fromEntries(
+    changeSet.files.flatMap((file) =>
+      file.hunks.map((hunk) => [hunk.id, hunk.decision || 'pending'])
+    )
+  );
+
+// Unified diff of the accepted hunks, ready for `git apply`
+const buildPatch = (changeSet, decisions) =>
+  changeSet.files
+    .map((file) => ({
+      ...file,
+      hunks: file.hunks.filter((hunk) => decisions[hunk.id] === 'accepted')
+    }))
+    .filter((file) => file.hunks.length > 0)
+    .map((file) =>
+      [
+        `--- ${file.operation === 'create' ? '/dev/null' : `a/${file.path}`}`,
+        `+++ ${file.operation === 'delete' ? '/dev/null' : `b/${file.path}`}`,
+        ...file.hunks.flatMap((hunk) => [hunk.header, ...hunk.lines])
+      ].join('\n')
+    )
+    .join('\n');
+
+// Per-file diff of a multi-file answer with accept/reject on every hunk
+const ChangeSetReview = ({ message }) => {
+  const { changeSet } = message.metadata;
+  const [decisions, setDecisions] = useState(() => initialDecisions(changeSet));
+
+  const decide = async (updates) => {
+    const previous = decisions;
+    setDecisions({ ...decisions, ...updates });
+    if (!message.session_id) return;
+
+    try {
+      await apiService.chat.updateChangeDecisions(
+        message.session_id,
+        message.id,
+        updates
+      );
+    } catch (error) {
+      setDecisions(previous);
+    }
+  };
+
+  const decideFile = (file, decision) =>
+    decide(
+      Object.fromEntries(file.hunks.map((hunk) => [hunk.id, decision]))
+    );
+
+  const acceptedCount = Object.values(decisions).filter(
+    (decision) => decision === 'accepted'
+  ).length;
+
+  const handleCopyPatch = async () => {
+    try {
+      await navigator.clipboard.writeText(buildPatch(changeSet, decisions) + '\n');
+      toast.success('Accepted changes copied as a patch!');
+    } catch (error) {
+      toast.error('Failed to copy patch');
+    }
+  };
+
+  return (
+    <div className='mt-4 space-y-3'>
+      <div className='flex items-center justify-between text-xs text-dark-400'>
+        <span>
+          {changeSet.summary.files} files ·{' '}
+          <span className='text-green-400'>+{changeSet.summary.additions}</span>{' '}
+          <span className='text-red-400'>-{changeSet.summary.deletions}</span>
+          {!changeSet.validated && ' · not checked against your files'}
+        </span>
+        <Tooltip title='Copy the accepted hunks as a unified diff'>
+          <span>
+            <button
+              onClick={handleCopyPatch}
+              disabled={acceptedCount === 0}
+              className='flex items-center gap-1 px-2 py-1 rounded hover:bg-white/10 disabled:opacity-40'
+            >
+              <CopyIcon className='text-sm' />
+              Copy accepted ({acceptedCount})
+            </button>
+          </span>
+        </Tooltip>
+      </div>
+
+      {changeSet.files.map((file) => (
+        <div
+          key={file.path}
+          className='rounded-lg border border-white/10 overflow-hidden'
+        >
+          <div className='flex items-center justify-between gap-2 bg-black/30 px-3 py-2'>
+            <div className='flex items-center gap-2 min-w-0'>
+              <FileIcon className='text-sm text-dark-400' />
+              <span
+                className={`px-2 py-0.5 text-xs border rounded-full ${
+                  OPERATION_STYLES[file.operation]
+                }`}
+              >
+                {file.operation}
+              </span>
+              <span className='text-sm font-mono truncate'>{file.path}</span>
+            </div>
+            {file.hunks.length > 0 && (
+              <div className='flex items-center gap-1 text-xs'>
+                <button
+                  onClick={() => decideFile(file, 'accepted')}
+                  className='px-2 py-1 rounded hover:bg-green-500/20 text-green-300'
+                >
+                  Accept file
+                </button>
+                <button
+                  onClick={() => decideFile(file, 'rejected')}
+                  className='px-2 py-1 rounded hover:bg-red-500/20 text-red-300'
+                >
+                  Reject file
+                </button>
+              </div>
+            )}
+          </div>
+
+          {file.errors.length > 0 && (
+            <ul
+              className={`px-3 py-2 text-xs space-y-1 ${
+                file.status === 'valid' || file.status === 'unverified'
+                  ? 'text-yellow-300 bg-yellow-500/10'
+                  : 'text-red-300 bg-red-500/10'
+              }`}
+            >
+              {file.errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          )}
+
+          {file.hunks.map((hunk) => {
+            const decision = decisions[hunk.id];
+
+            return (
+              <div
+                key={hunk.id}
+                className={`border-t border-white/10 ${
+                  decision === 'rejected' ? 'opacity-50' : ''
+                }`}
+              >
+                <div className='flex items-center justify-between bg-white/5 px-3 py-1'>
+                  <span className='text-xs font-mono text-dark-400'>
+                    {hunk.header}
+                    {hunk.status === 'conflict' && (
+                      <span className='ml-2 text-red-300'>
+                        does not match the file
+                      </span>
+                    )}
+                  </span>
+                  <div className='flex items-center gap-1'>
+                    <Tooltip title='Accept hunk'>
+                      <button
+                        onClick={() => decide({ [hunk.id]: 'accepted' })}
+                        className={`p-1 rounded transition-colors ${
+                          decision === 'accepted'
+                            ? 'bg-green-500/30 text-green-300'
+                            : 'text-dark-400 hover:text-green-300'
+                        }`}
+                      >
+                        <CheckIcon className='text-sm' />
+                      </button>
+                    </Tooltip>
+                    <Tooltip title='Reject hunk'>
+                      <button
+                        onClick={() => decide({ [hunk.id]: 'rejected' })}
+                        className={`p-1 rounded transition-colors ${
+                          decision === 'rejected'
+                            ? 'bg-red-500/30 text-red-300'
+                            : 'text-dark-400 hover:text-red-300'
+                        }`}
+                      >
+                        <CloseIcon className='text-sm' />
+                      </button>
+                    </Tooltip>
+                  </div>
+                </div>
+                <pre className='m-0 overflow-x-auto text-xs font-mono leading-5'>
+                  {hunk.lines.map((line, index) => (
+                    <div
+                      key={index}
+                      className={`px-3 whitespace-pre ${
+                        LINE_STYLES[line[0]] || LINE_STYLES[' ']
+                      }`}
+                    >
+                      {line || ' '}
+                    </div>
+                  ))}
+                </pre>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ChangeSetReview;
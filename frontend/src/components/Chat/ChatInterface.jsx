@@ -14,13 +14,15 @@ import ChatInput from './ChatInput';
 import {
   VoiceInput,
   LoadingIndicator,
-  SassLevelSlider
+  SassLevelSlider,
+  SessionSettingsPanel
 } from './SupportingComponents';
 
 // Hooks
 import { useChat } from '@hooks/useChat';
 import { useVoiceInput } from '@hooks/useVoiceInput';
 import { useProject } from '@contexts/ProjectContext';
+import apiService, { apiHelpers } from '@services/api';
 
 // Header Component
 const ChatHeader = ({
@@ -184,7 +186,9 @@ const ChatInterface = ({ sessionId }) => {
     sendMessage,
     currentSession,
     suggestions,
-    clearError
+    isTyping,
+    clearError,
+    updateSessionSettings
   } = useChat(sessionId);
 
   const { currentProject } = useProject();
@@ -204,7 +208,76 @@ const ChatInterface = ({ sessionId }) => {
   // UI State
   const [showSettings, setShowSettings] = useState(false);
   const [sassLevel, setSassLevel] = useState(5);
-  const [isTyping, setIsTyping] = useState(false);
+  const saveSassLevelRef = useRef(null);
+
+  // Overrides for this chat; kept locally until the session exists
+  const [draftSessionSettings, setDraftSessionSettings] = useState({});
+  const sessionSettings = currentSession
+    ? currentSession.settings || {}
+    : draftSessionSettings;
+  const [sessionSassLevel, setSessionSassLevel] = useState(null);
+  const effectiveSassLevel = sessionSassLevel ?? sassLevel;
+
+  useEffect(() => {
+    setSessionSassLevel(currentSession?.settings?.sassLevel ?? null);
+    if (currentSession) setDraftSessionSettings({});
+  }, [currentSession?.id]);
+
+  // Start from the saved sass level
+  useEffect(() => {
+    apiService.user
+      .getPreferences()
+      .then((response) => {
+        const { aiPersonality } = apiHelpers.handleResponse(response);
+        if (aiPersonality?.sassLevel) {
+          setSassLevel(aiPersonality.sassLevel);
+        }
+      })
+      .catch((error) => {
+        console.warn('Failed to load preferences:', error.message);
+      });
+
+    return () => clearTimeout(saveSassLevelRef.current);
+  }, []);
+
+  const handleSessionSettingsChange = (changes) => {
+    if (!currentSession) {
+      setDraftSessionSettings((prev) => ({ ...prev, ...changes }));
+      return;
+    }
+
+    updateSessionSettings(changes).catch(() => {});
+  };
+
+  // Save slider changes once the user stops dragging, to this chat when
+  // it overrides the sass level and to the user's preferences otherwise
+  const handleSassLevelChange = (value) => {
+    const chatOnly = sessionSassLevel !== null;
+    if (chatOnly) {
+      setSessionSassLevel(value);
+    } else {
+      setSassLevel(value);
+    }
+
+    clearTimeout(saveSassLevelRef.current);
+    saveSassLevelRef.current = setTimeout(() => {
+      if (chatOnly) {
+        handleSessionSettingsChange({ sassLevel: value });
+        return;
+      }
+
+      apiService.user
+        .updatePreferences({ aiPersonality: { sassLevel: value } })
+        .catch((error) => {
+          console.error('Failed to save sass level:', error);
+        });
+    }, 500);
+  };
+
+  const handleSassChatOnlyToggle = (chatOnly) => {
+    setSessionSassLevel(chatOnly ? sassLevel : null);
+    handleSessionSettingsChange({ sassLevel: chatOnly ? sassLevel : null });
+  };
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
@@ -219,19 +292,19 @@ const ChatInterface = ({ sessionId }) => {
     }
   }, [transcript, isListening]);
 
-  const handleSendMessage = async (content) => {
+  // answer is set when a suggested answer to a clarifying question was clicked
+  const handleSendMessage = async (content, answer = null) => {
     if (!content.trim()) return;
 
-    setIsTyping(true);
     try {
-      await sendMessage(content, {
-        sassLevel,
-        projectContext: currentProject?.context
+      return await sendMessage(content, {
+        sassLevel: effectiveSassLevel,
+        projectContext: currentProject?.context,
+        sessionSettings: draftSessionSettings,
+        answer
       });
     } catch (error) {
       console.error('Failed to send message:', error);
-    } finally {
-      setIsTyping(false);
     }
   };
 
@@ -257,7 +330,7 @@ const ChatInterface = ({ sessionId }) => {
       {/* Header */}
       <ChatHeader
         currentProject={currentProject}
-        sassLevel={sassLevel}
+        sassLevel={effectiveSassLevel}
         voiceSupported={voiceSupported}
         showSettings={showSettings}
         onToggleSettings={() => setShowSettings(!showSettings)}
@@ -272,11 +345,28 @@ const ChatInterface = ({ sessionId }) => {
             exit={{ opacity: 0, height: 0 }}
             className='flex-shrink-0 p-4 border-b border-white/10 bg-dark-800/30'
           >
-            <SassLevelSlider
-              value={sassLevel}
-              onChange={setSassLevel}
-              className='max-w-md'
-            />
+            <div className='flex flex-wrap gap-8'>
+              <div className='max-w-md flex-1'>
+                <SassLevelSlider
+                  value={effectiveSassLevel}
+                  onChange={handleSassLevelChange}
+                />
+                <label className='flex items-center gap-2 mt-2 text-xs text-dark-400'>
+                  <input
+                    type='checkbox'
+                    checked={sessionSassLevel !== null}
+                    onChange={(e) => handleSassChatOnlyToggle(e.target.checked)}
+                  />
+                  Use this sass level for this chat only
+                </label>
+              </div>
+
+              <SessionSettingsPanel
+                settings={sessionSettings}
+                onChange={handleSessionSettingsChange}
+                className='max-w-md flex-1'
+              />
+            </div>
           </motion.div>
         )}
       </AnimatePresence>
@@ -307,7 +397,11 @@ const ChatInterface = ({ sessionId }) => {
               <MessageBubble
                 message={message}
                 onRetry={message.role === 'assistant' ? handleRetry : undefined}
-                sassLevel={sassLevel}
+                onCorrect={handleSendMessage}
+                onAnswer={
+                  index === messages.length - 1 ? handleSendMessage : undefined
+                }
+                sassLevel={effectiveSassLevel}
               />
             </motion.div>
           ))}
@@ -320,7 +414,7 @@ const ChatInterface = ({ sessionId }) => {
             animate={{ opacity: 1 }}
             exit={{ opacity: 0 }}
           >
-            <LoadingIndicator sassLevel={sassLevel} />
+            <LoadingIndicator sassLevel={effectiveSassLevel} />
           </motion.div>
         )}
 
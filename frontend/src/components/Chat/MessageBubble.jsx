@@ -10,20 +10,30 @@ import {
   ExpandMore as ExpandMoreIcon,
   ExpandLess as ExpandLessIcon,
   Code as CodeIcon,
-  Lightbulb as LightbulbIcon
+  Lightbulb as LightbulbIcon,
+  Publish as ApplyIcon,
+  Undo as UndoIcon
 } from '@mui/icons-material';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import ReactMarkdown from 'react-markdown';
 import toast from 'react-hot-toast';
 import { motion } from 'framer-motion';
+import { apiService } from '../../services/api';
+import ChangeSetReview from './ChangeSetReview';
 
-const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
+const MessageBubble = ({ message, onRetry, onCorrect, onAnswer, sassLevel = 5 }) => {
   const [showDetails, setShowDetails] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [feedback, setFeedback] = useState(null); // 'up' | 'down'
+  const [showCorrection, setShowCorrection] = useState(false);
+  const [correctionText, setCorrectionText] = useState('');
+  const [patch, setPatch] = useState(message.metadata?.patch || null);
+  const [applying, setApplying] = useState(false);
 
   const isUser = message.role === 'user';
   const isAssistant = message.role === 'assistant';
+  const isStreaming = !!message.metadata?.streaming;
 
   // Extract code blocks from message content
   const extractCodeBlocks = (content) => {
@@ -45,10 +55,44 @@ const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
   const codeBlocks = extractCodeBlocks(message.content);
   const hasCode = codeBlocks.length > 0;
 
+  // Changes that can be written into the project: a change set or a diff
+  const diffBlock = codeBlocks.find((block) => block.language === 'diff');
+  const canApply =
+    isAssistant &&
+    !!message.session_id &&
+    !!message.metadata?.context?.projectId &&
+    (!!message.metadata?.changeSet || !!diffBlock);
+  const isApplied = !!patch && !patch.revertedAt;
+
+  // Record how the user reacted to this reply, for the learning service
+  const recordLearningEvent = (eventType, eventData = {}) => {
+    if (!isAssistant || !message.session_id) return;
+
+    apiService.learning
+      .recordEvent(
+        eventType,
+        {
+          messageId: message.id,
+          interpretation: message.metadata?.interpretation,
+          category: message.metadata?.category,
+          action: message.metadata?.action,
+          language: message.metadata?.language,
+          sassLevel: message.metadata?.sassLevel ?? sassLevel,
+          vaguePhrases: message.metadata?.vaguePhrases || [],
+          ...eventData
+        },
+        message.session_id
+      )
+      .catch((error) => {
+        console.warn(`Failed to record ${eventType} event:`, error.message);
+      });
+  };
+
   // Copy code to clipboard
-  const handleCopyCode = async (code) => {
+  const handleCopyCode = async (code, language) => {
     try {
       await navigator.clipboard.writeText(code);
+      recordLearningEvent('code_copied', { language });
       setCopied(true);
       toast.success('Code copied to clipboard!');
       setTimeout(() => setCopied(false), 2000);
@@ -61,6 +105,11 @@ const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
   const handleCopyMessage = async () => {
     try {
       await navigator.clipboard.writeText(message.content);
+      if (hasCode) {
+        recordLearningEvent('code_copied', {
+          language: message.metadata?.language || codeBlocks[0].language
+        });
+      }
       toast.success('Message copied!');
     } catch (error) {
       toast.error('Failed to copy message');
@@ -79,7 +128,7 @@ const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
         </div>
         <Tooltip title='Copy code'>
           <button
-            onClick={() => handleCopyCode(block.code)}
+            onClick={() => handleCopyCode(block.code, block.language)}
             className={`p-1 rounded transition-colors ${
               copied ? 'text-green-400' : 'text-dark-400 hover:text-dark-200'
             }`}
@@ -105,19 +154,106 @@ const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
     </div>
   );
 
+  const describeConflicts = (error) => {
+    const conflicts = error.response?.data?.conflicts || [];
+    const details = conflicts
+      .map((conflict) =>
+        conflict.path ? `${conflict.path}: ${conflict.message}` : conflict.message
+      )
+      .join('\n');
+    return [error.response?.data?.error || error.message, details]
+      .filter(Boolean)
+      .join('\n');
+  };
+
+  // Write this reply's changes into the project, or undo them
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      const response = isApplied
+        ? await apiService.chat.revertChanges(message.session_id, message.id)
+        : await apiService.chat.applyChanges(
+            message.session_id,
+            message.id,
+            message.metadata?.changeSet ? null : diffBlock.code
+          );
+      setPatch(response.data.data.metadata.patch);
+      toast.success(isApplied ? 'Changes reverted' : 'Changes applied to your project');
+    } catch (error) {
+      toast.error(describeConflicts(error), { duration: 6000 });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  // Thumbs up/down on the interpretation behind this reply
+  const handleFeedback = (value) => {
+    if (feedback === value) return;
+
+    setFeedback(value);
+    recordLearningEvent(
+      value === 'up' ? 'interpretation_accepted' : 'interpretation_rejected'
+    );
+
+    setShowCorrection(value === 'down');
+    if (value === 'up') {
+      toast.success('Noted, I\'ll lean that way next time.');
+    }
+  };
+
+  // "That's not what I meant, I meant X" - either a suggested alternative or free text.
+  // Free text is only understood once it has been answered, so it is recorded
+  // with the action and category of the reply it gets.
+  const handleCorrection = async (alternative = null) => {
+    const text = alternative ? alternative.description : correctionText.trim();
+    if (!text) return;
+
+    setShowCorrection(false);
+    setCorrectionText('');
+    toast.success('Got it, I\'ll remember that.');
+
+    if (alternative) {
+      recordLearningEvent('interpretation_corrected', {
+        correction: {
+          text,
+          action: alternative.action,
+          category: alternative.category
+        }
+      });
+      if (onCorrect) onCorrect(text);
+      return;
+    }
+
+    const reply = onCorrect ? await onCorrect(text) : null;
+    recordLearningEvent('interpretation_corrected', {
+      correction: {
+        text,
+        action: reply?.metadata?.action,
+        category: reply?.metadata?.category
+      }
+    });
+  };
+
+  // Answer a clarifying question with one of its suggested answers
+  const handleAnswer = (question, option) => {
+    if (onAnswer) onAnswer(option.label, { questionId: question.id, optionId: option.id });
+  };
+
+  // Retry and record that the reply missed the mark
+  const handleRetry = () => {
+    recordLearningEvent('retry_clicked');
+    onRetry();
+  };
+
   // Custom markdown components
   const markdownComponents = {
     code({ node, inline, className, children, ...props }) {
       const match = /language-(\w+)/.exec(className || '');
       return !inline && match ? (
-        <SyntaxHighlighter
-          language={match[1]}
-          style={vscDarkPlus}
-          customStyle={{ borderRadius: 6, fontSize: '0.9rem' }}
-          {...props}
-        >
-          {String(children).replace(/\n$/, '')}
-        </SyntaxHighlighter>
+        renderCodeBlock({
+          language: match[1],
+          code: String(children).replace(/\n$/, '')
+        })
       ) : (
         <code
           className='bg-white/10 px-1 py-0.5 rounded text-sm font-mono'
@@ -222,6 +358,29 @@ const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
             />
           </div>
 
+          {/* Suggested answers to the questions (only while they are pending) */}
+          {isAssistant && !isStreaming && onAnswer &&
+            message.metadata?.clarification?.questions
+              .filter((question) => question.options.length > 0)
+              .map((question) => (
+                <div key={question.id} className='flex flex-wrap gap-2 mt-3'>
+                  {question.options.map((option) => (
+                    <button
+                      key={option.id}
+                      onClick={() => handleAnswer(question, option)}
+                      className='px-3 py-1 text-xs bg-primary-500/10 hover:bg-primary-500/20 text-primary-300 border border-primary-500/30 rounded-full transition-colors'
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              ))}
+
+          {/* Multi-file changes, reviewed hunk by hunk */}
+          {isAssistant && !isStreaming && message.metadata?.changeSet && (
+            <ChangeSetReview message={message} />
+          )}
+
           {/* Assumptions */}
           {message.metadata?.assumptions &&
             message.metadata.assumptions.length > 0 && (
@@ -253,27 +412,61 @@ const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
           )}
         </div>
 
-        {/* Message Actions */}
-        {isAssistant && (
+        {/* Message Actions (hidden until the streamed reply is saved) */}
+        {isAssistant && !isStreaming && (
           <div className='flex items-center justify-between mt-2 px-2'>
             <div className='flex items-center gap-1'>
               {/* Feedback buttons */}
               <Tooltip title='Helpful'>
-                <button className='p-1 rounded-full hover:bg-green-500/20 text-dark-400 hover:text-green-400 transition-colors'>
+                <button
+                  onClick={() => handleFeedback('up')}
+                  className={`p-1 rounded-full hover:bg-green-500/20 hover:text-green-400 transition-colors ${
+                    feedback === 'up' ? 'text-green-400' : 'text-dark-400'
+                  }`}
+                >
                   <ThumbUpIcon className='text-sm' />
                 </button>
               </Tooltip>
-              <Tooltip title='Not helpful'>
-                <button className='p-1 rounded-full hover:bg-red-500/20 text-dark-400 hover:text-red-400 transition-colors'>
+              <Tooltip title='Not what I meant'>
+                <button
+                  onClick={() => handleFeedback('down')}
+                  className={`p-1 rounded-full hover:bg-red-500/20 hover:text-red-400 transition-colors ${
+                    feedback === 'down' ? 'text-red-400' : 'text-dark-400'
+                  }`}
+                >
                   <ThumbDownIcon className='text-sm' />
                 </button>
               </Tooltip>
 
+              {/* Apply / revert changes in the project */}
+              {canApply && (
+                <Tooltip
+                  title={
+                    isApplied
+                      ? 'Revert the changes in your project'
+                      : 'Apply the changes to your project'
+                  }
+                >
+                  <button
+                    onClick={handleApply}
+                    disabled={applying}
+                    className='flex items-center gap-1 px-2 py-1 text-xs rounded-full hover:bg-primary-500/20 text-dark-400 hover:text-primary-400 transition-colors disabled:opacity-50'
+                  >
+                    {isApplied ? (
+                      <UndoIcon className='text-sm' />
+                    ) : (
+                      <ApplyIcon className='text-sm' />
+                    )}
+                    {isApplied ? 'Revert' : 'Apply'}
+                  </button>
+                </Tooltip>
+              )}
+
               {/* Retry button */}
               {onRetry && (
                 <Tooltip title='Regenerate response'>
                   <button
-                    onClick={onRetry}
+                    onClick={handleRetry}
                     className='p-1 rounded-full hover:bg-primary-500/20 text-dark-400 hover:text-primary-400 transition-colors'
                   >
                     <RefreshIcon className='text-sm' />
@@ -299,6 +492,50 @@ const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
           </div>
         )}
 
+        {/* "I meant..." correction */}
+        <Collapse in={showCorrection}>
+          <div className='mt-2 p-3 glass border border-white/10 rounded-lg'>
+            <span className='text-xs text-dark-400 block mb-2'>
+              That's not what I meant, I meant...
+            </span>
+            {message.metadata?.alternatives?.length > 0 && (
+              <div className='flex flex-wrap gap-2 mb-2'>
+                {message.metadata.alternatives.map((alternative, index) => (
+                  <button
+                    key={index}
+                    onClick={() => handleCorrection(alternative)}
+                    className='px-2 py-1 text-xs bg-white/10 hover:bg-white/20 text-dark-200 border border-white/20 rounded-full transition-colors'
+                  >
+                    {alternative.description}
+                  </button>
+                ))}
+              </div>
+            )}
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleCorrection();
+              }}
+              className='flex items-center gap-2'
+            >
+              <input
+                type='text'
+                value={correctionText}
+                onChange={(e) => setCorrectionText(e.target.value)}
+                placeholder='Describe what you actually wanted'
+                className='flex-1 px-2 py-1 text-sm bg-black/20 border border-white/10 rounded text-dark-100 placeholder-dark-500 focus:outline-none focus:border-primary-500'
+              />
+              <button
+                type='submit'
+                disabled={!correctionText.trim()}
+                className='px-3 py-1 text-xs bg-primary-500 hover:bg-primary-600 disabled:opacity-50 text-white rounded transition-colors'
+              >
+                Send
+              </button>
+            </form>
+          </div>
+        </Collapse>
+
         {/* Detailed metadata */}
         <Collapse in={showDetails}>
           <div className='mt-2 p-4 glass border border-white/10 rounded-lg'>
@@ -317,6 +554,87 @@ const MessageBubble = ({ message, onRetry, sassLevel = 5 }) => {
                 </div>
               )}
 
+              {message.metadata?.contextManifest && (
+                <div className='mb-4'>
+                  <span className='text-xs text-dark-400 block mb-1'>
+                    Context the model saw ({message.metadata.contextManifest.usedTokens}/
+                    {message.metadata.contextManifest.budgetTokens} tokens):
+                  </span>
+                  <ul className='text-xs text-dark-200 space-y-1'>
+                    {message.metadata.contextManifest.included.map((snippet) => (
+                      <li key={snippet.id} className='font-mono'>
+                        {snippet.source}
+                        {snippet.label && ` (${snippet.label})`}
+                        <span className='text-dark-500'>
+                          {' '}
+                          · {snippet.kind}
+                          {snippet.mode === 'summary' && ', outline only'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                  {message.metadata.contextManifest.dropped.length > 0 && (
+                    <>
+                      <span className='text-xs text-dark-400 block mt-2 mb-1'>
+                        Left out:
+                      </span>
+                      <ul className='text-xs text-dark-500 space-y-1'>
+                        {message.metadata.contextManifest.dropped.map((snippet) => (
+                          <li key={snippet.id} className='font-mono'>
+                            {snippet.source} · {snippet.reason === 'budget' ? 'over budget' : 'already included'}
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {message.metadata?.agentTrace && (
+                <div className='mb-4'>
+                  <span className='text-xs text-dark-400 block mb-1'>
+                    Agent steps ({message.metadata.agentTrace.steps}/
+                    {message.metadata.agentTrace.maxSteps},{' '}
+                    {message.metadata.agentTrace.tokensUsed} tokens
+                    {message.metadata.agentTrace.stopReason !== 'answered' &&
+                      `, stopped at the ${message.metadata.agentTrace.stopReason === 'max_tokens' ? 'token' : 'step'} limit`}
+                    ):
+                  </span>
+                  <ul className='text-xs text-dark-200 space-y-1'>
+                    {message.metadata.agentTrace.toolCalls.map((call, index) => (
+                      <li key={index} className='font-mono'>
+                        {call.tool}({Object.values(call.arguments || {}).join(', ')})
+                        <span className={call.ok ? 'text-dark-500' : 'text-yellow-400'}>
+                          {' '}
+                          · {call.summary}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {message.metadata?.repair?.attempts.length > 1 && (
+                <div className='mb-4'>
+                  <span className='text-xs text-dark-400 block mb-1'>
+                    Validation attempts (showing attempt {message.metadata.repair.chosen}):
+                  </span>
+                  <ul className='text-xs text-dark-200 space-y-1'>
+                    {message.metadata.repair.attempts.map((attempt) => (
+                      <li key={attempt.attempt}>
+                        {attempt.attempt}.{' '}
+                        {attempt.isValid
+                          ? 'passed'
+                          : `${attempt.errors.length} errors, ${attempt.warnings.length} warnings`}
+                        {attempt.errors.length > 0 && (
+                          <span className='text-dark-500'> · {attempt.errors[0]}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {message.metadata?.error && (
                 <div className='mb-4 p-2 bg-yellow-500/10 border border-yellow-500/20 rounded'>
                   <span className='text-sm text-yellow-300'>
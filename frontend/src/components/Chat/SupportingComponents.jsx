@@ -206,3 +206,113 @@ export const SassLevelSlider = ({ value, onChange, className = '' }) => {
     </div>
   );
 };
+
+// Per-chat overrides of the user's AI preferences
+export const SessionSettingsPanel = ({
+  settings = {},
+  onChange,
+  className = ''
+}) => {
+  const inputClassName =
+    'w-full px-2 py-1 text-sm bg-dark-700 border border-white/10 rounded text-dark-100 focus:outline-none focus:border-primary-500';
+
+  // Empty inputs clear the override so the user's preference applies again
+  const commitText = (key) => (e) => {
+    const value = e.target.value.trim() || null;
+    if (value !== (settings[key] ?? null)) {
+      onChange({ [key]: value });
+    }
+  };
+
+  const commitTemperature = (e) => {
+    const value = e.target.value === '' ? null : parseFloat(e.target.value);
+    if (value !== (settings.temperature ?? null)) {
+      onChange({ temperature: value });
+    }
+  };
+
+  return (
+    <div className={className}>
+      <h3 className='text-sm font-medium text-dark-200 mb-3'>
+        This Chat Only
+      </h3>
+
+      <div className='grid grid-cols-2 gap-3'>
+        <label className='text-xs text-dark-400'>
+          Explanation style
+          <select
+            value={settings.explanationStyle || ''}
+            onChange={(e) =>
+              onChange({ explanationStyle: e.target.value || null })
+            }
+            className={inputClassName}
+          >
+            <option value=''>My default</option>
+            <option value='technical'>Technical</option>
+            <option value='casual'>Casual</option>
+            <option value='educational'>Educational</option>
+          </select>
+        </label>
+
+        <label className='text-xs text-dark-400'>
+          Temperature
+          <input
+            key={`temperature-${settings.temperature ?? ''}`}
+            type='number'
+            min='0'
+            max='2'
+            step='0.1'
+            placeholder='Default'
+            defaultValue={settings.temperature ?? ''}
+            onBlur={commitTemperature}
+            className={inputClassName}
+          />
+        </label>
+
+        <label className='text-xs text-dark-400'>
+          Language
+          <input
+            key={`language-${settings.language ?? ''}`}
+            type='text'
+            placeholder='From project'
+            defaultValue={settings.language || ''}
+            onBlur={commitText('language')}
+            className={inputClassName}
+          />
+        </label>
+
+        <label className='text-xs text-dark-400'>
+          Framework
+          <input
+            key={`framework-${settings.framework ?? ''}`}
+            type='text'
+            placeholder='From project'
+            defaultValue={settings.framework || ''}
+            onBlur={commitText('framework')}
+            className={inputClassName}
+          />
+        </label>
+      </div>
+
+      <label className='flex items-center gap-2 mt-3 text-sm text-dark-300'>
+        <input
+          type='checkbox'
+          checked={Boolean(settings.neverGenerateCode)}
+          onChange={(e) =>
+            onChange({ neverGenerateCode: e.target.checked || null })
+          }
+        />
+        Never generate code (explanations only)
+      </label>
+
+      <label className='flex items-center gap-2 mt-2 text-sm text-dark-300'>
+        <input
+          type='checkbox'
+          checked={Boolean(settings.agentMode)}
+          onChange={(e) => onChange({ agentMode: e.target.checked || null })}
+        />
+        Agent mode (read the project before answering)
+      </label>
+    </div>
+  );
+};
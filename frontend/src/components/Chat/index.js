@@ -4,5 +4,6 @@ export { default as ChatInput } from './ChatInput';
 export {
   VoiceInput,
   LoadingIndicator,
-  SassLevelSlider
+  SassLevelSlider,
+  SessionSettingsPanel
 } from './SupportingComponents';
@@ -0,0 +1,161 @@
+// frontend/src/components/Projects/ImportProjectDialog.jsx
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  LinearProgress,
+  TextField,
+  Typography
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import { apiService, apiHelpers } from '@services/api';
+
+const ARCHIVE_TYPES = '.zip,.tar.gz,.tgz';
+
+const archiveName = (file) => file.name.replace(/\.(zip|tar\.gz|tgz)$/i, '');
+
+// Upload a .zip or .tar.gz as a new project, or to replace the files of
+// `project`, and have it analyzed without giving the server disk access
+const ImportProjectDialog = ({ project = null, open, onClose, onImported }) => {
+  const [archive, setArchive] = useState(null);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setArchive(null);
+    setName('');
+    setDescription('');
+    setProgress(null);
+    setError(null);
+  }, [open]);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setArchive(file);
+    if (!name) setName(archiveName(file));
+  };
+
+  const handleImport = async () => {
+    setProgress(0);
+    setError(null);
+
+    try {
+      const response = await apiService.projects.importArchive(
+        archive,
+        project
+          ? { projectId: project.id }
+          : { name: name.trim(), description: description.trim() },
+        (event) =>
+          setProgress(event.total ? Math.round((event.loaded / event.total) * 100) : 100)
+      );
+      const result = apiHelpers.handleResponse(response);
+
+      if (result.analysis) {
+        toast.success(`Imported ${result.files} files`);
+      } else {
+        toast(`Imported ${result.files} files, but analysis failed`, { icon: '⚠️' });
+      }
+      onImported?.(result);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const importing = progress !== null;
+
+  return (
+    <Dialog open={open} onClose={importing ? undefined : onClose} maxWidth='sm' fullWidth>
+      <DialogTitle>
+        {project ? `Re-import ${project.name}` : 'Import Project Archive'}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant='body2' color='text.secondary' sx={{ mb: 2 }}>
+          {project
+            ? 'The uploaded archive replaces the project files the assistant works from.'
+            : 'Upload your project as a .zip or .tar.gz. Files matched by .gitignore and build output are left out.'}
+        </Typography>
+
+        <Button
+          component='label'
+          variant='outlined'
+          startIcon={<UploadFileIcon />}
+          disabled={importing}
+          sx={{ mb: 2 }}
+        >
+          {archive ? archive.name : 'Choose archive'}
+          <input type='file' accept={ARCHIVE_TYPES} hidden onChange={handleFileChange} />
+        </Button>
+
+        {!project && (
+          <>
+            <TextField
+              margin='dense'
+              label='Project Name'
+              fullWidth
+              variant='outlined'
+              value={name}
+              disabled={importing}
+              onChange={(e) => setName(e.target.value)}
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              margin='dense'
+              label='Description (optional)'
+              fullWidth
+              variant='outlined'
+              multiline
+              rows={2}
+              value={description}
+              disabled={importing}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+          </>
+        )}
+
+        {importing && (
+          <Box sx={{ mt: 2 }}>
+            <LinearProgress
+              variant={progress < 100 ? 'determinate' : 'indeterminate'}
+              value={progress}
+            />
+            <Typography variant='caption' color='text.secondary'>
+              {progress < 100 ? `Uploading… ${progress}%` : 'Unpacking and analyzing…'}
+            </Typography>
+          </Box>
+        )}
+
+        {error && (
+          <Typography color='error' variant='body2' sx={{ mt: 2 }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={importing}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleImport}
+          variant='contained'
+          disabled={!archive || importing || (!project && !name.trim())}
+        >
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportProjectDialog;
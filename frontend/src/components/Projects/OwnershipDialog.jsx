@@ -0,0 +1,199 @@
+// frontend/src/components/Projects/OwnershipDialog.jsx
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { apiService, apiHelpers } from '@services/api';
+
+const formatOwner = (owner) =>
+  owner ? `${owner.name} (${Math.round(owner.share * 100)}%)` : '—';
+
+// Who wrote a project's code, who last reworked it and how much it churns
+const OwnershipDialog = ({ project, open, onClose }) => {
+  const [path, setPath] = useState('');
+  const [pathInput, setPathInput] = useState('');
+  const [ownership, setOwnership] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !project) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    apiService.projects
+      .getOwnership(project.id, path)
+      .then((response) => {
+        if (!cancelled) setOwnership(apiHelpers.handleResponse(response));
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setOwnership(null);
+          setError(err.response?.data?.error || err.message);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, project, path]);
+
+  const browse = (nextPath) => {
+    setPathInput(nextPath);
+    setPath(nextPath);
+  };
+
+  const change = ownership?.lastMeaningfulChange;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='md' fullWidth>
+      <DialogTitle>Code Ownership · {project?.name}</DialogTitle>
+      <DialogContent>
+        <Box
+          component='form'
+          onSubmit={(e) => {
+            e.preventDefault();
+            setPath(pathInput.trim());
+          }}
+          sx={{ display: 'flex', gap: 1, mb: 2, mt: 1 }}
+        >
+          <TextField
+            size='small'
+            fullWidth
+            label='File or directory'
+            placeholder='e.g. src/auth (empty for the whole project)'
+            value={pathInput}
+            onChange={(e) => setPathInput(e.target.value)}
+          />
+          <Button type='submit' variant='outlined'>
+            Show
+          </Button>
+        </Box>
+
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+        {error && (
+          <Typography color='error' variant='body2'>
+            {error}
+          </Typography>
+        )}
+
+        {ownership && !ownership.isGitRepo && (
+          <Typography color='text.secondary' variant='body2'>
+            This project isn't a git repository, so there is no history to show.
+          </Typography>
+        )}
+
+        {ownership?.isGitRepo && (
+          <>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+              {ownership.owners.slice(0, 5).map((owner) => (
+                <Chip
+                  key={owner.email || owner.name}
+                  label={`${owner.name} · ${Math.round(owner.share * 100)}%`}
+                  color='primary'
+                  variant='outlined'
+                />
+              ))}
+            </Box>
+
+            {change && (
+              <Typography variant='body2' sx={{ mb: 1 }}>
+                Last reworked in <code>{change.shortHash}</code> by{' '}
+                {change.author.name} on{' '}
+                {new Date(change.date).toLocaleDateString()}: “{change.message}”
+              </Typography>
+            )}
+
+            <Typography variant='body2' color='text.secondary' sx={{ mb: 2 }}>
+              Churn: {ownership.churn.days30.commits} commits /{' '}
+              {ownership.churn.days30.linesChanged} lines in 30 days,{' '}
+              {ownership.churn.days90.commits} commits /{' '}
+              {ownership.churn.days90.linesChanged} lines in 90 days
+            </Typography>
+
+            {ownership.directories?.length > 0 && (
+              <>
+                <Typography variant='subtitle2' sx={{ mb: 1 }}>
+                  Directories
+                </Typography>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                  {ownership.directories.map((directory) => (
+                    <Chip
+                      key={directory.path}
+                      label={`${directory.path} · ${directory.owner?.name || '—'}`}
+                      onClick={() => browse(directory.path)}
+                      size='small'
+                    />
+                  ))}
+                </Box>
+              </>
+            )}
+
+            {ownership.files?.length > 0 && (
+              <>
+                <Typography variant='subtitle2' sx={{ mb: 1 }}>
+                  Most churned files (90 days)
+                </Typography>
+                <Table size='small'>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>File</TableCell>
+                      <TableCell>Main author</TableCell>
+                      <TableCell align='right'>Commits</TableCell>
+                      <TableCell align='right'>Lines changed</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {ownership.files.map((file) => (
+                      <TableRow
+                        key={file.file}
+                        hover
+                        onClick={() => browse(file.file)}
+                        sx={{ cursor: 'pointer' }}
+                      >
+                        <TableCell sx={{ fontFamily: 'monospace' }}>
+                          {file.file}
+                        </TableCell>
+                        <TableCell>{formatOwner(file.owner)}</TableCell>
+                        <TableCell align='right'>{file.churn90.commits}</TableCell>
+                        <TableCell align='right'>
+                          {file.churn90.linesChanged}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {path && <Button onClick={() => browse('')}>Whole project</Button>}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default OwnershipDialog;
@@ -90,12 +90,13 @@ export const useChat = (sessionId = null) => {
   }, []);
 
   // Create new session
-  const createSession = useCallback(async (title = 'New Chat', projectId = null) => {
+  const createSession = useCallback(async (title = 'New Chat', projectId = null, settings = {}) => {
     try {
       setLoading(true);
       const response = await apiService.chat.createSession({
         title,
         projectId,
+        settings,
       });
       
       const data = apiHelpers.handleResponse(response);
@@ -123,7 +124,9 @@ export const useChat = (sessionId = null) => {
     }
   }, [navigate, loadSessions]);
 
-  // Send message
+  // Send message (the assistant reply is streamed in as it is generated).
+  // options.answer marks it as a clicked answer to the pending clarification.
+  // Resolves to the saved assistant reply, or undefined if it failed.
   const sendMessage = useCallback(async (content, options = {}) => {
     if (!content.trim()) return;
 
@@ -135,6 +138,17 @@ export const useChat = (sessionId = null) => {
     // Create new abort controller
     abortControllerRef.current = new AbortController();
 
+    // Temporary messages shown until the server returns the persisted ones
+    const userMessage = {
+      id: `temp-${Date.now()}`,
+      role: 'user',
+      content,
+      metadata: {
+        timestamp: new Date().toISOString(),
+      },
+    };
+    const streamingMessageId = `streaming-${Date.now()}`;
+
     try {
       setIsTyping(true);
       setError(null);
@@ -142,44 +156,79 @@ export const useChat = (sessionId = null) => {
       // If no current session, create one
       let session = currentSession;
       if (!session) {
-        session = await createSession('New Chat', options.projectId);
+        session = await createSession('New Chat', options.projectId, options.sessionSettings);
       }
 
       // Add user message immediately
-      const userMessage = {
-        id: `temp-${Date.now()}`,
-        role: 'user',
-        content,
-        metadata: {
-          timestamp: new Date().toISOString(),
-        },
-      };
-
       setMessages(prev => [...prev, userMessage]);
 
-      // Send message to API
-      const response = await apiService.chat.sendMessage(session.id, content);
-      const data = apiHelpers.handleResponse(response);
+      let streamedContent = '';
+      let result = null;
 
-      // Replace temporary message with actual messages from server
-      setMessages(prev => {
-        const filtered = prev.filter(m => m.id !== userMessage.id);
-        return [
-          ...filtered,
-          data.userMessage,
-          data.assistantMessage,
-        ];
+      // Swap the temporary messages for the persisted ones
+      const replaceTemporaryMessages = (persisted) => {
+        setMessages(prev => [
+          ...prev.filter(m => m.id !== userMessage.id && m.id !== streamingMessageId),
+          ...persisted.filter(Boolean),
+        ]);
+      };
+
+      await apiService.chat.streamMessage(session.id, content, {
+        signal: abortControllerRef.current.signal,
+        answer: options.answer,
+        onEvent: (event, data) => {
+          switch (event) {
+            case 'token': {
+              const isFirstToken = !streamedContent;
+              streamedContent += data.content;
+
+              if (isFirstToken) setIsTyping(false);
+
+              setMessages(prev => {
+                const streamingMessage = {
+                  id: streamingMessageId,
+                  role: 'assistant',
+                  content: streamedContent,
+                  metadata: {
+                    timestamp: new Date().toISOString(),
+                    streaming: true,
+                  },
+                };
+
+                return prev.some(m => m.id === streamingMessageId)
+                  ? prev.map(m => (m.id === streamingMessageId ? streamingMessage : m))
+                  : [...prev, streamingMessage];
+              });
+              break;
+            }
+
+            case 'done':
+            case 'error':
+              result = data;
+              replaceTemporaryMessages([data.userMessage, data.assistantMessage]);
+              break;
+
+            default:
+              break;
+          }
+        },
       });
 
+      if (!result) {
+        throw new Error('Stream ended before the response was saved');
+      }
+
       // Update suggestions based on new conversation
-      generateSuggestions([...messagesRef.current, data.userMessage, data.assistantMessage]);
+      generateSuggestions([...messagesRef.current, result.userMessage, result.assistantMessage].filter(Boolean));
 
       // Clear abort controller
       abortControllerRef.current = null;
 
+      return result.assistantMessage;
+
     } catch (error) {
-      // Remove temporary message on error
-      setMessages(prev => prev.filter(m => m.id !== userMessage?.id));
+      // Remove temporary messages on error
+      setMessages(prev => prev.filter(m => m.id !== userMessage.id && m.id !== streamingMessageId));
       
       if (error.name === 'AbortError') {
         // Request was cancelled
@@ -197,6 +246,24 @@ export const useChat = (sessionId = null) => {
     }
   }, [currentSession, createSession]);
 
+  // Update the current session's overrides (null clears one)
+  const updateSessionSettings = useCallback(async (settings) => {
+    if (!currentSession) return null;
+
+    try {
+      const response = await apiService.chat.updateSession(currentSession.id, { settings });
+      const updatedSession = apiHelpers.handleResponse(response);
+
+      setCurrentSession(updatedSession);
+      setSessions(prev => prev.map(s => (s.id === updatedSession.id ? updatedSession : s)));
+      return updatedSession;
+    } catch (error) {
+      console.error('Failed to update session settings:', error);
+      toast.error('Failed to save chat settings');
+      throw error;
+    }
+  }, [currentSession]);
+
   // Delete session
   const deleteSession = useCallback(async (id) => {
     try {
@@ -322,6 +389,7 @@ export const useChat = (sessionId = null) => {
     // Actions
     sendMessage,
     createSession,
+    updateSessionSettings,
     deleteSession,
     loadSession,
     loadSessions,
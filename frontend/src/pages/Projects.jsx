@@ -30,22 +30,35 @@ import {
   Edit as EditIcon,
   Delete as DeleteIcon,
   Settings as SettingsIcon,
-  Person as PersonIcon
+  Person as PersonIcon,
+  History as HistoryIcon,
+  UploadFile as UploadFileIcon
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { useProject } from '@contexts/ProjectContext.jsx';
 import { useAuth } from '@contexts/AuthContext.jsx';
+import OwnershipDialog from '@components/Projects/OwnershipDialog.jsx';
+import ImportProjectDialog from '@components/Projects/ImportProjectDialog.jsx';
 
 const Projects = () => {
   const theme = useTheme();
   const navigate = useNavigate();
-  const { projects, loading, createProject, deleteProject, selectProject } =
-    useProject();
+  const {
+    projects,
+    loading,
+    createProject,
+    deleteProject,
+    selectProject,
+    fetchProjects
+  } = useProject();
   const { user } = useAuth();
 
   const [openCreateDialog, setOpenCreateDialog] = useState(false);
   const [projectMenuAnchor, setProjectMenuAnchor] = useState(null);
   const [selectedProject, setSelectedProject] = useState(null);
+  const [ownershipProject, setOwnershipProject] = useState(null);
+  // false when closed, null for a new project, else the project to re-import
+  const [importTarget, setImportTarget] = useState(false);
   const [newProject, setNewProject] = useState({
     name: '',
     description: ''
@@ -125,14 +138,22 @@ const Projects = () => {
           </Typography>
         </Box>
 
-        <Button
-          variant='contained'
-          startIcon={<AddIcon />}
-          onClick={() => setOpenCreateDialog(true)}
-          sx={{ display: { xs: 'none', sm: 'flex' } }}
-        >
-          New Project
-        </Button>
+        <Box sx={{ display: { xs: 'none', sm: 'flex' }, gap: 1 }}>
+          <Button
+            variant='outlined'
+            startIcon={<UploadFileIcon />}
+            onClick={() => setImportTarget(null)}
+          >
+            Import Archive
+          </Button>
+          <Button
+            variant='contained'
+            startIcon={<AddIcon />}
+            onClick={() => setOpenCreateDialog(true)}
+          >
+            New Project
+          </Button>
+        </Box>
       </Box>
 
       {/* Projects Grid */}
@@ -359,6 +380,30 @@ const Projects = () => {
           <ListItemText>Edit Project</ListItemText>
         </MenuItem>
 
+        <MenuItem
+          onClick={() => {
+            setOwnershipProject(selectedProject);
+            handleProjectMenuClose();
+          }}
+        >
+          <ListItemIcon>
+            <HistoryIcon fontSize='small' />
+          </ListItemIcon>
+          <ListItemText>Code Ownership</ListItemText>
+        </MenuItem>
+
+        <MenuItem
+          onClick={() => {
+            setImportTarget(selectedProject);
+            handleProjectMenuClose();
+          }}
+        >
+          <ListItemIcon>
+            <UploadFileIcon fontSize='small' />
+          </ListItemIcon>
+          <ListItemText>Re-import Archive</ListItemText>
+        </MenuItem>
+
         {selectedProject?.owner_id === user?.id && (
           <MenuItem
             onClick={() => handleDeleteProject(selectedProject.id)}
@@ -374,6 +419,19 @@ const Projects = () => {
           </MenuItem>
         )}
       </Menu>
+
+      <OwnershipDialog
+        project={ownershipProject}
+        open={Boolean(ownershipProject)}
+        onClose={() => setOwnershipProject(null)}
+      />
+
+      <ImportProjectDialog
+        project={importTarget || null}
+        open={importTarget !== false}
+        onClose={() => setImportTarget(false)}
+        onImported={fetchProjects}
+      />
     </Box>
   );
 };
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Typography,
@@ -16,6 +16,7 @@ import {
   ListItemText,
   ListItemIcon,
   ListItemSecondaryAction,
+  MenuItem,
   useTheme
 } from '@mui/material';
 import {
@@ -25,9 +26,11 @@ import {
   Palette as PaletteIcon,
   Language as LanguageIcon,
   Storage as StorageIcon,
-  Help as HelpIcon
+  Help as HelpIcon,
+  Psychology as PsychologyIcon
 } from '@mui/icons-material';
 import { useAuth } from '@contexts/AuthContext.jsx';
+import apiService, { apiHelpers } from '@services/api';
 import toast from 'react-hot-toast';
 
 const Settings = () => {
@@ -47,6 +50,41 @@ const Settings = () => {
     autoSave: true
   });
 
+  const [aiPersonality, setAiPersonality] = useState({
+    sassLevel: 5,
+    verbosity: 'detailed',
+    explanationStyle: 'casual'
+  });
+
+  useEffect(() => {
+    apiService.user
+      .getPreferences()
+      .then((response) => {
+        const data = apiHelpers.handleResponse(response);
+        if (data.aiPersonality) setAiPersonality(data.aiPersonality);
+      })
+      .catch((error) => {
+        console.warn('Failed to load preferences:', error.message);
+      });
+  }, []);
+
+  // Save AI personality changes straight away
+  const handlePersonalityChange = (key) => async (event) => {
+    const value =
+      key === 'sassLevel' ? Number(event.target.value) : event.target.value;
+    setAiPersonality({ ...aiPersonality, [key]: value });
+
+    try {
+      const response = await apiService.user.updatePreferences({
+        aiPersonality: { [key]: value }
+      });
+      setAiPersonality(apiHelpers.handleResponse(response).aiPersonality);
+      toast.success('AI personality updated');
+    } catch (error) {
+      console.error('Failed to update AI personality:', error);
+    }
+  };
+
   const handleProfileUpdate = async () => {
     setLoading(true);
     try {
@@ -118,6 +156,62 @@ const Settings = () => {
         }
       ]
     },
+    {
+      title: 'AI Personality',
+      icon: <PsychologyIcon />,
+      items: [
+        {
+          primary: 'Sass Level',
+          secondary: 'How much attitude comes with your code',
+          action: (
+            <TextField
+              select
+              size='small'
+              value={aiPersonality.sassLevel}
+              onChange={handlePersonalityChange('sassLevel')}
+            >
+              {Array.from({ length: 10 }, (_, i) => i + 1).map((level) => (
+                <MenuItem key={level} value={level}>
+                  {level}
+                </MenuItem>
+              ))}
+            </TextField>
+          )
+        },
+        {
+          primary: 'Verbosity',
+          secondary: 'How much explanation you get',
+          action: (
+            <TextField
+              select
+              size='small'
+              value={aiPersonality.verbosity}
+              onChange={handlePersonalityChange('verbosity')}
+            >
+              <MenuItem value='brief'>Brief</MenuItem>
+              <MenuItem value='detailed'>Detailed</MenuItem>
+              <MenuItem value='verbose'>Verbose</MenuItem>
+            </TextField>
+          )
+        },
+        {
+          primary: 'Explanation Style',
+          secondary: 'The tone used to explain things',
+          action: (
+            <TextField
+              select
+              size='small'
+              value={aiPersonality.explanationStyle}
+              onChange={handlePersonalityChange('explanationStyle')}
+            >
+              <MenuItem value='technical'>Technical</MenuItem>
+              <MenuItem value='casual'>Casual</MenuItem>
+              <MenuItem value='educational'>Educational</MenuItem>
+            </TextField>
+          )
+        }
+      ]
+    },
     {
       title: 'Notifications',
       icon: <NotificationsIcon />,
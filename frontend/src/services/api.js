@@ -11,20 +11,47 @@ const api = axios.create({
   },
 });
 
+// Get auth token from localStorage or auth context
+const getAccessToken = () => {
+  const token = localStorage.getItem('supabase.auth.token');
+  if (!token) return null;
+
+  try {
+    return JSON.parse(token).access_token || null;
+  } catch (error) {
+    console.warn('Failed to parse auth token:', error);
+    return null;
+  }
+};
+
+// Parse a single Server-Sent Events frame ("event: ...\ndata: ...")
+const parseEventFrame = (frame) => {
+  let event = 'message';
+  const dataLines = [];
+
+  frame.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    return { event, data: dataLines.join('\n') };
+  }
+};
+
 // Request interceptor to add auth headers
 api.interceptors.request.use(
   (config) => {
-    // Get auth token from localStorage or auth context
-    const token = localStorage.getItem('supabase.auth.token');
-    if (token) {
-      try {
-        const authData = JSON.parse(token);
-        if (authData.access_token) {
-          config.headers.Authorization = `Bearer ${authData.access_token}`;
-        }
-      } catch (error) {
-        console.warn('Failed to parse auth token:', error);
-      }
+    const accessToken = getAccessToken();
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
     
     return config;
@@ -41,6 +68,11 @@ api.interceptors.response.use(
   },
   (error) => {
     const { response } = error;
+
+    // Background requests (e.g. learning events) fail without bothering the user
+    if (error.config?.silent) {
+      return Promise.reject(error);
+    }
     
     if (response) {
       const { status, data } = response;
@@ -100,9 +132,90 @@ export const apiService = {
       return api.get(`/api/chat/sessions/${sessionId}/messages`, { params });
     },
 
-    // Send message
-    sendMessage: (sessionId, content) => {
-      return api.post(`/api/chat/sessions/${sessionId}/messages`, { content });
+    // Send message; answer ({ questionId, optionId }) marks a clicked answer chip
+    sendMessage: (sessionId, content, answer = null) => {
+      return api.post(`/api/chat/sessions/${sessionId}/messages`, {
+        content,
+        ...(answer && { answer }),
+      });
+    },
+
+    // Send message and stream the assistant reply as Server-Sent Events.
+    // onEvent(event, data) fires for each event; resolves when the stream ends.
+    streamMessage: async (sessionId, content, { onEvent, signal, answer = null } = {}) => {
+      const accessToken = getAccessToken();
+      const response = await fetch(
+        `${api.defaults.baseURL}/api/chat/sessions/${sessionId}/messages`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'text/event-stream',
+            ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+          },
+          body: JSON.stringify({ content, ...(answer && { answer }) }),
+          signal,
+        }
+      );
+
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'Failed to send message');
+        error.response = { status: response.status, data };
+        throw error;
+      }
+
+      const reader = response.body
+        .pipeThrough(new TextDecoderStream())
+        .getReader();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value.replace(/\r\n/g, '\n');
+
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const parsed = parseEventFrame(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+
+          if (parsed && onEvent) onEvent(parsed.event, parsed.data);
+          boundary = buffer.indexOf('\n\n');
+        }
+      }
+    },
+
+    // Update session title or per-session settings
+    updateSession: (sessionId, data) => {
+      return api.patch(`/api/chat/sessions/${sessionId}`, data);
+    },
+
+    // Accept or reject hunks of a message's change set ({ [hunkId]: decision })
+    updateChangeDecisions: (sessionId, messageId, decisions) => {
+      return api.patch(
+        `/api/chat/sessions/${sessionId}/messages/${messageId}/changes`,
+        { decisions }
+      );
+    },
+
+    // Write a message's changes (its change set, or a diff) into the project
+    applyChanges: (sessionId, messageId, diff = null) => {
+      return api.post(
+        `/api/chat/sessions/${sessionId}/messages/${messageId}/apply`,
+        diff ? { diff } : {},
+        { silent: true }
+      );
+    },
+
+    // Undo a message's applied changes
+    revertChanges: (sessionId, messageId, force = false) => {
+      return api.post(
+        `/api/chat/sessions/${sessionId}/messages/${messageId}/revert`,
+        { force },
+        { silent: true }
+      );
     },
 
     // Delete session
@@ -132,11 +245,12 @@ export const apiService = {
     },
 
     // Explain code
-    explain: (code, context = null, userPreferences = null) => {
+    explain: (code, context = null, userPreferences = null, filePath = null) => {
       return api.post('/api/ai/explain', {
         code,
         context,
         userPreferences,
+        filePath,
       });
     },
 
@@ -151,12 +265,13 @@ export const apiService = {
     },
 
     // Debug code
-    debug: (code, error = null, context = null, userPreferences = null) => {
+    debug: (code, error = null, context = null, userPreferences = null, filePath = null) => {
       return api.post('/api/ai/debug', {
         code,
         error,
         context,
         userPreferences,
+        filePath,
       });
     },
   },
@@ -197,25 +312,57 @@ export const apiService = {
     analyze: (data) => {
       return api.post('/api/context/analyze', data);
     },
+
+    // Get the project's module import graph
+    getGraph: (id) => {
+      return api.get(`/api/context/projects/${id}/graph`);
+    },
+
+    // Semantic search over the project's code
+    searchCode: (id, query, limit = 10) => {
+      return api.post(`/api/context/projects/${id}/search`, { query, limit });
+    },
+
+    // Blame-based ownership and churn of a file or directory (whole project by default)
+    getOwnership: (id, path = '') => {
+      return api.get(`/api/context/projects/${id}/ownership`, {
+        params: { path },
+        silent: true,
+      });
+    },
+
+    // Import a .zip or .tar.gz as a new project, or as the new contents of projectId
+    importArchive: (archive, { projectId, name, description } = {}, onUploadProgress) => {
+      const formData = new FormData();
+      formData.append('archive', archive);
+
+      Object.entries({ projectId, name, description }).forEach(([key, value]) => {
+        if (value) formData.append(key, value);
+      });
+
+      return api.post('/api/files/projects/import', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        // Unpacking and analyzing a large project takes a while
+        timeout: 300000,
+        silent: true,
+        onUploadProgress,
+      });
+    },
   },
 
   // File endpoints
   files: {
-    // Upload files
-    upload: (files, projectId = null) => {
+    // Upload files; folder uploads keep their relative paths
+    upload: (files, projectId) => {
       const formData = new FormData();
       
-      if (Array.isArray(files)) {
-        files.forEach((file) => {
-          formData.append('files', file);
-        });
-      } else {
-        formData.append('files', files);
-      }
+      (Array.isArray(files) ? files : [files]).forEach((file) => {
+        formData.append('files', file, file.webkitRelativePath || file.name);
+      });
       
-      if (projectId) {
-        formData.append('projectId', projectId);
-      }
+      formData.append('projectId', projectId);
       
       return api.post('/api/files/upload', formData, {
         headers: {
@@ -224,6 +371,28 @@ export const apiService = {
       });
     },
 
+    // List the uploaded files of a project (without contents)
+    list: (projectId) => {
+      return api.get(`/api/files/projects/${projectId}/files`);
+    },
+
+    // Get a file's content, optionally an earlier version
+    get: (fileId, version = null) => {
+      return api.get(`/api/files/file/${fileId}`, {
+        params: version ? { version } : {},
+      });
+    },
+
+    // Get the earlier versions of a file
+    getVersions: (fileId) => {
+      return api.get(`/api/files/file/${fileId}/versions`);
+    },
+
+    // Delete an uploaded file
+    delete: (fileId) => {
+      return api.delete(`/api/files/file/${fileId}`);
+    },
+
     // Scan files
     scan: (path, options = {}) => {
       return api.post('/api/context/files/scan', { path, ...options });
@@ -253,6 +422,23 @@ export const apiService = {
     },
   },
 
+  // Learning endpoints
+  learning: {
+    // Record a learning event (message feedback, code copied, retry clicked...)
+    recordEvent: (eventType, eventData = {}, sessionId = null) => {
+      return api.post(
+        '/api/learning/learn',
+        { eventType, eventData, sessionId },
+        { silent: true }
+      );
+    },
+
+    // Get aggregated insights for a user
+    getInsights: (userId, params = {}) => {
+      return api.get(`/api/learning/insights/${userId}`, { params });
+    },
+  },
+
   // Health check
   health: () => {
     return api.get('/health');
@@ -1,104 +1,55 @@
 import { body, validationResult } from 'express-validator';
 import vagueParse from '../services/vagueParse.js';
 import codeGenerator from '../services/codeGenerator.js';
+import contextPacker from '../services/contextPacker.js';
 import personalityEngine from '../services/personalityEngine.js';
 import openaiClient from '../services/openaiClient.js';
+import learningClient from '../services/learningClient.js';
+import contextClient from '../services/contextClient.js';
+import conversationMemory from '../services/conversationMemory.js';
+import clarificationDialog from '../services/clarificationDialog.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+import { formatOwnership } from '../utils/ownership.js';
+
+// Used for anything the caller's preferences leave out
+const DEFAULT_AI_PERSONALITY = {
+  sassLevel: 5,
+  verbosity: 'detailed',
+  explanationStyle: 'casual'
+};
 
 const generateController = {
   /**
-   * Main message processing endpoint - handles vague requests and generates responses
+   * Main message processing endpoint - handles vague requests and generates responses.
+   * Responds with Server-Sent Events when the caller accepts text/event-stream.
    */
   async processMessage(req, res) {
-    try {
-      const { message, context, sessionId, userId } = req.body;
-
-      if (!message || message.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Message is required'
-        });
-      }
+    const { message, context, userPreferences, history, memory, clarification, answer } = req.body;
 
-      // Get user preferences (would normally come from database)
-      const userPreferences = {
-        aiPersonality: {
-          sassLevel: 5,
-          verbosity: 'detailed',
-          explanationStyle: 'casual'
-        }
-      };
+    if (!message || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required'
+      });
+    }
 
-      // Step 1: Parse the vague request
-      const parseResult = await vagueParse.parseVagueRequest(message, context, userPreferences);
-
-      let response = '';
-      let codeGenerated = false;
-      let generatedCode = null;
-      let assumptions = parseResult.assumptions;
-
-      // Step 2: Determine if this needs code generation
-      const needsCodeGeneration = this.shouldGenerateCode(parseResult);
-
-      if (needsCodeGeneration && parseResult.confidence >= 0.4) {
-        // Step 3: Generate code
-        try {
-          const codeResult = await codeGenerator.generateCode(
-            {
-              originalText: message,
-              interpretation: parseResult.interpretation,
-              specificAction: parseResult.specificAction,
-              assumptions: parseResult.assumptions,
-              confidence: parseResult.confidence
-            },
-            context,
-            userPreferences
-          );
-
-          generatedCode = codeResult;
-          codeGenerated = true;
-          
-          // Build response with code
-          response = this.buildCodeResponse(codeResult, userPreferences.aiPersonality.sassLevel);
-          
-        } catch (codeError) {
-          console.error('Code generation failed:', codeError);
-          response = personalityEngine.generateErrorResponse(
-            'I had trouble generating code for that request',
-            userPreferences.aiPersonality.sassLevel
-          );
-        }
-      } else if (parseResult.needsMoreInfo) {
-        // Step 3a: Ask for clarification
-        response = this.buildClarificationResponse(parseResult, userPreferences.aiPersonality.sassLevel);
-      } else {
-        // Step 3b: Provide interpretation without code
-        response = this.buildInterpretationResponse(parseResult, userPreferences.aiPersonality.sassLevel);
-      }
+    if (wantsEventStream(req)) {
+      return generateController.streamMessage(req, res);
+    }
 
-      // Add context-aware personality
-      if (context) {
-        const contextResponse = personalityEngine.generateContextAwareResponse(
-          context, 
-          userPreferences.aiPersonality.sassLevel
-        );
-        if (contextResponse) {
-          response = contextResponse + '\n\n' + response;
-        }
-      }
+    try {
+      const data = await generateController.runMessagePipeline(message, context, {
+        userId: req.headers['x-user-id'] || req.body.userId,
+        userPreferences,
+        history,
+        memory,
+        clarification,
+        answer
+      });
 
       res.json({
         success: true,
-        data: {
-          response,
-          codeGenerated,
-          generatedCode,
-          assumptions,
-          confidence: parseResult.confidence,
-          interpretation: parseResult.interpretation,
-          needsMoreInfo: parseResult.needsMoreInfo,
-          clarifyingQuestions: parseResult.clarifyingQuestions,
-          alternativeInterpretations: parseResult.alternativeInterpretations
-        },
+        data,
         message: 'Message processed successfully'
       });
 
@@ -116,6 +67,221 @@ const generateController = {
     }
   },
 
+  /**
+   * Streaming variant of processMessage.
+   * Emits status, interpretation and token events, then a final done event
+   * carrying the same payload the JSON endpoint returns.
+   */
+  async streamMessage(req, res) {
+    const { message, context, userPreferences, history, memory, clarification, answer } = req.body;
+    const stream = openEventStream(res);
+
+    try {
+      const data = await generateController.runMessagePipeline(message, context, {
+        userId: req.headers['x-user-id'] || req.body.userId,
+        userPreferences,
+        history,
+        memory,
+        clarification,
+        answer,
+        onEvent: (event, payload) => stream.send(event, payload)
+      });
+
+      stream.send('done', data);
+    } catch (error) {
+      console.error('Error streaming message:', error);
+
+      const sassLevel = req.body.userPreferences?.aiPersonality?.sassLevel || 5;
+      stream.send('error', {
+        error: 'Failed to process message',
+        response: personalityEngine.generateErrorResponse(error.message, sassLevel)
+      });
+    } finally {
+      stream.close();
+    }
+  },
+
+  /**
+   * Parse the request, generate code if needed and build the chat response.
+   * `options.onEvent(event, payload)` is notified as each step progresses;
+   * `options.userId` lets interpretations be ranked by that user's feedback;
+   * `options.userPreferences` carries the user's stored AI personality plus any
+   * per-session overrides (language, framework, temperature, neverGenerateCode,
+   * agentMode);
+   * `options.history` and `options.memory` are the session's earlier turns and
+   * the memory stored with the last reply (see conversationMemory);
+   * `options.clarification` is the session's pending clarification, which the
+   * message (or `options.answer`, a clicked answer chip) answers.
+   */
+  async runMessagePipeline(message, context, options = {}) {
+    const emit = options.onEvent || (() => {});
+    const { language, framework, neverGenerateCode, agentMode } = options.userPreferences || {};
+
+    // A session's language/framework take precedence over the detected project context
+    if (language || framework) {
+      context = {
+        ...context,
+        ...(language && { primaryLanguage: language }),
+        ...(framework && { framework })
+      };
+    }
+
+    const userPreferences = {
+      ...options.userPreferences,
+      aiPersonality: {
+        ...DEFAULT_AI_PERSONALITY,
+        ...options.userPreferences?.aiPersonality
+      },
+      interpretationFeedback: await learningClient.getInterpretationFeedback(options.userId)
+    };
+
+    // Earlier turns, so "it" and "the other one" can be resolved
+    const conversation = await conversationMemory.build(options.history, options.memory);
+
+    // A reply to last turn's questions is read against what was asked
+    const resolution = options.clarification
+      ? clarificationDialog.resolve(options.clarification, message, options.answer)
+      : null;
+    const isAnswer = Boolean(resolution) &&
+      resolution.status !== 'cancelled' && resolution.status !== 'unrelated';
+    const requestText = isAnswer ? resolution.request : message;
+
+    // Answers lead to code: what the user picked, or the best guess once
+    // the questions have run out
+    const clarificationSettled = resolution?.status === 'resolved' ||
+      (isAnswer && clarificationDialog.isExhausted(options.clarification));
+
+    // Step 1: Parse the vague request (or what is left of it after the answers)
+    emit('status', { stage: 'parsing' });
+    const parseResult = resolution?.status === 'resolved' || resolution?.status === 'narrowed'
+      ? await vagueParse.parseVagueRequest(options.clarification.originalText, context, userPreferences, conversation, {
+        clarified: resolution.status === 'resolved'
+          ? { candidates: [resolution.candidate, ...resolution.alternatives], resolved: true }
+          : { candidates: resolution.candidates, resolved: false }
+      })
+      : await vagueParse.parseVagueRequest(requestText, context, userPreferences, conversation);
+
+    emit('interpretation', {
+      interpretation: parseResult.interpretation,
+      confidence: parseResult.confidence,
+      assumptions: parseResult.assumptions,
+      needsMoreInfo: parseResult.needsMoreInfo
+    });
+
+    let response = '';
+    let codeGenerated = false;
+    let generatedCode = null;
+    let clarification = null;
+    let assumptions = parseResult.assumptions;
+    if (clarificationSettled && resolution.status !== 'resolved') {
+      assumptions = [...assumptions, 'Your answers still left this open, so I went with my best guess'];
+    }
+
+    // "Fix what I just broke": bring in what changed since it last worked
+    let recentDiffs = [];
+    if (parseResult.detectedPatterns?.errorFixes?.length > 0) {
+      emit('status', { stage: 'diffing' });
+      recentDiffs = await generateController.loadRecentDiffs(context, options.userId);
+    }
+    const isRegressionFix = recentDiffs.length > 0;
+    if (isRegressionFix) {
+      context = {
+        ...context,
+        gitDiffs: recentDiffs,
+        history: await generateController.loadHistory(context, null, options.userId)
+      };
+    }
+
+    // Step 2: Determine if this needs code generation
+    const needsCodeGeneration = !neverGenerateCode &&
+      (isRegressionFix || clarificationSettled || generateController.shouldGenerateCode(parseResult));
+
+    if (needsCodeGeneration && (clarificationSettled || parseResult.confidence >= 0.4)) {
+      // Step 3: Generate code (a fix from the diffs for regressions)
+      emit('status', { stage: 'generating' });
+
+      try {
+        const interpretation = {
+          originalText: requestText,
+          interpretation: parseResult.interpretation,
+          specificAction: parseResult.specificAction,
+          assumptions: parseResult.assumptions,
+          confidence: parseResult.confidence,
+          candidateSymbols: parseResult.contextAnalysis?.candidateSymbols || []
+        };
+        const generationOptions = {
+          onToken: options.onEvent
+            ? content => emit('token', { content })
+            : null,
+          // Agent mode reads the project through tools, so it needs one
+          agent: Boolean(agentMode && context?.projectId),
+          onToolCall: entry => emit('tool_call', entry),
+          onRepair: ({ attempt, errors }) => emit('status', { stage: 'repairing', attempt, errors })
+        };
+
+        const generationContext = { ...context, conversation };
+        const codeResult = isRegressionFix
+          ? await codeGenerator.generateFix(interpretation, generationContext, userPreferences, generationOptions)
+          : await codeGenerator.generateCode(interpretation, generationContext, userPreferences, generationOptions);
+
+        generatedCode = codeResult;
+        codeGenerated = true;
+        
+        // Build response with code
+        response = generateController.buildCodeResponse(codeResult, userPreferences.aiPersonality.sassLevel);
+        
+      } catch (codeError) {
+        console.error('Code generation failed:', codeError);
+        response = personalityEngine.generateErrorResponse(
+          'I had trouble generating code for that request',
+          userPreferences.aiPersonality.sassLevel
+        );
+      }
+    } else if (parseResult.needsMoreInfo && !clarificationSettled) {
+      // Step 3a: Ask for clarification, kept on the session until answered
+      clarification = clarificationDialog.start(
+        parseResult,
+        isAnswer ? { ...options.clarification, answers: resolution.answers } : null
+      );
+      response = generateController.buildClarificationResponse(clarification, userPreferences.aiPersonality.sassLevel);
+    } else {
+      // Step 3b: Provide interpretation without code
+      response = generateController.buildInterpretationResponse(parseResult, userPreferences.aiPersonality.sassLevel);
+    }
+
+    // Add context-aware personality
+    if (context) {
+      const contextResponse = personalityEngine.generateContextAwareResponse(
+        context, 
+        userPreferences.aiPersonality.sassLevel
+      );
+      if (contextResponse) {
+        response = contextResponse + '\n\n' + response;
+      }
+    }
+
+    return {
+      response,
+      codeGenerated,
+      generatedCode,
+      assumptions,
+      confidence: parseResult.confidence,
+      interpretation: parseResult.interpretation,
+      specificAction: parseResult.specificAction,
+      category: parseResult.category,
+      vaguePhrases: parseResult.vaguePhrases,
+      learnablePhrase: parseResult.learnablePhrase,
+      sassLevel: userPreferences.aiPersonality.sassLevel,
+      needsMoreInfo: parseResult.needsMoreInfo && !clarificationSettled,
+      clarifyingQuestions: clarification
+        ? clarification.questions.map(question => question.text)
+        : parseResult.clarifyingQuestions,
+      clarification,
+      alternativeInterpretations: parseResult.alternativeInterpretations,
+      memory: conversationMemory.toMemory(conversation, generatedCode)
+    };
+  },
+
   /**
    * Generate code endpoint
    */
@@ -161,7 +327,7 @@ const generateController = {
    */
   async explainCode(req, res) {
     try {
-      const { code, context, userPreferences } = req.body;
+      const { code, context, userPreferences, filePath } = req.body;
 
       if (!code) {
         return res.status(400).json({
@@ -173,9 +339,16 @@ const generateController = {
       const explainLevel = userPreferences?.explanationStyle || 'detailed';
       const sassLevel = userPreferences?.aiPersonality?.sassLevel || 5;
 
+      const history = await generateController.loadHistory(
+        context,
+        filePath,
+        req.headers['x-user-id'] || req.body.userId
+      );
+
       const response = await openaiClient.createExplanationCompletion(code, {
         language: context?.primaryLanguage || 'javascript',
-        explainLevel
+        explainLevel,
+        history
       });
 
       const explanation = response.choices[0].message.content;
@@ -192,6 +365,7 @@ const generateController = {
         data: {
           explanation: personalizedExplanation,
           code,
+          history,
           language: context?.primaryLanguage || 'javascript'
         },
         message: 'Code explained successfully'
@@ -263,9 +437,15 @@ const generateController = {
    */
   async debugCode(req, res) {
     try {
-      const { code, error, context, userPreferences } = req.body;
+      const { code, error, context, userPreferences, filePath } = req.body;
+      const userId = req.headers['x-user-id'] || req.body.userId;
 
-      if (!code) {
+      // Diffs of the focused files, unless the caller sent its own
+      const diffs = Array.isArray(req.body.diffs)
+        ? req.body.diffs
+        : await generateController.loadRecentDiffs(context, userId);
+
+      if (!code && diffs.length === 0) {
         return res.status(400).json({
           success: false,
           error: 'Code is required for debugging'
@@ -273,9 +453,17 @@ const generateController = {
       }
 
       const sassLevel = userPreferences?.aiPersonality?.sassLevel || 5;
+      const language = context?.primaryLanguage || 'javascript';
 
-      const response = await openaiClient.createDebugCompletion(code, error, {
-        language: context?.primaryLanguage || 'javascript'
+      const recentChanges = contextPacker.pack({ gitDiffs: diffs, primaryLanguage: language }, {
+        model: openaiClient.provider.defaultModel
+      }).text;
+
+      const response = await openaiClient.createDebuggingCompletion(code, error, {
+        language,
+        framework: context?.framework,
+        recentChanges: recentChanges || null,
+        history: await generateController.loadHistory(context, filePath, userId)
       });
 
       const debugResult = response.choices[0].message.content;
@@ -291,8 +479,9 @@ const generateController = {
         success: true,
         data: {
           debugResult: personalizedDebug,
-          originalCode: code,
+          originalCode: code || null,
           error: error || null,
+          recentChanges: diffs.map(({ source, file }) => ({ source, file })),
           language: context?.primaryLanguage || 'javascript'
         },
         message: 'Code debugged successfully'
@@ -307,6 +496,38 @@ const generateController = {
     }
   },
 
+  /**
+   * Uncommitted and last-commit diffs of the files the user is focused on.
+   * Empty when the project has no local git checkout.
+   */
+  async loadRecentDiffs(context, userId) {
+    if (!context?.projectId) return [];
+
+    const focusArea = context.focusArea || {};
+    const files = [focusArea.primaryFocus, ...(focusArea.recentFiles || [])]
+      .map(file => (typeof file === 'string' ? file : file?.path))
+      .filter(file => file && file !== 'unknown');
+
+    return contextClient.getRecentDiffs(context.projectId, [...new Set(files)], { userId });
+  },
+
+  /**
+   * Ownership and commit history of a file (the focused file by default) and
+   * of its module, as prompt text. Null when the project has no git history.
+   */
+  async loadHistory(context, filePath, userId) {
+    const file = filePath || context?.focusArea?.primaryFocus;
+    if (!context?.projectId || !file || file === 'unknown') return null;
+
+    const directory = file.includes('/') ? file.slice(0, file.lastIndexOf('/')) : null;
+    const [fileOwnership, moduleOwnership] = await Promise.all([
+      contextClient.getOwnership(context.projectId, file, { userId }),
+      directory ? contextClient.getOwnership(context.projectId, directory, { userId }) : null
+    ]);
+
+    return formatOwnership(fileOwnership, moduleOwnership);
+  },
+
   /**
    * Helper method to determine if code generation is needed
    */
@@ -319,6 +540,9 @@ const generateController = {
       'test', 'unit test', 'integration test', 'mock', 'stub'
     ];
 
+    // Follow-ups on code generated earlier ("now make it async")
+    if (parseResult.revisesCode) return true;
+
     const text = parseResult.interpretation.toLowerCase();
     return codeKeywords.some(keyword => text.includes(keyword)) || 
            parseResult.specificAction?.includes('code') ||
@@ -339,14 +563,44 @@ const generateController = {
     ];
 
     const response = sassResponses[sassLevel % sassResponses.length] || sassResponses[0];
+    const validation = generateController.describeValidation(codeResult.repair);
+
+    // Change sets are reviewed file by file from the message metadata
+    if (codeResult.changeSet) {
+      const files = codeResult.changeSet.files
+        .map(file => `- ${file.operation} \`${file.path}\`${file.status === 'valid' ? '' : ` (${file.status})`}`)
+        .join('\n');
+      return `${response}\n\n${files}\n\n${validation}${codeResult.explanation || ''}`;
+    }
     
-    return `${response}\n\n${codeResult.code}\n\n${codeResult.explanation || ''}`;
+    return `${response}\n\n${codeResult.code}\n\n${validation}${codeResult.explanation || ''}`;
+  },
+
+  /**
+   * Whether the code passed validation, and after how many attempts
+   */
+  describeValidation(repair) {
+    if (!repair) return '';
+
+    const attempts = repair.attempts.length;
+    if (repair.status === 'passed') {
+      return '✅ Passed validation.\n\n';
+    }
+    if (repair.status === 'repaired') {
+      return `✅ Passed validation on attempt ${attempts}, after fixing the errors of the earlier ones.\n\n`;
+    }
+
+    const chosen = repair.attempts[repair.chosen - 1];
+    const errors = chosen.errors.map(error => `- ${error}`).join('\n');
+    return attempts > 1
+      ? `⚠️ Still failing validation after ${attempts} attempts, so here is the closest one. Check these before using it:\n${errors}\n\n`
+      : `⚠️ This code failed validation. Check these before using it:\n${errors}\n\n`;
   },
 
   /**
-   * Build clarification response
+   * Build clarification response from the pending clarification's questions
    */
-  buildClarificationResponse(parseResult, sassLevel) {
+  buildClarificationResponse(clarification, sassLevel) {
     const sassResponses = [
       "I need a bit more info to help you properly! 🤔",
       "Could you be a bit more specific? I'm not a mind reader! 😅",
@@ -357,7 +611,7 @@ const generateController = {
 
     const response = sassResponses[sassLevel % sassResponses.length] || sassResponses[0];
     
-    return `${response}\n\n${parseResult.clarifyingQuestions.join('\n')}`;
+    return `${response}\n\n${clarificationDialog.render(clarification)}`;
   },
 
   /**
@@ -1,6 +1,7 @@
 import { body, validationResult } from 'express-validator';
 import vagueParse from '../services/vagueParse.js';
 import personalityEngine from '../services/personalityEngine.js';
+import learningClient from '../services/learningClient.js';
 
 const parseController = {
   /**
@@ -28,8 +29,12 @@ const parseController = {
         });
       }
 
-      // Parse the vague request
-      const parseResult = await vagueParse.parseVagueRequest(text, context, userPreferences);
+      // Parse the vague request, ranked by what this user has meant before
+      const interpretationFeedback = await learningClient.getInterpretationFeedback(userId);
+      const parseResult = await vagueParse.parseVagueRequest(text, context, {
+        ...userPreferences,
+        interpretationFeedback
+      });
 
       // Add personality to clarifying questions if needed
       if (parseResult.needsMoreInfo && parseResult.clarifyingQuestions.length > 0) {
@@ -6,6 +6,7 @@ import winston from 'winston';
 // Import controllers
 import generateController from './controllers/generateController.js';
 import parseController from './controllers/parseController.js';
+import openaiClient from './services/openaiClient.js';
 
 const app = express();
 const PORT = process.env.AI_SERVICE_PORT || 3003;
@@ -76,7 +77,9 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   logger.info(`AI Service running on port ${PORT}`);
-  logger.info('OpenAI API configured:', !!process.env.OPENAI_API_KEY);
+  logger.info(
+    `LLM provider: ${openaiClient.provider.name} (model: ${openaiClient.provider.defaultModel})`
+  );
 });
 
 // Graceful shutdown
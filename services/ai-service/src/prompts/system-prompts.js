@@ -157,11 +157,20 @@ const SystemPrompts = {
      */
   DEBUGGER: (
     language,
-    framework
+    framework,
+    hasRecentChanges = false
   ) => `You are a ${language} debugging expert${framework
     ? ` with deep ${framework} knowledge`
     : ''}.
-  
+  ${hasRecentChanges
+    ? `
+  ## Recent Changes
+  The code worked before and something changed since. You are given the
+  uncommitted diff and the last commit's diff of the files the developer was
+  working on. Look for the regression in those changes first, and fix it with
+  the smallest change that restores the previous behaviour.
+  `
+    : ''}
   ## Your Debugging Process
   1. Analyze the error message and code
   2. Identify the root cause
@@ -213,6 +222,22 @@ const SystemPrompts = {
   
   Focus on making meaningful improvements while maintaining functionality.`,
 
+  /**
+     * Agent mode: added to the code generation prompt when the model can
+     * read the project with tools before answering
+     */
+  AGENT: (maxSteps) => `## Reading the Project
+  You can call tools to look at the developer's project before you answer:
+  list files, read parts of files, find symbols, see recent git changes and
+  look up what a file imports and what imports it.
+  
+  - Look before you write: check the files and symbols the request is about
+    instead of guessing their names, props or signatures
+  - Read only the line ranges you need
+  - You have at most ${maxSteps} rounds of tool calls; stop calling tools as
+    soon as you know enough
+  - Then answer in the requested format, without mentioning the tools`,
+
   /**
      * Get appropriate system prompt based on task
      */
@@ -240,7 +265,8 @@ const SystemPrompts = {
       case 'debugging':
         return this.DEBUGGER(
           options.language || 'javascript',
-          options.framework
+          options.framework,
+          options.hasRecentChanges
         );
 
       case 'code_improvement':
@@ -249,6 +275,9 @@ const SystemPrompts = {
           options.language || 'javascript'
         );
 
+      case 'agent':
+        return this.AGENT(options.maxSteps || 6);
+
       default:
         return this.LAZY_PROGRAMMER_ASSISTANT;
     }
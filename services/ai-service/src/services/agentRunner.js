@@ -0,0 +1,152 @@
+// services/ai-service/src/services/agentRunner.js
+import openaiClient from './openaiClient.js';
+import agentTools from './agentTools.js';
+import SystemPrompts from '../prompts/system-prompts.js';
+import { estimateTokens } from '../utils/tokens.js';
+
+// Rounds of tool calls before the model has to answer
+const DEFAULT_MAX_STEPS = 6;
+
+// Tokens (prompt and completion, summed over every round) the loop may spend
+const DEFAULT_MAX_TOKENS = 24000;
+
+const FINAL_ANSWER_PROMPT = 'You have used up your tool calls. Answer now with what you found, in the requested format.';
+
+/**
+ * Agent mode for code generation: the model reads the project through
+ * agentTools in a bounded loop, then answers the generation prompt. Every
+ * tool call is kept in `agentTrace` so users can see what was inspected.
+ */
+class AgentRunner {
+  /**
+   * AGENT_MAX_STEPS and AGENT_MAX_TOKENS override the defaults
+   */
+  getLimits({ env = process.env } = {}) {
+    return {
+      maxSteps: parseInt(env.AGENT_MAX_STEPS, 10) || DEFAULT_MAX_STEPS,
+      maxTokens: parseInt(env.AGENT_MAX_TOKENS, 10) || DEFAULT_MAX_TOKENS
+    };
+  }
+
+  /**
+   * Answer `prompt` for the project `projectId`. Returns a chat completion
+   * with an `agentTrace` ({ steps, maxSteps, tokensUsed, maxTokens,
+   * stopReason, toolCalls }). `onToolCall(entry)` fires after each call.
+   */
+  async run(prompt, options = {}) {
+    const {
+      language = 'javascript',
+      framework = null,
+      projectId,
+      userId = null,
+      maxTokens: completionTokens = 2000,
+      temperature = 0.3,
+      onToken = null,
+      onToolCall = null
+    } = options;
+    const { maxSteps, maxTokens } = this.getLimits();
+
+    const messages = [
+      {
+        role: 'system',
+        content: `${openaiClient.buildCodeGenerationSystemPrompt(language, framework)}\n\n${SystemPrompts.getPrompt('agent', { maxSteps })}`
+      },
+      { role: 'user', content: prompt }
+    ];
+    const toolCalls = [];
+    let tokensUsed = 0;
+    let steps = 0;
+    let stopReason = 'max_steps';
+    let answer = null;
+
+    while (steps < maxSteps) {
+      steps++;
+      const response = await openaiClient.createChatCompletion({
+        messages,
+        tools: agentTools.getDefinitions(),
+        tool_choice: 'auto',
+        temperature,
+        max_tokens: completionTokens
+      });
+      tokensUsed += this.countTokens(response, messages);
+
+      const message = response.choices[0].message;
+      if (!message.tool_calls?.length) {
+        answer = response;
+        stopReason = 'answered';
+        break;
+      }
+
+      messages.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+
+      for (const call of message.tool_calls) {
+        const startedAt = Date.now();
+        const result = await agentTools.execute(call.function.name, call.function.arguments, { projectId, userId });
+        messages.push({ role: 'tool', tool_call_id: call.id, content: result.content });
+
+        const entry = {
+          step: steps,
+          tool: call.function.name,
+          arguments: this.parseArguments(call.function.arguments),
+          ok: result.ok,
+          summary: result.summary,
+          durationMs: Date.now() - startedAt
+        };
+        toolCalls.push(entry);
+        if (onToolCall) onToolCall(entry);
+      }
+
+      if (tokensUsed >= maxTokens) {
+        stopReason = 'max_tokens';
+        break;
+      }
+    }
+
+    if (answer) {
+      // Already complete; hand it over in one piece
+      if (onToken && answer.choices[0].message.content) onToken(answer.choices[0].message.content);
+    } else {
+      // Out of steps or tokens: one last round without tools
+      messages.push({ role: 'user', content: FINAL_ANSWER_PROMPT });
+      answer = await openaiClient.createChatCompletion({
+        messages,
+        temperature,
+        max_tokens: completionTokens,
+        onToken
+      });
+      tokensUsed += this.countTokens(answer, messages);
+    }
+
+    return {
+      ...answer,
+      agentTrace: {
+        steps,
+        maxSteps,
+        tokensUsed,
+        maxTokens,
+        stopReason,
+        toolCalls
+      }
+    };
+  }
+
+  /**
+   * Tokens a round cost: what the provider reports, else an estimate
+   */
+  countTokens(response, messages) {
+    if (response.usage?.total_tokens) return response.usage.total_tokens;
+
+    const prompt = messages.reduce((total, message) => total + estimateTokens(message.content || ''), 0);
+    return prompt + estimateTokens(response.choices[0].message.content || '');
+  }
+
+  parseArguments(rawArguments) {
+    try {
+      return rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (error) {
+      return { raw: rawArguments };
+    }
+  }
+}
+
+export default new AgentRunner();
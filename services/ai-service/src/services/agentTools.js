@@ -0,0 +1,241 @@
+// services/ai-service/src/services/agentTools.js
+import contextClient from './contextClient.js';
+import { truncateToTokens } from '../utils/tokens.js';
+
+// Largest result handed back to the model from one tool call
+const MAX_RESULT_TOKENS = 1500;
+
+// Lines read_file returns when no range, or a wider one, is asked for
+const MAX_READ_LINES = 200;
+
+/**
+ * Tools the agent can call, in the chat completions `tools` format
+ */
+const TOOL_DEFINITIONS = [
+  {
+    name: 'list_files',
+    description: 'List the files of the project, optionally only those under a directory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        directory: { type: 'string', description: 'Directory relative to the project root, e.g. "src/components". Omit for the whole project.' }
+      }
+    }
+  },
+  {
+    name: 'read_file',
+    description: `Read lines of a project file (at most ${MAX_READ_LINES} per call). Lines are numbered from 1.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the project root' },
+        startLine: { type: 'integer', description: 'First line to read (default 1)' },
+        endLine: { type: 'integer', description: 'Last line to read' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'search_symbols',
+    description: 'Find functions, classes, React components, hooks and Express routes by name. Returns where each is defined.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words of the name, e.g. "user profile" or "useAuth"' },
+        kind: { type: 'string', enum: ['function', 'class', 'component', 'hook', 'route'] }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'get_git_diff',
+    description: 'Uncommitted changes and the last commit of the given files, or of every uncommitted file when none are given.',
+    parameters: {
+      type: 'object',
+      properties: {
+        paths: { type: 'array', items: { type: 'string' }, description: 'File paths relative to the project root' }
+      }
+    }
+  },
+  {
+    name: 'get_dependencies',
+    description: 'For a file: the project files it imports, the files importing it and the packages it uses. Without a path: the packages the project uses and its entry points.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the project root' }
+      }
+    }
+  }
+];
+
+/**
+ * Project-reading tools for the agent loop, backed by the context service.
+ * Each call returns `{ ok, content, summary }`: `content` goes back to the
+ * model, `summary` into the audit trail.
+ */
+class AgentTools {
+  constructor() {
+    this.handlers = {
+      list_files: this.listFiles,
+      read_file: this.readFile,
+      search_symbols: this.searchSymbols,
+      get_git_diff: this.getGitDiff,
+      get_dependencies: this.getDependencies
+    };
+  }
+
+  getDefinitions() {
+    return TOOL_DEFINITIONS.map(definition => ({ type: 'function', function: definition }));
+  }
+
+  /**
+   * Run a tool the model asked for. `rawArguments` is the JSON string from
+   * the tool call; failures come back as results the model can react to.
+   */
+  async execute(name, rawArguments, { projectId, userId = null }) {
+    const handler = this.handlers[name];
+    if (!handler) {
+      return { ok: false, content: `Unknown tool: ${name}`, summary: 'unknown tool' };
+    }
+
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (error) {
+      return { ok: false, content: `Arguments are not valid JSON: ${error.message}`, summary: 'invalid arguments' };
+    }
+
+    try {
+      const result = await handler.call(this, args, { projectId, userId });
+      return {
+        ...result,
+        content: truncateToTokens(result.content, MAX_RESULT_TOKENS, '\n... (truncated)')
+      };
+    } catch (error) {
+      console.warn(`Agent tool ${name} failed:`, error.message);
+      return { ok: false, content: `Tool failed: ${error.message}`, summary: 'failed' };
+    }
+  }
+
+  async listFiles({ directory = '' }, { projectId, userId }) {
+    const listing = await contextClient.listFiles(projectId, { directory, userId });
+    if (!listing) {
+      return { ok: false, content: 'The project files cannot be listed.', summary: 'unavailable' };
+    }
+
+    const lines = listing.files.map(file => `${file.path} (${file.size} bytes)`);
+    if (listing.truncated) {
+      lines.push(`... ${listing.total - listing.files.length} more files`);
+    }
+
+    return {
+      ok: true,
+      content: lines.join('\n') || 'No files.',
+      summary: `${listing.total} files${directory ? ` under ${directory}` : ''}`
+    };
+  }
+
+  async readFile({ path: filePath, startLine = 1, endLine }, { projectId, userId }) {
+    if (!filePath) {
+      return { ok: false, content: 'path is required', summary: 'no path' };
+    }
+
+    const files = await contextClient.readFiles(projectId, [filePath], { userId });
+    const file = files?.get(filePath) || (files && [...files.values()][0]);
+    if (!file?.exists || file.error) {
+      return {
+        ok: false,
+        content: file?.error || `${filePath} does not exist`,
+        summary: file?.error || 'not found'
+      };
+    }
+
+    const lines = file.content.split('\n');
+    const first = Math.max(1, parseInt(startLine, 10) || 1);
+    const last = Math.min(
+      lines.length,
+      parseInt(endLine, 10) || lines.length,
+      first + MAX_READ_LINES - 1
+    );
+
+    const numbered = lines
+      .slice(first - 1, last)
+      .map((line, index) => `${first + index}: ${line}`);
+    if (last < lines.length) {
+      numbered.push(`... (${lines.length} lines in total)`);
+    }
+
+    return {
+      ok: true,
+      content: numbered.join('\n'),
+      summary: `lines ${first}-${last} of ${lines.length}`
+    };
+  }
+
+  async searchSymbols({ query = '', kind = null }, { projectId, userId }) {
+    const symbols = await contextClient.searchSymbols(projectId, query, { kind, userId });
+
+    return {
+      ok: true,
+      content: symbols
+        .map(symbol => `${symbol.name} (${symbol.kind}${symbol.exported ? ', exported' : ''}) ${symbol.file}:${symbol.line}`)
+        .join('\n') || 'No matching symbols.',
+      summary: `${symbols.length} symbols`
+    };
+  }
+
+  async getGitDiff({ paths = [] }, { projectId, userId }) {
+    const files = Array.isArray(paths) ? paths.filter(file => typeof file === 'string') : [];
+    const diffs = await contextClient.getRecentDiffs(projectId, files, { userId });
+
+    return {
+      ok: true,
+      content: diffs
+        .map(({ source, file, commit, diff }) => source === 'working'
+          ? `Uncommitted changes to ${file}:\n${diff}`
+          : `Last commit (${commit?.message || commit?.hash || 'HEAD'}) changed ${file}:\n${diff}`)
+        .join('\n\n') || 'No recent changes.',
+      summary: `${diffs.length} diffs`
+    };
+  }
+
+  async getDependencies({ path: filePath = '' }, { projectId, userId }) {
+    const graph = await contextClient.getImportGraph(projectId, { userId });
+    if (!graph) {
+      return { ok: false, content: 'The import graph is not available.', summary: 'unavailable' };
+    }
+
+    if (!filePath) {
+      const packages = Object.entries(graph.externalDependencies || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, count]) => `${name} (imported by ${count} files)`);
+
+      return {
+        ok: true,
+        content: `Packages:\n${packages.join('\n') || 'none'}\n\nEntry points:\n${graph.entryPoints.join('\n') || 'none'}`,
+        summary: `${packages.length} packages`
+      };
+    }
+
+    const node = graph.nodes.find(candidate => candidate.path === filePath);
+    if (!node) {
+      return { ok: false, content: `${filePath} is not a module of the project`, summary: 'not found' };
+    }
+
+    const imports = graph.edges.filter(edge => edge.from === filePath).map(edge => edge.to);
+    const importedBy = graph.edges.filter(edge => edge.to === filePath).map(edge => edge.from);
+
+    return {
+      ok: true,
+      content: [
+        `Imports:\n${imports.join('\n') || 'none'}`,
+        `Imported by:\n${importedBy.join('\n') || 'none'}`,
+        `Packages:\n${node.external.join('\n') || 'none'}`
+      ].join('\n\n'),
+      summary: `${imports.length} imports, ${importedBy.length} importers`
+    };
+  }
+}
+
+export default new AgentTools();
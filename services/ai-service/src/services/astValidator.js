@@ -0,0 +1,353 @@
+// services/ai-service/src/services/astValidator.js
+import { parse } from '@babel/parser';
+import traverseModule from '@babel/traverse';
+
+const traverse = traverseModule.default || traverseModule;
+
+const PARSED_LANGUAGES = {
+  javascript: 'javascript',
+  js: 'javascript',
+  jsx: 'javascript',
+  typescript: 'typescript',
+  ts: 'typescript',
+  tsx: 'typescript'
+};
+
+// Globals of browsers, Node and test runners that generated code may use freely
+const KNOWN_GLOBALS = new Set([
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'fetch', 'Request', 'Response', 'Headers', 'FormData', 'Blob', 'File', 'FileReader',
+  'URL', 'URLSearchParams', 'AbortController', 'Event', 'CustomEvent', 'WebSocket',
+  'EventSource', 'HTMLElement', 'Element', 'Node', 'IntersectionObserver', 'ResizeObserver',
+  'MutationObserver', 'alert', 'confirm', 'prompt', 'requestAnimationFrame',
+  'cancelAnimationFrame', 'getComputedStyle', 'performance', 'crypto', 'structuredClone',
+  'atob', 'btoa', 'console', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval',
+  'queueMicrotask', 'TextEncoder', 'TextDecoder', 'process', 'require', 'module', 'exports',
+  '__dirname', '__filename', 'Buffer', 'global', 'globalThis', 'setImmediate', 'clearImmediate',
+  'describe', 'it', 'test', 'expect', 'beforeEach', 'afterEach', 'beforeAll', 'afterAll',
+  'jest', 'vi'
+]);
+
+const HOOK_NAME = /^use[A-Z0-9]/;
+
+// Calls that send an Express response
+const SEND_METHODS = new Set([
+  'send', 'json', 'jsonp', 'end', 'sendFile', 'sendStatus', 'redirect', 'render', 'download', 'write'
+]);
+
+const ROUTE_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'all']);
+
+/**
+ * Parses generated JS/TS/JSX with Babel and checks it the way a linter
+ * would: exact syntax errors, undefined identifiers, unused imports, the
+ * rules of hooks, list items without keys and Express handlers that never
+ * answer. Findings go into a `{ isValid, errors, warnings, suggestions }`
+ * validation.
+ */
+class AstValidator {
+  canValidate(language) {
+    return Boolean(PARSED_LANGUAGES[language?.toLowerCase()]);
+  }
+
+  /**
+   * Add what is wrong with `code` to `validation`. A file that does not
+   * parse only gets its syntax errors.
+   */
+  validate(code, language, validation) {
+    const { ast, syntaxErrors } = this.parse(code, PARSED_LANGUAGES[language.toLowerCase()]);
+
+    if (syntaxErrors.length > 0) {
+      validation.isValid = false;
+      syntaxErrors.forEach(error => validation.errors.push(
+        `Syntax error at line ${error.line}, column ${error.column}: ${error.message}`
+      ));
+      return validation;
+    }
+
+    const findings = { errors: [], warnings: [] };
+    this.check(ast, findings);
+
+    if (findings.errors.length > 0) validation.isValid = false;
+    validation.errors.push(...findings.errors);
+    validation.warnings.push(...findings.warnings);
+
+    return validation;
+  }
+
+  /**
+   * Parse with error recovery so every syntax error is reported, not just
+   * the first. Columns are 1-based.
+   */
+  parse(code, language) {
+    const toSyntaxError = error => ({
+      line: error.loc?.line ?? 1,
+      column: (error.loc?.column ?? 0) + 1,
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, '')
+    });
+
+    try {
+      const ast = parse(code, {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        plugins: ['jsx', ...(language === 'typescript' ? ['typescript'] : [])]
+      });
+
+      return { ast, syntaxErrors: (ast.errors || []).map(toSyntaxError) };
+    } catch (error) {
+      return { ast: null, syntaxErrors: [toSyntaxError(error)] };
+    }
+  }
+
+  check(ast, findings) {
+    const undefinedNames = new Set();
+    // Names used as types; the scope does not count these as references
+    const typeNames = new Set();
+    let usesJsx = false;
+
+    traverse(ast, {
+      ReferencedIdentifier: path => {
+        const { name } = path.node;
+        if (this.isTypePosition(path)) {
+          typeNames.add(name);
+          return;
+        }
+        if (undefinedNames.has(name) || path.scope.hasBinding(name) || KNOWN_GLOBALS.has(name)) return;
+
+        undefinedNames.add(name);
+        findings.warnings.push(`Line ${path.node.loc.start.line}: '${name}' is not defined`);
+      },
+      JSXElement: () => {
+        usesJsx = true;
+      },
+      JSXFragment: () => {
+        usesJsx = true;
+      },
+      CallExpression: path => {
+        this.checkHookCall(path, findings);
+        this.checkListKeys(path, findings);
+        this.checkRouteHandler(path, findings);
+      },
+      Program: {
+        exit: path => this.checkUnusedImports(path, { usesJsx, typeNames }, findings)
+      }
+    });
+  }
+
+  isTypePosition(path) {
+    return Boolean(path.findParent(parent => parent.isTSType() ||
+      parent.isTSTypeAnnotation() ||
+      parent.isTSInterfaceDeclaration() ||
+      parent.isTSTypeAliasDeclaration() ||
+      parent.isTSExpressionWithTypeArguments()));
+  }
+
+  /**
+   * Imports nothing refers to. A default React import counts as used by
+   * JSX, which the classic runtime compiles to React.createElement.
+   */
+  checkUnusedImports(programPath, { usesJsx, typeNames }, findings) {
+    Object.values(programPath.scope.bindings)
+      .filter(binding => binding.kind === 'module' && !binding.referenced)
+      .filter(({ identifier }) => !typeNames.has(identifier.name) && !(usesJsx && identifier.name === 'React'))
+      .forEach(({ identifier }) => findings.warnings.push(
+        `Line ${identifier.loc.start.line}: '${identifier.name}' is imported but never used`
+      ));
+  }
+
+  /**
+   * Rules of hooks: only call hooks at the top level of a component or
+   * another hook, never behind a condition, in a loop or after an early
+   * return
+   */
+  checkHookCall(path, findings) {
+    const name = this.getHookName(path.node.callee);
+    if (!name) return;
+
+    const line = path.node.loc.start.line;
+    let current = path;
+    let statement = null;
+    while (current.parentPath && !current.parentPath.isFunction() && !current.parentPath.isProgram()) {
+      const parent = current.parentPath;
+
+      if (parent.isIfStatement() && current.key !== 'test') {
+        findings.errors.push(`Line ${line}: React hook ${name} is called conditionally`);
+        return;
+      }
+      if ((parent.isConditionalExpression() && current.key !== 'test') ||
+        (parent.isLogicalExpression() && current.key === 'right') ||
+        parent.isSwitchCase()) {
+        findings.errors.push(`Line ${line}: React hook ${name} is called conditionally`);
+        return;
+      }
+      if (parent.isLoop()) {
+        findings.errors.push(`Line ${line}: React hook ${name} is called inside a loop`);
+        return;
+      }
+
+      statement = current;
+      current = parent;
+    }
+
+    const fn = current.parentPath;
+    if (!fn?.isFunction()) return;
+
+    if (!this.isComponentOrHook(fn)) {
+      findings.errors.push(`Line ${line}: React hook ${name} is called inside a nested function; call it at the top level of the component`);
+      return;
+    }
+
+    // statement is the one directly in the function body that holds the call
+    if (current.isBlockStatement() && statement?.getAllPrevSiblings().some(sibling => this.containsReturn(sibling))) {
+      findings.errors.push(`Line ${line}: React hook ${name} is called after an early return`);
+    }
+  }
+
+  getHookName(callee) {
+    if (callee.type === 'Identifier' && HOOK_NAME.test(callee.name)) return callee.name;
+    if (callee.type === 'MemberExpression' &&
+      !callee.computed &&
+      callee.object.type === 'Identifier' &&
+      callee.object.name === 'React' &&
+      HOOK_NAME.test(callee.property.name)) {
+      return `React.${callee.property.name}`;
+    }
+    return null;
+  }
+
+  /**
+   * Named like a component (Capitalized) or a hook (useX), including
+   * through memo()/forwardRef() wrappers and anonymous default exports
+   */
+  isComponentOrHook(fn) {
+    let name = fn.node.id?.name;
+    let current = fn;
+    while (!name && current.parentPath?.isCallExpression()) {
+      current = current.parentPath;
+    }
+    if (!name) {
+      const parent = current.parentPath;
+      if (parent?.isVariableDeclarator() && parent.node.id.type === 'Identifier') name = parent.node.id.name;
+      if (parent?.isExportDefaultDeclaration()) return true;
+    }
+    return Boolean(name) && (/^[A-Z]/.test(name) || HOOK_NAME.test(name));
+  }
+
+  containsReturn(statement) {
+    if (statement.isReturnStatement()) return true;
+
+    let found = false;
+    statement.traverse({
+      Function(path) {
+        path.skip();
+      },
+      ReturnStatement(path) {
+        found = true;
+        path.stop();
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Elements returned from a .map() callback need a `key`
+   */
+  checkListKeys(path, findings) {
+    const { callee } = path.node;
+    if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'map') return;
+
+    const callback = path.get('arguments.0');
+    if (!callback.isFunction()) return;
+
+    this.getReturnedNodes(callback).forEach(node => {
+      if (node.type === 'JSXFragment') {
+        findings.warnings.push(`Line ${node.loc.start.line}: fragments returned from .map() need a key; use <React.Fragment key={...}>`);
+      } else if (node.type === 'JSXElement' && !this.hasKeyAttribute(node.openingElement)) {
+        findings.warnings.push(`Line ${node.loc.start.line}: <${this.getElementName(node.openingElement.name)}> rendered from .map() has no "key" prop`);
+      }
+    });
+  }
+
+  getReturnedNodes(fn) {
+    const returned = [];
+    if (fn.node.body.type !== 'BlockStatement') {
+      returned.push(fn.node.body);
+    } else {
+      fn.get('body').traverse({
+        Function(path) {
+          path.skip();
+        },
+        ReturnStatement(path) {
+          if (path.node.argument) returned.push(path.node.argument);
+        }
+      });
+    }
+
+    // cond ? <A /> : <B />, cond && <A />
+    return returned.flatMap(node => {
+      if (node.type === 'ConditionalExpression') return [node.consequent, node.alternate];
+      if (node.type === 'LogicalExpression') return [node.right];
+      return [node];
+    });
+  }
+
+  hasKeyAttribute(openingElement) {
+    return openingElement.attributes.some(attribute => attribute.type === 'JSXSpreadAttribute' ||
+      attribute.name?.name === 'key');
+  }
+
+  getElementName(name) {
+    if (name.type === 'JSXMemberExpression') return `${this.getElementName(name.object)}.${name.property.name}`;
+    return name.name;
+  }
+
+  /**
+   * app.get('/path', (req, res) => ...) whose handler neither sends a
+   * response, hands `res` on, nor calls next()
+   */
+  checkRouteHandler(path, findings) {
+    const { callee, arguments: args } = path.node;
+    if (callee.type !== 'MemberExpression' || callee.computed || !ROUTE_METHODS.has(callee.property.name)) return;
+
+    const route = args[0];
+    if (!route || !['StringLiteral', 'TemplateLiteral'].includes(route.type)) return;
+
+    const handler = path.get(`arguments.${args.length - 1}`);
+    if (!handler.isFunction() || handler.node.params.length < 2) return;
+
+    const [, resParam, nextParam] = handler.node.params;
+    if (resParam.type !== 'Identifier') return;
+
+    const res = handler.scope.getBinding(resParam.name);
+    const next = nextParam?.type === 'Identifier' ? handler.scope.getBinding(nextParam.name) : null;
+
+    if (next?.referenced || res?.referencePaths.some(reference => this.sendsResponse(reference))) return;
+
+    const routePath = route.type === 'StringLiteral' ? route.value : '(dynamic path)';
+    findings.warnings.push(
+      `Line ${path.node.loc.start.line}: the ${callee.property.name.toUpperCase()} ${routePath} handler never sends a response`
+    );
+  }
+
+  /**
+   * Whether a use of `res` answers the request. res.status(404).json(...)
+   * does; res.status(404) or res.locals.user does not. Handing `res` to
+   * another function counts as answering there.
+   */
+  sendsResponse(reference) {
+    let current = reference;
+    while (current.parentPath.isMemberExpression({ object: current.node })) {
+      const member = current.parentPath;
+      if (!member.node.computed && SEND_METHODS.has(member.node.property.name)) return true;
+
+      const call = member.parentPath;
+      if (!call.isCallExpression({ callee: member.node })) return false;
+      current = call;
+    }
+
+    return current === reference;
+  }
+}
+
+export default new AstValidator();
@@ -0,0 +1,250 @@
+// services/ai-service/src/services/changeSetBuilder.js
+import crypto from 'crypto';
+import path from 'path';
+import contextClient from './contextClient.js';
+import {
+  applyHunks,
+  diffContents,
+  formatUnifiedDiff,
+  parseHunks
+} from '@lpa/shared';
+
+// "### modify src/pages/Settings.jsx" headings of a **Changes:** section
+const OPERATION_HEADING = /^#{2,4}\s+(create|modify|delete)\s+`?([^\s`]+)`?\s*$/gim;
+
+const LANGUAGES_BY_EXTENSION = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  json: 'json',
+  css: 'css',
+  scss: 'scss',
+  html: 'html',
+  md: 'markdown',
+  sql: 'sql',
+  yml: 'yaml',
+  yaml: 'yaml',
+  sh: 'bash'
+};
+
+/**
+ * Turns the file operations of a multi-file answer into a change set: one
+ * entry per file with reviewable hunks, checked against the project's
+ * current file contents.
+ */
+class ChangeSetBuilder {
+  /**
+   * Extract `{ operation, path, body }` entries from a model response.
+   * Returns [] for single-snippet answers.
+   */
+  parse(content) {
+    const headings = [...content.matchAll(OPERATION_HEADING)];
+
+    return headings.map((heading, i) => {
+      const end = i + 1 < headings.length ? headings[i + 1].index : content.length;
+      const section = content.slice(heading.index + heading[0].length, end);
+      const block = section.match(/```([\w-]*)\n([\s\S]*?)```/);
+
+      return {
+        operation: heading[1].toLowerCase(),
+        path: this.normalizePath(heading[2]),
+        body: block ? block[2] : '',
+        isDiff: Boolean(block) && (block[1] === 'diff' || /^@@ /m.test(block[2]))
+      };
+    });
+  }
+
+  /**
+   * Build a change set from parsed operations. Current contents come from
+   * context-service; without a readable checkout the hunks can't be checked
+   * and files are marked 'unverified'.
+   * `contents` maps each path to the file as it would be after the change
+   * (null for deletions and unknown files), for validating the result.
+   */
+  async build(operations, { projectId = null, userId = null } = {}) {
+    const normalized = operations.map(operation => ({
+      ...operation,
+      path: this.normalizePath(operation.path)
+    }));
+    const paths = [...new Set(normalized.map(operation => operation.path))];
+    const currentFiles = await contextClient.readFiles(projectId, paths, { userId });
+
+    const contents = new Map();
+    const files = normalized.map((operation, index) => {
+      const current = currentFiles ? currentFiles.get(operation.path) || { exists: false } : null;
+      const { file, content } = this.buildFile(operation, current, index);
+      contents.set(file.path, content);
+      return file;
+    });
+
+    return {
+      changeSet: {
+        files,
+        validated: currentFiles !== null,
+        summary: this.summarize(files)
+      },
+      contents
+    };
+  }
+
+  /**
+   * One change set entry: `status` is 'valid', 'conflict' (some hunks don't
+   * apply to the current file), 'invalid' or 'unverified'. In a conflict
+   * each hunk has its own `status`: 'clean', 'offset' or 'conflict'.
+   */
+  buildFile({ operation, path: filePath, body, isDiff }, current, index) {
+    const file = {
+      path: filePath,
+      operation,
+      language: this.detectLanguage(filePath),
+      baseHash: null,
+      status: 'valid',
+      errors: [],
+      hunks: []
+    };
+
+    if (!this.isSafePath(filePath)) {
+      return this.fail(file, 'Path must be relative to the project root');
+    }
+
+    if (current?.error) {
+      file.status = 'unverified';
+      file.errors.push(current.error);
+    } else if (current) {
+      file.baseHash = current.exists ? this.hashContent(current.content) : null;
+
+      if (operation === 'create' && current.exists) {
+        file.operation = 'modify';
+        file.errors.push('File already exists; showing the changes to it');
+      } else if (operation !== 'create' && !current.exists) {
+        return this.fail(file, `Cannot ${operation} ${filePath}: it does not exist in the project`);
+      }
+    } else {
+      file.status = 'unverified';
+    }
+
+    const original = current?.exists && !current.error ? current.content : null;
+    const unknownBase = original === null && file.operation !== 'create';
+    let hunks = [];
+    let content = null;
+
+    if (file.operation === 'delete') {
+      if (!unknownBase) hunks = diffContents(original, '');
+    } else if (isDiff) {
+      const parsed = parseHunks(body);
+      if (parsed.length === 0) {
+        return this.fail(file, 'The diff has no changes');
+      }
+
+      if (unknownBase) {
+        // Nothing to check against; keep the hunks as written
+        hunks = parsed;
+      } else {
+        const applied = applyHunks(original || '', parsed);
+        const conflicts = applied.results.filter(result => result.status === 'conflict').length;
+        content = applied.content;
+
+        if (conflicts > 0) {
+          // Keep the hunks as written so the ones that failed stay reviewable
+          file.status = 'conflict';
+          file.errors.push(`${conflicts} of ${parsed.length} hunks don't match the current file`);
+          hunks = parsed.map((hunk, hunkIndex) => ({
+            ...hunk,
+            status: applied.results[hunkIndex].status
+          }));
+        } else {
+          // Re-diff so line numbers match the file as it is now
+          hunks = diffContents(original || '', content);
+        }
+      }
+    } else {
+      if (unknownBase) {
+        file.errors.push('Current contents unavailable; showing the full new file');
+      }
+      content = body;
+      hunks = diffContents(original || '', body);
+    }
+
+    if (hunks.length === 0 && file.status !== 'conflict') {
+      file.errors.push('No changes to this file');
+    }
+
+    file.hunks = hunks.map((hunk, hunkIndex) => ({
+      id: `${index}-${hunkIndex}`,
+      ...hunk,
+      decision: 'pending'
+    }));
+
+    return { file, content };
+  }
+
+  fail(file, error) {
+    return {
+      file: { ...file, status: 'invalid', errors: [...file.errors, error] },
+      content: null
+    };
+  }
+
+  /**
+   * Project-relative form of a path as written by the model, so
+   * "./src/./a.js" and "src/a.js" name the same file
+   */
+  normalizePath(filePath) {
+    if (!filePath) return filePath;
+    const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+    return normalized.startsWith('./') ? normalized.slice(2) : normalized;
+  }
+
+  isSafePath(filePath) {
+    return Boolean(filePath) &&
+      !filePath.startsWith('/') &&
+      !/^[a-zA-Z]:/.test(filePath) &&
+      !filePath.split(/[\\/]/).includes('..');
+  }
+
+  detectLanguage(filePath) {
+    const extension = filePath.split('.').pop().toLowerCase();
+    return LANGUAGES_BY_EXTENSION[extension] || 'text';
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  summarize(files) {
+    const count = (predicate) => files.filter(predicate).length;
+    const lines = (prefix) => files.reduce(
+      (total, file) => total + file.hunks.reduce(
+        (sum, hunk) => sum + hunk.lines.filter(line => line[0] === prefix).length,
+        0
+      ),
+      0
+    );
+
+    return {
+      files: files.length,
+      created: count(file => file.operation === 'create'),
+      modified: count(file => file.operation === 'modify'),
+      deleted: count(file => file.operation === 'delete'),
+      problems: count(file => file.status === 'invalid' || file.status === 'conflict'),
+      additions: lines('+'),
+      deletions: lines('-')
+    };
+  }
+
+  /**
+   * The change set as one multi-file unified diff
+   */
+  toUnifiedDiff(changeSet) {
+    return changeSet.files
+      .filter(file => file.hunks.length > 0)
+      .map(file => formatUnifiedDiff(file.path, file.hunks, file.operation))
+      .join('\n');
+  }
+}
+
+export default new ChangeSetBuilder();
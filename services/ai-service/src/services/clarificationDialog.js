@@ -0,0 +1,220 @@
+// services/ai-service/src/services/clarificationDialog.js
+import { CONFIDENCE_THRESHOLDS } from '@lpa/shared';
+
+// Interpretations offered as answers to pick from
+const MAX_CANDIDATES = 3;
+
+// Rounds of questions before going with the best remaining guess
+const MAX_ROUNDS = 2;
+
+// Confidence of an interpretation the user picked
+const CHOSEN_CONFIDENCE = CONFIDENCE_THRESHOLDS.VERY_HIGH;
+
+// "never mind", "forget it": drop the questions and read the reply as a new request
+const CANCEL_PATTERN = /^(never\s*mind|nevermind|cancel|forget\s+(it|that|about\s+it))\b/;
+
+// "thanks", "ok cool": the questions were read, but nothing was answered
+const ACKNOWLEDGEMENT_PATTERN = /^(thanks?|thank\s+you|thx|ty|ok(ay)?|cool|nice|great|got\s+it|sure|alright)(\s+(thanks?|you|man|dude|cool|then|so much))*$/;
+
+// "add a dark mode toggle", "can you write tests": how a new request opens
+const REQUEST_PATTERN = /^(please\s+)?(can|could|would|will)\s+you\b|^(i\s+(want|need|would\s+like)|let'?s|how\s+(do|can|would)\s+i)\b|^(please\s+)?(add|make|create|build|write|generate|implement|fix|refactor|remove|delete|rename|update|change|show|explain|set\s+up|convert|optimi[sz]e|test)\b/;
+
+// "add it to the navbar" still talks about the request being clarified
+const BACK_REFERENCE = /\b(it|its|that|this|those|these|them|there)\b/;
+
+// "2", "the second one", "option 3", "last"
+const ORDINAL_PATTERN = /^(?:the\s+|option\s+|number\s+)?(first|second|third|last|1|2|3)(?:\s+(?:one|option))?$/;
+const ORDINALS = { first: 0, 1: 0, second: 1, 2: 1, third: 2, 3: 2 };
+
+// Words that say nothing about which interpretation is meant
+const STOP_WORDS = new Set([
+  'the', 'one', 'that', 'this', 'and', 'for', 'with', 'want', 'mean', 'meant',
+  'yes', 'yeah', 'please', 'just', 'like', 'more', 'code', 'some', 'into', 'from'
+]);
+
+const toWords = text => (text || '')
+  .toLowerCase()
+  .replace(/_/g, ' ')
+  .replace(/[^\w\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  .map(word => word.replace(/(ing|ed|es|s)$/, ''));
+
+/**
+ * Clarifications as session state. When a request is too vague to act on,
+ * `start` records the questions asked and the interpretations still in the
+ * running; the gateway keeps that on the session and sends it back with the
+ * next message, which `resolve` reads as an answer (typed, or an answer chip
+ * clicked in the UI).
+ */
+class ClarificationDialog {
+  /**
+   * State for a parse that needs more info. A follow-up round passes the
+   * `previous` state so the original request and answers carry over.
+   */
+  start(parseResult, previous = null) {
+    const candidates = [
+      {
+        description: parseResult.interpretation,
+        action: parseResult.specificAction,
+        category: parseResult.category,
+        confidence: parseResult.confidence
+      },
+      ...(parseResult.alternativeInterpretations || [])
+    ]
+      .slice(0, MAX_CANDIDATES)
+      .map(({ description, action, category, confidence }, index) => ({
+        id: `c${index + 1}`,
+        description,
+        action,
+        category: category || 'general',
+        confidence: confidence ?? null
+      }));
+
+    const questions = [];
+    if (candidates.length > 1) {
+      questions.push({
+        id: 'interpretation',
+        text: 'Which of these is closest to what you want?',
+        options: candidates.map(candidate => ({ id: candidate.id, label: candidate.description }))
+      });
+    }
+    questions.push({
+      id: 'details',
+      text: candidates.length > 1
+        ? 'Or tell me more: which file, component or behavior is this about?'
+        : 'What specifically should change, and in which file or component?',
+      options: []
+    });
+
+    return {
+      originalText: previous?.originalText || parseResult.originalText,
+      round: (previous?.round || 0) + 1,
+      candidates,
+      questions,
+      answers: previous?.answers || [],
+      askedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Read a reply against the pending state. `answer` is `{ questionId,
+   * optionId }` when an answer chip was clicked. Returns one of
+   * - `{ status: 'resolved', candidate, alternatives, request, answers }`
+   * - `{ status: 'narrowed', candidates, request, answers }` (several still fit)
+   * - `{ status: 'refined', request, answers }` (the reply adds details instead)
+   * - `{ status: 'cancelled' }`
+   * - `{ status: 'unrelated' }` (a new request or a "thanks", not an answer)
+   * where `request` is the original request with the answers so far.
+   * After cancelled and unrelated the reply is handled as if nothing had
+   * been asked, which also drops the questions from the session.
+   */
+  resolve(state, text, answer = null) {
+    const normalized = text.toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+    if (!answer && CANCEL_PATTERN.test(normalized)) {
+      return { status: 'cancelled' };
+    }
+
+    const matched = answer?.optionId
+      ? state.candidates.filter(candidate => candidate.id === answer.optionId)
+      : this.matchCandidates(state.candidates, normalized);
+
+    if (!answer && matched.length === 0 && this.isUnrelated(normalized)) {
+      return { status: 'unrelated' };
+    }
+
+    const answers = [
+      ...state.answers,
+      {
+        questionId: answer?.questionId || (matched.length > 0 ? 'interpretation' : 'details'),
+        text,
+        candidateIds: matched.map(candidate => candidate.id)
+      }
+    ];
+    const request = this.describeRequest(state.originalText, answers);
+
+    if (matched.length === 1 || (matched.length > 1 && this.isExhausted(state))) {
+      const [candidate] = matched;
+      return {
+        status: 'resolved',
+        candidate: { ...candidate, confidence: CHOSEN_CONFIDENCE },
+        alternatives: state.candidates.filter(other => other.id !== candidate.id),
+        request,
+        answers
+      };
+    }
+
+    if (matched.length > 1) {
+      return { status: 'narrowed', candidates: matched, request, answers };
+    }
+
+    return { status: 'refined', request, answers };
+  }
+
+  /**
+   * Whether a reply that matched no candidate is something other than an
+   * answer: an acknowledgement, or a request of its own that doesn't refer
+   * back to the one being clarified
+   */
+  isUnrelated(normalized) {
+    if (ACKNOWLEDGEMENT_PATTERN.test(normalized)) return true;
+    return REQUEST_PATTERN.test(normalized) && !BACK_REFERENCE.test(normalized);
+  }
+
+  /**
+   * Whether the questions have run their course; the next reply gets the
+   * best guess rather than another question
+   */
+  isExhausted(state) {
+    return (state?.round || 0) >= MAX_ROUNDS;
+  }
+
+  /**
+   * Candidates a typed answer points at: by position ("the second one"),
+   * or those sharing the most words with it. Empty when none fit.
+   */
+  matchCandidates(candidates, normalized) {
+    const ordinal = normalized.match(ORDINAL_PATTERN);
+    if (ordinal) {
+      const index = ordinal[1] === 'last' ? candidates.length - 1 : ORDINALS[ordinal[1]];
+      return candidates[index] ? [candidates[index]] : [];
+    }
+
+    const words = new Set(toWords(normalized));
+    if (words.size === 0) return [];
+
+    const scored = candidates.map(candidate => ({
+      candidate,
+      score: new Set(
+        toWords(`${candidate.description} ${candidate.action} ${candidate.category}`)
+          .filter(word => words.has(word))
+      ).size
+    }));
+
+    const best = Math.max(...scored.map(({ score }) => score));
+    if (best === 0) return [];
+
+    return scored.filter(({ score }) => score === best).map(({ candidate }) => candidate);
+  }
+
+  describeRequest(originalText, answers) {
+    return answers.length > 0
+      ? `${originalText} (${answers.map(answer => answer.text).join('; ')})`
+      : originalText;
+  }
+
+  /**
+   * The questions as chat text
+   */
+  render(state) {
+    return state.questions
+      .map(question => [
+        question.text,
+        ...question.options.map((option, index) => `${index + 1}. ${option.label}`)
+      ].join('\n'))
+      .join('\n\n');
+  }
+}
+
+export default new ClarificationDialog();
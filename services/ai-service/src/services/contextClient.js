@@ -0,0 +1,172 @@
+// services/ai-service/src/services/contextClient.js
+import axios from 'axios';
+
+class ContextClient {
+  constructor() {
+    this.baseUrl = `http://localhost:${process.env.CONTEXT_SERVICE_PORT || 3002}`;
+  }
+
+  /**
+   * Semantic search over a project's code chunks.
+   * Returns [] when unavailable so generation can carry on without them.
+   */
+  async searchCode(projectId, query, { limit = 5, userId = null } = {}) {
+    if (!projectId || !query) return [];
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/projects/${projectId}/search`,
+        { query, limit },
+        {
+          headers: userId ? { 'X-User-ID': userId } : {},
+          timeout: 5000
+        }
+      );
+
+      return response.data.data.results || [];
+
+    } catch (error) {
+      console.warn('Could not search project code:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Uncommitted and last-commit diffs of the given project files.
+   * Returns [] when unavailable (no local checkout, not a git repo).
+   */
+  async getRecentDiffs(projectId, files = [], { userId = null } = {}) {
+    if (!projectId) return [];
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/projects/${projectId}/diffs`,
+        { files },
+        {
+          headers: userId ? { 'X-User-ID': userId } : {},
+          timeout: 5000
+        }
+      );
+
+      return response.data.data.diffs || [];
+
+    } catch (error) {
+      console.warn('Could not load recent diffs:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Blame-based ownership, last meaningful change and churn of a project
+   * file or directory. Returns null when unavailable.
+   */
+  async getOwnership(projectId, targetPath, { userId = null } = {}) {
+    if (!projectId) return null;
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/projects/${projectId}/ownership`, {
+        params: { path: targetPath },
+        headers: userId ? { 'X-User-ID': userId } : {},
+        timeout: 5000
+      });
+
+      const ownership = response.data.data;
+      return ownership?.isGitRepo ? ownership : null;
+
+    } catch (error) {
+      console.warn('Could not load ownership:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Current contents of project files, keyed by path. Null when the project
+   * has no readable local checkout, so callers can skip validation.
+   */
+  async readFiles(projectId, paths, { userId = null } = {}) {
+    if (!projectId || paths.length === 0) return null;
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/projects/${projectId}/files/read`,
+        { paths },
+        {
+          headers: userId ? { 'X-User-ID': userId } : {},
+          timeout: 5000
+        }
+      );
+
+      return new Map(response.data.data.files.map(file => [file.path, file]));
+
+    } catch (error) {
+      console.warn('Could not read project files:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Paths and sizes of the project's files, optionally under `directory`.
+   * Null when the project has no readable local checkout.
+   */
+  async listFiles(projectId, { directory = '', limit = 200, userId = null } = {}) {
+    if (!projectId) return null;
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/projects/${projectId}/files`, {
+        params: { dir: directory || undefined, limit },
+        headers: userId ? { 'X-User-ID': userId } : {},
+        timeout: 5000
+      });
+
+      return response.data.data;
+
+    } catch (error) {
+      console.warn('Could not list project files:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Symbols of an analyzed project matching `query` (all of them when
+   * empty). Returns [] when unavailable.
+   */
+  async searchSymbols(projectId, query = '', { kind = null, limit = 20, userId = null } = {}) {
+    if (!projectId) return [];
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/projects/${projectId}/symbols`, {
+        params: { q: query, kind: kind || undefined, limit },
+        headers: userId ? { 'X-User-ID': userId } : {},
+        timeout: 5000
+      });
+
+      return response.data.data.symbols || [];
+
+    } catch (error) {
+      console.warn('Could not search project symbols:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * The project's module import graph, or null when unavailable
+   */
+  async getImportGraph(projectId, { userId = null } = {}) {
+    if (!projectId) return null;
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/projects/${projectId}/graph`, {
+        headers: userId ? { 'X-User-ID': userId } : {},
+        timeout: 10000
+      });
+
+      return response.data.data;
+
+    } catch (error) {
+      console.warn('Could not load import graph:', error.message);
+      return null;
+    }
+  }
+}
+
+export default new ContextClient();
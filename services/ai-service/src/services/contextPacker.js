@@ -0,0 +1,380 @@
+// services/ai-service/src/services/contextPacker.js
+import { estimateTokens } from '../utils/tokens.js';
+
+// Context windows of known models; LLM_CONTEXT_WINDOW covers anything else
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-4': 8192,
+  'gpt-4-32k': 32768,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-3.5-turbo': 16385
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Room kept for the instructions and system prompt around the packed context
+const PROMPT_OVERHEAD_TOKENS = 1500;
+
+// Even large windows don't get more project context than this by default
+const DEFAULT_MAX_CONTEXT_TOKENS = 12000;
+
+// Higher priority snippets are packed first
+const PRIORITIES = {
+  focus: 100,
+  symbol: 90,
+  diff: 80,
+  import: 70,
+  search: 60,
+  file: 40,
+  history: 30
+};
+
+const SECTION_TITLES = {
+  focus: 'FILE BEING EDITED',
+  symbol: 'SYMBOLS MENTIONED IN THE REQUEST',
+  diff: 'RECENT CHANGES',
+  import: 'MODULES IT IMPORTS',
+  search: 'RELATED CODE',
+  file: 'OTHER RELEVANT FILES',
+  history: 'RECENT COMMITS'
+};
+
+// Lines kept when a code snippet is reduced to an outline
+const DECLARATION_PATTERN = /^\s*(export\s|import\s|(async\s+)?function[\s*]|class\s|(const|let|var)\s+\w+\s*=\s*(async\s*)?(\(|function|\w+\s*=>)|(static\s+|async\s+|get\s+|set\s+)*[A-Za-z_$][\w$]*\s*\([^)]*\)\s*\{|router\.\w+\(|app\.\w+\()/;
+
+/**
+ * Packs project context into a generation prompt under a per-model token
+ * budget. Snippets are ranked (focused file, symbols the request mentions,
+ * recent diffs, imports of the focused file, search hits, other files),
+ * reduced to an outline when they don't fit whole, and dropped when even
+ * that doesn't fit. The manifest records what was included and what wasn't.
+ */
+class ContextPacker {
+  /**
+   * Token budget for project context in a prompt to `model`.
+   * LLM_CONTEXT_WINDOW sets the window of models not listed above (local
+   * models); LLM_CONTEXT_BUDGET caps the project context regardless of window.
+   */
+  getBudget(model, { completionTokens = 2000, env = process.env } = {}) {
+    const contextWindow =
+      parseInt(env.LLM_CONTEXT_WINDOW, 10) || this.getContextWindow(model);
+    const maxContextTokens =
+      parseInt(env.LLM_CONTEXT_BUDGET, 10) || DEFAULT_MAX_CONTEXT_TOKENS;
+
+    return Math.max(
+      0,
+      Math.min(maxContextTokens, contextWindow - completionTokens - PROMPT_OVERHEAD_TOKENS)
+    );
+  }
+
+  getContextWindow(model = '') {
+    // Longest matching prefix, so 'gpt-4o-2024-08-06' finds 'gpt-4o'
+    const known = Object.keys(MODEL_CONTEXT_WINDOWS)
+      .filter(name => model === name || model.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return known ? MODEL_CONTEXT_WINDOWS[known] : DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * Pack the context for one request. The budget defaults to the model's.
+   * Returns { sections: [{ title, snippets }], text, manifest }.
+   */
+  pack(context = {}, {
+    request = '',
+    candidateSymbols = [],
+    codeChunks = [],
+    model = null,
+    completionTokens,
+    budget
+  } = {}) {
+    const snippets = this.collectSnippets(context, { request, candidateSymbols, codeChunks });
+    const tokenBudget = budget ?? this.getBudget(model, { completionTokens });
+
+    const included = [];
+    const dropped = [];
+    let usedTokens = 0;
+
+    snippets
+      .sort((a, b) => b.priority - a.priority)
+      .forEach(snippet => {
+        if (included.some(other => this.covers(other, snippet))) {
+          dropped.push({ ...snippet, reason: 'duplicate' });
+          return;
+        }
+
+        const tokens = estimateTokens(snippet.content);
+        if (usedTokens + tokens <= tokenBudget) {
+          included.push({ ...snippet, tokens, mode: 'full' });
+          usedTokens += tokens;
+          return;
+        }
+
+        const outline = this.summarize(snippet);
+        const outlineTokens = estimateTokens(outline);
+        if (outline && usedTokens + outlineTokens <= tokenBudget) {
+          included.push({ ...snippet, content: outline, tokens: outlineTokens, mode: 'summary' });
+          usedTokens += outlineTokens;
+          return;
+        }
+
+        dropped.push({ ...snippet, tokens, reason: 'budget' });
+      });
+
+    const sections = Object.keys(SECTION_TITLES)
+      .map(kind => ({
+        kind,
+        title: SECTION_TITLES[kind],
+        snippets: included.filter(snippet => snippet.kind === kind)
+      }))
+      .filter(section => section.snippets.length > 0);
+
+    return {
+      sections,
+      text: this.render(sections, context.primaryLanguage),
+      manifest: {
+        model,
+        budgetTokens: tokenBudget,
+        usedTokens,
+        included: included.map(snippet => this.describe(snippet)),
+        dropped: dropped.map(snippet => ({ ...this.describe(snippet), reason: snippet.reason }))
+      }
+    };
+  }
+
+  /**
+   * Every piece of context that could go into the prompt, with its priority
+   */
+  collectSnippets(context, { request, candidateSymbols, codeChunks }) {
+    const snippets = [];
+    const relevantFiles = context.relevantFiles || [];
+    const primaryFocus = context.focusArea?.primaryFocus;
+    const fileContent = filePath =>
+      relevantFiles.find(file => file.path === filePath)?.content || null;
+
+    const focusContent = fileContent(primaryFocus);
+    if (focusContent) {
+      snippets.push(this.fileSnippet('focus', primaryFocus, focusContent));
+    }
+
+    this.findMentionedSymbols(context.symbols, request, candidateSymbols).forEach((symbol, i) => {
+      const content = this.symbolContent(symbol, fileContent(symbol.file), codeChunks);
+      if (!content) return;
+
+      snippets.push({
+        id: `symbol:${symbol.file}:${symbol.name}`,
+        kind: 'symbol',
+        source: `${symbol.file}:${content.startLine}-${content.endLine}`,
+        file: symbol.file,
+        startLine: content.startLine,
+        endLine: content.endLine,
+        label: `${symbol.name} (${symbol.kind})`,
+        content: content.text,
+        // Keep the order the symbols were ranked in
+        priority: PRIORITIES.symbol - i * 0.1
+      });
+    });
+
+    (context.gitDiffs || []).forEach((diff, i) => {
+      if (!diff.diff) return;
+      snippets.push({
+        id: `diff:${diff.source || 'working'}:${diff.file || i}`,
+        kind: 'diff',
+        source: diff.file || diff.source || 'diff',
+        file: diff.file || null,
+        label: diff.source === 'lastCommit' ? 'last commit' : 'uncommitted',
+        content: diff.diff,
+        language: 'diff',
+        priority: PRIORITIES.diff - i * 0.1
+      });
+    });
+
+    (context.importGraph?.focusImports || []).forEach((filePath, i) => {
+      const content = fileContent(filePath);
+      if (content) {
+        snippets.push(this.fileSnippet('import', filePath, content, i));
+      }
+    });
+
+    // Large files aren't in the context with their content, but search hits
+    // from the focused file or its imports rank as highly as the file would
+    const focusImports = context.importGraph?.focusImports || [];
+    const chunkKind = chunk => {
+      if (chunk.file === primaryFocus) return 'focus';
+      return focusImports.includes(chunk.file) ? 'import' : 'search';
+    };
+
+    codeChunks.forEach((chunk, i) => {
+      const kind = chunkKind(chunk);
+      snippets.push({
+        id: `search:${chunk.file}:${chunk.startLine}`,
+        kind,
+        source: `${chunk.file}:${chunk.startLine}-${chunk.endLine}`,
+        file: chunk.file,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        label: chunk.symbol || null,
+        content: chunk.content,
+        priority: PRIORITIES[kind] - i * 0.1
+      });
+    });
+
+    relevantFiles.forEach((file, i) => {
+      if (file.content) {
+        snippets.push(this.fileSnippet('file', file.path, file.content, i));
+      }
+    });
+
+    const history = this.recentCommits(context.gitContext, primaryFocus);
+    if (history) {
+      snippets.push({
+        id: 'history',
+        kind: 'history',
+        source: 'git log',
+        label: null,
+        content: history,
+        language: 'text',
+        priority: PRIORITIES.history
+      });
+    }
+
+    return snippets;
+  }
+
+  fileSnippet(kind, filePath, content, index = 0) {
+    return {
+      id: `${kind}:${filePath}`,
+      kind,
+      source: filePath,
+      file: filePath,
+      startLine: 1,
+      endLine: content.split('\n').length,
+      label: null,
+      content,
+      priority: PRIORITIES[kind] - index * 0.1
+    };
+  }
+
+  /**
+   * Symbols named in the request itself, then the parser's candidates
+   */
+  findMentionedSymbols(symbols = [], request = '', candidateSymbols = []) {
+    const words = new Set(request.toLowerCase().match(/[a-z_$][\w$]*/g) || []);
+    const named = symbols.filter(symbol => words.has(symbol.name.toLowerCase()));
+
+    const seen = new Set();
+    return [...named, ...candidateSymbols].filter(symbol => {
+      const key = `${symbol.file}:${symbol.name}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * A symbol's source, from its file's content or else a matching search chunk
+   */
+  symbolContent(symbol, content, codeChunks) {
+    if (content && symbol.line) {
+      const endLine = symbol.endLine || symbol.line;
+      return {
+        startLine: symbol.line,
+        endLine,
+        text: content.split('\n').slice(symbol.line - 1, endLine).join('\n')
+      };
+    }
+
+    const chunk = codeChunks.find(candidate =>
+      candidate.file === symbol.file &&
+      (candidate.symbol === symbol.name || candidate.symbol?.endsWith(`.${symbol.name}`))
+    );
+    return chunk
+      ? { startLine: chunk.startLine, endLine: chunk.endLine, text: chunk.content }
+      : null;
+  }
+
+  /**
+   * One line per recent commit touching the focused file (or the repo)
+   */
+  recentCommits(gitContext, primaryFocus) {
+    if (!gitContext?.isGitRepo) return null;
+
+    const changes = (gitContext.fileChanges || [])
+      .filter(change => !primaryFocus || change.file === primaryFocus)
+      .slice(0, 5)
+      .map(change => `${change.commit.hash.slice(0, 7)} ${change.commit.message} (${change.file}, +${change.insertions}/-${change.deletions})`);
+
+    if (changes.length > 0) return changes.join('\n');
+
+    const commits = (gitContext.recentCommits || [])
+      .slice(0, 5)
+      .map(commit => `${commit.hash.slice(0, 7)} ${commit.message}`);
+    return commits.length > 0 ? commits.join('\n') : null;
+  }
+
+  /**
+   * Whether an included snippet already contains another's lines
+   */
+  covers(included, snippet) {
+    if (!included.file || included.file !== snippet.file) return false;
+    if (included.mode !== 'full' || snippet.kind === 'diff' || included.kind === 'diff') return false;
+
+    return included.startLine <= snippet.startLine && included.endLine >= snippet.endLine;
+  }
+
+  /**
+   * A shorter stand-in for a snippet that doesn't fit whole: declarations
+   * only for code, hunk headers only for diffs
+   */
+  summarize(snippet) {
+    const lines = snippet.content.split('\n');
+
+    if (snippet.kind === 'diff') {
+      const headers = lines.filter(line => /^(diff --git|@@)/.test(line));
+      return headers.length > 0 ? headers.join('\n') : null;
+    }
+    if (snippet.kind === 'history') return null;
+
+    const outline = [];
+    let lastKept = -1;
+    lines.forEach((line, i) => {
+      if (!DECLARATION_PATTERN.test(line)) return;
+      if (i > lastKept + 1) outline.push('  // ...');
+      outline.push(line.trimEnd());
+      lastKept = i;
+    });
+    if (lastKept < lines.length - 1) outline.push('  // ...');
+
+    return lastKept >= 0 && outline.length < lines.length ? outline.join('\n') : null;
+  }
+
+  render(sections, language = 'javascript') {
+    return sections
+      .map(section => {
+        const blocks = section.snippets.map(snippet => {
+          const label = snippet.label ? ` (${snippet.label})` : '';
+          const note = snippet.mode === 'summary' ? ' [outline only, bodies elided]' : '';
+          return `${snippet.source}${label}${note}\n\`\`\`${snippet.language || language}\n${snippet.content}\n\`\`\``;
+        });
+        return `${section.title}:\n\n${blocks.join('\n\n')}`;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Manifest entry for a snippet (no content)
+   */
+  describe(snippet) {
+    return {
+      id: snippet.id,
+      kind: snippet.kind,
+      source: snippet.source,
+      ...(snippet.label && { label: snippet.label }),
+      tokens: snippet.tokens,
+      ...(snippet.mode && { mode: snippet.mode })
+    };
+  }
+}
+
+export default new ContextPacker();
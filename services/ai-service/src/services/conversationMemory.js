@@ -0,0 +1,265 @@
+// services/ai-service/src/services/conversationMemory.js
+import openaiClient from './openaiClient.js';
+import contextPacker from './contextPacker.js';
+import { estimateTokens, truncateToTokens } from '../utils/tokens.js';
+
+// Share of the model's context budget the conversation may take
+const HISTORY_BUDGET_SHARE = 0.3;
+const DEFAULT_MAX_HISTORY_TOKENS = 4000;
+
+// Turns kept word for word at most; anything older is summarized
+const MAX_VERBATIM_TURNS = 10;
+
+// A single long turn (pasted logs, generated code) is cut to this
+const MAX_TURN_TOKENS = 800;
+
+// Previously generated code carried between turns
+const MAX_LAST_CODE_TOKENS = 1500;
+
+const SUMMARY_MAX_TOKENS = 400;
+
+// "no, the other one", "not that, something else"
+const ALTERNATIVE_PATTERN = /\b(the\s+other\s+one|(an)?other\s+(one|option|way)|something\s+else|not\s+(that|this)(\s+one)?)\b/;
+
+// Follow-ups are recognized by how they point at the previous answer, not
+// by any "it" or "that": "fix the checkout bug that crashes" is a request of
+// its own.
+
+// "now add tests", "also make it typed"
+const FOLLOW_UP_MARKER = /^(now|also|and|then|ok|okay|great|thanks|next)\b/;
+
+// "the previous code", "the same component"
+const PREVIOUS_ANSWER_PATTERN = /\b(previous|last|above|same|earlier)\s+(code|one|function|component|answer|version|snippet|file)\b/;
+
+// "add tests for it", "add error handling to that"
+const TRAILING_REFERENCE = /\b(to|for|in|on|of|into|with|from)\s+(it|that|this|them|those)[\s.!?]*$/;
+
+// "make it async", "do that again", "rewrite this in typescript": the
+// pronoun is the object of the opening verb, not a determiner ("fix that bug")
+const OBJECT_REFERENCE = /^(?:(?:please|can you|could you)\s+)*[a-z]+\s+(it|that|this|them|those)(?=[\s.,!?]*$|\s+(again|too|also|async|faster|slower|better|work|typed|responsive|shorter|simpler|cleaner|more|less|so|and|but|into|to|for|in|with|using|please|instead|now)\b)/;
+
+// "it crashes on submit", "this doesn't work"
+const SUBJECT_REFERENCE = /^(it|that|this|they|those)\s+(is|isn't|isnt|was|wasn't|does|doesn't|doesnt|did|didn't|still|should|needs|looks|broke|breaks|fails|failed|crashes|crashed|throws|returns|won't|can't)\b/;
+
+// A noun phrase of the request's own ("the checkout bug", "a new page")
+const OWN_SUBJECT_PATTERN = /\b(the|a|an|my|our|your|their)\s+[a-z]/;
+
+// Follow-ups that name what to do with the previous answer
+const FOLLOW_UP_ACTIONS = [
+  { pattern: /\b(tests?|specs?|unit\s+tests?)\b/, action: 'write_tests', category: 'testing', verb: 'Write tests for' },
+  { pattern: /\b(docs?|document|comments?|jsdoc)\b/, action: 'add_documentation', category: 'documentation', verb: 'Document' },
+  { pattern: /\b(types?|typescript|typed)\b/, action: 'add_types', category: 'code_quality', verb: 'Add types to' },
+  { pattern: /\b(faster|performance|optimi[sz]e|speed)\b/, action: 'optimize_performance', category: 'performance', verb: 'Optimize' },
+  { pattern: /\b(style|styling|css|prettier|look)\b/, action: 'improve_styling', category: 'styling', verb: 'Restyle' },
+  { pattern: /\b(bug|error|broken|crash|fix)\b/, action: 'debug_and_fix', category: 'debugging', verb: 'Fix' }
+];
+
+/**
+ * Session history for /process. Recent turns are kept word for word up to
+ * a share of the model's budget; older turns are folded into a running
+ * summary. The resulting `memory` ({ summary, summarizedThrough, lastCode })
+ * is stored with each reply and sent back with the next message, so each
+ * turn is only ever summarized once.
+ */
+class ConversationMemory {
+  /**
+   * Token budget for the conversation in a prompt to `model`.
+   * LLM_HISTORY_BUDGET overrides the default share.
+   */
+  getBudget(model, { env = process.env } = {}) {
+    const contextBudget = contextPacker.getBudget(model);
+    const maxHistoryTokens = parseInt(env.LLM_HISTORY_BUDGET, 10) || DEFAULT_MAX_HISTORY_TOKENS;
+
+    return Math.min(maxHistoryTokens, Math.floor(contextBudget * HISTORY_BUDGET_SHARE));
+  }
+
+  /**
+   * Build the conversation for a request. `history` holds the session's
+   * messages after `memory.summarizedThrough`, oldest first, as
+   * `{ id, role, content, metadata }`; `memory` is the previous reply's.
+   * Returns null when there is no earlier conversation.
+   */
+  async build(history = [], memory = null, { model = openaiClient.provider.defaultModel } = {}) {
+    const turns = history
+      .filter(turn => (turn.role === 'user' || turn.role === 'assistant') && turn.content)
+      .map(turn => ({
+        ...turn,
+        content: truncateToTokens(turn.content, MAX_TURN_TOKENS)
+      }));
+
+    if (turns.length === 0 && !memory?.summary && !memory?.lastCode) return null;
+
+    const budget = this.getBudget(model);
+    const summaryTokens = estimateTokens(memory?.summary);
+
+    // Newest turns first, while they fit next to the existing summary
+    let used = summaryTokens;
+    let keepFrom = turns.length;
+    while (keepFrom > 0 && turns.length - keepFrom < MAX_VERBATIM_TURNS) {
+      const tokens = estimateTokens(turns[keepFrom - 1].content);
+      if (used + tokens > budget) break;
+      used += tokens;
+      keepFrom--;
+    }
+
+    const older = turns.slice(0, keepFrom);
+    const recent = turns.slice(keepFrom);
+
+    let summary = memory?.summary || null;
+    let summarizedThrough = memory?.summarizedThrough || null;
+    if (older.length > 0) {
+      summary = await this.summarize(summary, older);
+      summarizedThrough = older[older.length - 1].id || summarizedThrough;
+    }
+
+    const lastAssistant = [...turns].reverse().find(turn => turn.role === 'assistant');
+
+    const conversation = {
+      summary,
+      summarizedThrough,
+      turns: recent.map(({ role, content }) => ({ role, content })),
+      lastCode: memory?.lastCode || null,
+      previousReply: lastAssistant
+        ? {
+          content: lastAssistant.content,
+          interpretation: lastAssistant.metadata?.interpretation || null,
+          action: lastAssistant.metadata?.action || null,
+          category: lastAssistant.metadata?.category || null,
+          alternatives: lastAssistant.metadata?.alternatives || []
+        }
+        : null,
+      previousRequest: [...turns].reverse().find(turn => turn.role === 'user')?.content || null
+    };
+
+    return { ...conversation, tokens: estimateTokens(this.render(conversation)) };
+  }
+
+  /**
+   * Fold turns into the running summary. Falls back to listing what was
+   * asked and answered when the model can't be reached.
+   */
+  async summarize(previousSummary, turns) {
+    const transcript = turns
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+      .join('\n\n');
+
+    try {
+      const response = await openaiClient.createChatCompletion({
+        messages: [
+          {
+            role: 'system',
+            content: 'You summarize conversations between a developer and a coding assistant. Keep what later requests may refer to: the files, functions and components discussed, the code that was written, and decisions and preferences the developer stated. Be brief and factual; write plain prose, no code blocks.'
+          },
+          {
+            role: 'user',
+            content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}Newer messages:\n${transcript}\n\nWrite the updated summary.`
+          }
+        ],
+        temperature: 0.2,
+        max_tokens: SUMMARY_MAX_TOKENS
+      });
+
+      const content = response.choices[0].message.content?.trim();
+      if (content) return content;
+    } catch (error) {
+      console.warn('Conversation summary failed, keeping an outline:', error.message);
+    }
+
+    const outline = turns.map(turn => turn.role === 'user'
+      ? `- User asked: ${truncateToTokens(turn.content.split('\n')[0], 40, '...')}`
+      : `- Assistant answered: ${turn.metadata?.interpretation || truncateToTokens(turn.content.split('\n')[0], 40, '...')}`);
+
+    return truncateToTokens(
+      [previousSummary, ...outline].filter(Boolean).join('\n'),
+      SUMMARY_MAX_TOKENS
+    );
+  }
+
+  /**
+   * What a request refers to in the conversation. `kind` is 'alternative'
+   * ("no, the other one": the previous reply's runner-up interpretation),
+   * 'follow_up' ("now add tests for it": the previous answer) or null.
+   */
+  resolveReferences(text, conversation) {
+    const previous = conversation?.previousReply;
+    if (!previous) return { kind: null };
+
+    const normalized = text.toLowerCase();
+
+    if (ALTERNATIVE_PATTERN.test(normalized) && previous.alternatives.length > 0) {
+      return { kind: 'alternative', alternative: previous.alternatives[0], previous };
+    }
+
+    if (this.isFollowUp(normalized)) {
+      const followUp = FOLLOW_UP_ACTIONS.find(({ pattern }) => pattern.test(normalized)) || null;
+      return {
+        kind: 'follow_up',
+        followUp,
+        previous,
+        previousRequest: conversation.previousRequest,
+        lastCode: conversation.lastCode
+      };
+    }
+
+    return { kind: null };
+  }
+
+  /**
+   * Whether a (lowercased) request continues from the previous answer: it
+   * opens with a follow-up marker, names the previous code, or points at it
+   * with a pronoun while having no subject of its own
+   */
+  isFollowUp(normalized) {
+    const text = normalized.trim();
+    if (FOLLOW_UP_MARKER.test(text) || PREVIOUS_ANSWER_PATTERN.test(text) || TRAILING_REFERENCE.test(text)) {
+      return true;
+    }
+
+    return (OBJECT_REFERENCE.test(text) || SUBJECT_REFERENCE.test(text) || /\bagain\b/.test(text)) &&
+      !OWN_SUBJECT_PATTERN.test(text);
+  }
+
+  /**
+   * Memory to store with this reply: the summary so far and the newest code
+   */
+  toMemory(conversation, generatedCode = null) {
+    const code = generatedCode?.code
+      ? {
+        language: generatedCode.language || null,
+        code: truncateToTokens(generatedCode.code, MAX_LAST_CODE_TOKENS)
+      }
+      : conversation?.lastCode || null;
+
+    if (!conversation?.summary && !code) return null;
+
+    return {
+      summary: conversation?.summary || null,
+      summarizedThrough: conversation?.summarizedThrough || null,
+      lastCode: code
+    };
+  }
+
+  /**
+   * The conversation as prompt text
+   */
+  render(conversation, { includeCode = true } = {}) {
+    if (!conversation) return '';
+
+    const parts = [];
+    if (conversation.summary) {
+      parts.push(`EARLIER IN THIS CONVERSATION:\n${conversation.summary}`);
+    }
+    if (conversation.turns.length > 0) {
+      parts.push(`RECENT MESSAGES:\n${conversation.turns
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+        .join('\n\n')}`);
+    }
+    if (includeCode && conversation.lastCode) {
+      parts.push(`PREVIOUSLY GENERATED CODE (what "it", "that" or "the previous code" most likely means):\n\`\`\`${conversation.lastCode.language || ''}\n${conversation.lastCode.code}\n\`\`\``);
+    }
+
+    return parts.join('\n\n');
+  }
+}
+
+export default new ConversationMemory();
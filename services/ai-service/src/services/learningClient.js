@@ -0,0 +1,42 @@
+// services/ai-service/src/services/learningClient.js
+import axios from 'axios';
+
+class LearningClient {
+  constructor() {
+    this.baseUrl = `http://localhost:${process.env.LEARNING_SERVICE_PORT || 3004}`;
+
+    // Feedback changes slowly, so avoid a round trip on every message
+    this.cacheTtl = 30 * 1000;
+    this.feedbackCache = new Map();
+  }
+
+  /**
+   * Get the interpretation weights learned from a user's feedback.
+   * Returns null when unavailable so parsing can carry on without them.
+   */
+  async getInterpretationFeedback(userId) {
+    if (!userId) return null;
+
+    const cached = this.feedbackCache.get(userId);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      return cached.feedback;
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/feedback/${userId}`, {
+        headers: { 'X-User-ID': userId },
+        timeout: 2000
+      });
+
+      const feedback = response.data.data;
+      this.feedbackCache.set(userId, { feedback, fetchedAt: Date.now() });
+      return feedback;
+
+    } catch (error) {
+      console.warn('Could not load interpretation feedback:', error.message);
+      return null;
+    }
+  }
+}
+
+export default new LearningClient();
@@ -1,15 +1,16 @@
 // services/ai-service/src/services/openaiClient.js
-import OpenAI from 'openai';
+import { createProvider } from './providers/index.js';
+import SystemPrompts from '../prompts/system-prompts.js';
+import { estimateTokens, truncateToTokens } from '../utils/tokens.js';
 
 class OpenAIClient {
-  constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is required');
-    }
+  constructor(provider = createProvider()) {
+    // Backend that actually serves completions (OpenAI, local server, mock)
+    this.provider = provider;
 
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    if (provider.name === 'mock' && !process.env.LLM_PROVIDER) {
+      console.warn('No OPENAI_API_KEY or LLM_PROVIDER set - using the mock LLM provider');
+    }
 
     // Rate limiting and retry configuration
     this.maxRetries = 3;
@@ -17,22 +18,71 @@ class OpenAIClient {
   }
 
   /**
-   * Create chat completion with retry logic
+   * Create chat completion with retry logic.
+   * Pass an `onToken` callback to stream the completion; the resolved value
+   * has the same shape as a non-streamed completion either way.
    */
   async createChatCompletion(options) {
+    const { onToken, ...requestOptions } = options;
     const defaultOptions = {
-      model: 'gpt-4',
+      model: this.provider.defaultModel,
       temperature: 0.7,
       max_tokens: 2000,
       presence_penalty: 0.1,
       frequency_penalty: 0.1
     };
 
-    const finalOptions = { ...defaultOptions, ...options };
+    const finalOptions = { ...defaultOptions, ...requestOptions };
+
+    if (typeof onToken === 'function') {
+      return this.streamChatCompletion(finalOptions, onToken);
+    }
 
     return this.withRetry(() =>
-      this.client.chat.completions.create(finalOptions)
+      this.provider.createChatCompletion(finalOptions)
+    );
+  }
+
+  /**
+   * Stream a chat completion, forwarding each content delta to onToken
+   */
+  async streamChatCompletion(options, onToken) {
+    // Only opening the stream is retried - once tokens have been forwarded
+    // a retry would send them twice
+    const stream = await this.withRetry(() =>
+      this.provider.createChatCompletionStream(options)
     );
+
+    let content = '';
+    let finishReason = null;
+    let model = options.model;
+
+    for await (const chunk of stream) {
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta?.content;
+
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      if (chunk.model) {
+        model = chunk.model;
+      }
+    }
+
+    return {
+      model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content },
+          finish_reason: finishReason
+        }
+      ]
+    };
   }
 
   /**
@@ -43,7 +93,8 @@ class OpenAIClient {
       language = 'javascript',
       framework = null,
       maxTokens = 1500,
-      temperature = 0.3 // Lower temperature for code generation
+      temperature = 0.3, // Lower temperature for code generation
+      onToken = null
     } = context;
 
     const systemPrompt = this.buildCodeGenerationSystemPrompt(
@@ -52,33 +103,38 @@ class OpenAIClient {
     );
 
     return this.createChatCompletion({
-      model: 'gpt-4',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: prompt }
       ],
       temperature,
-      max_tokens: maxTokens
+      max_tokens: maxTokens,
+      onToken
     });
   }
 
   /**
-   * Create completion for code explanation
+   * Create completion for code explanation.
+   * `history` is rendered ownership/commit history of the code, or null.
    */
   async createExplanationCompletion(code, context = {}) {
     const {
       language = 'javascript',
-      explainLevel = 'detailed' // brief, detailed, beginner
+      explainLevel = 'detailed', // brief, detailed, beginner
+      history = null
     } = context;
 
     const systemPrompt = this.buildExplanationSystemPrompt(
       language,
-      explainLevel
+      explainLevel,
+      Boolean(history)
     );
-    const userPrompt = `Please explain this ${language} code:\n\n\`\`\`${language}\n${code}\n\`\`\``;
+    let userPrompt = `Please explain this ${language} code:\n\n\`\`\`${language}\n${code}\n\`\`\``;
+    if (history) {
+      userPrompt += `\n\n${history}`;
+    }
 
     return this.createChatCompletion({
-      model: 'gpt-4',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
@@ -89,22 +145,113 @@ class OpenAIClient {
   }
 
   /**
-   * Create completion for code debugging
+   * Create completion for code debugging.
+   * `recentChanges` is rendered diff text of what changed since the code last
+   * worked, `projectContext` other rendered project code and `history` the
+   * code's ownership/commit history; any of them may be null.
    */
   async createDebuggingCompletion(code, error, context = {}) {
-    const { language = 'javascript', framework = null } = context;
+    const {
+      language = 'javascript',
+      framework = null,
+      recentChanges = null,
+      projectContext = null,
+      history = null,
+      conversation = null,
+      maxTokens = 1500,
+      onToken = null
+    } = context;
 
-    const systemPrompt = this.buildDebuggingSystemPrompt(language, framework);
-    const userPrompt = `I'm getting this error in my ${language} code:\n\nError: ${error}\n\nCode:\n\`\`\`${language}\n${code}\n\`\`\`\n\nPlease help me fix it.`;
+    const systemPrompt = SystemPrompts.getPrompt('debugging', {
+      language,
+      framework,
+      hasRecentChanges: Boolean(recentChanges)
+    });
+
+    let userPrompt = `I'm getting this error in my ${language} code:\n\nError: ${error || 'not given'}`;
+    if (code) {
+      userPrompt += `\n\nCode:\n\`\`\`${language}\n${code}\n\`\`\``;
+    }
+    if (recentChanges) {
+      userPrompt += `\n\nWhat changed since it last worked:\n\n${recentChanges}`;
+    }
+    if (projectContext) {
+      userPrompt += `\n\nProject code:\n\n${projectContext}`;
+    }
+    if (history) {
+      userPrompt += `\n\n${history}`;
+    }
+    if (conversation) {
+      userPrompt += `\n\nOur conversation so far:\n\n${conversation}`;
+    }
+    userPrompt += '\n\nPlease help me fix it.';
 
     return this.createChatCompletion({
-      model: 'gpt-4',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ],
       temperature: 0.4,
-      max_tokens: 1500
+      max_tokens: maxTokens,
+      onToken
+    });
+  }
+
+  /**
+   * Ask for a corrected version of generated code. `previousContent` is the
+   * model's answer to `prompt` and `validation` what is wrong with it; the
+   * reply keeps the original answer format.
+   */
+  async createRepairCompletion(prompt, previousContent, validation, context = {}) {
+    const {
+      language = 'javascript',
+      framework = null,
+      maxTokens = 1500,
+      temperature = 0.3
+    } = context;
+
+    const problems = [
+      ...validation.errors.map(error => `- Error: ${error}`),
+      ...validation.warnings.map(warning => `- Warning: ${warning}`)
+    ].join('\n');
+
+    return this.createChatCompletion({
+      messages: [
+        { role: 'system', content: this.buildCodeGenerationSystemPrompt(language, framework) },
+        { role: 'user', content: prompt },
+        { role: 'assistant', content: previousContent },
+        {
+          role: 'user',
+          content: `Your code failed validation:\n${problems}\n\nFix every error, and the warnings where they point at real problems, without changing what the code does otherwise. Reply with the complete corrected answer in the same format.`
+        }
+      ],
+      temperature,
+      max_tokens: maxTokens
+    });
+  }
+
+  /**
+   * Create completion for code improvement
+   */
+  async createImprovementCompletion(code, context = {}) {
+    const {
+      language = 'javascript',
+      improvementType = 'best-practices'
+    } = context;
+
+    const systemPrompt = SystemPrompts.getPrompt('code_improvement', {
+      language,
+      improvementType
+    });
+    const userPrompt = `Please improve this ${language} code:\n\n\`\`\`${language}\n${code}\n\`\`\``;
+
+    return this.createChatCompletion({
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.3,
+      max_tokens: 2000
     });
   }
 
@@ -137,14 +284,14 @@ Your task is to generate code based on vague or lazy requests. You should:
   /**
    * Build system prompt for code explanation
    */
-  buildExplanationSystemPrompt(language, explainLevel) {
+  buildExplanationSystemPrompt(language, explainLevel, hasHistory = false) {
     const levelDescriptions = {
       brief: 'concise explanations focusing on the main purpose',
       detailed: 'thorough explanations covering all aspects',
       beginner: 'beginner-friendly explanations with examples'
     };
 
-    return `You are a ${language} expert who explains code clearly. 
+    let prompt = `You are a ${language} expert who explains code clearly. 
 
 Provide ${levelDescriptions[explainLevel]} of the given code.
 
@@ -152,33 +299,13 @@ Your explanation should cover:
 1. What the code does (main purpose)
 2. How it works (key logic)
 3. Important concepts or patterns used
-4. Any potential issues or improvements
-
-Keep your tone friendly and educational.`;
-  }
+4. Any potential issues or improvements`;
 
-  /**
-   * Build system prompt for debugging
-   */
-  buildDebuggingSystemPrompt(language, framework) {
-    let prompt = `You are a ${language} debugging expert. You help developers identify and fix bugs in their code.
-
-Your debugging approach:
-1. Analyze the error message and code
-2. Identify the root cause
-3. Provide a clear fix
-4. Explain why the error occurred
-5. Suggest improvements to prevent similar issues`;
-
-    if (framework) {
-      prompt += `\n6. Consider ${framework}-specific debugging techniques`;
+    if (hasHistory) {
+      prompt += `\n5. Where it helps explain the code, its history: who last reworked it, in which commit, and who wrote the surrounding module`;
     }
 
-    prompt += `\n\nFormat your response as:
-1. **Problem**: Brief description of the issue
-2. **Solution**: The fixed code in \`\`\`${language} blocks
-3. **Explanation**: Why this fixes the problem
-4. **Prevention**: How to avoid this in the future`;
+    prompt += `\n\nKeep your tone friendly and educational.`;
 
     return prompt;
   }
@@ -226,39 +353,32 @@ Your debugging approach:
   }
 
   /**
-   * Estimate token count (rough approximation)
+   * Estimate token count
    */
   estimateTokens(text) {
-    // Rough approximation: 1 token ≈ 4 characters
-    return Math.ceil(text.length / 4);
+    return estimateTokens(text);
   }
 
   /**
-   * Truncate text to fit within token limit
+   * Truncate text to fit within token limit, on a line boundary
    */
   truncateToTokenLimit(text, maxTokens = 4000) {
-    const estimatedTokens = this.estimateTokens(text);
-
-    if (estimatedTokens <= maxTokens) {
-      return text;
-    }
-
-    // Remove characters to fit within token limit
-    const maxChars = maxTokens * 4;
-    return text.substring(0, maxChars) + '...';
+    return truncateToTokens(text, maxTokens);
   }
 
   /**
-   * Health check for the OpenAI client
+   * Health check for the configured provider
    */
   async healthCheck() {
     try {
       // Try a simple API call to test connectivity
-      const response = await this.client.models.list();
+      const models = await this.provider.listModels();
       return {
         status: 'healthy',
-        message: 'OpenAI API connection successful',
-        models: response.data.length
+        message: `${this.provider.name} provider connection successful`,
+        provider: this.provider.name,
+        model: this.provider.defaultModel,
+        models: models.length
       };
     } catch (error) {
       return {
@@ -0,0 +1,100 @@
+// services/ai-service/src/services/phraseDictionary.js
+import { createClient } from '@supabase/supabase-js';
+import { bestWindowSimilarity } from '../utils/fuzzyMatch.js';
+
+/**
+ * Vague phrases learned from real usage, read from the vague_phrases table.
+ * Rows are cached in memory and refreshed periodically so newly learned
+ * phrases show up without a restart.
+ */
+class PhraseDictionary {
+  constructor() {
+    // Without database credentials the dictionary is simply empty
+    this.supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+      : null;
+
+    this.cacheTtl = 5 * 60 * 1000;
+    this.phrases = [];
+    this.loadedAt = 0;
+    this.loading = null;
+
+    // Minimum similarity for a fuzzy match to count
+    this.matchThreshold = 0.8;
+  }
+
+  /**
+   * Get the cached phrases, reloading them when stale
+   */
+  async getPhrases() {
+    if (!this.supabase) return [];
+
+    if (Date.now() - this.loadedAt < this.cacheTtl) {
+      return this.phrases;
+    }
+
+    // Share a single in-flight load between concurrent requests
+    if (!this.loading) {
+      this.loading = this.loadPhrases().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Load all phrases from the database.
+   * On failure the previous cache is kept and retried after the next TTL.
+   */
+  async loadPhrases() {
+    try {
+      const { data, error } = await this.supabase
+        .from('vague_phrases')
+        .select('phrase, category, interpretation, confidence_score');
+
+      if (error) throw error;
+
+      this.phrases = (data || []).map(row => ({
+        ...row,
+        phrase: row.phrase.toLowerCase().trim()
+      }));
+    } catch (error) {
+      console.warn('Could not load vague phrases:', error.message);
+    }
+
+    this.loadedAt = Date.now();
+    return this.phrases;
+  }
+
+  /**
+   * Find dictionary phrases that fuzzily occur in normalized text,
+   * best matches first
+   */
+  async findMatches(text) {
+    const phrases = await this.getPhrases();
+    const words = new Set(text.split(' '));
+
+    return phrases
+      // Cheap pre-filter: the phrase must share at least one word with the text
+      .filter(entry => entry.phrase.split(' ').some(word => words.has(word)))
+      .map(entry => ({
+        phrase: entry.phrase,
+        category: entry.category,
+        interpretation: entry.interpretation,
+        confidence: entry.confidence_score ?? 0.8,
+        similarity: bestWindowSimilarity(text, entry.phrase)
+      }))
+      .filter(match => match.similarity >= this.matchThreshold)
+      .sort((a, b) => b.similarity * b.confidence - a.similarity * a.confidence);
+  }
+
+  /**
+   * Drop the cache so the next lookup reloads from the database
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+}
+
+export default new PhraseDictionary();
@@ -0,0 +1,66 @@
+// services/ai-service/src/services/providers/index.js
+import OpenAIProvider from './openaiProvider.js';
+import MockProvider from './mockProvider.js';
+
+export const PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+// Where the mock may stand in for a missing OPENAI_API_KEY
+const MOCK_FALLBACK_ENVS = ['development', 'test'];
+
+const defaultProviderName = env => {
+  if (env.OPENAI_API_KEY) return 'openai';
+  if (MOCK_FALLBACK_ENVS.includes(env.NODE_ENV)) return 'mock';
+
+  throw new Error(
+    'No LLM provider configured: set OPENAI_API_KEY, or LLM_PROVIDER ' +
+    `(${PROVIDERS.join(', ')}); the mock is only picked by default in development and test`
+  );
+};
+
+/**
+ * Create the LLM provider selected by the environment.
+ *
+ * LLM_PROVIDER   openai | openai-compatible | mock
+ *                (defaults to openai when OPENAI_API_KEY is set; to mock only
+ *                when NODE_ENV is development or test, else this throws)
+ * LLM_MODEL      model name sent with each request
+ * LLM_BASE_URL   base URL of an OpenAI-compatible server, e.g. http://localhost:8080/v1
+ * LLM_API_KEY    API key for the OpenAI-compatible server, if it needs one
+ * LLM_FIXTURES_PATH  canned completions replayed by the mock provider
+ */
+export const createProvider = (env = process.env) => {
+  const providerName = (env.LLM_PROVIDER || defaultProviderName(env)).toLowerCase();
+
+  switch (providerName) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY environment variable is required for the openai provider');
+      }
+      return new OpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        defaultModel: env.LLM_MODEL || 'gpt-4'
+      });
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL environment variable is required for the openai-compatible provider');
+      }
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: env.LLM_API_KEY || 'not-needed', // Local servers usually ignore it
+        baseURL: env.LLM_BASE_URL,
+        defaultModel: env.LLM_MODEL || 'local-model'
+      });
+
+    case 'mock':
+      return new MockProvider({
+        fixturesPath: env.LLM_FIXTURES_PATH,
+        defaultModel: env.LLM_MODEL || 'mock'
+      });
+
+    default:
+      throw new Error(
+        `Unknown LLM_PROVIDER "${providerName}" (expected one of: ${PROVIDERS.join(', ')})`
+      );
+  }
+};
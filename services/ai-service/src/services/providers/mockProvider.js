@@ -0,0 +1,155 @@
+// services/ai-service/src/services/providers/mockProvider.js
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_PATH = fileURLToPath(
+  new URL('../../../fixtures/completions.json', import.meta.url)
+);
+
+/**
+ * Offline provider that replays canned completions from a fixtures file.
+ *
+ * Each fixture has an optional `match` ({ system, user }) - case-insensitive
+ * substrings of the system prompt and the last user message - and the
+ * `content` to reply with. The first matching fixture wins, so a fixture
+ * without `match` at the end of the list acts as the default.
+ *
+ * A fixture may also have `toolCalls` ([{ name, arguments }]): when the
+ * request offers tools and none has answered yet, the reply calls those
+ * tools; once their results are in, it replies with `content`.
+ */
+class MockProvider {
+  constructor({ fixturesPath, defaultModel = 'mock' } = {}) {
+    this.name = 'mock';
+    this.defaultModel = defaultModel;
+    this.fixturesPath = fixturesPath || DEFAULT_FIXTURES_PATH;
+    this.fixtures = this.loadFixtures(this.fixturesPath);
+
+    // Size of the pieces streamed completions are split into
+    this.chunkSize = 16;
+  }
+
+  /**
+   * Load fixtures from disk
+   */
+  loadFixtures(fixturesPath) {
+    const parsed = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    const fixtures = Array.isArray(parsed) ? parsed : parsed.completions;
+
+    if (!Array.isArray(fixtures)) {
+      throw new Error(`No completions found in fixtures file: ${fixturesPath}`);
+    }
+
+    return fixtures;
+  }
+
+  /**
+   * Find the fixture matching the request messages
+   */
+  findFixture(messages = []) {
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n')
+      .toLowerCase();
+    const user = (
+      [...messages].reverse().find(m => m.role === 'user')?.content || ''
+    ).toLowerCase();
+
+    return this.fixtures.find(({ match = {} }) =>
+      (!match.system || system.includes(match.system.toLowerCase())) &&
+      (!match.user || user.includes(match.user.toLowerCase()))
+    );
+  }
+
+  /**
+   * Tool calls the reply should make, or null to reply with content
+   */
+  resolveToolCalls(options) {
+    const fixture = this.findFixture(options.messages);
+    const hasToolResults = (options.messages || []).some(m => m.role === 'tool');
+
+    if (!fixture?.toolCalls || !options.tools?.length || options.tool_choice === 'none' || hasToolResults) {
+      return null;
+    }
+
+    return fixture.toolCalls.map(({ name, arguments: args = {} }, index) => ({
+      id: `mock-call-${index + 1}`,
+      type: 'function',
+      function: { name, arguments: JSON.stringify(args) }
+    }));
+  }
+
+  /**
+   * Resolve the reply content for a request
+   */
+  resolveContent(options) {
+    const fixture = this.findFixture(options.messages);
+    return fixture ? fixture.content : 'Mock completion';
+  }
+
+  /**
+   * Create a (non-streamed) chat completion
+   */
+  async createChatCompletion(options) {
+    const toolCalls = this.resolveToolCalls(options);
+    const content = toolCalls ? null : this.resolveContent(options);
+    const completionTokens = Math.ceil((content || JSON.stringify(toolCalls)).length / 4);
+
+    return {
+      id: 'mock-completion',
+      object: 'chat.completion',
+      created: 0,
+      model: options.model || this.defaultModel,
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: 'assistant',
+            content,
+            ...(toolCalls && { tool_calls: toolCalls })
+          },
+          finish_reason: toolCalls ? 'tool_calls' : 'stop'
+        }
+      ],
+      usage: {
+        prompt_tokens: 0,
+        completion_tokens: completionTokens,
+        total_tokens: completionTokens
+      }
+    };
+  }
+
+  /**
+   * Create a streamed chat completion, replaying the fixture in chunks
+   */
+  async createChatCompletionStream(options) {
+    const content = this.resolveContent(options);
+    const model = options.model || this.defaultModel;
+    const { chunkSize } = this;
+
+    const chunk = (delta, finishReason = null) => ({
+      id: 'mock-completion',
+      object: 'chat.completion.chunk',
+      created: 0,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    });
+
+    return (async function* () {
+      for (let i = 0; i < content.length; i += chunkSize) {
+        yield chunk({ content: content.slice(i, i + chunkSize) });
+      }
+      yield chunk({}, 'stop');
+    })();
+  }
+
+  /**
+   * List the models available to this provider
+   */
+  async listModels() {
+    return [{ id: this.defaultModel, object: 'model', owned_by: 'mock' }];
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,42 @@
+// services/ai-service/src/services/providers/openaiProvider.js
+import OpenAI from 'openai';
+
+/**
+ * Provider for the OpenAI API and any server that speaks the same chat
+ * completions protocol (llama.cpp server, vLLM, Ollama, LM Studio...)
+ */
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, defaultModel = 'gpt-4' }) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+
+    this.client = new OpenAI({
+      apiKey,
+      ...(baseURL && { baseURL })
+    });
+  }
+
+  /**
+   * Create a (non-streamed) chat completion
+   */
+  async createChatCompletion(options) {
+    return this.client.chat.completions.create(options);
+  }
+
+  /**
+   * Create a streamed chat completion (async iterable of chunks)
+   */
+  async createChatCompletionStream(options) {
+    return this.client.chat.completions.create({ ...options, stream: true });
+  }
+
+  /**
+   * List the models available to this provider
+   */
+  async listModels() {
+    const response = await this.client.models.list();
+    return response.data;
+  }
+}
+
+export default OpenAIProvider;
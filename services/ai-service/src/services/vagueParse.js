@@ -1,8 +1,65 @@
 // services/ai-service/src/services/vagueParse.js
 import { LAZY_PHRASES, CONFIDENCE_THRESHOLDS } from '@lpa/shared';
 import openaiClient from './openaiClient.js';
+import phraseDictionary from './phraseDictionary.js';
+import conversationMemory from './conversationMemory.js';
 import _ from 'lodash';
 
+// How strongly a user's past feedback (weights in -1..1) moves an interpretation's score
+const USER_FEEDBACK_WEIGHTS = {
+  action: 0.15,
+  category: 0.1,
+  phrase: 0.3
+};
+
+// Interpretation actions for the categories used in the vague_phrases table
+const PHRASE_CATEGORY_ACTIONS = {
+  general: 'general_implementation',
+  debugging: 'debug_and_fix',
+  ui: 'create_ui_component',
+  frontend: 'implement_frontend_feature',
+  backend: 'implement_backend_feature',
+  styling: 'improve_styling',
+  data: 'handle_data',
+  performance: 'optimize_performance',
+  code_quality: 'improve_code',
+  improvement: 'improve_code',
+  testing: 'write_tests',
+  security: 'improve_security',
+  documentation: 'add_documentation'
+};
+
+// Requests up to this many words can be learned as a phrase on their own
+const MAX_LEARNABLE_PHRASE_WORDS = 6;
+
+// Words in a request that say what kind of symbol is meant
+const SYMBOL_KIND_WORDS = {
+  component: 'component',
+  widget: 'component',
+  element: 'component',
+  page: 'component',
+  hook: 'hook',
+  endpoint: 'route',
+  route: 'route',
+  api: 'route',
+  function: 'function',
+  method: 'function',
+  class: 'class'
+};
+
+// Words too generic to match symbol names on
+const SYMBOL_STOP_WORDS = new Set([
+  'the', 'that', 'this', 'thing', 'stuff', 'make', 'fix', 'work', 'works',
+  'working', 'broken', 'please', 'can', 'you', 'just', 'some', 'add', 'with',
+  'for', 'and', 'not', 'doesnt', 'dont', 'isnt', 'better', 'faster'
+]);
+
+const MAX_CANDIDATE_SYMBOLS = 5;
+
+// Follow-ups that only say "it" or "that" ("make it async") are weaker
+// than ones naming what to do ("now add tests for it")
+const FOLLOW_UP_CONFIDENCE = { named: 0.85, unnamed: 0.5 };
+
 class VagueParser {
   constructor() {
     // Pattern matching for common lazy phrases
@@ -32,7 +89,11 @@ class VagueParser {
       errorFixes: [
         /\b(fix|solve|resolve|debug)\s+(the\s+)?(error|bug|issue|problem)\b/gi,
         /\bmake\s+it\s+(not\s+)?(crash|break|fail)\b/gi,
-        /\bstop\s+(the\s+)?(error|crashing|breaking)\b/gi
+        /\bstop\s+(the\s+)?(error|crashing|breaking)\b/gi,
+        // "It was working an hour ago, fix it" - something recent broke it
+        /\b(was|used\s+to\s+be)\s+working\b/gi,
+        /\b(i|we)\s+(just\s+)?broke\b/gi,
+        /\b(it\s+s|its|is)\s+(broken|not\s+working)\b/gi
       ],
       
       // UI actions
@@ -60,9 +121,17 @@ class VagueParser {
   }
 
   /**
-   * Parse a vague request into structured interpretation
+   * Parse a vague request into structured interpretation.
+   * `conversation` (from conversationMemory.build) resolves references to
+   * earlier turns, like "now add tests for it" or "no, the other one".
+   * `options.clarified` ({ candidates, resolved }) holds the interpretations
+   * left after the user answered clarifying questions (clarificationDialog);
+   * they replace fresh interpretations, the first being the one chosen when
+   * `resolved`.
    */
-  async parseVagueRequest(text, context = null, userPreferences = null) {
+  async parseVagueRequest(text, context = null, userPreferences = null, conversation = null, options = {}) {
+    const { clarified = null } = options;
+
     try {
       // Clean and normalize input
       const normalizedText = this.normalizeText(text);
@@ -70,25 +139,48 @@ class VagueParser {
       // Extract patterns and keywords
       const patterns = this.extractPatterns(normalizedText);
       
+      // Look up phrases learned from real usage
+      const phraseMatches = await phraseDictionary.findMatches(normalizedText);
+
       // Analyze context clues
       const contextAnalysis = this.analyzeContext(normalizedText, context);
+
+      // What "it", "that" or "the other one" refer to in earlier turns
+      const reference = conversationMemory.resolveReferences(normalizedText, conversation);
       
       // Generate multiple interpretations
-      const interpretations = await this.generateInterpretations(
-        normalizedText, 
-        patterns, 
-        contextAnalysis, 
-        userPreferences
-      );
+      const interpretations = clarified
+        ? this.generateClarifiedInterpretations(text, clarified)
+        : await this.generateInterpretations(
+          normalizedText, 
+          patterns, 
+          contextAnalysis, 
+          userPreferences,
+          phraseMatches,
+          { conversation, reference }
+        );
       
-      // Score and rank interpretations
-      const rankedInterpretations = this.rankInterpretations(interpretations, context);
+      // Score and rank interpretations, leaning on what this user usually means
+      const vaguePhrases = [
+        ...new Set([
+          ...this.getVaguePhrases(patterns),
+          ...phraseMatches.map(match => match.phrase)
+        ])
+      ];
+      const userFeedback = this.resolveUserFeedback(
+        userPreferences?.interpretationFeedback,
+        vaguePhrases
+      );
+      // What the user picked stays first
+      const rankedInterpretations = clarified?.resolved
+        ? interpretations
+        : this.rankInterpretations(interpretations, context, userFeedback);
       
       // Select best interpretation
       const bestInterpretation = rankedInterpretations[0];
       
       // Generate assumptions and clarifying questions
-      const assumptions = this.generateAssumptions(bestInterpretation, context);
+      const assumptions = this.generateAssumptions(bestInterpretation, context, contextAnalysis);
       const clarifyingQuestions = this.generateClarifyingQuestions(rankedInterpretations);
       
       // Calculate confidence
@@ -98,6 +190,7 @@ class VagueParser {
         originalText: text,
         interpretation: bestInterpretation.description,
         specificAction: bestInterpretation.action,
+        category: bestInterpretation.category || 'general',
         assumptions,
         confidence,
         alternativeInterpretations: rankedInterpretations.slice(1, 3),
@@ -105,7 +198,11 @@ class VagueParser {
         clarifyingQuestions: confidence < CONFIDENCE_THRESHOLDS.MEDIUM ? clarifyingQuestions : [],
         suggestedActions: bestInterpretation.suggestedActions || [],
         detectedPatterns: patterns,
-        contextAnalysis
+        vaguePhrases,
+        learnablePhrase: this.getLearnablePhrase(normalizedText, bestInterpretation),
+        contextAnalysis,
+        // The request asks for changes to the previously generated code
+        revisesCode: Boolean(bestInterpretation.revisesCode)
       };
 
     } catch (error) {
@@ -159,6 +256,33 @@ class VagueParser {
     return patterns;
   }
 
+  /**
+   * Flatten extracted patterns into the distinct multi-word vague phrases used
+   */
+  getVaguePhrases(patterns) {
+    const phrases = Object.values(patterns)
+      .filter(Array.isArray)
+      .flat()
+      .filter(phrase => phrase.includes(' '));
+
+    return [...new Set(phrases)];
+  }
+
+  /**
+   * The phrase to add to (or reinforce in) the phrase dictionary if the user
+   * confirms this interpretation: the dictionary phrase it came from, or the
+   * whole request when it is short enough to be a vague phrase itself
+   */
+  getLearnablePhrase(normalizedText, interpretation) {
+    if (interpretation.matchedPhrase) {
+      return interpretation.matchedPhrase;
+    }
+
+    return normalizedText.split(' ').length <= MAX_LEARNABLE_PHRASE_WORDS
+      ? normalizedText
+      : null;
+  }
+
   /**
    * Analyze context for better interpretation
    */
@@ -167,7 +291,8 @@ class VagueParser {
       area: 'unknown',
       actionType: 'unknown',
       relevantFiles: [],
-      suggestedFocus: null
+      suggestedFocus: null,
+      candidateSymbols: []
     };
 
     if (!context) return analysis;
@@ -196,24 +321,83 @@ class VagueParser {
 
     // Suggest focus based on recent activity
     if (focusArea) {
-      analysis.suggestedFocus = focusArea.directory;
+      analysis.suggestedFocus = focusArea.primaryFocus && focusArea.primaryFocus !== 'unknown'
+        ? focusArea.primaryFocus
+        : focusArea.directory;
     }
 
+    analysis.candidateSymbols = this.findCandidateSymbols(text, context);
+
     return analysis;
   }
 
+  /**
+   * Concrete symbols from the project's symbol index that a request may refer
+   * to. Words in the request are matched against symbol names and files; when
+   * nothing matches ("fix the thing"), symbols in the focused file are used.
+   */
+  findCandidateSymbols(text, context) {
+    const symbols = context?.symbols;
+    if (!Array.isArray(symbols) || symbols.length === 0) return [];
+
+    const words = text.split(' ').filter(Boolean);
+    const kinds = new Set(words.map(word => SYMBOL_KIND_WORDS[word]).filter(Boolean));
+    const terms = words.filter(word =>
+      word.length > 2 && !SYMBOL_KIND_WORDS[word] && !SYMBOL_STOP_WORDS.has(word)
+    );
+
+    const splitWords = value => value
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+
+    const ofKind = symbols.filter(symbol => kinds.size === 0 || kinds.has(symbol.kind));
+
+    const matches = ofKind
+      .map(symbol => {
+        const nameWords = splitWords(symbol.name);
+        const fileWords = splitWords(symbol.file);
+        const score = terms.reduce((total, term) => {
+          if (nameWords.includes(term)) return total + 3;
+          if (nameWords.some(word => word.length > 2 && (word.startsWith(term) || term.startsWith(word)))) {
+            return total + 2;
+          }
+          return fileWords.includes(term) ? total + 1 : total;
+        }, 0);
+        return { ...symbol, score, reason: 'name_match' };
+      })
+      .filter(symbol => symbol.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    if (matches.length > 0) {
+      return matches.slice(0, MAX_CANDIDATE_SYMBOLS);
+    }
+
+    const focusedFile = context.focusArea?.primaryFocus;
+    return ofKind
+      .filter(symbol => symbol.file === focusedFile)
+      .slice(0, MAX_CANDIDATE_SYMBOLS)
+      .map(symbol => ({ ...symbol, score: 0, reason: 'focused_file' }));
+  }
+
   /**
    * Generate multiple interpretations using AI
    */
-  async generateInterpretations(text, patterns, contextAnalysis, userPreferences) {
+  async generateInterpretations(text, patterns, contextAnalysis, userPreferences, phraseMatches = [], { conversation = null, reference = { kind: null } } = {}) {
     const interpretations = [];
+
+    // References to earlier turns first
+    interpretations.push(...this.generateConversationInterpretations(reference));
     
-    // Rule-based interpretations first
-    interpretations.push(...this.generateRuleBasedInterpretations(text, patterns, contextAnalysis));
+    // Rule-based interpretations
+    interpretations.push(
+      ...this.generateRuleBasedInterpretations(text, patterns, contextAnalysis, phraseMatches)
+    );
     
     // AI-enhanced interpretations
     try {
-      const aiInterpretations = await this.generateAIInterpretations(text, contextAnalysis, userPreferences);
+      const aiInterpretations = await this.generateAIInterpretations(text, contextAnalysis, userPreferences, conversation);
       interpretations.push(...aiInterpretations);
     } catch (error) {
       console.warn('AI interpretation failed, using rule-based only:', error.message);
@@ -222,12 +406,89 @@ class VagueParser {
     return interpretations;
   }
 
+  /**
+   * Interpretations from the earlier turn a request refers to: the previous
+   * reply's runner-up for "no, the other one", the previous answer for
+   * follow-ups. Each carries the assumption it rests on.
+   */
+  generateConversationInterpretations(reference) {
+    if (reference.kind === 'alternative') {
+      const { alternative, previous } = reference;
+      return [{
+        description: alternative.description,
+        action: alternative.action || 'general_implementation',
+        confidence: 0.9,
+        suggestedActions: [],
+        source: 'conversation',
+        category: alternative.category || 'general',
+        referenceAssumption: previous.interpretation
+          ? `You meant "${alternative.description}", not "${previous.interpretation}"`
+          : `You meant "${alternative.description}" instead`
+      }];
+    }
+
+    if (reference.kind === 'follow_up') {
+      const { followUp, previous, previousRequest, lastCode } = reference;
+      const subject = previous.interpretation || previousRequest;
+      const target = lastCode ? 'the previously generated code' : 'the previous answer';
+
+      return [{
+        description: followUp
+          ? `${followUp.verb} ${target}${subject ? ` (${subject})` : ''}`
+          : `Change ${target}${subject ? ` (${subject})` : ''} as asked`,
+        action: followUp?.action || previous.action || 'improve_code',
+        confidence: followUp ? FOLLOW_UP_CONFIDENCE.named : FOLLOW_UP_CONFIDENCE.unnamed,
+        suggestedActions: [],
+        source: 'conversation',
+        category: followUp?.category || previous.category || 'general',
+        revisesCode: Boolean(lastCode),
+        referenceAssumption: `"It" means ${target}${subject ? `: ${subject}` : ''}`
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Interpretations left after clarifying questions were answered
+   */
+  generateClarifiedInterpretations(text, { candidates, resolved }) {
+    return candidates.map((candidate, index) => ({
+      description: candidate.description,
+      action: candidate.action || 'general_implementation',
+      confidence: candidate.confidence ?? CONFIDENCE_THRESHOLDS.LOW,
+      suggestedActions: [],
+      source: 'clarification',
+      category: candidate.category || 'general',
+      ...(resolved && index === 0 && {
+        referenceAssumption: `By "${text}" you meant: ${candidate.description}`
+      })
+    }));
+  }
+
   /**
    * Generate rule-based interpretations
    */
-  generateRuleBasedInterpretations(text, patterns, contextAnalysis) {
+  generateRuleBasedInterpretations(text, patterns, contextAnalysis, phraseMatches = []) {
     const interpretations = [];
 
+    // Phrases from the vague_phrases dictionary, one interpretation per category
+    const seenCategories = new Set();
+    phraseMatches.forEach(match => {
+      if (seenCategories.has(match.category)) return;
+      seenCategories.add(match.category);
+
+      interpretations.push({
+        description: match.interpretation,
+        action: PHRASE_CATEGORY_ACTIONS[match.category] || 'general_implementation',
+        confidence: Math.round(match.confidence * match.similarity * 100) / 100,
+        suggestedActions: [],
+        source: 'phrase_dictionary',
+        category: match.category,
+        matchedPhrase: match.phrase
+      });
+    });
+
     // Error fixing interpretations
     if (patterns.errorFixes && patterns.errorFixes.length > 0) {
       interpretations.push({
@@ -332,13 +593,12 @@ class VagueParser {
   /**
    * Generate AI-enhanced interpretations
    */
-  async generateAIInterpretations(text, contextAnalysis, userPreferences) {
+  async generateAIInterpretations(text, contextAnalysis, userPreferences, conversation = null) {
     const systemPrompt = this.buildSystemPrompt(contextAnalysis, userPreferences);
-    const userPrompt = this.buildUserPrompt(text, contextAnalysis);
+    const userPrompt = this.buildUserPrompt(text, contextAnalysis, conversation);
 
     try {
       const response = await openaiClient.createChatCompletion({
-        model: 'gpt-4',
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
@@ -370,6 +630,7 @@ Your job is to translate lazy, unclear requests into specific, actionable progra
 Context:
 - Primary area: ${contextAnalysis.area}
 - Suggested focus: ${contextAnalysis.suggestedFocus || 'unknown'}
+- Candidate symbols: ${this.formatCandidateSymbols(contextAnalysis.candidateSymbols) || 'none'}
 - Sass level: ${sassLevel}/10 (1=polite, 10=maximum sass)
 - Verbosity: ${verbosity}
 
@@ -399,15 +660,28 @@ Format your response as JSON with this structure:
   /**
    * Build user prompt for AI interpretation
    */
-  buildUserPrompt(text, contextAnalysis) {
-    return `The user said: "${text}"
+  buildUserPrompt(text, contextAnalysis, conversation = null) {
+    let prompt = `The user said: "${text}"
 
 Context information:
 - Working area: ${contextAnalysis.area}
 - Relevant files: ${contextAnalysis.relevantFiles.map(f => f.path).join(', ')}
 - Suggested focus: ${contextAnalysis.suggestedFocus || 'none'}
+- Symbols they may mean: ${this.formatCandidateSymbols(contextAnalysis.candidateSymbols) || 'none'}`;
+
+    // Earlier turns, so "it", "that" and "the other one" can be resolved
+    const conversationText = conversationMemory.render(conversation);
+    if (conversationText) {
+      prompt += `\n\n${conversationText}\n\nResolve references like "it", "that" or "the other one" against this conversation.`;
+    }
+
+    return `${prompt}\n\nPlease interpret this vague request and provide specific, actionable interpretations with appropriate sass.`;
+  }
 
-Please interpret this vague request and provide specific, actionable interpretations with appropriate sass.`;
+  formatCandidateSymbols(symbols = []) {
+    return symbols
+      .map(symbol => `${symbol.name} (${symbol.kind}, ${symbol.file}:${symbol.line})`)
+      .join(', ');
   }
 
   /**
@@ -430,11 +704,11 @@ Please interpret this vague request and provide specific, actionable interpretat
   /**
    * Rank interpretations by relevance and confidence
    */
-  rankInterpretations(interpretations, context) {
+  rankInterpretations(interpretations, context, userFeedback = null) {
     return interpretations
       .map(interp => ({
         ...interp,
-        finalScore: this.calculateFinalScore(interp, context)
+        finalScore: this.calculateFinalScore(interp, context, userFeedback)
       }))
       .sort((a, b) => b.finalScore - a.finalScore);
   }
@@ -442,13 +716,18 @@ Please interpret this vague request and provide specific, actionable interpretat
   /**
    * Calculate final score for interpretation ranking
    */
-  calculateFinalScore(interpretation, context) {
+  calculateFinalScore(interpretation, context, userFeedback = null) {
     let score = interpretation.confidence;
     
     // Boost AI-enhanced interpretations slightly
     if (interpretation.source === 'ai_enhanced') {
       score += 0.1;
     }
+
+    // An earlier turn says what "it" means better than the words alone
+    if (interpretation.source === 'conversation') {
+      score += 0.1;
+    }
     
     // Boost interpretations that match context area
     if (context && context.area && interpretation.category === context.area) {
@@ -459,14 +738,47 @@ Please interpret this vague request and provide specific, actionable interpretat
     if (interpretation.suggestedActions && interpretation.suggestedActions.length > 3) {
       score += 0.1;
     }
+
+    // Boost or penalize based on this user's thumbs up/down and corrections
+    if (userFeedback) {
+      score += (userFeedback.actions[interpretation.action] || 0) * USER_FEEDBACK_WEIGHTS.action;
+      score += (userFeedback.categories[interpretation.category] || 0) * USER_FEEDBACK_WEIGHTS.category;
+      score += (userFeedback.phraseActions[interpretation.action] || 0) * USER_FEEDBACK_WEIGHTS.phrase;
+    }
     
-    return Math.min(1.0, score);
+    return Math.max(0, Math.min(1.0, score));
+  }
+
+  /**
+   * Combine a user's learned interpretation weights (from the learning service)
+   * with the phrase-specific weights for the vague phrases in this request
+   */
+  resolveUserFeedback(feedback, vaguePhrases = []) {
+    if (!feedback || !feedback.sampleSize) return null;
+
+    const phraseWeights = vaguePhrases
+      .map(phrase => feedback.phrases?.[phrase])
+      .filter(Boolean);
+
+    // Average each action's weight across the matched phrases
+    const phraseActions = {};
+    phraseWeights.forEach(weights => {
+      Object.entries(weights).forEach(([action, weight]) => {
+        phraseActions[action] = (phraseActions[action] || 0) + weight / phraseWeights.length;
+      });
+    });
+
+    return {
+      actions: feedback.actions || {},
+      categories: feedback.categories || {},
+      phraseActions
+    };
   }
 
   /**
    * Generate assumptions based on interpretation
    */
-  generateAssumptions(interpretation, context) {
+  generateAssumptions(interpretation, context, contextAnalysis = {}) {
     const assumptions = [];
     
     // Context-based assumptions
@@ -477,10 +789,19 @@ Please interpret this vague request and provide specific, actionable interpretat
       if (context.framework) {
         assumptions.push(`You're using ${context.framework} framework`);
       }
-      if (context.focusArea) {
+      if (context.focusArea?.directory) {
         assumptions.push(`You're currently focused on ${context.focusArea.directory}`);
       }
     }
+
+    if (interpretation.referenceAssumption) {
+      assumptions.push(interpretation.referenceAssumption);
+    }
+
+    const [symbol] = contextAnalysis.candidateSymbols || [];
+    if (symbol) {
+      assumptions.push(`You mean \`${symbol.name}\` (${symbol.kind}) in ${symbol.file}:${symbol.line}`);
+    }
     
     // Interpretation-based assumptions
     assumptions.push(`You want to ${interpretation.action.replace(/_/g, ' ')}`);
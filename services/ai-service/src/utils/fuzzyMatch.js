@@ -0,0 +1,54 @@
+// services/ai-service/src/utils/fuzzyMatch.js
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        previous[j - 1] + cost // substitution
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity between two strings in 0..1 (1 = identical)
+ */
+export const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+};
+
+/**
+ * Best similarity between `phrase` and any run of words in `text` of roughly
+ * the same length, so "make teh thing work pls" still matches "make the thing work".
+ */
+export const bestWindowSimilarity = (text, phrase) => {
+  const words = text.split(' ').filter(Boolean);
+  const phraseLength = phrase.split(' ').length;
+  let best = 0;
+
+  for (let size = Math.max(1, phraseLength - 1); size <= phraseLength + 1; size++) {
+    for (let start = 0; start + size <= words.length; start++) {
+      best = Math.max(best, similarity(words.slice(start, start + size).join(' '), phrase));
+      if (best === 1) return best;
+    }
+  }
+
+  return best;
+};
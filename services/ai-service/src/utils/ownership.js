@@ -0,0 +1,49 @@
+// services/ai-service/src/utils/ownership.js
+
+const formatDate = date => (date ? date.slice(0, 10) : 'an unknown date');
+
+const formatOwners = owners => owners
+  .slice(0, 3)
+  .map(owner => `${owner.name} (${Math.round(owner.share * 100)}%)`)
+  .join(', ');
+
+/**
+ * Render a file's ownership, and that of the module (directory) it lives in,
+ * as prompt text. Returns null when there is nothing to say.
+ */
+export const formatOwnership = (fileOwnership, moduleOwnership = null) => {
+  if (!fileOwnership) return null;
+
+  const lines = [`History of ${fileOwnership.path}:`];
+
+  const change = fileOwnership.lastMeaningfulChange;
+  if (change) {
+    lines.push(
+      `- Last reworked in commit ${change.shortHash} ("${change.message}") by ${change.author.name} on ${formatDate(change.date)}`
+    );
+  }
+
+  const lastChange = fileOwnership.lastChange;
+  if (lastChange && lastChange.hash !== change?.hash) {
+    lines.push(
+      `- Last touched in commit ${lastChange.shortHash} ("${lastChange.message}") by ${lastChange.author.name} on ${formatDate(lastChange.date)}`
+    );
+  }
+
+  if (fileOwnership.owners?.length > 0) {
+    lines.push(`- Current lines written by: ${formatOwners(fileOwnership.owners)}`);
+  }
+
+  const { days30, days90 } = fileOwnership.churn || {};
+  if (days90) {
+    lines.push(
+      `- Churn: ${days30.commits} commits / ${days30.linesChanged} lines in the last 30 days, ${days90.commits} commits / ${days90.linesChanged} lines in 90 days`
+    );
+  }
+
+  if (moduleOwnership?.owners?.length > 0) {
+    lines.push(`- The ${moduleOwnership.path} module is mostly written by: ${formatOwners(moduleOwnership.owners)}`);
+  }
+
+  return lines.length > 1 ? lines.join('\n') : null;
+};
@@ -0,0 +1,35 @@
+// services/ai-service/src/utils/sse.js
+
+/**
+ * Check whether the caller asked for a Server-Sent Events response
+ */
+export const wantsEventStream = req =>
+  (req.get('Accept') || '').includes('text/event-stream');
+
+/**
+ * Switch an Express response into an event stream
+ */
+export const openEventStream = res => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const isOpen = () => !res.writableEnded && !res.destroyed;
+
+  return {
+    send(event, data) {
+      if (!isOpen()) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (isOpen()) res.end();
+    }
+  };
+};
@@ -0,0 +1,41 @@
+// services/ai-service/src/utils/tokens.js
+
+// Word pieces, numbers and individual symbols roughly line up with how
+// BPE tokenizers split source code
+const TOKEN_PATTERN = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d{1,3}|\n|[^\s\w]/g;
+
+/**
+ * Estimate how many tokens a piece of text costs.
+ * Closer than a flat characters/4 for code, where identifiers and
+ * punctuation dominate.
+ */
+export const estimateTokens = text => {
+  if (!text) return 0;
+  const pieces = text.match(TOKEN_PATTERN)?.length || 0;
+  return Math.max(pieces, Math.ceil(text.length / 4));
+};
+
+/**
+ * Cut text to at most `maxTokens`, on a line boundary where possible
+ */
+export const truncateToTokens = (text, maxTokens, marker = '\n...') => {
+  if (estimateTokens(text) <= maxTokens) return text;
+
+  const lines = text.split('\n');
+  const kept = [];
+  let used = estimateTokens(marker);
+
+  for (const line of lines) {
+    const cost = estimateTokens(line) + 1;
+    if (used + cost > maxTokens) break;
+    kept.push(line);
+    used += cost;
+  }
+
+  // A single huge line: fall back to cutting characters
+  if (kept.length === 0) {
+    return text.substring(0, Math.max(0, (maxTokens - estimateTokens(marker)) * 4)) + marker;
+  }
+
+  return kept.join('\n') + marker;
+};
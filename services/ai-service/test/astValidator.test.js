@@ -0,0 +1,122 @@
+import astValidator from '../src/services/astValidator.js';
+
+const validate = (code, language = 'javascript') =>
+  astValidator.validate(code, language, { isValid: true, errors: [], warnings: [], suggestions: [] });
+
+describe('AST validator', () => {
+  test('reports syntax errors with their line and column', () => {
+    const validation = validate('const a = ;\n');
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors[0]).toMatch(/^Syntax error at line 1, column 11/);
+  });
+
+  describe('rules of hooks', () => {
+    test('accepts hooks at the top level of a component', () => {
+      const validation = validate(`
+        import { useState } from 'react';
+        export const Counter = () => {
+          const [count, setCount] = useState(0);
+          return <button onClick={() => setCount(count + 1)}>{count}</button>;
+        };
+      `);
+
+      expect(validation.errors).toEqual([]);
+    });
+
+    test('flags a hook called inside an if', () => {
+      const validation = validate(`
+        import { useState } from 'react';
+        export function Profile({ user }) {
+          if (user) {
+            const [name] = useState(user.name);
+          }
+          return null;
+        }
+      `);
+
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors).toEqual([expect.stringContaining('useState is called conditionally')]);
+    });
+
+    test('flags a hook behind && or a ternary', () => {
+      const validation = validate(`
+        import { useEffect, useMemo } from 'react';
+        export function Panel({ open, items }) {
+          open && useEffect(() => {}, []);
+          const sorted = open ? useMemo(() => items, [items]) : items;
+          return sorted;
+        }
+      `);
+
+      expect(validation.errors).toHaveLength(2);
+      validation.errors.forEach(error => expect(error).toMatch(/is called conditionally/));
+    });
+
+    test('flags a hook after an early return', () => {
+      const validation = validate(`
+        import { useState } from 'react';
+        export function Profile({ user }) {
+          if (!user) return null;
+          const [name] = useState(user.name);
+          return name;
+        }
+      `);
+
+      expect(validation.errors).toEqual([expect.stringContaining('useState is called after an early return')]);
+    });
+
+    test('flags a hook in a loop and in a plain function', () => {
+      const validation = validate(`
+        import { useRef } from 'react';
+        export function List({ items }) {
+          for (const item of items) useRef(item);
+          return null;
+        }
+        function helper() {
+          return useRef(null);
+        }
+      `);
+
+      expect(validation.errors).toEqual([
+        expect.stringContaining('useRef is called inside a loop'),
+        expect.stringContaining('useRef is called inside a nested function')
+      ]);
+    });
+  });
+
+  test('warns about list items without a key', () => {
+    const validation = validate(`
+      export const List = ({ items }) => <ul>{items.map(item => <li>{item}</li>)}</ul>;
+    `);
+
+    expect(validation.warnings).toEqual([expect.stringContaining('<li> rendered from .map() has no "key" prop')]);
+  });
+
+  test('warns about an Express handler that never responds', () => {
+    const validation = validate(`
+      import express from 'express';
+      const router = express.Router();
+      router.get('/users', (req, res) => {
+        res.status(200);
+      });
+      router.get('/ok', (req, res) => res.status(200).json({}));
+      export default router;
+    `);
+
+    expect(validation.warnings).toEqual([expect.stringContaining('GET /users handler never sends a response')]);
+  });
+
+  test('warns about undefined names and unused imports without failing', () => {
+    const validation = validate(`
+      import { unused } from './helpers.js';
+      export const total = items => sum(items);
+    `);
+
+    expect(validation.isValid).toBe(true);
+    expect(validation.warnings).toEqual(expect.arrayContaining([
+      expect.stringContaining("'sum' is not defined"),
+      expect.stringContaining('unused')
+    ]));
+  });
+});
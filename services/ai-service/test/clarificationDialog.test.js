@@ -0,0 +1,73 @@
+import clarificationDialog from '../src/services/clarificationDialog.js';
+
+describe('Clarification dialog', () => {
+  // "make it better" with two readings in the running
+  const parseResult = {
+    originalText: 'make it better',
+    interpretation: 'Improve the performance of the dashboard',
+    specificAction: 'optimize_performance',
+    category: 'performance',
+    confidence: 0.3,
+    alternativeInterpretations: [
+      { description: 'Restyle the login page', action: 'improve_styling', category: 'styling', confidence: 0.25 }
+    ]
+  };
+  const state = clarificationDialog.start(parseResult);
+
+  test('asks which interpretation is meant, then for details', () => {
+    expect(state.round).toBe(1);
+    expect(state.candidates.map(candidate => candidate.id)).toEqual(['c1', 'c2']);
+    expect(state.questions.map(question => question.id)).toEqual(['interpretation', 'details']);
+    expect(clarificationDialog.render(state)).toContain('1. Improve the performance of the dashboard');
+  });
+
+  test('resolves a clicked answer chip', () => {
+    const resolution = clarificationDialog.resolve(state, 'Restyle the login page', {
+      questionId: 'interpretation',
+      optionId: 'c2'
+    });
+
+    expect(resolution.status).toBe('resolved');
+    expect(resolution.candidate.action).toBe('improve_styling');
+    expect(resolution.request).toBe('make it better (Restyle the login page)');
+  });
+
+  test('resolves a typed ordinal or matching words', () => {
+    expect(clarificationDialog.resolve(state, 'the second one').candidate.id).toBe('c2');
+    expect(clarificationDialog.resolve(state, 'performance please').candidate.id).toBe('c1');
+  });
+
+  test('reads other details as refining the request', () => {
+    const resolution = clarificationDialog.resolve(state, 'the header component');
+
+    expect(resolution.status).toBe('refined');
+    expect(resolution.answers).toEqual([
+      expect.objectContaining({ questionId: 'details', candidateIds: [] })
+    ]);
+  });
+
+  test('drops the questions on never mind', () => {
+    expect(clarificationDialog.resolve(state, 'never mind')).toEqual({ status: 'cancelled' });
+  });
+
+  describe('replies that are not answers', () => {
+    const exhausted = { ...state, round: 2 };
+
+    test('treats a thanks as unrelated even once the questions are exhausted', () => {
+      expect(clarificationDialog.isExhausted(exhausted)).toBe(true);
+      expect(clarificationDialog.resolve(exhausted, 'thanks!')).toEqual({ status: 'unrelated' });
+      expect(clarificationDialog.resolve(exhausted, 'ok cool')).toEqual({ status: 'unrelated' });
+    });
+
+    test('treats a new request sharing no words with the candidates as unrelated', () => {
+      expect(clarificationDialog.resolve(exhausted, 'add a dark mode toggle to settings'))
+        .toEqual({ status: 'unrelated' });
+      expect(clarificationDialog.resolve(state, 'can you write tests for the api client'))
+        .toEqual({ status: 'unrelated' });
+    });
+
+    test('still reads a request that refers back as an answer', () => {
+      expect(clarificationDialog.resolve(state, 'add it to the navbar').status).toBe('refined');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import contextPacker from '../src/services/contextPacker.js';
+import { estimateTokens } from '../src/utils/tokens.js';
+
+// A file with declarations and long bodies, so its outline is much shorter
+const largeFile = name => [
+  `export function ${name}(input) {`,
+  ...Array.from({ length: 60 }, (_, i) => `  const value${i} = input.items[${i}] * ${i} + offset;`),
+  '  return input;',
+  '}'
+].join('\n');
+
+describe('Context packer', () => {
+  test('sizes the budget from the model window, minus completion and prompt room', () => {
+    expect(contextPacker.getBudget('gpt-4', { completionTokens: 2000, env: {} })).toBe(8192 - 2000 - 1500);
+    expect(contextPacker.getBudget('gpt-4o-2024-08-06', { env: {} })).toBe(12000);
+    expect(contextPacker.getBudget('local-model', { env: { LLM_CONTEXT_WINDOW: '4096' } })).toBe(4096 - 2000 - 1500);
+  });
+
+  test('never budgets below zero for a tiny window', () => {
+    expect(contextPacker.getBudget('tiny', { env: { LLM_CONTEXT_WINDOW: '1000' } })).toBe(0);
+  });
+
+  test('packs everything that fits, focused file first', () => {
+    const { sections, manifest } = contextPacker.pack({
+      focusArea: { primaryFocus: 'src/focus.js' },
+      relevantFiles: [
+        { path: 'src/other.js', content: 'export const other = 1;' },
+        { path: 'src/focus.js', content: 'export const focus = 2;' }
+      ]
+    }, { budget: 1000 });
+
+    expect(sections.map(section => section.kind)).toEqual(['focus', 'file']);
+    // The focused file is also a relevant file; it goes in once
+    expect(manifest.dropped).toEqual([
+      expect.objectContaining({ source: 'src/focus.js', kind: 'file', reason: 'duplicate' })
+    ]);
+    expect(manifest.usedTokens).toBeLessThanOrEqual(1000);
+  });
+
+  test('reduces snippets that overflow the budget to an outline, then drops them', () => {
+    const files = ['first', 'second', 'third'].map(name => ({
+      path: `src/${name}.js`,
+      content: largeFile(name)
+    }));
+    const fullCost = estimateTokens(files[0].content);
+    const outlineCost = estimateTokens(contextPacker.summarize({ kind: 'file', content: files[1].content }));
+    const budget = fullCost + outlineCost;
+
+    const { manifest } = contextPacker.pack({ relevantFiles: files }, { budget });
+
+    expect(manifest.usedTokens).toBe(budget);
+    expect(manifest.included.map(entry => [entry.source, entry.mode])).toEqual([
+      ['src/first.js', 'full'],
+      ['src/second.js', 'summary']
+    ]);
+    expect(manifest.dropped).toEqual([
+      expect.objectContaining({ source: 'src/third.js', reason: 'budget' })
+    ]);
+  });
+
+  test('drops everything when the budget is zero', () => {
+    const { text, manifest } = contextPacker.pack({
+      relevantFiles: [{ path: 'src/a.js', content: largeFile('a') }]
+    }, { budget: 0 });
+
+    expect(text).toBe('');
+    expect(manifest.usedTokens).toBe(0);
+    expect(manifest.dropped).toEqual([expect.objectContaining({ reason: 'budget' })]);
+  });
+
+  test('skips a search hit already covered by the included focused file', () => {
+    const content = largeFile('covered');
+    const { manifest } = contextPacker.pack({
+      focusArea: { primaryFocus: 'src/covered.js' },
+      relevantFiles: [{ path: 'src/covered.js', content }]
+    }, {
+      budget: 5000,
+      codeChunks: [{ file: 'src/covered.js', startLine: 1, endLine: 10, symbol: 'covered', content: 'export function covered(input) {' }]
+    });
+
+    expect(manifest.included.map(entry => entry.id)).toEqual(['focus:src/covered.js']);
+    expect(manifest.dropped).toEqual(expect.arrayContaining([
+      expect.objectContaining({ source: 'src/covered.js:1-10', reason: 'duplicate' })
+    ]));
+  });
+});
@@ -0,0 +1,85 @@
+import conversationMemory from '../src/services/conversationMemory.js';
+import vagueParse from '../src/services/vagueParse.js';
+
+describe('Conversation memory', () => {
+  // A session whose last reply generated a login form
+  const conversation = {
+    summary: null,
+    summarizedThrough: null,
+    turns: [
+      { role: 'user', content: 'make a login thing' },
+      { role: 'assistant', content: 'Here is your login form.' }
+    ],
+    lastCode: {
+      language: 'javascript',
+      code: 'export const LoginForm = () => <form />;'
+    },
+    previousReply: {
+      content: 'Here is your login form.',
+      interpretation: 'Create a login form',
+      action: 'create_component',
+      category: 'ui_component',
+      alternatives: [{ description: 'Add a login API route', action: 'create_api_endpoint', category: 'api' }]
+    },
+    previousRequest: 'make a login thing'
+  };
+
+  describe('resolveReferences', () => {
+    test('reads a message starting with a follow-up marker as a follow-up', () => {
+      const reference = conversationMemory.resolveReferences('now add tests for it', conversation);
+
+      expect(reference.kind).toBe('follow_up');
+      expect(reference.followUp.action).toBe('write_tests');
+      expect(reference.lastCode).toBe(conversation.lastCode);
+    });
+
+    test('reads a pronoun pointing at the previous answer as a follow-up', () => {
+      expect(conversationMemory.resolveReferences('make it async', conversation).kind).toBe('follow_up');
+      expect(conversationMemory.resolveReferences("this doesn't work", conversation).kind).toBe('follow_up');
+      expect(conversationMemory.resolveReferences('add error handling to that', conversation).kind).toBe('follow_up');
+    });
+
+    test('leaves a new request with a subject of its own alone', () => {
+      expect(
+        conversationMemory.resolveReferences('fix the checkout bug that crashes on submit', conversation).kind
+      ).toBeNull();
+      expect(
+        conversationMemory.resolveReferences('write a function that parses dates', conversation).kind
+      ).toBeNull();
+      expect(conversationMemory.resolveReferences('fix that checkout bug', conversation).kind).toBeNull();
+    });
+
+    test('picks the runner-up interpretation for "the other one"', () => {
+      const reference = conversationMemory.resolveReferences('no, the other one', conversation);
+
+      expect(reference.kind).toBe('alternative');
+      expect(reference.alternative.action).toBe('create_api_endpoint');
+    });
+
+    test('finds no reference without a previous reply', () => {
+      expect(conversationMemory.resolveReferences('now add tests for it', null).kind).toBeNull();
+    });
+  });
+
+  describe('parseVagueRequest with a conversation', () => {
+    test('does not turn an unrelated request into a revision of the previous code', async () => {
+      const result = await vagueParse.parseVagueRequest(
+        'fix the checkout bug that crashes on submit',
+        null,
+        null,
+        conversation
+      );
+
+      expect(result.revisesCode).toBe(false);
+      expect(result.interpretation).not.toMatch(/previously generated code/);
+    });
+
+    test('revises the previous code for a follow-up', async () => {
+      const result = await vagueParse.parseVagueRequest('now add tests for it', null, null, conversation);
+
+      expect(result.revisesCode).toBe(true);
+      expect(result.specificAction).toBe('write_tests');
+      expect(result.interpretation).toMatch(/Create a login form/);
+    });
+  });
+});
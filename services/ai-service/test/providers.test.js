@@ -0,0 +1,21 @@
+import { createProvider } from '../src/services/providers/index.js';
+
+describe('LLM provider selection', () => {
+  test('uses OpenAI when a key is set', () => {
+    expect(createProvider({ OPENAI_API_KEY: 'sk-test', NODE_ENV: 'production' }).name).toBe('openai');
+  });
+
+  test('falls back to the mock only in development and test', () => {
+    expect(createProvider({ NODE_ENV: 'development' }).name).toBe('mock');
+    expect(createProvider({ NODE_ENV: 'test' }).name).toBe('mock');
+  });
+
+  test('refuses to start without a provider anywhere else', () => {
+    expect(() => createProvider({ NODE_ENV: 'production' })).toThrow(/No LLM provider configured/);
+    expect(() => createProvider({})).toThrow(/No LLM provider configured/);
+  });
+
+  test('uses the mock anywhere when asked for explicitly', () => {
+    expect(createProvider({ LLM_PROVIDER: 'mock', NODE_ENV: 'production' }).name).toBe('mock');
+  });
+});
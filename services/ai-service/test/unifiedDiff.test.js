@@ -0,0 +1,116 @@
+import {
+  applyHunks,
+  diffContents,
+  formatUnifiedDiff,
+  parseHunks,
+  parseUnifiedDiff
+} from '@lpa/shared';
+
+describe('Unified diff', () => {
+  const original = ['one', 'two', 'three', 'four', 'five'].join('\n') + '\n';
+
+  describe('parseUnifiedDiff', () => {
+    test('splits a multi-file diff into files with their operations', () => {
+      const files = parseUnifiedDiff([
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -1,2 +1,2 @@',
+        ' one',
+        '-two',
+        '+TWO',
+        '--- /dev/null',
+        '+++ b/src/new.js',
+        '@@ -0,0 +1 @@',
+        '+hello',
+        '--- a/src/old.js',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-bye'
+      ].join('\n'));
+
+      expect(files.map(({ path, operation }) => [path, operation])).toEqual([
+        ['src/a.js', 'modify'],
+        ['src/new.js', 'create'],
+        ['src/old.js', 'delete']
+      ]);
+    });
+
+    test('recomputes hunk line counts from the body', () => {
+      const [hunk] = parseHunks('@@ -1,9 +1,9 @@\n one\n-two\n+TWO\n+2b\n three');
+
+      expect(hunk.oldLines).toBe(3);
+      expect(hunk.newLines).toBe(4);
+      expect(hunk.header).toBe('@@ -1,3 +1,4 @@');
+    });
+
+    test('reads a lone "---" line inside a hunk as a removed line', () => {
+      const [hunk] = parseHunks('@@ -1,2 +1,1 @@\n--- a comment\n keep');
+
+      expect(hunk.lines).toEqual(['--- a comment', ' keep']);
+    });
+  });
+
+  describe('applyHunks', () => {
+    test('applies a hunk at its stated position cleanly', () => {
+      const hunks = parseHunks('@@ -2,2 +2,2 @@\n two\n-three\n+THREE');
+      const { content, results } = applyHunks(original, hunks);
+
+      expect(content).toBe('one\ntwo\nTHREE\nfour\nfive\n');
+      expect(results).toEqual([{ status: 'clean', offset: 0 }]);
+    });
+
+    test('finds a hunk whose line numbers are off and reports the offset', () => {
+      const hunks = parseHunks('@@ -1,2 +1,2 @@\n three\n-four\n+FOUR');
+      const { content, results } = applyHunks(original, hunks);
+
+      expect(content).toBe('one\ntwo\nthree\nFOUR\nfive\n');
+      expect(results).toEqual([{ status: 'offset', offset: 2 }]);
+    });
+
+    test('tolerates whitespace-only differences but keeps the file\'s context lines', () => {
+      const hunks = parseHunks('@@ -1,2 +1,2 @@\n   one\n-two\n+TWO');
+      const { content, results } = applyHunks(original, hunks);
+
+      expect(content).toBe('one\nTWO\nthree\nfour\nfive\n');
+      expect(results[0].status).toBe('offset');
+    });
+
+    test('reports a hunk whose lines are not in the file as a conflict and applies the rest', () => {
+      const hunks = parseHunks([
+        '@@ -1,2 +1,2 @@',
+        ' one',
+        '-two',
+        '+TWO',
+        '@@ -4,1 +4,1 @@',
+        '-not in the file',
+        '+anything'
+      ].join('\n'));
+      const { content, results } = applyHunks(original, hunks);
+
+      expect(content).toBe('one\nTWO\nthree\nfour\nfive\n');
+      expect(results.map(result => result.status)).toEqual(['clean', 'conflict']);
+      expect(results[1].offset).toBeNull();
+    });
+
+    test('keeps a file without a trailing newline that way', () => {
+      const hunks = parseHunks('@@ -1 +1 @@\n-a\n+b');
+
+      expect(applyHunks('a', hunks).content).toBe('b');
+    });
+  });
+
+  describe('diffContents', () => {
+    test('round-trips through formatUnifiedDiff and applyHunks', () => {
+      const updated = 'one\ntwo\n2.5\nthree\nfour\nFIVE\n';
+      const hunks = diffContents(original, updated);
+      const reparsed = parseUnifiedDiff(formatUnifiedDiff('a.js', hunks));
+
+      expect(reparsed[0].path).toBe('a.js');
+      expect(applyHunks(original, reparsed[0].hunks).content).toBe(updated);
+    });
+
+    test('returns no hunks for identical contents', () => {
+      expect(diffContents(original, original)).toEqual([]);
+    });
+  });
+});
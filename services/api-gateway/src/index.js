@@ -3,13 +3,14 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { createProxyMiddleware } from 'http-proxy-middleware';
+import { createProxyMiddleware, fixRequestBody } from 'http-proxy-middleware';
 import winston from 'winston';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import chatRoutes from './routes/chat.js';
 import projectRoutes from './routes/projects.js';
+import userRoutes from './routes/user.js';
 
 // Import middleware
 import authMiddleware from './middleware/auth.js';
@@ -82,6 +83,7 @@ app.use('/api/auth', authRoutes);
 // Protected routes
 app.use('/api/chat', authMiddleware, chatRoutes);
 app.use('/api/projects', authMiddleware, projectRoutes);
+app.use('/api/user', authMiddleware, userRoutes);
 
 // Service proxies (protected)
 const serviceProxyConfig = {
@@ -124,6 +126,13 @@ Object.entries(serviceProxyConfig).forEach(([path, config]) => {
           proxyReq.setHeader('X-User-ID', req.user.id);
           proxyReq.setHeader('X-User-Email', req.user.email || '');
         }
+
+        // Lets services tell browser requests from the gateway's own calls;
+        // overwrites anything the client sent
+        proxyReq.setHeader('X-Proxied-Request', 'true');
+
+        // express.json() above has already read the body; send it on
+        fixRequestBody(proxyReq, req);
       }
     })
   );
@@ -2,6 +2,18 @@ import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { createClient } from '@supabase/supabase-js';
 import axios from 'axios';
+import {
+  wantsEventStream,
+  openEventStream,
+  readEventStream
+} from '../utils/sse.js';
+import {
+  DEFAULT_AI_PERSONALITY,
+  EXPLANATION_STYLES,
+  getAiPersonality,
+  pickSessionSettings,
+  buildUserPreferences
+} from '../utils/preferences.js';
 
 const router = express.Router();
 
@@ -23,6 +35,298 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Per-session overrides; null clears an override on PATCH
+const validateSessionSettings = [
+  body('settings').optional().isObject(),
+  body('settings.sassLevel')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 10 })
+    .toInt(),
+  body('settings.explanationStyle')
+    .optional({ nullable: true })
+    .isIn(EXPLANATION_STYLES),
+  body('settings.language')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 }),
+  body('settings.framework')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 }),
+  body('settings.temperature')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 2 })
+    .toFloat(),
+  body('settings.neverGenerateCode')
+    .optional({ nullable: true })
+    .isBoolean()
+    .toBoolean(),
+  body('settings.agentMode')
+    .optional({ nullable: true })
+    .isBoolean()
+    .toBoolean()
+];
+
+const AI_SERVICE_URL = `http://localhost:${process.env.AI_SERVICE_PORT || 3003}`;
+const LEARNING_SERVICE_URL = `http://localhost:${process.env
+  .LEARNING_SERVICE_PORT || 3004}`;
+const FILE_SERVICE_URL = `http://localhost:${process.env.FILE_SERVICE_PORT || 3005}`;
+
+// Record a learning event. Failures are logged and never block the chat flow.
+const recordLearningEvent = async (userId, sessionId, eventType, eventData) => {
+  try {
+    await axios.post(
+      `${LEARNING_SERVICE_URL}/learn`,
+      { sessionId, eventType, eventData },
+      {
+        headers: {
+          'X-User-ID': userId,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+  } catch (error) {
+    console.error(`Error recording ${eventType} event:`, error.message);
+  }
+};
+
+// Record what was asked and how it was interpreted. The learnable phrase is
+// recorded here, against the reply, so phrase learning from feedback on that
+// reply never depends on what the browser sends.
+const recordMessageSent = (userId, sessionId, userMessage, aiResult, assistantMessage) =>
+  recordLearningEvent(userId, sessionId, 'message_sent', {
+    messageId: userMessage.id,
+    replyId: assistantMessage?.id || null,
+    phrase: aiResult.learnablePhrase || null,
+    interpretation: aiResult.interpretation || null,
+    category: aiResult.category || null,
+    action: aiResult.specificAction || null,
+    language: aiResult.generatedCode?.language || null,
+    vaguePhrases: aiResult.vaguePhrases || [],
+    confidence: aiResult.confidence || null,
+    sassLevel: aiResult.sassLevel ?? null,
+    codeGenerated: aiResult.codeGenerated || false
+  });
+
+// Load a message of one of the user's sessions, with the session's project
+const findSessionMessage = async (sessionId, messageId, userId) => {
+  const { data: session, error: sessionError } = await supabase
+    .from('chat_sessions')
+    .select('id, project_id')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .single();
+
+  if (sessionError || !session) return { session: null, message: null };
+
+  const { data: message } = await supabase
+    .from('messages')
+    .select('id, metadata')
+    .eq('id', messageId)
+    .eq('session_id', sessionId)
+    .single();
+
+  return { session, message: message || null };
+};
+
+// Messages looked at for the conversation sent along with a new message
+const HISTORY_WINDOW = 40;
+
+// Metadata of earlier turns the ai-service uses to resolve references
+const pickTurnMetadata = (metadata = {}) => ({
+  interpretation: metadata.interpretation || null,
+  action: metadata.action || null,
+  category: metadata.category || null,
+  alternatives: metadata.alternatives || [],
+  language: metadata.language || null
+});
+
+// The session's recent conversation, before the new message is saved:
+// `previousReply` (the last assistant message), `memory` (the running
+// summary stored with the newest reply that has one) and `history`, the
+// messages that summary doesn't cover yet, oldest first
+const loadConversation = async sessionId => {
+  const { data: messages } = await supabase
+    .from('messages')
+    .select('id, role, content, metadata, created_at')
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: false })
+    .limit(HISTORY_WINDOW);
+
+  const recent = messages || [];
+  const previousReply = recent.find(message => message.role === 'assistant') || null;
+  const memory =
+    recent.find(message => message.role === 'assistant' && message.metadata?.memory)
+      ?.metadata.memory || null;
+
+  const summarizedIndex = memory?.summarizedThrough
+    ? recent.findIndex(message => message.id === memory.summarizedThrough)
+    : -1;
+
+  const history = (summarizedIndex === -1 ? recent : recent.slice(0, summarizedIndex))
+    // Failed replies are apologies, not answers anything could refer to
+    .filter(message => !message.metadata?.error)
+    .reverse()
+    .map(({ id, role, content, metadata }) => ({
+      id,
+      role,
+      content,
+      metadata: role === 'assistant' ? pickTurnMetadata(metadata || {}) : {}
+    }));
+
+  return { previousReply, memory, history };
+};
+
+// Persist the assistant reply produced by ai-service /process
+const saveAssistantMessage = async (session, aiResult, projectContext) => {
+  const { data: assistantMessage, error } = await supabase
+    .from('messages')
+    .insert({
+      session_id: session.id,
+      role: 'assistant',
+      content: aiResult.response,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        assumptions: aiResult.assumptions || [],
+        codeGenerated: aiResult.codeGenerated || false,
+        confidence: aiResult.confidence || null,
+        interpretation: aiResult.interpretation || null,
+        phrase: aiResult.learnablePhrase || null,
+        category: aiResult.category || null,
+        action: aiResult.specificAction || null,
+        language: aiResult.generatedCode?.language || null,
+        sassLevel: aiResult.sassLevel ?? null,
+        vaguePhrases: aiResult.vaguePhrases || [],
+        alternatives: (aiResult.alternativeInterpretations || []).map(
+          ({ description, action, category }) => ({
+            description,
+            action,
+            category
+          })
+        ),
+        needsMoreInfo: aiResult.needsMoreInfo || false,
+        clarifyingQuestions: aiResult.needsMoreInfo
+          ? aiResult.clarifyingQuestions || []
+          : [],
+        context: projectContext ? { projectId: session.project_id } : null,
+        // What the model was shown: included and dropped context snippets
+        contextManifest: aiResult.generatedCode?.contextManifest || null,
+        // Multi-file answers: per-file hunks the user accepts or rejects
+        changeSet: aiResult.generatedCode?.changeSet || null,
+        // Agent mode: the tool calls made to read the project
+        agentTrace: aiResult.generatedCode?.agentTrace || null,
+        // Validation of each generation attempt and which one was kept
+        repair: aiResult.generatedCode?.repair || null,
+        // Running conversation summary and latest code, sent with the next message
+        memory: aiResult.memory || null,
+        // Questions this reply asked, answered with the chips in the UI
+        clarification: aiResult.clarification || null
+      }
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // Update session updated_at; the reply either asks new questions or
+  // settles the ones pending
+  await supabase
+    .from('chat_sessions')
+    .update({
+      updated_at: new Date().toISOString(),
+      clarification: aiResult.clarification || null
+    })
+    .eq('id', session.id);
+
+  return assistantMessage;
+};
+
+// Persist the fallback reply shown when AI processing fails
+const saveErrorMessage = async sessionId => {
+  const { data: errorMessage } = await supabase
+    .from('messages')
+    .insert({
+      session_id: sessionId,
+      role: 'assistant',
+      content:
+        "Sorry, I'm having trouble processing your request right now. Please try again in a moment.",
+      metadata: {
+        timestamp: new Date().toISOString(),
+        error: true
+      }
+    })
+    .select()
+    .single();
+
+  return errorMessage;
+};
+
+// Relay ai-service /process events to the client, then persist the final reply
+const streamAssistantResponse = async (
+  req,
+  res,
+  { session, userMessage, projectContext, aiRequest }
+) => {
+  const stream = openEventStream(res);
+  stream.send('message', { userMessage });
+
+  try {
+    const aiResponse = await axios.post(
+      `${AI_SERVICE_URL}/process`,
+      aiRequest,
+      {
+        headers: {
+          'X-User-ID': req.user.id,
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream'
+        },
+        responseType: 'stream'
+      }
+    );
+
+    let aiResult = null;
+    let aiFailure = null;
+
+    await readEventStream(aiResponse.data, (event, data) => {
+      if (event === 'done') {
+        aiResult = data;
+      } else if (event === 'error') {
+        aiFailure = data;
+      } else {
+        stream.send(event, data);
+      }
+    });
+
+    if (!aiResult) {
+      throw new Error(
+        aiFailure?.error || 'AI service stream ended without a result'
+      );
+    }
+
+    const assistantMessage = await saveAssistantMessage(
+      session,
+      aiResult,
+      projectContext
+    );
+    recordMessageSent(req.user.id, session.id, userMessage, aiResult, assistantMessage);
+
+    stream.send('done', { userMessage, assistantMessage });
+  } catch (aiError) {
+    console.error('AI service stream error:', aiError.message);
+
+    const errorMessage = await saveErrorMessage(session.id);
+    stream.send('error', {
+      error: 'Message saved, but AI processing failed',
+      userMessage,
+      assistantMessage: errorMessage
+    });
+  } finally {
+    stream.close();
+  }
+};
+
 // Get all chat sessions for user
 router.get(
   '/sessions',
@@ -69,10 +373,11 @@ router.post(
   '/sessions',
   body('title').optional().isString().trim().isLength({ max: 200 }),
   body('projectId').optional().isUUID(),
+  validateSessionSettings,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { title, projectId } = req.body;
+      const { title, projectId, settings } = req.body;
 
       // Verify project belongs to user if projectId provided
       if (projectId) {
@@ -96,7 +401,8 @@ router.post(
         .insert({
           user_id: req.user.id,
           title: title || 'New Chat',
-          project_id: projectId || null
+          project_id: projectId || null,
+          settings: pickSessionSettings(settings)
         })
         .select()
         .single();
@@ -118,6 +424,66 @@ router.post(
   }
 );
 
+// Update chat session title and settings overrides
+router.patch(
+  '/sessions/:sessionId',
+  param('sessionId').isUUID(),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  validateSessionSettings,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const { title, settings } = req.body;
+
+      // Verify session belongs to user
+      const { data: session, error: sessionError } = await supabase
+        .from('chat_sessions')
+        .select('id, settings')
+        .eq('id', sessionId)
+        .eq('user_id', req.user.id)
+        .single();
+
+      if (sessionError || !session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chat session not found'
+        });
+      }
+
+      const updates = { updated_at: new Date().toISOString() };
+      if (title !== undefined) updates.title = title;
+      if (settings !== undefined) {
+        updates.settings = pickSessionSettings({
+          ...session.settings,
+          ...settings
+        });
+      }
+
+      const { data: updatedSession, error } = await supabase
+        .from('chat_sessions')
+        .update(updates)
+        .eq('id', sessionId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        data: updatedSession,
+        message: 'Chat session updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating chat session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update chat session'
+      });
+    }
+  }
+);
+
 // Get messages for a chat session
 router.get(
   '/sessions/:sessionId/messages',
@@ -181,11 +547,15 @@ router.post(
   '/sessions/:sessionId/messages',
   param('sessionId').isUUID(),
   body('content').isString().trim().isLength({ min: 1, max: 10000 }),
+  // A clicked answer chip of the pending clarification
+  body('answer').optional({ nullable: true }).isObject(),
+  body('answer.questionId').optional().isString().isLength({ max: 50 }),
+  body('answer.optionId').optional().isString().isLength({ max: 50 }),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const { content } = req.body;
+      const { content, answer = null } = req.body;
 
       // Verify session belongs to user
       const { data: session, error: sessionError } = await supabase
@@ -202,6 +572,12 @@ router.post(
         });
       }
 
+      // Earlier turns, loaded before this message is saved; the last reply
+      // also tells whether this message answers its questions
+      const { previousReply, memory, history } = await loadConversation(
+        sessionId
+      );
+
       // Save user message
       const { data: userMessage, error: messageError } = await supabase
         .from('messages')
@@ -218,6 +594,21 @@ router.post(
 
       if (messageError) throw messageError;
 
+      if (previousReply?.metadata?.needsMoreInfo) {
+        recordLearningEvent(
+          req.user.id,
+          sessionId,
+          'clarifying_question_answered',
+          {
+            messageId: previousReply.id,
+            answerMessageId: userMessage.id,
+            category: previousReply.metadata.category || null,
+            questions: previousReply.metadata.clarifyingQuestions || [],
+            answer
+          }
+        );
+      }
+
       // Get project context if available
       let projectContext = null;
       if (session.project_id) {
@@ -233,7 +624,7 @@ router.post(
               }
             }
           );
-          projectContext = contextResponse.data.data;
+          projectContext = contextResponse.data.data.context;
         } catch (contextError) {
           console.error(
             'Error fetching project context:',
@@ -242,16 +633,46 @@ router.post(
         }
       }
 
+      // Apply the user's stored personality; fall back to defaults if unavailable
+      let aiPersonality = DEFAULT_AI_PERSONALITY;
+      try {
+        aiPersonality = await getAiPersonality(req.user.id);
+      } catch (preferencesError) {
+        console.error(
+          'Error fetching user preferences:',
+          preferencesError.message
+        );
+      }
+
+      const aiRequest = {
+        message: content,
+        context: projectContext,
+        sessionId: sessionId,
+        userId: req.user.id,
+        history,
+        memory,
+        // Questions the session is waiting on, answered by this message
+        clarification: session.clarification || null,
+        answer,
+        // Session overrides win over the user's own preferences
+        userPreferences: buildUserPreferences(aiPersonality, session.settings)
+      };
+
+      // Stream the reply as Server-Sent Events when the client asks for it
+      if (wantsEventStream(req)) {
+        return streamAssistantResponse(req, res, {
+          session,
+          userMessage,
+          projectContext,
+          aiRequest
+        });
+      }
+
       // Process message with AI service
       try {
         const aiResponse = await axios.post(
-          `http://localhost:${process.env.AI_SERVICE_PORT || 3003}/process`,
-          {
-            message: content,
-            context: projectContext,
-            sessionId: sessionId,
-            userId: req.user.id
-          },
+          `${AI_SERVICE_URL}/process`,
+          aiRequest,
           {
             headers: {
               'X-User-ID': req.user.id,
@@ -260,33 +681,18 @@ router.post(
           }
         );
 
-        const aiResult = aiResponse.data.data;
-
-        // Save AI response
-        const { data: assistantMessage, error: aiMessageError } = await supabase
-          .from('messages')
-          .insert({
-            session_id: sessionId,
-            role: 'assistant',
-            content: aiResult.response,
-            metadata: {
-              timestamp: new Date().toISOString(),
-              assumptions: aiResult.assumptions || [],
-              codeGenerated: aiResult.codeGenerated || false,
-              confidence: aiResult.confidence || null,
-              context: projectContext ? { projectId: session.project_id } : null
-            }
-          })
-          .select()
-          .single();
-
-        if (aiMessageError) throw aiMessageError;
-
-        // Update session updated_at
-        await supabase
-          .from('chat_sessions')
-          .update({ updated_at: new Date().toISOString() })
-          .eq('id', sessionId);
+        const assistantMessage = await saveAssistantMessage(
+          session,
+          aiResponse.data.data,
+          projectContext
+        );
+        recordMessageSent(
+          req.user.id,
+          sessionId,
+          userMessage,
+          aiResponse.data.data,
+          assistantMessage
+        );
 
         res.json({
           success: true,
@@ -300,20 +706,7 @@ router.post(
         console.error('AI service error:', aiError.message);
 
         // Save error response
-        const { data: errorMessage } = await supabase
-          .from('messages')
-          .insert({
-            session_id: sessionId,
-            role: 'assistant',
-            content:
-              "Sorry, I'm having trouble processing your request right now. Please try again in a moment.",
-            metadata: {
-              timestamp: new Date().toISOString(),
-              error: true
-            }
-          })
-          .select()
-          .single();
+        const errorMessage = await saveErrorMessage(sessionId);
 
         res.json({
           success: true,
@@ -334,6 +727,256 @@ router.post(
   }
 );
 
+// Record accept/reject decisions on the hunks of a message's change set
+router.patch(
+  '/sessions/:sessionId/messages/:messageId/changes',
+  param('sessionId').isUUID(),
+  param('messageId').isUUID(),
+  body('decisions').isObject(),
+  body('decisions.*').isIn(['pending', 'accepted', 'rejected']),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId, messageId } = req.params;
+      const { decisions } = req.body;
+
+      const { session, message } = await findSessionMessage(
+        sessionId,
+        messageId,
+        req.user.id
+      );
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chat session not found'
+        });
+      }
+
+      const changeSet = message?.metadata?.changeSet;
+      if (!changeSet) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message has no change set'
+        });
+      }
+
+      const hunkIds = new Set(
+        changeSet.files.flatMap(file => file.hunks.map(hunk => hunk.id))
+      );
+      const unknown = Object.keys(decisions).filter(id => !hunkIds.has(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown hunks: ${unknown.join(', ')}`
+        });
+      }
+
+      const updatedChangeSet = {
+        ...changeSet,
+        files: changeSet.files.map(file => ({
+          ...file,
+          hunks: file.hunks.map(hunk => ({
+            ...hunk,
+            decision: decisions[hunk.id] ?? hunk.decision
+          }))
+        }))
+      };
+
+      const { data: updatedMessage, error } = await supabase
+        .from('messages')
+        .update({
+          metadata: { ...message.metadata, changeSet: updatedChangeSet }
+        })
+        .eq('id', messageId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        data: updatedMessage,
+        message: 'Change decisions saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving change decisions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save change decisions'
+      });
+    }
+  }
+);
+
+// Apply a message's change set (or a diff from it) to the session's project
+router.post(
+  '/sessions/:sessionId/messages/:messageId/apply',
+  param('sessionId').isUUID(),
+  param('messageId').isUUID(),
+  body('diff').optional().isString().isLength({ min: 1, max: 500000 }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId, messageId } = req.params;
+      const { diff } = req.body;
+
+      const { session, message } = await findSessionMessage(
+        sessionId,
+        messageId,
+        req.user.id
+      );
+
+      if (!session || !message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+
+      if (!session.project_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Chat session has no project to apply changes to'
+        });
+      }
+
+      const changeSet = message.metadata?.changeSet;
+      if (!changeSet && !diff) {
+        return res.status(400).json({
+          success: false,
+          error: 'Message has no changes to apply'
+        });
+      }
+
+      const patch = message.metadata?.patch;
+      if (patch && !patch.revertedAt) {
+        return res.status(409).json({
+          success: false,
+          error: 'Changes from this message are already applied'
+        });
+      }
+
+      let snapshot;
+      try {
+        const applyResponse = await axios.post(
+          `${FILE_SERVICE_URL}/projects/${session.project_id}/apply`,
+          changeSet ? { changeSet, messageId } : { diff, messageId },
+          { headers: { 'X-User-ID': req.user.id }, timeout: 30000 }
+        );
+        snapshot = applyResponse.data.data;
+      } catch (error) {
+        // Conflicts and missing project paths are passed through as-is
+        if (error.response && error.response.status < 500) {
+          return res.status(error.response.status).json(error.response.data);
+        }
+        throw error;
+      }
+
+      const { data: updatedMessage, error } = await supabase
+        .from('messages')
+        .update({
+          metadata: {
+            ...message.metadata,
+            patch: {
+              snapshotId: snapshot.id,
+              appliedAt: snapshot.createdAt,
+              files: snapshot.files,
+              revertedAt: null
+            }
+          }
+        })
+        .eq('id', messageId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        data: updatedMessage,
+        message: 'Changes applied successfully'
+      });
+    } catch (error) {
+      console.error('Error applying changes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to apply changes'
+      });
+    }
+  }
+);
+
+// Undo the changes a message applied
+router.post(
+  '/sessions/:sessionId/messages/:messageId/revert',
+  param('sessionId').isUUID(),
+  param('messageId').isUUID(),
+  body('force').optional().isBoolean().toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId, messageId } = req.params;
+      const { force = false } = req.body;
+
+      const { session, message } = await findSessionMessage(
+        sessionId,
+        messageId,
+        req.user.id
+      );
+
+      const patch = message?.metadata?.patch;
+      if (!session || !patch || patch.revertedAt) {
+        return res.status(404).json({
+          success: false,
+          error: 'No applied changes to revert'
+        });
+      }
+
+      let reverted;
+      try {
+        const revertResponse = await axios.post(
+          `${FILE_SERVICE_URL}/projects/${session.project_id}/snapshots/${patch.snapshotId}/revert`,
+          { force },
+          { headers: { 'X-User-ID': req.user.id }, timeout: 30000 }
+        );
+        reverted = revertResponse.data.data;
+      } catch (error) {
+        if (error.response && error.response.status < 500) {
+          return res.status(error.response.status).json(error.response.data);
+        }
+        throw error;
+      }
+
+      const { data: updatedMessage, error } = await supabase
+        .from('messages')
+        .update({
+          metadata: {
+            ...message.metadata,
+            patch: { ...patch, revertedAt: reverted.revertedAt }
+          }
+        })
+        .eq('id', messageId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        data: updatedMessage,
+        message: 'Changes reverted successfully'
+      });
+    } catch (error) {
+      console.error('Error reverting changes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revert changes'
+      });
+    }
+  }
+);
+
 // Delete chat session
 router.delete(
   '/sessions/:sessionId',
@@ -0,0 +1,86 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import {
+  VERBOSITY_LEVELS,
+  EXPLANATION_STYLES,
+  getAiPersonality,
+  updateAiPersonality
+} from '../utils/preferences.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Get user preferences
+router.get('/preferences', async (req, res) => {
+  try {
+    const aiPersonality = await getAiPersonality(req.user.id);
+
+    res.json({
+      success: true,
+      data: { aiPersonality }
+    });
+  } catch (error) {
+    console.error('Error fetching user preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user preferences'
+    });
+  }
+});
+
+// Update user preferences
+router.put(
+  '/preferences',
+  body('aiPersonality').isObject(),
+  body('aiPersonality.sassLevel')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt(),
+  body('aiPersonality.verbosity')
+    .optional()
+    .isIn(VERBOSITY_LEVELS),
+  body('aiPersonality.explanationStyle')
+    .optional()
+    .isIn(EXPLANATION_STYLES),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sassLevel, verbosity, explanationStyle } = req.body.aiPersonality;
+
+      // Only keep known fields that were actually sent
+      const changes = Object.fromEntries(
+        Object.entries({ sassLevel, verbosity, explanationStyle }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+
+      const aiPersonality = await updateAiPersonality(req.user.id, changes);
+
+      res.json({
+        success: true,
+        data: { aiPersonality },
+        message: 'Preferences updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating user preferences:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update user preferences'
+      });
+    }
+  }
+);
+
+export default router;
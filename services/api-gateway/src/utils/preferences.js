@@ -0,0 +1,97 @@
+// services/api-gateway/src/utils/preferences.js
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const AI_PERSONALITY_TYPE = 'ai_personality';
+
+export const VERBOSITY_LEVELS = ['brief', 'detailed', 'verbose'];
+export const EXPLANATION_STYLES = ['technical', 'casual', 'educational'];
+
+// Matches the defaults seeded by create_default_user_preferences()
+export const DEFAULT_AI_PERSONALITY = {
+  sassLevel: 5,
+  verbosity: 'detailed',
+  explanationStyle: 'casual'
+};
+
+/**
+ * Load a user's AI personality preferences, filled in with defaults
+ */
+export const getAiPersonality = async userId => {
+  const { data, error } = await supabase
+    .from('user_preferences')
+    .select('preference_data')
+    .eq('user_id', userId)
+    .eq('preference_type', AI_PERSONALITY_TYPE)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return { ...DEFAULT_AI_PERSONALITY, ...data?.preference_data };
+};
+
+/**
+ * Merge changes into a user's AI personality preferences and save them
+ */
+export const updateAiPersonality = async (userId, changes) => {
+  const current = await getAiPersonality(userId);
+  const aiPersonality = { ...current, ...changes };
+
+  const { error } = await supabase.from('user_preferences').upsert(
+    {
+      user_id: userId,
+      preference_type: AI_PERSONALITY_TYPE,
+      preference_data: aiPersonality
+    },
+    { onConflict: 'user_id,preference_type' }
+  );
+
+  if (error) throw error;
+
+  return aiPersonality;
+};
+
+// Per-session overrides stored in chat_sessions.settings
+export const SESSION_SETTING_KEYS = [
+  'sassLevel',
+  'explanationStyle',
+  'language',
+  'framework',
+  'temperature',
+  'neverGenerateCode',
+  'agentMode'
+];
+
+/**
+ * Keep only known session settings that have a value
+ */
+export const pickSessionSettings = (settings = {}) =>
+  Object.fromEntries(
+    SESSION_SETTING_KEYS.filter(
+      key => settings?.[key] !== undefined && settings[key] !== null
+    ).map(key => [key, settings[key]])
+  );
+
+/**
+ * Merge a session's overrides over the user's AI personality, giving the
+ * preferences sent to ai-service /process
+ */
+export const buildUserPreferences = (aiPersonality, sessionSettings = {}) => {
+  const {
+    sassLevel,
+    explanationStyle,
+    ...generationSettings
+  } = pickSessionSettings(sessionSettings);
+
+  return {
+    aiPersonality: {
+      ...aiPersonality,
+      ...pickSessionSettings({ sassLevel, explanationStyle })
+    },
+    ...generationSettings
+  };
+};
@@ -0,0 +1,86 @@
+// services/api-gateway/src/utils/sse.js
+
+/**
+ * Check whether the client asked for a Server-Sent Events response
+ */
+export const wantsEventStream = req =>
+  (req.get('Accept') || '').includes('text/event-stream');
+
+/**
+ * Switch an Express response into an event stream
+ */
+export const openEventStream = res => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const isOpen = () => !res.writableEnded && !res.destroyed;
+
+  return {
+    send(event, data) {
+      if (!isOpen()) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (isOpen()) res.end();
+    }
+  };
+};
+
+/**
+ * Parse a single "event: ...\ndata: ..." frame
+ */
+const parseFrame = frame => {
+  let event = 'message';
+  const dataLines = [];
+
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    return { event, data: dataLines.join('\n') };
+  }
+};
+
+/**
+ * Read an upstream event stream (e.g. an axios `responseType: 'stream'` body),
+ * calling onEvent(event, data) per frame. Resolves when the stream ends.
+ */
+export const readEventStream = (stream, onEvent) =>
+  new Promise((resolve, reject) => {
+    let buffer = '';
+
+    stream.setEncoding('utf8');
+
+    stream.on('data', chunk => {
+      buffer += chunk.replace(/\r\n/g, '\n');
+
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const parsed = parseFrame(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+
+        if (parsed) onEvent(parsed.event, parsed.data);
+        boundary = buffer.indexOf('\n\n');
+      }
+    });
+
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
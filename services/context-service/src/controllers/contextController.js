@@ -1,44 +1,136 @@
-import contextEngine from '../services/contextEngine.js';
+import path from 'path';
+import fs from 'fs-extra';
 import fileScanner from '../services/fileScanner.js';
 import gitAnalysis from '../services/gitAnalysis.js';
+import projectAnalyzer from '../services/projectAnalyzer.js';
+import projectStore from '../services/projectStore.js';
+import projectWatcher from '../services/projectWatcher.js';
+import symbolIndexer from '../services/symbolIndexer.js';
+
+// The caller's row for a project; `owned` is false when it isn't theirs.
+// Without a database (local development) there is nothing to check against.
+const findOwnedProject = async (projectId, userId) => {
+  if (!projectStore.isEnabled) return { owned: true, project: null };
+
+  const project = userId ? await projectStore.getProject(projectId, userId) : null;
+  return { owned: Boolean(project), project };
+};
+
+// Local directory of a project the caller owns: from a cached analysis,
+// else the projects row. Null for someone else's project.
+const resolveProjectPath = async (projectId, userId) => {
+  const { owned, project } = await findOwnedProject(projectId, userId);
+  if (!owned) return null;
+
+  return projectAnalyzer.getProjectPath(projectId) || project?.project_path || null;
+};
+
+// Directories a request may name as the path of a project that has none
+// stored yet: PROJECT_ROOTS, comma-separated. Unset means none.
+const getAllowedRoots = (env = process.env) => (env.PROJECT_ROOTS || '')
+  .split(',')
+  .map(root => root.trim())
+  .filter(Boolean)
+  .map(root => path.resolve(root));
+
+const isUnderAllowedRoot = (targetPath) => getAllowedRoots().some(root => {
+  const relative = path.relative(root, path.resolve(targetPath));
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+});
+
+// { status, error } when a project directory isn't there to read
+const checkDirectory = async (projectPath) => {
+  const stats = await fs.stat(projectPath).catch(() => null);
+  if (!stats) return { status: 404, error: 'Project path does not exist' };
+  if (!stats.isDirectory()) return { status: 400, error: 'Project path is not a directory' };
+  return { projectPath };
+};
+
+// Directory to analyze or watch for a request. The project must be the
+// caller's; a project with a stored path is only ever read from there, and
+// any other path must lie under PROJECT_ROOTS. Returns { projectPath } or
+// { status, error }.
+const resolveRequestedPath = async (projectId, userId, requestedPath) => {
+  let project = null;
+  if (projectId) {
+    const ownership = await findOwnedProject(projectId, userId);
+    if (!ownership.owned) return { status: 404, error: 'Project not found' };
+    ({ project } = ownership);
+  }
+
+  if (project?.project_path) {
+    return !requestedPath || path.resolve(requestedPath) === path.resolve(project.project_path)
+      ? checkDirectory(project.project_path)
+      : { status: 403, error: 'Project path does not match the project' };
+  }
+
+  if (!requestedPath) return { status: 400, error: 'Project path is required' };
+  if (!isUnderAllowedRoot(requestedPath)) return { status: 403, error: 'Project path is not allowed' };
+
+  return checkDirectory(requestedPath);
+};
+
+// Project-relative POSIX form of a path, or null if it escapes the project
+const toProjectRelative = (projectPath, targetPath) => {
+  const root = path.resolve(projectPath);
+  const relative = path.relative(root, path.resolve(root, targetPath));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+
+  return relative.split(path.sep).join('/');
+};
+
+// Largest file whose contents are returned by readProjectFiles
+const MAX_READ_FILE_SIZE = 512 * 1024;
+const MAX_READ_FILES = 50;
+
+// Most paths listFiles returns at once
+const MAX_LISTED_FILES = 1000;
 
 const contextController = {
   /**
-   * Analyze project structure and context
+   * Analyze project structure and context.
+   * With a projectId (which must be the caller's) the path can come from
+   * the projects row, and the result is saved back to it. A path in the body
+   * must be the project's stored path, or under PROJECT_ROOTS when it has
+   * none. Only files changed since the last analysis are re-read unless
+   * `force` is set.
    */
   async analyzeProject(req, res) {
     try {
-      const { projectPath, userId, projectId } = req.body;
+      const { projectId, force = false } = req.body;
+      const userId = req.headers['x-user-id'] || req.body.userId;
 
+      const { projectPath, status, error } = await resolveRequestedPath(projectId, userId, req.body.projectPath);
       if (!projectPath) {
-        return res.status(400).json({
+        return res.status(status).json({
           success: false,
-          error: 'Project path is required'
+          error
         });
       }
 
-      // Analyze project structure
-      const projectStructure = await fileScanner.scanProjectStructure(
-        projectPath
-      );
+      const { projectStructure, gitContext, symbols, changed, analysis, ...result } =
+        await projectAnalyzer.analyze(projectPath, { projectId, userId, force });
+      let { context } = result;
 
-      // Analyze Git history if available
-      const gitContext = await gitAnalysis.analyzeGitHistory(projectPath);
+      if (projectId && changed) {
+        await projectStore.saveAnalysis(projectId, { context, symbols });
+      }
 
-      // Generate project context
-      const context = await contextEngine.generateProjectContext({
-        projectStructure,
-        gitContext,
-        userId,
-        projectId
-      });
+      // A watched project knows which files were actually edited, rather than
+      // guessing from mtimes that checkouts and builds also bump
+      const focus = projectId && projectWatcher.getFocus(projectId);
+      if (focus?.primaryFocus) {
+        context = { ...context, focusArea: focus };
+      }
 
       res.json({
         success: true,
         data: {
           context,
           projectStructure,
-          gitContext
+          gitContext,
+          symbolCount: symbols.length,
+          analysis
         },
         message: 'Project analyzed successfully'
       });
@@ -51,6 +143,472 @@ const contextController = {
     }
   },
 
+  /**
+   * Start watching a project so its context and focus area stay current.
+   * The path is checked the same way as for analyzeProject.
+   */
+  async watchProject(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.headers['x-user-id'] || req.body.userId;
+
+      const { projectPath, status: errorStatus, error } =
+        await resolveRequestedPath(projectId, userId, req.body.projectPath);
+      if (!projectPath) {
+        return res.status(errorStatus).json({
+          success: false,
+          error
+        });
+      }
+
+      const status = await projectWatcher.watch(projectId, projectPath, { userId });
+
+      res.json({
+        success: true,
+        data: status,
+        message: 'Project is being watched'
+      });
+    } catch (error) {
+      console.error('Error watching project:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to watch project'
+      });
+    }
+  },
+
+  /**
+   * Stop watching a project
+   */
+  async unwatchProject(req, res) {
+    try {
+      const { projectId } = req.params;
+
+      const { owned } = await findOwnedProject(projectId, req.headers['x-user-id']);
+      if (!owned) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      if (!projectWatcher.unwatch(projectId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project is not being watched'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { watching: false },
+        message: 'Stopped watching project'
+      });
+    } catch (error) {
+      console.error('Error unwatching project:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stop watching project'
+      });
+    }
+  },
+
+  /**
+   * Files edited in a watched project within the last `minutes`
+   */
+  async getProjectFocus(req, res) {
+    try {
+      const { projectId } = req.params;
+      const minutes = parseInt(req.query.minutes, 10) || undefined;
+
+      const { owned } = await findOwnedProject(projectId, req.headers['x-user-id']);
+      if (!owned) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      const focus = projectWatcher.getFocus(projectId, { minutes });
+      if (!focus) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project is not being watched'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...focus,
+          ...projectWatcher.getStatus(projectId)
+        },
+        message: 'Project focus retrieved successfully'
+      });
+    } catch (error) {
+      console.error('Error getting project focus:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get project focus'
+      });
+    }
+  },
+
+  /**
+   * Search a project's symbol index, e.g. ?q=login&kind=component.
+   * Uses the live analysis when there is one, the stored index otherwise.
+   */
+  async getProjectSymbols(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { q = '', kind = null } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+      const { owned } = await findOwnedProject(projectId, req.headers['x-user-id']);
+      if (!owned) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      const symbols =
+        projectAnalyzer.getSymbols(projectId) ||
+        await projectStore.getSymbols(projectId);
+
+      if (!symbols) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project has not been analyzed yet'
+        });
+      }
+
+      const matches = symbolIndexer.search(symbols, q, { limit, kind });
+
+      res.json({
+        success: true,
+        data: {
+          query: q,
+          total: symbols.length,
+          symbols: matches
+        },
+        message: 'Project symbols retrieved successfully'
+      });
+    } catch (error) {
+      console.error('Error getting project symbols:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get project symbols'
+      });
+    }
+  },
+
+  /**
+   * A project's module import graph, analyzing the project first if needed
+   */
+  async getProjectGraph(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.headers['x-user-id'];
+
+      const { owned, project } = await findOwnedProject(projectId, userId);
+      if (!owned) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      let importGraph = projectAnalyzer.getImportGraph(projectId);
+      if (!importGraph) {
+        if (!project?.project_path) {
+          return res.status(404).json({
+            success: false,
+            error: 'Project has not been analyzed yet'
+          });
+        }
+
+        ({ importGraph } = await projectAnalyzer.analyze(project.project_path, {
+          projectId,
+          userId
+        }));
+      }
+
+      res.json({
+        success: true,
+        data: importGraph,
+        message: 'Project import graph retrieved successfully'
+      });
+    } catch (error) {
+      console.error('Error getting project import graph:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get project import graph'
+      });
+    }
+  },
+
+  /**
+   * Semantic search over a project's code chunks, analyzing the project
+   * first if it isn't cached
+   */
+  async searchProjectCode(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { query } = req.body;
+      const userId = req.headers['x-user-id'] || req.body.userId;
+      const limit = Math.min(parseInt(req.body.limit, 10) || 10, 50);
+
+      if (!query || typeof query !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Search query is required'
+        });
+      }
+
+      const { owned, project } = await findOwnedProject(projectId, userId);
+      if (!owned) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      let results = await projectAnalyzer.searchCode(projectId, query, { limit });
+      if (!results) {
+        if (!project?.project_path) {
+          return res.status(404).json({
+            success: false,
+            error: 'Project has not been analyzed yet'
+          });
+        }
+
+        await projectAnalyzer.analyze(project.project_path, { projectId, userId });
+        results = await projectAnalyzer.searchCode(projectId, query, { limit });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          query,
+          results
+        },
+        message: 'Project code searched successfully'
+      });
+    } catch (error) {
+      console.error('Error searching project code:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search project code'
+      });
+    }
+  },
+
+  /**
+   * Uncommitted and last-commit diffs of a project's focused files.
+   * Without `files` in the body, the uncommitted files are used.
+   */
+  async getRecentDiffs(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.headers['x-user-id'] || req.body.userId;
+      const files = Array.isArray(req.body.files)
+        ? req.body.files.filter(file => typeof file === 'string')
+        : [];
+
+      const projectPath = await resolveProjectPath(projectId, userId);
+      if (!projectPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project has no local path to diff'
+        });
+      }
+
+      const recentDiffs = await gitAnalysis.getRecentDiffs(projectPath, files);
+
+      res.json({
+        success: true,
+        data: recentDiffs,
+        message: 'Recent diffs retrieved successfully'
+      });
+    } catch (error) {
+      console.error('Error getting recent diffs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get recent diffs'
+      });
+    }
+  },
+
+  /**
+   * Blame-based ownership, last meaningful change and churn of a file or
+   * directory, e.g. ?path=src/auth (the whole project without a path)
+   */
+  async getOwnership(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.headers['x-user-id'];
+      const targetPath = (req.query.path || '').replace(/^\/+|\/+$/g, '');
+
+      const projectPath = await resolveProjectPath(projectId, userId);
+      if (!projectPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project has no local path to analyze'
+        });
+      }
+
+      const relative = toProjectRelative(projectPath, targetPath);
+      if (relative === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Path must be inside the project'
+        });
+      }
+
+      if (!(await fs.pathExists(path.join(projectPath, relative)))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Path not found in project'
+        });
+      }
+
+      const ownership = await gitAnalysis.getOwnership(projectPath, relative);
+
+      res.json({
+        success: true,
+        data: ownership,
+        message: 'Ownership retrieved successfully'
+      });
+    } catch (error) {
+      console.error('Error getting ownership:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get ownership'
+      });
+    }
+  },
+
+  /**
+   * Current contents of project files, read from disk.
+   * Missing files come back with `exists: false` so callers can tell a
+   * create from a modify; oversized files come back without content.
+   */
+  async readProjectFiles(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { paths } = req.body;
+      const userId = req.headers['x-user-id'] || req.body.userId;
+
+      if (!Array.isArray(paths) || paths.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'paths must be a non-empty array'
+        });
+      }
+
+      if (paths.length > MAX_READ_FILES) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${MAX_READ_FILES} files can be read at once`
+        });
+      }
+
+      const projectPath = await resolveProjectPath(projectId, userId);
+      if (!projectPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project has no local path to read'
+        });
+      }
+
+      const files = await Promise.all(paths.map(async requestedPath => {
+        const relative = toProjectRelative(projectPath, String(requestedPath));
+        if (!relative) {
+          return { path: requestedPath, exists: false, error: 'Path must be inside the project' };
+        }
+
+        const fullPath = path.join(projectPath, relative);
+        const stats = await fs.stat(fullPath).catch(() => null);
+        if (!stats?.isFile()) {
+          return { path: relative, exists: false };
+        }
+
+        if (stats.size > MAX_READ_FILE_SIZE) {
+          return { path: relative, exists: true, size: stats.size, error: 'File too large to read' };
+        }
+
+        return {
+          path: relative,
+          exists: true,
+          size: stats.size,
+          content: await fs.readFile(fullPath, 'utf8')
+        };
+      }));
+
+      res.json({
+        success: true,
+        data: { files },
+        message: 'Files read successfully'
+      });
+    } catch (error) {
+      console.error('Error reading project files:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to read project files'
+      });
+    }
+  },
+
+  /**
+   * Files of a project's local checkout, optionally under ?dir=src/components,
+   * leaving out what scans ignore
+   */
+  async listProjectFiles(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.headers['x-user-id'];
+      const limit = Math.min(parseInt(req.query.limit, 10) || 200, MAX_LISTED_FILES);
+
+      const projectPath = await resolveProjectPath(projectId, userId);
+      if (!projectPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project has no local path to list'
+        });
+      }
+
+      const directory = req.query.dir ? toProjectRelative(projectPath, String(req.query.dir)) : '';
+      if (directory === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Directory must be inside the project'
+        });
+      }
+
+      const entries = (await fileScanner.scanManifest(projectPath))
+        .filter(entry => !directory || entry.path.startsWith(`${directory}/`))
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+      res.json({
+        success: true,
+        data: {
+          directory,
+          total: entries.length,
+          truncated: entries.length > limit,
+          files: entries.slice(0, limit).map(({ path: filePath, size }) => ({ path: filePath, size }))
+        },
+        message: 'Project files listed successfully'
+      });
+    } catch (error) {
+      console.error('Error listing project files:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list project files'
+      });
+    }
+  },
+
   /**
    * Scan files in project
    */
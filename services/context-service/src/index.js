@@ -56,6 +56,16 @@ app.post('/analyze', contextController.analyzeProject);
 app.post('/files/scan', contextController.scanFiles);
 app.get('/projects/:projectId/context', contextController.getProjectContext);
 app.put('/projects/:projectId/context', contextController.updateProjectContext);
+app.post('/projects/:projectId/watch', contextController.watchProject);
+app.delete('/projects/:projectId/watch', contextController.unwatchProject);
+app.get('/projects/:projectId/focus', contextController.getProjectFocus);
+app.get('/projects/:projectId/symbols', contextController.getProjectSymbols);
+app.get('/projects/:projectId/graph', contextController.getProjectGraph);
+app.post('/projects/:projectId/search', contextController.searchProjectCode);
+app.post('/projects/:projectId/diffs', contextController.getRecentDiffs);
+app.get('/projects/:projectId/ownership', contextController.getOwnership);
+app.get('/projects/:projectId/files', contextController.listProjectFiles);
+app.post('/projects/:projectId/files/read', contextController.readProjectFiles);
 
 // Error handler
 app.use((err, req, res, next) => {
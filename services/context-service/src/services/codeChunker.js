@@ -0,0 +1,216 @@
+import { parse } from '@babel/parser';
+
+const PARSED_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+// Chunks up to this many lines are kept whole
+const MAX_CHUNK_LINES = 80;
+
+// Longer spans are split into windows of this size, overlapping a little
+const WINDOW_LINES = 60;
+const WINDOW_OVERLAP = 10;
+
+// Small neighbouring statements (imports, constants) and blank-line separated
+// text blocks are gathered up to this size
+const TARGET_CHUNK_LINES = 40;
+
+// Trailing statements shorter than this are merged into the previous chunk
+const MIN_CHUNK_LINES = 3;
+
+// Larger files (bundles, generated code) aren't chunked
+const MAX_CHUNKED_CONTENT = 200 * 1024;
+
+/**
+ * Splits file contents into function-sized chunks for the search index.
+ * JS/TS files are cut along top-level declarations, with classes and object
+ * literals (controllers) split per method; other text files along blank lines.
+ */
+class CodeChunker {
+  chunkFile(file) {
+    if (!file.content || file.content.length > MAX_CHUNKED_CONTENT) return [];
+
+    const lines = file.content.split('\n');
+    const spans = this.spansFromAst(file) || this.spansFromBlocks(lines);
+
+    return spans
+      .flatMap(span => this.splitLongSpan(span))
+      .map(span => ({
+        file: file.path,
+        startLine: span.start,
+        endLine: span.end,
+        symbol: span.symbol || null,
+        content: lines.slice(span.start - 1, span.end).join('\n')
+      }))
+      .filter(chunk => chunk.content.trim().length > 0);
+  }
+
+  /**
+   * Declaration spans of a JS/TS file, or null if it can't be parsed
+   */
+  spansFromAst(file) {
+    if (!PARSED_EXTENSIONS.includes(file.extension)) return null;
+
+    let ast;
+    try {
+      ast = parse(file.content, {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        plugins: [
+          'jsx',
+          ...(['.ts', '.tsx'].includes(file.extension) ? ['typescript'] : [])
+        ]
+      });
+    } catch (error) {
+      return null;
+    }
+
+    const spans = [];
+    let pending = null;
+
+    // Gather small statements until they make a chunk of reasonable size
+    const flushPending = () => {
+      if (pending) spans.push(pending);
+      pending = null;
+    };
+
+    ast.program.body.forEach(statement => {
+      const members = this.getMembers(statement);
+      if (members) {
+        flushPending();
+        spans.push(...members);
+        return;
+      }
+
+      const start = this.startLine(statement);
+      const end = statement.loc.end.line;
+      const symbol = this.getName(statement);
+
+      if (symbol) {
+        flushPending();
+        spans.push({ start, end, symbol });
+      } else if (pending && end - pending.start + 1 <= TARGET_CHUNK_LINES) {
+        pending.end = end;
+      } else {
+        flushPending();
+        pending = { start, end };
+      }
+    });
+
+    // A trailing one-liner like `export default new X()` belongs to what precedes it
+    const last = spans[spans.length - 1];
+    if (pending && last && pending.end - pending.start + 1 < MIN_CHUNK_LINES) {
+      last.end = pending.end;
+      pending = null;
+    }
+    flushPending();
+
+    return spans;
+  }
+
+  /**
+   * Per-method spans for a class or object literal declaration, such as
+   * `class X { ... }`, `export default new X()`'s class or `const controller = { ... }`
+   */
+  getMembers(statement) {
+    const declaration = ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type)
+      ? statement.declaration
+      : statement;
+    if (!declaration) return null;
+
+    let owner;
+    let members;
+    if (['ClassDeclaration', 'ClassExpression'].includes(declaration.type)) {
+      owner = declaration.id?.name;
+      members = declaration.body.body;
+    } else if (
+      declaration.type === 'VariableDeclaration' &&
+      declaration.declarations.length === 1 &&
+      declaration.declarations[0].init?.type === 'ObjectExpression'
+    ) {
+      owner = declaration.declarations[0].id.name;
+      members = declaration.declarations[0].init.properties;
+    }
+
+    const methods = (members || []).filter(member =>
+      ['ClassMethod', 'ClassPrivateMethod', 'ObjectMethod'].includes(member.type) ||
+      ['ArrowFunctionExpression', 'FunctionExpression'].includes(member.value?.type)
+    );
+    if (methods.length === 0) return null;
+
+    const spans = [];
+    let previousEnd = this.startLine(statement) - 1;
+    methods.forEach(method => {
+      const start = this.startLine(method);
+      // Fields and lines between methods go with the following method
+      spans.push({
+        start: Math.min(start, previousEnd + 1),
+        end: method.loc.end.line,
+        symbol: [owner, method.key?.name || method.key?.value].filter(Boolean).join('.')
+      });
+      previousEnd = method.loc.end.line;
+    });
+    spans[spans.length - 1].end = statement.loc.end.line;
+
+    return spans;
+  }
+
+  /**
+   * Name of a function, class or function-valued variable declaration
+   */
+  getName(statement) {
+    const declaration = ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type)
+      ? statement.declaration
+      : statement;
+    if (!declaration) return null;
+
+    if (declaration.id?.name) return declaration.id.name;
+
+    if (declaration.type === 'VariableDeclaration') {
+      const [declarator] = declaration.declarations;
+      const isFunction = ['ArrowFunctionExpression', 'FunctionExpression', 'CallExpression']
+        .includes(declarator?.init?.type);
+      if (isFunction && declarator.id.type === 'Identifier') return declarator.id.name;
+    }
+    return null;
+  }
+
+  /**
+   * First line of a node including its leading doc comment
+   */
+  startLine(node) {
+    return node.leadingComments?.[0]?.loc.start.line ?? node.loc.start.line;
+  }
+
+  /**
+   * Group blank-line separated blocks into chunks of roughly TARGET_CHUNK_LINES
+   */
+  spansFromBlocks(lines) {
+    const spans = [];
+    let start = 1;
+
+    lines.forEach((line, i) => {
+      const lineNumber = i + 1;
+      const isBreak = !line.trim() && lineNumber - start + 1 >= TARGET_CHUNK_LINES;
+
+      if (isBreak || lineNumber === lines.length) {
+        spans.push({ start, end: lineNumber });
+        start = lineNumber + 1;
+      }
+    });
+
+    return spans;
+  }
+
+  splitLongSpan(span) {
+    if (span.end - span.start + 1 <= MAX_CHUNK_LINES) return [span];
+
+    const windows = [];
+    for (let start = span.start; start <= span.end; start += WINDOW_LINES - WINDOW_OVERLAP) {
+      const end = Math.min(start + WINDOW_LINES - 1, span.end);
+      windows.push({ ...span, start, end });
+      if (end === span.end) break;
+    }
+    return windows;
+  }
+}
+
+export default new CodeChunker();
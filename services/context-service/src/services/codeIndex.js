@@ -0,0 +1,97 @@
+import { createEmbedder } from './embeddings/index.js';
+import HashedEmbedder from './embeddings/hashedEmbedder.js';
+import codeChunker from './codeChunker.js';
+
+const DEFAULT_SEARCH_LIMIT = 10;
+
+/**
+ * Chunk-level semantic index of project files.
+ * Chunks are embedded with the configured backend; callers keep the
+ * resulting per-file chunk lists and pass them back in to search.
+ */
+class CodeIndex {
+  constructor() {
+    try {
+      this.embedder = createEmbedder();
+    } catch (error) {
+      console.warn(`${error.message}; falling back to offline hashed embeddings`);
+      this.embedder = new HashedEmbedder();
+    }
+  }
+
+  /**
+   * Chunk and embed files, batching all chunks into one embed call.
+   * Returns path -> chunks (each with its vector). If the embedder fails the
+   * chunks come back without vectors, which search skips, rather than
+   * failing the analysis.
+   */
+  async indexFiles(files) {
+    const chunksByFile = new Map(
+      files.map(file => [file.path, codeChunker.chunkFile(file)])
+    );
+
+    const chunks = Array.from(chunksByFile.values()).flat();
+    if (chunks.length === 0) return chunksByFile;
+
+    try {
+      const vectors = await this.embedder.embed(chunks.map(chunk => this.chunkText(chunk)));
+      chunks.forEach((chunk, i) => {
+        chunk.vector = vectors[i];
+      });
+    } catch (error) {
+      console.warn(`Could not embed ${chunks.length} code chunks:`, error.message);
+    }
+
+    return chunksByFile;
+  }
+
+  /**
+   * The text embedded for a chunk; the path and symbol name carry a lot of
+   * meaning ("upload" in routes/upload.js) so they are included
+   */
+  chunkText(chunk) {
+    return [chunk.file, chunk.symbol, chunk.content].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Rank indexed chunks against a natural language query
+   */
+  async search(chunksByFile, query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const [queryVector] = await this.embedder.embed([query]);
+
+    const results = [];
+    chunksByFile.forEach(chunks => {
+      chunks.forEach(chunk => {
+        if (!chunk.vector) return;
+        results.push({ chunk, score: this.cosine(queryVector, chunk.vector) });
+      });
+    });
+
+    return results
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ chunk, score }) => ({
+        file: chunk.file,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        symbol: chunk.symbol,
+        score: Math.round(score * 1000) / 1000,
+        content: chunk.content
+      }));
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+}
+
+export default new CodeIndex();
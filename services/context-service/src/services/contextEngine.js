@@ -5,12 +5,26 @@ import {
   FILE_EXTENSIONS
 } from '@lpa/shared';
 import languageDetection from '../utils/languageDetection.js';
+import importParser from '../utils/importParser.js';
+
+// Larger files are referenced by path only in generated context
+const MAX_CONTEXT_CONTENT_LENGTH = 2000;
+
+// Symbols included in generated context; the full index is served separately
+const MAX_CONTEXT_SYMBOLS = 100;
+
+// Extensions tried, in order, when resolving an extensionless relative import
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.json'];
+
+const MAX_REPORTED_CYCLES = 50;
 
 class ContextEngine {
   /**
-   * Analyze files and generate project context
+   * Analyze files and generate project context.
+   * `options.importGraph` or `options.importsByFile` (path -> imports) skip
+   * re-parsing imports the caller already has.
    */
-  async analyzeFiles(files) {
+  async analyzeFiles(files, options = {}) {
     try {
       // Basic file analysis
       const fileAnalysis = this.analyzeFileStructure(files);
@@ -24,11 +38,17 @@ class ContextEngine {
       // Project type detection
       const projectType = this.detectProjectType(files, dependencies);
 
+      // Module-level import graph
+      const importGraph = options.importGraph || this.buildImportGraph(
+        files,
+        options.importsByFile || this.extractImports(files)
+      );
+
       // Focus area detection (recently modified files)
       const focusArea = this.detectFocusArea(files);
 
       // Generate relevance scores for files
-      const relevantFiles = this.rankFileRelevance(files, focusArea);
+      const relevantFiles = this.rankFileRelevance(files, focusArea, importGraph);
 
       // Generate summary and suggestions
       const summary = this.generateSummary(
@@ -49,6 +69,7 @@ class ContextEngine {
         framework: languageInfo.framework,
         projectType,
         dependencies,
+        importGraph,
 
         // File structure
         totalFiles: files.length,
@@ -74,23 +95,42 @@ class ContextEngine {
   }
 
   /**
-   * Generate project context from various sources
+   * Generate project context from a scanned project and its git history.
+   * File contents are only kept for small relevant files so the result stays
+   * small enough to store and to send along with every chat message.
    */
-  async generateProjectContext({ projectStructure, gitContext, userId, projectId }) {
+  async generateProjectContext({
+    projectStructure,
+    gitContext,
+    symbols = [],
+    importGraph = null,
+    userId,
+    projectId
+  }) {
     try {
-      // For now, return a mock context since we don't have the full implementation
+      const files = projectStructure?.files || [];
+      const analysis = await this.analyzeFiles(files, { importGraph });
+
       return {
+        ...analysis,
         projectId,
         userId,
-        structure: projectStructure || {},
-        gitContext: gitContext || {},
-        primaryLanguage: 'javascript',
-        framework: 'react',
-        projectType: 'web-application',
-        dependencies: ['react', 'express', 'supabase'],
-        totalFiles: 150,
-        analyzedAt: new Date().toISOString(),
-        confidence: 0.8
+        structure: {
+          totalFiles: files.length,
+          totalSize: projectStructure?.totalSize || 0,
+          directories: projectStructure?.directories || [],
+          fileTypes: analysis.fileTypes
+        },
+        relevantFiles: analysis.relevantFiles.map(file => this.toContextFile(file)),
+        focusArea: {
+          ...analysis.focusArea,
+          recentFiles: analysis.focusArea.recentFiles.map(file => file.path)
+        },
+        symbols: this.selectContextSymbols(symbols, analysis),
+        importGraph: this.summarizeImportGraph(analysis.importGraph, analysis.focusArea),
+        buildTools: languageDetection.detectBuildTools(files),
+        testingFrameworks: languageDetection.detectTestingFrameworks(files),
+        gitContext: gitContext || { isGitRepo: false }
       };
     } catch (error) {
       console.error('Error generating project context:', error);
@@ -98,6 +138,71 @@ class ContextEngine {
     }
   }
 
+  /**
+   * The symbols most likely to be meant by a vague request: those in recently
+   * edited and relevant files first, then other exported symbols
+   */
+  selectContextSymbols(symbols, analysis) {
+    const recentFiles = analysis.focusArea.recentFiles.map(file => file.path);
+    const relevantFiles = analysis.relevantFiles.map(file => file.path);
+
+    const priority = symbol => {
+      const recentIndex = recentFiles.indexOf(symbol.file);
+      if (recentIndex !== -1) return recentIndex;
+      const relevantIndex = relevantFiles.indexOf(symbol.file);
+      if (relevantIndex !== -1) return recentFiles.length + relevantIndex;
+      return symbol.exported ? 1000 : 2000;
+    };
+
+    return symbols
+      .map((symbol, index) => ({ symbol, index, priority: priority(symbol) }))
+      .sort((a, b) => a.priority - b.priority || a.index - b.index)
+      .slice(0, MAX_CONTEXT_SYMBOLS)
+      .map(({ symbol }) => ({
+        name: symbol.name,
+        kind: symbol.kind,
+        file: symbol.file,
+        line: symbol.line,
+        endLine: symbol.endLine,
+        exported: symbol.exported
+      }));
+  }
+
+  /**
+   * The parts of the import graph worth sending with every message;
+   * the full graph is served separately
+   */
+  summarizeImportGraph(importGraph, focusArea) {
+    const primaryFocus = focusArea.recentFiles[0]?.path;
+
+    return {
+      moduleCount: importGraph.nodes.length,
+      edgeCount: importGraph.edges.length,
+      entryPoints: importGraph.entryPoints.slice(0, 20),
+      orphans: importGraph.orphans.slice(0, 20),
+      cycles: importGraph.cycles.slice(0, 10),
+      mostImported: [...importGraph.nodes]
+        .sort((a, b) => b.fanIn - a.fanIn)
+        .slice(0, 10)
+        .filter(node => node.fanIn > 0)
+        .map(({ path: filePath, fanIn }) => ({ path: filePath, fanIn })),
+      focusImports: primaryFocus
+        ? importGraph.edges.filter(edge => edge.from === primaryFocus).map(edge => edge.to)
+        : []
+    };
+  }
+
+  /**
+   * Strip a scanned file down to what the AI service needs
+   */
+  toContextFile(file) {
+    const { content, ...info } = file;
+
+    return content && content.length <= MAX_CONTEXT_CONTENT_LENGTH
+      ? { ...info, content }
+      : info;
+  }
+
   /**
    * Analyze file structure and organization
    */
@@ -141,6 +246,7 @@ class ContextEngine {
     });
 
     return {
+      totalFiles: files.length,
       fileTypes,
       directories: Array.from(directories),
       structure,
@@ -278,6 +384,174 @@ class ContextEngine {
     return dependencies;
   }
 
+  /**
+   * Imports of every parsable file, keyed by path
+   */
+  extractImports(files) {
+    return new Map(files.map(file => [file.path, importParser.extractImports(file)]));
+  }
+
+  /**
+   * Build the module-level import graph with relative imports resolved to
+   * project files, plus entry points, orphans, cycles and fan-in/fan-out.
+   * An entry point is imported by nothing but imports something, project
+   * file or package (a server.js may only require express); an orphan
+   * imports nothing and is imported by nothing.
+   */
+  buildImportGraph(files, importsByFile) {
+    const filePaths = new Set(files.map(file => file.path));
+    const modules = files.filter(file => importParser.canParse(file) || importsByFile.get(file.path)?.length);
+
+    const edges = [];
+    const externalDependencies = {};
+    const nodes = new Map(modules.map(file => [
+      file.path,
+      { path: file.path, fanIn: 0, fanOut: 0, external: [] }
+    ]));
+
+    modules.forEach(file => {
+      const node = nodes.get(file.path);
+      const targets = new Set();
+
+      (importsByFile.get(file.path) || []).forEach(({ specifier, kind }) => {
+        if (specifier.startsWith('.') || specifier.startsWith('/')) {
+          const target = this.resolveImport(file.path, specifier, filePaths);
+          if (target && target !== file.path && !targets.has(target)) {
+            targets.add(target);
+            edges.push({ from: file.path, to: target, kind });
+          }
+          return;
+        }
+
+        const packageName = this.getPackageName(specifier);
+        if (!node.external.includes(packageName)) {
+          node.external.push(packageName);
+          externalDependencies[packageName] = (externalDependencies[packageName] || 0) + 1;
+        }
+      });
+    });
+
+    edges.forEach(edge => {
+      nodes.get(edge.from).fanOut++;
+      if (!nodes.has(edge.to)) {
+        nodes.set(edge.to, { path: edge.to, fanIn: 0, fanOut: 0, external: [] });
+      }
+      nodes.get(edge.to).fanIn++;
+    });
+
+    const nodeList = Array.from(nodes.values());
+    const codeNodes = nodeList.filter(node => !node.path.endsWith('.json'));
+
+    return {
+      nodes: nodeList,
+      edges,
+      entryPoints: codeNodes
+        .filter(node => node.fanIn === 0 && (node.fanOut > 0 || node.external.length > 0))
+        .map(node => node.path),
+      orphans: codeNodes
+        .filter(node => node.fanIn === 0 && node.fanOut === 0 && node.external.length === 0)
+        .map(node => node.path),
+      cycles: this.findImportCycles(nodeList, edges),
+      externalDependencies
+    };
+  }
+
+  /**
+   * Resolve a relative import to a scanned project file, trying the usual
+   * extensions and index files. Returns null when it points outside the scan.
+   */
+  resolveImport(fromPath, specifier, filePaths) {
+    const base = specifier.startsWith('/')
+      ? specifier.slice(1)
+      : path.posix.join(path.posix.dirname(fromPath), specifier);
+    const withoutExtension = base.replace(/\.(m|c)?jsx?$/, '');
+
+    const candidates = [
+      base,
+      ...RESOLVE_EXTENSIONS.map(ext => base + ext),
+      // TypeScript sources are imported with a .js extension
+      ...(base !== withoutExtension ? ['.ts', '.tsx'].map(ext => withoutExtension + ext) : []),
+      ...RESOLVE_EXTENSIONS.map(ext => path.posix.join(base, `index${ext}`))
+    ];
+
+    return candidates.find(candidate => filePaths.has(candidate)) || null;
+  }
+
+  /**
+   * "lodash/fp" -> "lodash", "@mui/material/Button" -> "@mui/material"
+   */
+  getPackageName(specifier) {
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  }
+
+  /**
+   * Import cycles, as the files of each strongly connected component
+   * (Tarjan's algorithm, iterative so deep graphs can't overflow the stack)
+   */
+  findImportCycles(nodes, edges) {
+    const adjacency = new Map(nodes.map(node => [node.path, []]));
+    edges.forEach(edge => adjacency.get(edge.from).push(edge.to));
+
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let counter = 0;
+
+    adjacency.forEach((_, root) => {
+      if (index.has(root)) return;
+
+      const work = [{ node: root, next: 0 }];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const { node } = frame;
+
+        if (frame.next === 0 && !index.has(node)) {
+          index.set(node, counter);
+          lowLink.set(node, counter);
+          counter++;
+          stack.push(node);
+          onStack.add(node);
+        }
+
+        const neighbours = adjacency.get(node);
+        if (frame.next < neighbours.length) {
+          const neighbour = neighbours[frame.next++];
+          if (!index.has(neighbour)) {
+            work.push({ node: neighbour, next: 0 });
+          } else if (onStack.has(neighbour)) {
+            lowLink.set(node, Math.min(lowLink.get(node), index.get(neighbour)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].node;
+          lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(node)));
+        }
+
+        if (lowLink.get(node) === index.get(node)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== node);
+
+          if (component.length > 1) {
+            cycles.push(component.sort());
+          }
+        }
+      }
+    });
+
+    return cycles.slice(0, MAX_REPORTED_CYCLES);
+  }
+
   /**
    * Detect project type based on files and dependencies
    */
@@ -287,6 +561,8 @@ class ContextEngine {
       f.name.includes('.tsx') || 
       f.name.includes('.vue') ||
       f.name.includes('.svelte')
+    ) || ['react', 'vue', 'svelte', '@angular/core'].some(dep =>
+      dependencies.production.includes(dep)
     );
 
     const hasBackend = files.some(f => 
@@ -322,9 +598,11 @@ class ContextEngine {
    */
   detectFocusArea(files) {
     // Sort files by modification time (most recent first)
+    // Scanned files carry `lastModified`; older callers pass `modifiedAt`
+    const modifiedAt = file => file.lastModified || file.modifiedAt;
     const recentFiles = files
-      .filter(f => f.modifiedAt)
-      .sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt))
+      .filter(f => modifiedAt(f))
+      .sort((a, b) => new Date(modifiedAt(b)) - new Date(modifiedAt(a)))
       .slice(0, 10);
 
     const directories = new Set();
@@ -338,6 +616,7 @@ class ContextEngine {
     return {
       recentFiles,
       activeDirectories: Array.from(directories),
+      directory: Array.from(directories)[0] || null,
       primaryFocus: recentFiles[0]?.path || 'unknown'
     };
   }
@@ -345,7 +624,21 @@ class ContextEngine {
   /**
    * Rank files by relevance to current focus
    */
-  rankFileRelevance(files, focusArea) {
+  rankFileRelevance(files, focusArea, importGraph = null) {
+    // Files the focused files import are likely part of the same change
+    const primaryFocus = focusArea.recentFiles[0]?.path;
+    const importedByFocus = new Map();
+    importGraph?.edges.forEach(edge => {
+      if (edge.from === primaryFocus) {
+        importedByFocus.set(edge.to, 6);
+      } else if (
+        !importedByFocus.has(edge.to) &&
+        focusArea.recentFiles.some(f => f.path === edge.from)
+      ) {
+        importedByFocus.set(edge.to, 3);
+      }
+    });
+
     return files.map(file => {
       let score = 0;
 
@@ -360,6 +653,8 @@ class ContextEngine {
         score += 5;
       }
 
+      score += importedByFocus.get(file.path) || 0;
+
       // Boost configuration files
       if (file.name.includes('config') || file.name.includes('package')) {
         score += 3;
@@ -409,6 +704,8 @@ class ContextEngine {
    * Calculate confidence in analysis
    */
   calculateConfidence(files, languageInfo) {
+    if (files.length === 0) return 0;
+
     let confidence = 0.5; // Base confidence
 
     // More files = higher confidence
@@ -0,0 +1,71 @@
+// services/context-service/src/services/embeddings/hashedEmbedder.js
+import crypto from 'crypto';
+
+const DEFAULT_DIMENSIONS = 512;
+
+// Common words and keywords that say little about what code does
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'where', 'what', 'how',
+  'do', 'we', 'our', 'you', 'stuff', 'thing', 'const', 'let', 'var', 'return',
+  'function', 'import', 'export', 'default', 'new', 'if', 'else', 'await', 'async'
+]);
+
+/**
+ * Offline embeddings: identifier-aware word tokens and character trigrams,
+ * hashed into a fixed-size vector (the "hashing trick") and L2-normalized.
+ * Similar wording scores high without any model or network access.
+ */
+export default class HashedEmbedder {
+  constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    this.name = 'hashed';
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text) {
+    const vector = new Float32Array(this.dimensions);
+
+    const words = this.tokenize(text);
+    const counts = new Map();
+    words.forEach(word => {
+      counts.set(`w:${word}`, (counts.get(`w:${word}`) || 0) + 1);
+
+      // Trigrams let "upload" match "uploader" and "uploads"
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        const gram = `g:${padded.slice(i, i + 3)}`;
+        counts.set(gram, (counts.get(gram) || 0) + 0.5);
+      }
+    });
+
+    counts.forEach((count, feature) => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32LE(0) % this.dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[index] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm > 0) {
+      vector.forEach((value, i) => {
+        vector[i] = value / norm;
+      });
+    }
+    return vector;
+  }
+
+  /**
+   * "handleFileUpload(req)" -> ["handle", "file", "upload", "req"]
+   */
+  tokenize(text) {
+    return text
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  }
+}
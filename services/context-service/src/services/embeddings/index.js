@@ -0,0 +1,49 @@
+// services/context-service/src/services/embeddings/index.js
+import HashedEmbedder from './hashedEmbedder.js';
+import OpenAIEmbedder from './openaiEmbedder.js';
+
+export const EMBEDDERS = ['hashed', 'openai', 'openai-compatible'];
+
+/**
+ * Create the embedding backend selected by the environment.
+ *
+ * EMBEDDING_PROVIDER  hashed | openai | openai-compatible (defaults to hashed,
+ *                     which runs offline)
+ * EMBEDDING_MODEL     model name for the openai backends
+ * EMBEDDING_BASE_URL  base URL of an OpenAI-compatible server
+ * EMBEDDING_API_KEY   API key for that server (OPENAI_API_KEY for openai)
+ */
+export const createEmbedder = (env = process.env) => {
+  const embedderName = (env.EMBEDDING_PROVIDER || 'hashed').toLowerCase();
+
+  switch (embedderName) {
+    case 'hashed':
+      return new HashedEmbedder();
+
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY environment variable is required for the openai embedder');
+      }
+      return new OpenAIEmbedder({
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: 'https://api.openai.com/v1',
+        model: env.EMBEDDING_MODEL || 'text-embedding-3-small'
+      });
+
+    case 'openai-compatible':
+      if (!env.EMBEDDING_BASE_URL) {
+        throw new Error('EMBEDDING_BASE_URL environment variable is required for the openai-compatible embedder');
+      }
+      return new OpenAIEmbedder({
+        name: 'openai-compatible',
+        apiKey: env.EMBEDDING_API_KEY || 'not-needed',
+        baseURL: env.EMBEDDING_BASE_URL,
+        model: env.EMBEDDING_MODEL || 'local-embedding-model'
+      });
+
+    default:
+      throw new Error(
+        `Unknown EMBEDDING_PROVIDER "${embedderName}" (expected one of: ${EMBEDDERS.join(', ')})`
+      );
+  }
+};
@@ -0,0 +1,45 @@
+// services/context-service/src/services/embeddings/openaiEmbedder.js
+
+// Inputs per embeddings request
+const BATCH_SIZE = 64;
+
+/**
+ * Embeddings from an OpenAI-compatible /embeddings endpoint
+ */
+export default class OpenAIEmbedder {
+  constructor({ name = 'openai', apiKey, baseURL, model }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/$/, '');
+    this.model = model;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const response = await fetch(`${this.baseURL}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          model: this.model,
+          input: texts.slice(i, i + BATCH_SIZE)
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Embedding request failed with status ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      data
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => vectors.push(item.embedding));
+    }
+
+    return vectors;
+  }
+}
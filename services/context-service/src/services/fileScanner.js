@@ -1,32 +1,14 @@
 import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
 import { glob } from 'glob';
 import mime from 'mime-types';
+import { DEFAULT_IGNORE_PATTERNS } from '@lpa/shared';
 
 class FileScanner {
   constructor() {
     // Default ignore patterns
-    this.defaultIgnorePatterns = [
-      'node_modules/**',
-      '.git/**',
-      'dist/**',
-      'build/**',
-      '.next/**',
-      'coverage/**',
-      '.nyc_output/**',
-      'logs/**',
-      '*.log',
-      '.env',
-      '.env.*',
-      'package-lock.json',
-      'yarn.lock',
-      '.DS_Store',
-      'Thumbs.db',
-      '*.min.js',
-      '*.min.css',
-      '.vscode/**',
-      '.idea/**'
-    ];
+    this.defaultIgnorePatterns = [...DEFAULT_IGNORE_PATTERNS];
 
     // File extensions we're interested in for content analysis
     this.contentExtensions = [
@@ -62,6 +44,13 @@ class FileScanner {
 
     // Maximum file size to read content (5MB)
     this.maxContentSize = 5 * 1024 * 1024;
+
+    // Limits for whole-project scans used by context analysis
+    this.projectScanOptions = {
+      includeContent: true,
+      maxDepth: 10,
+      maxFiles: 1000
+    };
   }
 
   /**
@@ -136,15 +125,10 @@ class FileScanner {
       ignore,
       nodir: true, // Only files, not directories
       realpath: false,
-      follow: false // Don't follow symlinks
+      follow: false, // Don't follow symlinks
+      ...(maxDepth && { maxDepth }) // Levels below basePath, files included
     };
 
-    if (maxDepth) {
-      // Limit depth by modifying pattern
-      const depthPattern = '*'.repeat(maxDepth).split('').join('/');
-      pattern = pattern.replace('**', depthPattern);
-    }
-
     let files = await glob(pattern, globOptions);
 
     // Limit number of files
@@ -226,6 +210,11 @@ class FileScanner {
    * Check if file is binary
    */
   isBinaryFile(fileInfo) {
+    // Source files often have application/* types (application/javascript)
+    if (this.contentExtensions.includes(fileInfo.extension)) {
+      return false;
+    }
+
     // Check mime type first
     if (fileInfo.mimeType && !fileInfo.mimeType.startsWith('text/')) {
       return true;
@@ -423,40 +412,89 @@ class FileScanner {
   }
 
   /**
-   * Scan project structure (simplified version for now)
+   * Scan a project directory for analysis.
+   * Returns the scanned files (with content for text files) and a summary of
+   * how they are laid out.
    */
-  async scanProjectStructure(projectPath) {
+  async scanProjectStructure(projectPath, options = {}) {
     try {
-      // For now, return a mock structure
+      const files = await this.scanDirectory(projectPath, {
+        ...this.projectScanOptions,
+        ...options
+      });
+
       return {
-        totalFiles: 150,
-        directories: ['src', 'public', 'components', 'services'],
-        fileTypes: {
-          '.js': 45,
-          '.jsx': 25,
-          '.ts': 15,
-          '.tsx': 10,
-          '.json': 5,
-          '.md': 3,
-          '.css': 20,
-          '.html': 2
-        },
-        structure: {
-          src: {
-            files: [],
-            subdirs: {
-              components: { files: [], subdirs: {} },
-              services: { files: [], subdirs: {} }
-            }
-          },
-          public: { files: [], subdirs: {} }
-        }
+        files,
+        ...this.summarizeStructure(files)
       };
     } catch (error) {
       console.error('Error scanning project structure:', error);
       throw error;
     }
   }
+
+  /**
+   * Summarize how scanned files are laid out
+   */
+  summarizeStructure(files) {
+    const directories = new Set(
+      files
+        .map(file => path.dirname(file.path))
+        .filter(dir => dir !== '.')
+    );
+
+    return {
+      totalFiles: files.length,
+      totalSize: files.reduce((sum, file) => sum + file.size, 0),
+      directories: Array.from(directories).sort(),
+      fileTypes: this.countFileTypes(files)
+    };
+  }
+
+  /**
+   * List project files with their size and mtime without reading them,
+   * so callers can tell which files changed since a previous scan
+   */
+  async scanManifest(projectPath, options = {}) {
+    const { maxDepth, maxFiles, ignorePatterns = [] } = {
+      ...this.projectScanOptions,
+      ...options
+    };
+
+    if (!await fs.pathExists(projectPath)) {
+      throw new Error(`Directory does not exist: ${projectPath}`);
+    }
+
+    const files = await this.globFiles(projectPath, '**/*', {
+      ignore: [...this.defaultIgnorePatterns, ...ignorePatterns],
+      maxDepth,
+      maxFiles
+    });
+
+    const entries = await Promise.all(
+      files.map(async relativePath => {
+        try {
+          const stats = await fs.stat(path.join(projectPath, relativePath));
+          return stats.isFile()
+            ? { path: relativePath, size: stats.size, mtimeMs: stats.mtimeMs }
+            : null;
+        } catch (error) {
+          // Deleted between glob and stat
+          return null;
+        }
+      })
+    );
+
+    return entries.filter(entry => entry !== null);
+  }
+
+  /**
+   * SHA-256 of a file's bytes
+   */
+  async hashFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
 }
 
 export default new FileScanner();
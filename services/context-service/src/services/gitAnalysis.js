@@ -2,10 +2,22 @@ import simpleGit from 'simple-git';
 import path from 'path';
 import fs from 'fs-extra';
 
+// Commits touching fewer lines than this, or that look like formatting,
+// don't make someone the last meaningful editor
+const MEANINGFUL_CHANGE_LINES = 5;
+const TRIVIAL_COMMIT_PATTERN = /^(style|format|lint|prettier|chore|bump|typo)\b|\b(formatting|whitespace|typos?|lint fixes)\b/i;
+
+// Separators for parsing custom git log output
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
 class GitAnalysis {
   constructor() {
     this.maxCommits = 100;
     this.maxDaysBack = 30;
+    this.maxDiffFiles = 5;
+    this.maxDiffChars = 6000;
+    this.maxBlameFiles = 50;
     this.git = simpleGit();
   }
 
@@ -115,7 +127,7 @@ class GitAnalysis {
 
       const log = await git.log({
         maxCount: this.maxCommits,
-        since: since.toISOString()
+        '--since': since.toISOString()
       });
 
       return log.all.map(commit => ({
@@ -145,7 +157,7 @@ class GitAnalysis {
 
       const log = await git.log({
         maxCount: this.maxCommits,
-        since: since.toISOString(),
+        '--since': since.toISOString(),
         format: {
           hash: '%H',
           date: '%ai',
@@ -453,6 +465,332 @@ class GitAnalysis {
     }
   }
 
+  /**
+   * Uncommitted changes and the last commit's changes to the given files
+   * (paths relative to repoPath), for "it was working an hour ago" requests.
+   * With no files, the uncommitted files are used.
+   */
+  async getRecentDiffs(repoPath, files = []) {
+    const git = simpleGit(repoPath);
+
+    if (!(await git.checkIsRepo())) {
+      return { isGitRepo: false, files: [], diffs: [] };
+    }
+
+    // Status paths are relative to the repository root, which may be above repoPath
+    const prefix = (await git.revparse(['--show-prefix'])).trim();
+    const status = await this.getWorkingDirectoryStatus(git);
+    const uncommitted = [
+      ...status.modified,
+      ...status.created,
+      ...status.staged,
+      ...status.renamed.map(rename => rename.to)
+    ]
+      .filter(file => file.startsWith(prefix))
+      .map(file => file.slice(prefix.length));
+
+    const targets = [...new Set(files.length > 0 ? files : uncommitted)].slice(0, this.maxDiffFiles);
+
+    let lastCommit = null;
+    try {
+      const log = await git.log({ maxCount: 1 });
+      if (log.latest) {
+        lastCommit = {
+          hash: log.latest.hash,
+          date: log.latest.date,
+          message: log.latest.message
+        };
+      }
+    } catch (error) {
+      // No commits yet
+    }
+
+    const diffs = [];
+    for (const file of targets) {
+      try {
+        const working = lastCommit
+          ? await git.diff(['HEAD', '--', file])
+          : await git.diff(['--cached', '--', file]);
+        if (working.trim()) {
+          diffs.push({ source: 'working', file, ...this.limitDiff(working) });
+        }
+
+        if (lastCommit) {
+          // --format= leaves only the patch, and works for a root commit too
+          const committed = await git.show(['HEAD', '--format=', '--', file]);
+          if (committed.trim()) {
+            diffs.push({ source: 'lastCommit', file, commit: lastCommit, ...this.limitDiff(committed) });
+          }
+        }
+      } catch (error) {
+        console.warn(`Could not get recent diff for ${file}:`, error.message);
+      }
+    }
+
+    return { isGitRepo: true, files: targets, lastCommit, diffs };
+  }
+
+  limitDiff(diff) {
+    if (diff.length <= this.maxDiffChars) {
+      return { diff, truncated: false };
+    }
+    return {
+      diff: `${diff.slice(0, diff.lastIndexOf('\n', this.maxDiffChars))}\n... diff truncated`,
+      truncated: true
+    };
+  }
+
+  /**
+   * Who owns a file or directory (relative to repoPath): blame-based line
+   * ownership, the last meaningful change, and churn over 30/90 days.
+   * Directories also get per-file and per-subdirectory breakdowns.
+   */
+  async getOwnership(repoPath, targetPath = '') {
+    const git = simpleGit(repoPath);
+
+    if (!(await git.checkIsRepo())) {
+      return { isGitRepo: false };
+    }
+
+    const stats = await fs.stat(path.join(repoPath, targetPath));
+    const isDirectory = stats.isDirectory();
+    const pathspec = targetPath || '.';
+
+    const trackedFiles = isDirectory
+      ? (await git.raw(['ls-files', '--', pathspec])).split('\n').filter(Boolean)
+      : [targetPath];
+
+    // Blame the biggest files first; they hold most of the lines
+    const sizes = await Promise.all(trackedFiles.map(async file => {
+      const fileStats = await fs.stat(path.join(repoPath, file)).catch(() => null);
+      return { file, size: fileStats?.size || 0 };
+    }));
+    const blamedFiles = sizes
+      .filter(({ size }) => size > 0)
+      .sort((a, b) => b.size - a.size)
+      .slice(0, this.maxBlameFiles)
+      .map(({ file }) => file);
+
+    const fileOwners = new Map();
+    for (const file of blamedFiles) {
+      fileOwners.set(file, await this.blameFile(git, file));
+    }
+
+    const since90 = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    const recentHistory = await this.getChangeHistory(git, pathspec, { since: since90 });
+    const history = await this.getChangeHistory(git, pathspec, { maxCount: 50 });
+
+    const ownership = {
+      isGitRepo: true,
+      path: pathspec,
+      type: isDirectory ? 'directory' : 'file',
+      owners: this.mergeOwners(Array.from(fileOwners.values()).flat()),
+      lastMeaningfulChange: this.findMeaningfulChange(history),
+      lastChange: history[0] ? this.describeCommit(history[0]) : null,
+      churn: {
+        days30: this.summarizeChurn(recentHistory, 30),
+        days90: this.summarizeChurn(recentHistory, 90)
+      },
+      totalFiles: trackedFiles.length,
+      blamedFiles: blamedFiles.length
+    };
+
+    if (isDirectory) {
+      ownership.files = this.summarizeFiles(fileOwners, recentHistory);
+      ownership.directories = this.summarizeDirectories(fileOwners, targetPath);
+    }
+
+    return ownership;
+  }
+
+  /**
+   * Lines per author in the current version of a file, ignoring whitespace
+   */
+  async blameFile(git, file) {
+    let output;
+    try {
+      output = await git.raw(['blame', '--line-porcelain', '-w', '-M', '--', file]);
+    } catch (error) {
+      // Binary or not committed yet
+      return [];
+    }
+
+    const counts = new Map();
+    let author = null;
+    let email = null;
+
+    output.split('\n').forEach(line => {
+      if (line.startsWith('author ')) {
+        author = line.slice('author '.length);
+      } else if (line.startsWith('author-mail ')) {
+        email = line.slice('author-mail '.length).replace(/[<>]/g, '');
+      } else if (line.startsWith('\t') && author && author !== 'Not Committed Yet') {
+        const key = email || author;
+        const owner = counts.get(key) || { name: author, email, lines: 0 };
+        owner.lines++;
+        counts.set(key, owner);
+      }
+    });
+
+    return Array.from(counts.values());
+  }
+
+  /**
+   * Non-merge commits touching a pathspec, with per-file line counts
+   */
+  async getChangeHistory(git, pathspec, { since = null, maxCount = null } = {}) {
+    const args = [
+      'log',
+      '--no-merges',
+      '--numstat',
+      '--relative',
+      `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s`
+    ];
+    if (since) args.push(`--since=${since.toISOString()}`);
+    if (maxCount) args.push(`--max-count=${maxCount}`);
+    args.push('--', pathspec);
+
+    let output;
+    try {
+      output = await git.raw(args);
+    } catch (error) {
+      console.warn(`Could not get history for ${pathspec}:`, error.message);
+      return [];
+    }
+
+    return output
+      .split(RECORD_SEPARATOR)
+      .filter(record => record.trim())
+      .map(record => {
+        const [header, ...statLines] = record.split('\n');
+        const [hash, authorName, authorEmail, date, message] = header.split(FIELD_SEPARATOR);
+
+        const files = statLines
+          .filter(Boolean)
+          .map(line => {
+            const [insertions, deletions, file] = line.split('\t');
+            return {
+              file,
+              // Binary files show '-'
+              insertions: parseInt(insertions, 10) || 0,
+              deletions: parseInt(deletions, 10) || 0
+            };
+          });
+
+        return {
+          hash,
+          author: { name: authorName, email: authorEmail },
+          date,
+          message,
+          files,
+          linesChanged: files.reduce((total, f) => total + f.insertions + f.deletions, 0)
+        };
+      });
+  }
+
+  mergeOwners(owners) {
+    const merged = new Map();
+    owners.forEach(owner => {
+      const key = owner.email || owner.name;
+      const existing = merged.get(key) || { name: owner.name, email: owner.email, lines: 0 };
+      existing.lines += owner.lines;
+      merged.set(key, existing);
+    });
+
+    const totalLines = Array.from(merged.values()).reduce((total, owner) => total + owner.lines, 0);
+
+    return Array.from(merged.values())
+      .sort((a, b) => b.lines - a.lines)
+      .slice(0, 10)
+      .map(owner => ({
+        ...owner,
+        share: totalLines > 0 ? Math.round((owner.lines / totalLines) * 100) / 100 : 0
+      }));
+  }
+
+  findMeaningfulChange(history) {
+    const commit = history.find(candidate =>
+      candidate.linesChanged >= MEANINGFUL_CHANGE_LINES &&
+      !TRIVIAL_COMMIT_PATTERN.test(candidate.message)
+    );
+    return commit ? this.describeCommit(commit) : null;
+  }
+
+  describeCommit(commit) {
+    return {
+      hash: commit.hash,
+      shortHash: commit.hash.slice(0, 7),
+      author: commit.author,
+      date: commit.date,
+      message: commit.message,
+      linesChanged: commit.linesChanged
+    };
+  }
+
+  summarizeChurn(history, days) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const commits = history.filter(commit => new Date(commit.date).getTime() >= since);
+
+    return {
+      commits: commits.length,
+      linesChanged: commits.reduce((total, commit) => total + commit.linesChanged, 0),
+      authors: new Set(commits.map(commit => commit.author.email || commit.author.name)).size
+    };
+  }
+
+  /**
+   * Top owner and 90-day churn per file, most churned first
+   */
+  summarizeFiles(fileOwners, recentHistory) {
+    const churn = new Map();
+    recentHistory.forEach(commit => {
+      commit.files.forEach(({ file, insertions, deletions }) => {
+        const entry = churn.get(file) || { commits: 0, linesChanged: 0 };
+        entry.commits++;
+        entry.linesChanged += insertions + deletions;
+        churn.set(file, entry);
+      });
+    });
+
+    return Array.from(fileOwners.entries())
+      .map(([file, owners]) => {
+        const [owner] = this.mergeOwners(owners);
+        return {
+          file,
+          owner: owner || null,
+          churn90: churn.get(file) || { commits: 0, linesChanged: 0 }
+        };
+      })
+      .sort((a, b) => b.churn90.linesChanged - a.churn90.linesChanged)
+      .slice(0, 20);
+  }
+
+  /**
+   * Owners of each immediate subdirectory of the target
+   */
+  summarizeDirectories(fileOwners, targetPath) {
+    const prefix = targetPath ? `${targetPath.replace(/\/$/, '')}/` : '';
+    const byDirectory = new Map();
+
+    fileOwners.forEach((owners, file) => {
+      const rest = file.slice(prefix.length);
+      if (!rest.includes('/')) return;
+      const directory = prefix + rest.split('/')[0];
+      byDirectory.set(directory, [...(byDirectory.get(directory) || []), ...owners]);
+    });
+
+    return Array.from(byDirectory.entries())
+      .map(([directory, owners]) => {
+        const [owner] = this.mergeOwners(owners);
+        return {
+          path: directory,
+          owner: owner || null,
+          lines: owners.reduce((total, { lines }) => total + lines, 0)
+        };
+      })
+      .sort((a, b) => b.lines - a.lines);
+  }
+
   /**
    * Check if path is in a git repository
    */
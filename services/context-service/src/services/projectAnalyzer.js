@@ -0,0 +1,259 @@
+import path from 'path';
+import contextEngine from './contextEngine.js';
+import fileScanner from './fileScanner.js';
+import gitAnalysis from './gitAnalysis.js';
+import symbolIndexer from './symbolIndexer.js';
+import codeIndex from './codeIndex.js';
+import importParser from '../utils/importParser.js';
+
+// Least recently analyzed projects are dropped beyond this
+const MAX_CACHED_PROJECTS = 20;
+
+/**
+ * Analyzes projects incrementally.
+ * Each project keeps a manifest of path -> size/mtime/content hash plus the
+ * scanned files with their symbols, imports and embedded search chunks, so
+ * later analyses only re-read, re-parse and re-embed files that changed and
+ * rebuild the context from the cached set.
+ */
+class ProjectAnalyzer {
+  constructor() {
+    this.projects = new Map();
+  }
+
+  cacheKey(projectPath, projectId) {
+    return projectId || path.resolve(projectPath);
+  }
+
+  /**
+   * Analyze a project, reusing the previous analysis where files are unchanged.
+   * `analysis.mode` is 'full', 'incremental' or 'cached', and
+   * `analysis.reanalyzedFiles` lists the files that had to be re-read.
+   */
+  async analyze(projectPath, { projectId = null, userId = null, force = false } = {}) {
+    const startedAt = Date.now();
+    const key = this.cacheKey(projectPath, projectId);
+
+    let cached = this.projects.get(key);
+    if (force || cached?.projectPath !== projectPath) {
+      cached = null;
+    }
+
+    const entries = await fileScanner.scanManifest(projectPath);
+    const delta = await this.applyManifest(projectPath, entries, cached);
+    const hasChanges =
+      delta.added.length + delta.modified.length + delta.removed.length > 0;
+
+    let result;
+    if (cached && !hasChanges) {
+      result = cached.result;
+    } else {
+      const files = Array.from(delta.files.values());
+      const symbols = this.flattenSymbols(delta.symbols);
+      const importGraph = contextEngine.buildImportGraph(files, delta.imports);
+      const projectStructure = fileScanner.summarizeStructure(files);
+      const gitContext = await this.analyzeGit(projectPath);
+
+      const context = await contextEngine.generateProjectContext({
+        projectStructure: { files, ...projectStructure },
+        gitContext,
+        symbols,
+        importGraph,
+        userId,
+        projectId
+      });
+
+      result = { context, projectStructure, gitContext, symbols, importGraph };
+    }
+
+    this.remember(key, {
+      projectPath,
+      manifest: delta.manifest,
+      files: delta.files,
+      symbols: delta.symbols,
+      imports: delta.imports,
+      chunks: delta.chunks,
+      result
+    });
+
+    return {
+      ...result,
+      changed: hasChanges || !cached,
+      analysis: {
+        mode: !cached ? 'full' : hasChanges ? 'incremental' : 'cached',
+        reanalyzedFiles: [...delta.added, ...delta.modified],
+        addedFiles: delta.added,
+        modifiedFiles: delta.modified,
+        removedFiles: delta.removed,
+        unchangedFiles: delta.unchanged,
+        durationMs: Date.now() - startedAt
+      }
+    };
+  }
+
+  /**
+   * Compare a fresh manifest with the cached one.
+   * Files whose size and mtime match are reused as-is; otherwise the content
+   * hash decides whether the file really changed and must be re-processed.
+   */
+  async applyManifest(projectPath, entries, cached) {
+    const manifest = new Map();
+    const files = new Map();
+    const symbols = new Map();
+    const imports = new Map();
+    const chunks = new Map();
+    const reparsed = [];
+    const added = [];
+    const modified = [];
+    let unchanged = 0;
+
+    // Unchanged files whose chunks an earlier embed failure left without
+    // vectors are embedded again along with the reparsed ones
+    const unembedded = [];
+    const reuseChunks = (filePath, file) => {
+      const fileChunks = cached.chunks.get(filePath) || [];
+      chunks.set(filePath, fileChunks);
+      if (fileChunks.some(chunk => !chunk.vector)) unembedded.push(file);
+    };
+
+    await Promise.all(entries.map(async entry => {
+      const previous = cached?.manifest.get(entry.path);
+      const cachedFile = cached?.files.get(entry.path);
+
+      if (
+        previous &&
+        cachedFile &&
+        previous.size === entry.size &&
+        previous.mtimeMs === entry.mtimeMs
+      ) {
+        manifest.set(entry.path, previous);
+        files.set(entry.path, cachedFile);
+        symbols.set(entry.path, cached.symbols.get(entry.path) || []);
+        imports.set(entry.path, cached.imports.get(entry.path) || []);
+        reuseChunks(entry.path, cachedFile);
+        unchanged++;
+        return;
+      }
+
+      const fullPath = path.join(projectPath, entry.path);
+      let hash;
+      try {
+        hash = await fileScanner.hashFile(fullPath);
+      } catch (error) {
+        // Deleted since the manifest scan
+        return;
+      }
+
+      // Touched but identical, e.g. after a checkout: keep the cached analysis
+      if (previous && cachedFile && previous.hash === hash) {
+        manifest.set(entry.path, { ...entry, hash });
+        files.set(entry.path, {
+          ...cachedFile,
+          lastModified: new Date(entry.mtimeMs).toISOString()
+        });
+        symbols.set(entry.path, cached.symbols.get(entry.path) || []);
+        imports.set(entry.path, cached.imports.get(entry.path) || []);
+        reuseChunks(entry.path, files.get(entry.path));
+        unchanged++;
+        return;
+      }
+
+      const file = await fileScanner.processFile(projectPath, entry.path, true);
+      if (!file) return;
+
+      manifest.set(entry.path, { ...entry, hash });
+      files.set(entry.path, file);
+      symbols.set(entry.path, symbolIndexer.indexFile(file));
+      imports.set(entry.path, importParser.extractImports(file));
+      reparsed.push(file);
+      (previous ? modified : added).push(entry.path);
+    }));
+
+    // Embedded together so remote backends get batched requests
+    const newChunks = await codeIndex.indexFiles([...reparsed, ...unembedded]);
+    newChunks.forEach((fileChunks, filePath) => chunks.set(filePath, fileChunks));
+
+    const removed = cached
+      ? Array.from(cached.manifest.keys()).filter(filePath => !manifest.has(filePath))
+      : [];
+
+    return {
+      manifest,
+      files,
+      symbols,
+      imports,
+      chunks,
+      added: added.sort(),
+      modified: modified.sort(),
+      removed: removed.sort(),
+      unchanged
+    };
+  }
+
+  /**
+   * Git history is optional context; failures only mean there is none
+   */
+  async analyzeGit(projectPath) {
+    try {
+      return await gitAnalysis.analyzeRepository(projectPath);
+    } catch (error) {
+      console.warn('Git analysis skipped:', error.message);
+      return { isGitRepo: false, reason: error.message };
+    }
+  }
+
+  remember(key, entry) {
+    this.projects.delete(key);
+    this.projects.set(key, entry);
+
+    if (this.projects.size > MAX_CACHED_PROJECTS) {
+      this.projects.delete(this.projects.keys().next().value);
+    }
+  }
+
+  /**
+   * Directory of a project with a cached analysis, or null
+   */
+  getProjectPath(projectId) {
+    return this.projects.get(projectId)?.projectPath || null;
+  }
+
+  /**
+   * Symbols from a project's cached analysis, or null if it has none
+   */
+  getSymbols(projectId) {
+    return this.projects.get(projectId)?.result.symbols || null;
+  }
+
+  /**
+   * Import graph from a project's cached analysis, or null if it has none
+   */
+  getImportGraph(projectId) {
+    return this.projects.get(projectId)?.result.importGraph || null;
+  }
+
+  /**
+   * Semantic search over a project's cached chunks, or null if it has none
+   */
+  async searchCode(projectId, query, options = {}) {
+    const cached = this.projects.get(projectId);
+    if (!cached) return null;
+
+    return codeIndex.search(cached.chunks, query, options);
+  }
+
+  flattenSymbols(symbolsByFile) {
+    return Array.from(symbolsByFile.values())
+      .flat()
+      .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  }
+
+  /**
+   * Forget a project's cached analysis
+   */
+  invalidate(projectPath, projectId = null) {
+    this.projects.delete(this.cacheKey(projectPath, projectId));
+  }
+}
+
+export default new ProjectAnalyzer();
@@ -0,0 +1,142 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Rows per insert when saving a symbol index
+const SYMBOL_BATCH_SIZE = 500;
+
+/**
+ * Reads and writes analyzed project context on the `projects` table
+ */
+class ProjectStore {
+  constructor() {
+    // Without database credentials analysis still works, it just isn't saved
+    this.supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+      : null;
+  }
+
+  get isEnabled() {
+    return Boolean(this.supabase);
+  }
+
+  /**
+   * Get a project row, optionally restricted to its owner
+   */
+  async getProject(projectId, userId = null) {
+    if (!this.supabase) return null;
+
+    let query = this.supabase
+      .from('projects')
+      .select('id, user_id, name, project_path, language, framework, context_data, updated_at')
+      .eq('id', projectId);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load project: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Store analyzed context, keeping the language/framework columns in sync
+   */
+  async saveContext(projectId, context) {
+    if (!this.supabase) return null;
+
+    const { data, error } = await this.supabase
+      .from('projects')
+      .update({
+        context_data: context,
+        language: context.primaryLanguage !== 'unknown' ? context.primaryLanguage : null,
+        framework: context.framework !== 'none' ? context.framework : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', projectId)
+      .select('id, context_data')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save project context: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Save everything an analysis produced for a project
+   */
+  async saveAnalysis(projectId, { context, symbols }) {
+    await this.saveContext(projectId, context);
+    await this.saveSymbols(projectId, symbols);
+  }
+
+  /**
+   * Replace a project's stored symbol index
+   */
+  async saveSymbols(projectId, symbols) {
+    if (!this.supabase) return;
+
+    const { error: deleteError } = await this.supabase
+      .from('project_symbols')
+      .delete()
+      .eq('project_id', projectId);
+
+    if (deleteError) {
+      throw new Error(`Failed to clear project symbols: ${deleteError.message}`);
+    }
+
+    const rows = symbols.map(({ name, kind, file, line, endLine, exported, ...metadata }) => ({
+      project_id: projectId,
+      file_path: file,
+      name,
+      kind,
+      line,
+      end_line: endLine,
+      exported,
+      metadata
+    }));
+
+    for (let i = 0; i < rows.length; i += SYMBOL_BATCH_SIZE) {
+      const { error } = await this.supabase
+        .from('project_symbols')
+        .insert(rows.slice(i, i + SYMBOL_BATCH_SIZE));
+
+      if (error) {
+        throw new Error(`Failed to save project symbols: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Load a project's stored symbol index in the indexer's shape
+   */
+  async getSymbols(projectId) {
+    if (!this.supabase) return null;
+
+    const { data, error } = await this.supabase
+      .from('project_symbols')
+      .select('name, kind, file_path, line, end_line, exported, metadata')
+      .eq('project_id', projectId);
+
+    if (error) {
+      throw new Error(`Failed to load project symbols: ${error.message}`);
+    }
+
+    return data.map(row => ({
+      ...row.metadata,
+      name: row.name,
+      kind: row.kind,
+      file: row.file_path,
+      line: row.line,
+      endLine: row.end_line,
+      exported: row.exported
+    }));
+  }
+}
+
+export default new ProjectStore();
@@ -0,0 +1,312 @@
+import fs from 'fs';
+import path from 'path';
+import projectAnalyzer from './projectAnalyzer.js';
+import projectStore from './projectStore.js';
+
+// Quiet period before a batch of file events is analyzed
+const DEBOUNCE_MS = 500;
+
+// Upper bound on how long a constant stream of events can delay analysis
+const MAX_WAIT_MS = 5000;
+
+// Batches touching more files than this are checkouts, builds or installs,
+// not edits, so they don't move the focus area
+const BULK_CHANGE_THRESHOLD = 25;
+
+// How far back the focus area looks by default
+const DEFAULT_FOCUS_MINUTES = 15;
+
+// Directories whose changes never count as edits
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules',
+  '.git',
+  'dist',
+  'build',
+  '.next',
+  'coverage',
+  '.nyc_output',
+  'logs',
+  '.vscode',
+  '.idea'
+]);
+
+/**
+ * Watches registered project directories.
+ * Every directory that isn't ignored gets its own non-recursive watch, so
+ * node_modules and .git never use up the system's watch limit. File events
+ * are debounced into batches; each batch re-analyzes the project
+ * incrementally (keeping its manifest and context current) and records
+ * which files were edited, which is what the focus area reports.
+ */
+class ProjectWatcher {
+  constructor() {
+    this.projects = new Map();
+  }
+
+  /**
+   * Start watching a project directory. Re-registering replaces the old
+   * watch, but only once the new directory has been analyzed and is being
+   * watched; if either fails the old watch is kept and the error thrown.
+   */
+  async watch(projectId, projectPath, { userId = null } = {}) {
+    const existing = this.projects.get(projectId);
+    if (existing?.projectPath === projectPath) {
+      return this.getStatus(projectId);
+    }
+
+    // Start from a current manifest so the first batch is incremental
+    await projectAnalyzer.analyze(projectPath, { projectId, userId });
+
+    const project = {
+      projectPath,
+      userId,
+      watchers: new Map(),
+      closed: false,
+      pending: new Map(),
+      timer: null,
+      batchStartedAt: null,
+      edits: new Map(),
+      analyzing: null,
+      lastAnalysis: null,
+      watchingSince: new Date().toISOString()
+    };
+
+    try {
+      await this.watchDirectory(projectId, project, '');
+    } catch (error) {
+      this.close(project);
+      throw error;
+    }
+
+    this.unwatch(projectId);
+    this.projects.set(projectId, project);
+    return this.getStatus(projectId);
+  }
+
+  /**
+   * Watch a project directory (relative to the project, '' for the root)
+   * and the directories under it that aren't ignored. A directory that
+   * disappears meanwhile is skipped; any other failure is thrown.
+   */
+  async watchDirectory(projectId, project, relativeDir) {
+    if (project.closed || project.watchers.has(relativeDir)) return;
+
+    const fullPath = path.join(project.projectPath, relativeDir);
+    let entries;
+
+    try {
+      const watcher = fs.watch(
+        fullPath,
+        (eventType, filename) => this.handleEvent(projectId, relativeDir, eventType, filename)
+      );
+      watcher.on('error', error => this.handleWatcherError(projectId, project, relativeDir, error));
+      project.watchers.set(relativeDir, watcher);
+
+      entries = await fs.promises.readdir(fullPath, { withFileTypes: true });
+    } catch (error) {
+      this.closeDirectory(project, relativeDir);
+      if (error.code === 'ENOENT' && relativeDir !== '') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORED_DIRECTORIES.has(entry.name)) {
+        await this.watchDirectory(projectId, project, path.posix.join(relativeDir, entry.name));
+      }
+    }
+  }
+
+  /**
+   * Stop watching a directory and everything under it
+   */
+  closeDirectory(project, relativeDir) {
+    for (const [dir, watcher] of project.watchers) {
+      if (relativeDir === '' || dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+        watcher.close();
+        project.watchers.delete(dir);
+      }
+    }
+  }
+
+  close(project) {
+    project.closed = true;
+    clearTimeout(project.timer);
+    this.closeDirectory(project, '');
+  }
+
+  handleWatcherError(projectId, project, relativeDir, error) {
+    console.error(`Watcher error for project ${projectId} in "${relativeDir || '.'}":`, error.message);
+
+    // Losing a subdirectory only loses its events; losing the root is fatal
+    if (relativeDir !== '') {
+      this.closeDirectory(project, relativeDir);
+    } else if (this.projects.get(projectId) === project) {
+      this.unwatch(projectId);
+    }
+  }
+
+  /**
+   * Stop watching a project; returns whether it was being watched
+   */
+  unwatch(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project) return false;
+
+    this.close(project);
+    this.projects.delete(projectId);
+    return true;
+  }
+
+  isWatching(projectId) {
+    return this.projects.has(projectId);
+  }
+
+  handleEvent(projectId, relativeDir, eventType, filename) {
+    const project = this.projects.get(projectId);
+    if (!project || !filename) return;
+
+    const relativePath = path.posix.join(relativeDir, filename.toString().split(path.sep).join('/'));
+    if (relativePath.split('/').some(part => IGNORED_DIRECTORIES.has(part))) {
+      return;
+    }
+
+    // Entries appearing or disappearing may be directories to (un)watch
+    if (eventType === 'rename') {
+      this.syncDirectory(projectId, project, relativePath);
+    }
+
+    project.pending.set(relativePath, Date.now());
+
+    // Debounce, but flush anyway once a burst has gone on too long
+    project.batchStartedAt = project.batchStartedAt || Date.now();
+    const waited = Date.now() - project.batchStartedAt;
+
+    clearTimeout(project.timer);
+    project.timer = setTimeout(
+      () => this.flush(projectId),
+      waited >= MAX_WAIT_MS ? 0 : DEBOUNCE_MS
+    );
+  }
+
+  /**
+   * Start watching a directory that was just created, or stop watching one
+   * that was removed
+   */
+  async syncDirectory(projectId, project, relativePath) {
+    const stats = await fs.promises.stat(path.join(project.projectPath, relativePath)).catch(() => null);
+
+    if (!stats) {
+      this.closeDirectory(project, relativePath);
+    } else if (stats.isDirectory()) {
+      await this.watchDirectory(projectId, project, relativePath).catch(error => {
+        console.error(`Could not watch ${relativePath} in project ${projectId}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Analyze the pending batch of changes
+   */
+  async flush(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project || project.pending.size === 0) return;
+
+    // One analysis at a time; events arriving meanwhile form the next batch
+    if (project.analyzing) {
+      await project.analyzing;
+      return this.flush(projectId);
+    }
+
+    const batch = project.pending;
+    project.pending = new Map();
+    project.batchStartedAt = null;
+
+    project.analyzing = this.analyzeBatch(projectId, project, batch)
+      .catch(error => {
+        console.error(`Error analyzing changes for project ${projectId}:`, error);
+      })
+      .finally(() => {
+        project.analyzing = null;
+      });
+
+    return project.analyzing;
+  }
+
+  async analyzeBatch(projectId, project, batch) {
+    const { context, symbols, changed, analysis } = await projectAnalyzer.analyze(
+      project.projectPath,
+      { projectId, userId: project.userId }
+    );
+
+    const edited = [...analysis.addedFiles, ...analysis.modifiedFiles];
+    const isBulkChange = edited.length > BULK_CHANGE_THRESHOLD;
+
+    if (!isBulkChange) {
+      edited.forEach(filePath => {
+        project.edits.set(filePath, batch.get(filePath) || Date.now());
+      });
+    }
+    analysis.removedFiles.forEach(filePath => project.edits.delete(filePath));
+
+    project.lastAnalysis = {
+      ...analysis,
+      isBulkChange,
+      analyzedAt: new Date().toISOString()
+    };
+
+    if (changed) {
+      await projectStore.saveAnalysis(projectId, { context, symbols });
+    }
+  }
+
+  /**
+   * Files edited in the last `minutes`, most recent first, in the same shape
+   * as ContextEngine.detectFocusArea. Returns null for unwatched projects.
+   */
+  getFocus(projectId, { minutes = DEFAULT_FOCUS_MINUTES } = {}) {
+    const project = this.projects.get(projectId);
+    if (!project) return null;
+
+    const since = Date.now() - minutes * 60 * 1000;
+    const recentEdits = Array.from(project.edits.entries())
+      .filter(([, editedAt]) => editedAt >= since)
+      .sort(([, a], [, b]) => b - a)
+      .map(([filePath, editedAt]) => ({
+        path: filePath,
+        editedAt: new Date(editedAt).toISOString()
+      }));
+
+    const activeDirectories = [
+      ...new Set(
+        recentEdits
+          .map(edit => path.posix.dirname(edit.path))
+          .filter(dir => dir !== '.')
+      )
+    ];
+
+    return {
+      minutes,
+      recentEdits,
+      recentFiles: recentEdits.map(edit => edit.path),
+      activeDirectories,
+      directory: activeDirectories[0] || null,
+      primaryFocus: recentEdits[0]?.path || null
+    };
+  }
+
+  getStatus(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project) return { watching: false };
+
+    return {
+      watching: true,
+      projectPath: project.projectPath,
+      watchingSince: project.watchingSince,
+      watchedDirectories: project.watchers.size,
+      pendingChanges: project.pending.size,
+      lastAnalysis: project.lastAnalysis
+    };
+  }
+}
+
+export default new ProjectWatcher();
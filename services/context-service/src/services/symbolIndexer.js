@@ -0,0 +1,363 @@
+import { parse } from '@babel/parser';
+
+const INDEXED_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'all'];
+
+// Receivers that are apps or routers by name: app, router, this.app, apiRouter
+const ROUTER_NAME = /(^|\.)(app|\w*router)$/i;
+
+// express(), express.Router(), Router(), new Router()
+const ROUTER_FACTORY = /^(express|(\w+\.)?Router)$/;
+
+// Arguments after the path that can be (or produce) a route handler
+const HANDLER_TYPES = [
+  'ArrowFunctionExpression',
+  'FunctionExpression',
+  'Identifier',
+  'MemberExpression',
+  'CallExpression'
+];
+
+// Words in a query that name a kind of symbol rather than the symbol itself
+const KIND_WORDS = {
+  component: 'component',
+  components: 'component',
+  hook: 'hook',
+  hooks: 'hook',
+  route: 'route',
+  routes: 'route',
+  endpoint: 'route',
+  endpoints: 'route',
+  function: 'function',
+  functions: 'function',
+  class: 'class',
+  classes: 'class'
+};
+
+/**
+ * Extracts exported functions, classes, React components, hooks and
+ * Express route registrations from JS/TS files
+ */
+class SymbolIndexer {
+  canIndex(file) {
+    return INDEXED_EXTENSIONS.includes(file.extension) && Boolean(file.content);
+  }
+
+  /**
+   * Symbols declared in one scanned file; unparsable files have none
+   */
+  indexFile(file) {
+    if (!this.canIndex(file)) return [];
+
+    let ast;
+    try {
+      ast = parse(file.content, {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        plugins: [
+          'jsx',
+          ...(['.ts', '.tsx'].includes(file.extension) ? ['typescript'] : [])
+        ]
+      });
+    } catch (error) {
+      return [];
+    }
+
+    const symbols = [];
+    const add = (node, name, kind, extra = {}) => {
+      symbols.push({
+        name,
+        kind,
+        file: file.path,
+        line: node.loc.start.line,
+        endLine: node.loc.end.line,
+        exported: false,
+        ...extra
+      });
+    };
+
+    // Names exported separately from their declaration: export { a }, export default a
+    const exportedNames = new Map();
+
+    ast.program.body.forEach(statement => {
+      this.indexStatement(statement, add, exportedNames);
+    });
+
+    symbols.forEach(symbol => {
+      if (exportedNames.has(symbol.name)) {
+        symbol.exported = true;
+        if (exportedNames.get(symbol.name)) symbol.isDefault = true;
+      }
+    });
+
+    const routers = this.findRouterBindings(ast.program);
+    this.walk(ast.program, node => {
+      const route = this.getRouteRegistration(node, routers);
+      if (route) add(node, `${route.method} ${route.path}`, 'route', route);
+    });
+
+    return symbols;
+  }
+
+  indexStatement(statement, add, exportedNames) {
+    if (statement.type === 'ExportNamedDeclaration') {
+      // export function x / export class X / export const x = ...
+      if (statement.declaration) {
+        this.indexDeclaration(statement.declaration, add, { exported: true });
+      }
+      // export { a, b as c }
+      if (!statement.source) {
+        statement.specifiers.forEach(specifier => {
+          const isDefault = specifier.exported?.name === 'default';
+          exportedNames.set(specifier.local.name, isDefault);
+        });
+      }
+      return;
+    }
+
+    // export default function X / export default class X / export default X
+    if (statement.type === 'ExportDefaultDeclaration') {
+      const { declaration } = statement;
+      if (declaration.type === 'Identifier') {
+        exportedNames.set(declaration.name, true);
+      } else if (declaration.id) {
+        const kind = this.classify(declaration.id.name, declaration);
+        if (kind) {
+          add(statement, declaration.id.name, kind, { exported: true, isDefault: true });
+        }
+      }
+      return;
+    }
+
+    // module.exports = { a, b } / exports.x = function () {}
+    if (
+      statement.type === 'ExpressionStatement' &&
+      statement.expression.type === 'AssignmentExpression'
+    ) {
+      this.indexCommonJsExport(statement, add);
+      return;
+    }
+
+    this.indexDeclaration(statement, add, { exported: false });
+  }
+
+  indexDeclaration(declaration, add, extra) {
+    if (
+      ['FunctionDeclaration', 'ClassDeclaration', 'TSDeclareFunction'].includes(declaration.type) &&
+      declaration.id
+    ) {
+      const kind = this.classify(declaration.id.name, declaration);
+      if (kind) add(declaration, declaration.id.name, kind, extra);
+      return;
+    }
+
+    if (declaration.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(declarator => {
+        if (declarator.id.type !== 'Identifier' || !declarator.init) return;
+        const kind = this.classify(declarator.id.name, declarator.init);
+        if (kind) add(declarator, declarator.id.name, kind, extra);
+      });
+    }
+  }
+
+  indexCommonJsExport(statement, add) {
+    const { left, right } = statement.expression;
+    const target = this.memberPath(left);
+
+    if (target === 'module.exports' && right.type === 'ObjectExpression') {
+      right.properties.forEach(property => {
+        if (property.type !== 'ObjectProperty' && property.type !== 'ObjectMethod') return;
+        const name = property.key.name || property.key.value;
+        const kind = this.classify(name, property.value || property);
+        if (name && kind) add(property, name, kind, { exported: true });
+      });
+      return;
+    }
+
+    const match = target?.match(/^(?:module\.)?exports\.(\w+)$/);
+    if (match) {
+      const kind = this.classify(match[1], right);
+      if (kind) add(statement, match[1], kind, { exported: true });
+    }
+  }
+
+  /**
+   * What kind of symbol a declaration is, or null if it isn't one we index
+   */
+  classify(name, node) {
+    if (!name || !node) return null;
+
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      const superName = this.memberPath(node.superClass) || '';
+      return /(^|\.)(Pure)?Component$/.test(superName) ? 'component' : 'class';
+    }
+
+    // Unwrap memo(...) / forwardRef(...) around components
+    if (node.type === 'CallExpression' && /(^|\.)(memo|forwardRef)$/.test(this.memberPath(node.callee) || '')) {
+      return node.arguments[0] ? this.classify(name, node.arguments[0]) && 'component' : null;
+    }
+
+    const isFunction = [
+      'FunctionDeclaration',
+      'FunctionExpression',
+      'ArrowFunctionExpression',
+      'ObjectMethod',
+      'TSDeclareFunction'
+    ].includes(node.type);
+    if (!isFunction) return null;
+
+    if (/^use[A-Z0-9]/.test(name)) return 'hook';
+    if (/^[A-Z]/.test(name) && this.containsJsx(node)) return 'component';
+    return 'function';
+  }
+
+  /**
+   * Names bound to an app or router: const api = express.Router()
+   */
+  findRouterBindings(program) {
+    const routers = new Set();
+    this.walk(program, node => {
+      if (
+        node.type === 'VariableDeclarator' &&
+        node.id.type === 'Identifier' &&
+        ['CallExpression', 'NewExpression'].includes(node.init?.type) &&
+        ROUTER_FACTORY.test(this.memberPath(node.init.callee) || '')
+      ) {
+        routers.add(node.id.name);
+      }
+      return false;
+    });
+    return routers;
+  }
+
+  /**
+   * app.get('/path', handler) / router.post('/path', ...middleware, handler).
+   * The receiver must be an app or router, so axios.post('/api/x', body)
+   * and other HTTP clients aren't taken for routes.
+   */
+  getRouteRegistration(node, routers = new Set()) {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') {
+      return null;
+    }
+
+    const method = node.callee.property.name;
+    const receiver = this.memberPath(node.callee.object);
+    const [pathArg, ...handlers] = node.arguments;
+    if (
+      !ROUTE_METHODS.includes(method) ||
+      !receiver ||
+      !(routers.has(receiver) || ROUTER_NAME.test(receiver)) ||
+      !['StringLiteral', 'TemplateLiteral'].includes(pathArg?.type) ||
+      !handlers.some(handler => HANDLER_TYPES.includes(handler.type))
+    ) {
+      return null;
+    }
+
+    const routePath = pathArg.type === 'StringLiteral'
+      ? pathArg.value
+      : pathArg.quasis.map(quasi => quasi.value.cooked).join('*');
+    if (!routePath.startsWith('/')) return null;
+
+    return {
+      method: method.toUpperCase(),
+      path: routePath,
+      router: receiver
+    };
+  }
+
+  containsJsx(node) {
+    let found = false;
+    this.walk(node, child => {
+      if (child.type === 'JSXElement' || child.type === 'JSXFragment') {
+        found = true;
+      }
+      return found;
+    });
+    return found;
+  }
+
+  memberPath(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (node.type === 'MemberExpression' && !node.computed) {
+      const object = this.memberPath(node.object);
+      return object ? `${object}.${node.property.name}` : null;
+    }
+    return null;
+  }
+
+  /**
+   * Depth-first walk over AST nodes; the visitor returns true to stop early
+   */
+  walk(node, visit) {
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (visit(current)) return;
+
+      Object.keys(current).forEach(key => {
+        if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') return;
+        const value = current[key];
+        if (Array.isArray(value)) {
+          for (let i = value.length - 1; i >= 0; i--) {
+            if (value[i]?.type) stack.push(value[i]);
+          }
+        } else if (value?.type) {
+          stack.push(value);
+        }
+      });
+    }
+  }
+
+  /**
+   * Rank symbols against a free-text query such as "the login thing".
+   * Name words and file path words both count; kind words like "component"
+   * restrict the kind instead of matching names.
+   */
+  search(symbols, query, { limit = 20, kind = null } = {}) {
+    const words = (query || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1);
+
+    const kinds = new Set(words.map(word => KIND_WORDS[word]).filter(Boolean));
+    if (kind) kinds.add(kind);
+    const terms = words.filter(word => !KIND_WORDS[word]);
+
+    return symbols
+      .filter(symbol => kinds.size === 0 || kinds.has(symbol.kind))
+      .map(symbol => ({ ...symbol, score: this.score(symbol, terms) }))
+      .filter(symbol => terms.length === 0 || symbol.score > 0)
+      .sort((a, b) => b.score - a.score || Number(b.exported) - Number(a.exported))
+      .slice(0, limit);
+  }
+
+  score(symbol, terms) {
+    const nameWords = this.splitWords(symbol.name);
+    const pathWords = this.splitWords(symbol.file);
+
+    return terms.reduce((score, term) => {
+      if (nameWords.includes(term)) return score + 3;
+      if (nameWords.some(word => word.startsWith(term) || term.startsWith(word) && word.length > 2)) {
+        return score + 2;
+      }
+      if (pathWords.includes(term)) return score + 1;
+      return score;
+    }, 0);
+  }
+
+  /**
+   * "LoginForm" / "login-form.jsx" / "GET /auth/login" -> ["login", "form", ...]
+   */
+  splitWords(value) {
+    return value
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+}
+
+export default new SymbolIndexer();
@@ -0,0 +1,106 @@
+import { parse } from '@babel/parser';
+
+const PARSED_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+// Fallback for files babel can't parse
+const IMPORT_PATTERNS = [
+  { kind: 'import', regex: /\bimport\s+(?:[\w*{}\s,]+\s+from\s+)?['"]([^'"]+)['"]/g },
+  { kind: 'import', regex: /\bexport\s+(?:\*|\{[^}]*\})\s+from\s+['"]([^'"]+)['"]/g },
+  { kind: 'require', regex: /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g },
+  { kind: 'dynamic', regex: /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g }
+];
+
+/**
+ * Extracts the module specifiers a JS/TS file depends on:
+ * ES imports and re-exports, require() calls and dynamic import()
+ */
+class ImportParser {
+  canParse(file) {
+    return PARSED_EXTENSIONS.includes(file.extension) && Boolean(file.content);
+  }
+
+  /**
+   * [{ specifier, kind: 'import' | 'require' | 'dynamic', line }]
+   */
+  extractImports(file) {
+    if (!this.canParse(file)) return [];
+
+    try {
+      return this.extractFromAst(file);
+    } catch (error) {
+      return this.extractWithPatterns(file.content);
+    }
+  }
+
+  extractFromAst(file) {
+    const ast = parse(file.content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      plugins: [
+        'jsx',
+        ...(['.ts', '.tsx'].includes(file.extension) ? ['typescript'] : [])
+      ]
+    });
+
+    const imports = [];
+    const add = (specifier, kind, node) => {
+      imports.push({ specifier, kind, line: node.loc.start.line });
+    };
+
+    const stack = [ast.program];
+    while (stack.length > 0) {
+      const node = stack.pop();
+
+      if (
+        ['ImportDeclaration', 'ExportAllDeclaration', 'ExportNamedDeclaration'].includes(node.type) &&
+        node.source
+      ) {
+        // Type-only imports don't exist at runtime
+        if (node.importKind !== 'type' && node.exportKind !== 'type') {
+          add(node.source.value, 'import', node);
+        }
+      } else if (node.type === 'ImportExpression' && node.source?.type === 'StringLiteral') {
+        add(node.source.value, 'dynamic', node);
+      } else if (node.type === 'CallExpression') {
+        const [argument] = node.arguments;
+        if (argument?.type === 'StringLiteral') {
+          if (node.callee.type === 'Import') {
+            add(argument.value, 'dynamic', node);
+          } else if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+            add(argument.value, 'require', node);
+          }
+        }
+      }
+
+      Object.keys(node).forEach(key => {
+        if (key === 'loc' || key.endsWith('Comments')) return;
+        const value = node[key];
+        if (Array.isArray(value)) {
+          value.forEach(child => child?.type && stack.push(child));
+        } else if (value?.type) {
+          stack.push(value);
+        }
+      });
+    }
+
+    return imports.sort((a, b) => a.line - b.line);
+  }
+
+  extractWithPatterns(content) {
+    const imports = [];
+
+    IMPORT_PATTERNS.forEach(({ kind, regex }) => {
+      for (const match of content.matchAll(regex)) {
+        imports.push({
+          specifier: match[1],
+          kind,
+          line: content.slice(0, match.index).split('\n').length
+        });
+      }
+    });
+
+    return imports.sort((a, b) => a.line - b.line);
+  }
+}
+
+export default new ImportParser();
@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import contextController from '../src/controllers/contextController.js';
+import projectStore from '../src/services/projectStore.js';
+import projectAnalyzer from '../src/services/projectAnalyzer.js';
+
+const OWNER = 'owner-id';
+const OTHER = 'other-id';
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const call = async (handler, { userId, params = {}, body = {}, query = {} }) => {
+  const res = response();
+  await contextController[handler]({
+    params,
+    body,
+    query,
+    headers: userId ? { 'x-user-id': userId } : {}
+  }, res);
+  return res;
+};
+
+describe('Context controller', () => {
+  let workDir;
+  let projectPath;
+  const { supabase } = projectStore;
+  const { getProject, getSymbols } = projectStore;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lpa-context-'));
+    projectPath = path.join(workDir, 'app');
+    await fs.mkdir(projectPath);
+    await fs.writeFile(path.join(projectPath, 'index.js'), 'export function start() {}\n');
+
+    // A database with one project, owned by OWNER
+    projectStore.supabase = {};
+    projectStore.getProject = async (projectId, userId) =>
+      projectId === 'p1' && userId === OWNER
+        ? { id: 'p1', user_id: OWNER, project_path: projectPath }
+        : null;
+    projectStore.getSymbols = async () => null;
+  });
+
+  afterEach(async () => {
+    Object.assign(projectStore, { supabase, getProject, getSymbols });
+    delete process.env.PROJECT_ROOTS;
+    projectAnalyzer.invalidate(projectPath, 'p1');
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  describe('ownership', () => {
+    const routes = [
+      ['watchProject', {}],
+      ['unwatchProject', {}],
+      ['getProjectFocus', {}],
+      ['getProjectSymbols', {}],
+      ['getProjectGraph', {}],
+      ['searchProjectCode', { body: { query: 'start' } }],
+      ['getRecentDiffs', {}],
+      ['getOwnership', {}],
+      ['listProjectFiles', {}],
+      ['readProjectFiles', { body: { paths: ['index.js'] } }]
+    ];
+
+    test.each(routes)('%s hides another user\'s project', async (handler, request) => {
+      const res = await call(handler, { ...request, userId: OTHER, params: { projectId: 'p1' } });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+
+    test.each(routes)('%s rejects a request without a user', async (handler, request) => {
+      const res = await call(handler, { ...request, params: { projectId: 'p1' } });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    test('lets the owner read their symbols', async () => {
+      await projectAnalyzer.analyze(projectPath, { projectId: 'p1' });
+
+      const res = await call('getProjectSymbols', { userId: OWNER, params: { projectId: 'p1' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.symbols.map(symbol => symbol.name)).toEqual(['start']);
+    });
+  });
+
+  describe('analyzeProject paths', () => {
+    test('only analyzes a project from its stored path', async () => {
+      const res = await call('analyzeProject', {
+        userId: OWNER,
+        body: { projectId: 'p1', projectPath: workDir }
+      });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    test('refuses paths outside PROJECT_ROOTS for projects without one', async () => {
+      const res = await call('analyzeProject', { userId: OWNER, body: { projectPath } });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    test('reports a missing path and a path that is not a directory', async () => {
+      process.env.PROJECT_ROOTS = workDir;
+
+      const missing = await call('analyzeProject', { userId: OWNER, body: { projectPath: path.join(workDir, 'gone') } });
+      const notDirectory = await call('analyzeProject', { userId: OWNER, body: { projectPath: path.join(projectPath, 'index.js') } });
+
+      expect(missing.statusCode).toBe(404);
+      expect(notDirectory.statusCode).toBe(400);
+    });
+  });
+});
@@ -1,5 +1,5 @@
-const contextEngine = require('../services/contextEngine');
-const fileScanner = require('../services/fileScanner');
+import contextEngine from '../src/services/contextEngine.js';
+import fileScanner from '../src/services/fileScanner.js';
 
 describe('Context Engine', () => {
   // Mock files for testing
@@ -82,12 +82,7 @@ export default Button;
         totalFiles: 3
       });
 
-      expect(result.dependencies).toContainEqual({
-        name: 'react',
-        version: '^18.0.0',
-        type: 'dependency',
-        source: 'package.json'
-      });
+      expect(result.dependencies.production).toContain('react');
 
       expect(result.summary).toContain('javascript');
       expect(result.summary).toContain('react');
@@ -141,18 +136,10 @@ export default Button;
     test('should extract dependencies from package.json', () => {
       const deps = contextEngine.analyzeDependencies(mockReactProject);
 
-      expect(deps).toContainEqual({
-        name: 'react',
-        version: '^18.0.0',
-        type: 'dependency',
-        source: 'package.json'
-      });
-
-      expect(deps).toContainEqual({
-        name: '@testing-library/react',
-        version: '^13.0.0',
-        type: 'devDependency',
-        source: 'package.json'
+      expect(deps).toEqual({
+        production: ['react', 'react-dom'],
+        development: ['@testing-library/react'],
+        total: 3
       });
     });
   });
@@ -0,0 +1,74 @@
+import contextEngine from '../src/services/contextEngine.js';
+
+const file = (filePath, content) => ({
+  path: filePath,
+  name: filePath.split('/').pop(),
+  extension: filePath.slice(filePath.lastIndexOf('.')),
+  content
+});
+
+const graphOf = files => contextEngine.buildImportGraph(files, contextEngine.extractImports(files));
+
+describe('Import graph', () => {
+  const files = [
+    file('src/index.js', "import App from './App';\nimport { render } from 'react-dom/client';\nrender(App);"),
+    file('src/App.jsx', "import Header from './components/Header.jsx';\nimport { api } from './lib';\nexport default () => <Header />;"),
+    file('src/components/Header.jsx', "import React from 'react';\nexport default () => <h1 />;"),
+    file('src/lib/index.ts', "export * from './api.js';"),
+    file('src/lib/api.ts', "import axios from 'axios';\nexport const api = axios.create();"),
+    file('src/a.js', "const b = require('./b');\nmodule.exports = b;"),
+    file('src/b.js', "const a = require('./a');\nmodule.exports = a;"),
+    file('src/unused.js', 'export const unused = 1;')
+  ];
+  const graph = graphOf(files);
+
+  test('resolves relative imports with extensions, index files and .js-for-.ts', () => {
+    expect(graph.edges).toEqual(expect.arrayContaining([
+      expect.objectContaining({ from: 'src/index.js', to: 'src/App.jsx' }),
+      expect.objectContaining({ from: 'src/App.jsx', to: 'src/components/Header.jsx' }),
+      expect.objectContaining({ from: 'src/App.jsx', to: 'src/lib/index.ts' }),
+      expect.objectContaining({ from: 'src/lib/index.ts', to: 'src/lib/api.ts' })
+    ]));
+  });
+
+  test('counts fan-in and fan-out per file', () => {
+    const node = filePath => graph.nodes.find(candidate => candidate.path === filePath);
+
+    expect(node('src/App.jsx')).toEqual(expect.objectContaining({ fanIn: 1, fanOut: 2 }));
+    expect(node('src/lib/api.ts')).toEqual(expect.objectContaining({ fanIn: 1, fanOut: 0, external: ['axios'] }));
+  });
+
+  test('counts packages by their package name', () => {
+    expect(graph.externalDependencies).toEqual({ 'react-dom': 1, react: 1, axios: 1 });
+  });
+
+  test('finds entry points and orphans', () => {
+    expect(graph.entryPoints).toEqual(['src/index.js']);
+    expect(graph.orphans).toEqual(['src/unused.js']);
+  });
+
+  test('takes a file that only imports packages for an entry point, not an orphan', () => {
+    const { entryPoints, orphans } = graphOf([
+      file('server.js', "const express = require('express');\nexpress().listen(3000);"),
+      file('config.js', 'module.exports = { port: 3000 };')
+    ]);
+
+    expect(entryPoints).toEqual(['server.js']);
+    expect(orphans).toEqual(['config.js']);
+  });
+
+  test('reports each cycle once, as its sorted files', () => {
+    expect(graph.cycles).toEqual([['src/a.js', 'src/b.js']]);
+  });
+
+  test('finds longer cycles without recursing', () => {
+    const ring = Array.from({ length: 5000 }, (_, i) =>
+      file(`src/ring/m${i}.js`, `import './m${(i + 1) % 5000}.js';`)
+    );
+
+    const { cycles } = graphOf(ring);
+
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0]).toHaveLength(5000);
+  });
+});
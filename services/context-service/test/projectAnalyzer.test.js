@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import projectAnalyzer from '../src/services/projectAnalyzer.js';
+import codeIndex from '../src/services/codeIndex.js';
+
+describe('Project analyzer', () => {
+  let projectPath;
+
+  const write = async (filePath, content) => {
+    await fs.mkdir(path.dirname(path.join(projectPath, filePath)), { recursive: true });
+    await fs.writeFile(path.join(projectPath, filePath), content);
+  };
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'lpa-analyze-'));
+    await write('package.json', JSON.stringify({ dependencies: { express: '^4.18.0' } }));
+    await write('src/server.js', "import express from 'express';\nimport { login } from './auth.js';\nconst app = express();\napp.post('/login', login);\n");
+    await write('src/auth.js', 'export function login(req, res) {\n  res.json({ token: createToken(req.body.user) });\n}\n');
+  });
+
+  afterEach(async () => {
+    projectAnalyzer.invalidate(projectPath, 'p1');
+    await fs.rm(projectPath, { recursive: true, force: true });
+  });
+
+  test('analyzes a project in full, then reuses unchanged files', async () => {
+    const first = await projectAnalyzer.analyze(projectPath, { projectId: 'p1' });
+
+    expect(first.analysis.mode).toBe('full');
+    expect(first.changed).toBe(true);
+    expect(first.analysis.addedFiles).toEqual(['package.json', 'src/auth.js', 'src/server.js']);
+    expect(first.symbols.map(symbol => symbol.name)).toEqual(['login', 'POST /login']);
+    expect(first.context.projectType).toBe('backend');
+    expect(first.importGraph.edges).toEqual([expect.objectContaining({ from: 'src/server.js', to: 'src/auth.js' })]);
+
+    const second = await projectAnalyzer.analyze(projectPath, { projectId: 'p1' });
+
+    expect(second.analysis.mode).toBe('cached');
+    expect(second.changed).toBe(false);
+    expect(second.analysis.reanalyzedFiles).toEqual([]);
+  });
+
+  test('re-reads only the files that changed', async () => {
+    await projectAnalyzer.analyze(projectPath, { projectId: 'p1' });
+
+    await write('src/auth.js', 'export function login() {}\nexport function logout() {}\n');
+    await write('src/new.js', 'export const added = 1;\n');
+    await fs.rm(path.join(projectPath, 'src/server.js'));
+
+    const result = await projectAnalyzer.analyze(projectPath, { projectId: 'p1' });
+
+    expect(result.analysis).toEqual(expect.objectContaining({
+      mode: 'incremental',
+      addedFiles: ['src/new.js'],
+      modifiedFiles: ['src/auth.js'],
+      removedFiles: ['src/server.js'],
+      unchangedFiles: 1
+    }));
+    expect(projectAnalyzer.getSymbols('p1').map(symbol => symbol.name)).toEqual(['login', 'logout']);
+  });
+
+  test('keeps the analysis when embedding fails, and embeds those chunks next time', async () => {
+    const { embedder } = codeIndex;
+    codeIndex.embedder = { name: 'broken', embed: async () => { throw new Error('embedder down'); } };
+
+    try {
+      const result = await projectAnalyzer.analyze(projectPath, { projectId: 'p1' });
+      expect(result.symbols).toHaveLength(2);
+    } finally {
+      codeIndex.embedder = embedder;
+    }
+
+    await projectAnalyzer.analyze(projectPath, { projectId: 'p1' });
+    const results = await projectAnalyzer.searchCode('p1', 'create a login token');
+
+    expect(results[0]).toEqual(expect.objectContaining({ file: 'src/auth.js' }));
+  });
+
+  test('has nothing cached for a project it never analyzed', async () => {
+    expect(projectAnalyzer.getSymbols('unknown')).toBeNull();
+    expect(projectAnalyzer.getImportGraph('unknown')).toBeNull();
+    expect(await projectAnalyzer.searchCode('unknown', 'login')).toBeNull();
+  });
+});
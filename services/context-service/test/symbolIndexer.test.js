@@ -0,0 +1,109 @@
+import symbolIndexer from '../src/services/symbolIndexer.js';
+
+const index = (filePath, content) => symbolIndexer.indexFile({
+  path: filePath,
+  extension: filePath.slice(filePath.lastIndexOf('.')),
+  content
+});
+
+const summary = symbols => symbols.map(({ name, kind, exported }) => [name, kind, exported]);
+
+describe('Symbol indexer', () => {
+  test('indexes functions, classes, components and hooks with their export state', () => {
+    const symbols = index('src/components/LoginForm.jsx', `
+      import React, { memo } from 'react';
+      export function useLogin() { return null; }
+      export const LoginForm = () => <form />;
+      const Avatar = memo(({ src }) => <img src={src} />);
+      class Session {}
+      export class Page extends React.Component { render() { return null; } }
+      function helper() {}
+      export default Avatar;
+    `);
+
+    expect(summary(symbols)).toEqual([
+      ['useLogin', 'hook', true],
+      ['LoginForm', 'component', true],
+      ['Avatar', 'component', true],
+      ['Session', 'class', false],
+      ['Page', 'component', true],
+      ['helper', 'function', false]
+    ]);
+    expect(symbols.find(symbol => symbol.name === 'Avatar').isDefault).toBe(true);
+    expect(symbols[0]).toEqual(expect.objectContaining({ file: 'src/components/LoginForm.jsx', line: 3 }));
+  });
+
+  test('indexes CommonJS exports', () => {
+    const symbols = index('lib/math.cjs', `
+      module.exports = { add(a, b) { return a + b; }, subtract: (a, b) => a - b };
+      exports.square = x => x * x;
+    `);
+
+    expect(summary(symbols)).toEqual([
+      ['add', 'function', true],
+      ['subtract', 'function', true],
+      ['square', 'function', true]
+    ]);
+  });
+
+  test('indexes TypeScript', () => {
+    const symbols = index('src/api.ts', 'export async function fetchUser(id: string): Promise<User> { return null as any; }');
+
+    expect(summary(symbols)).toEqual([['fetchUser', 'function', true]]);
+  });
+
+  describe('routes', () => {
+    test('indexes routes registered on apps and routers', () => {
+      const symbols = index('src/routes/auth.js', `
+        import express from 'express';
+        const api = express.Router();
+        const app = express();
+        api.post('/login', validate, (req, res) => res.json({}));
+        app.get(\`/users/\${id}\`, controller.list);
+        export default api;
+      `);
+
+      expect(symbols.filter(symbol => symbol.kind === 'route')).toEqual([
+        expect.objectContaining({ name: 'POST /login', method: 'POST', path: '/login', router: 'api' }),
+        expect.objectContaining({ name: 'GET /users/*', router: 'app' })
+      ]);
+    });
+
+    test('ignores HTTP client calls and calls without a handler', () => {
+      const symbols = index('src/client.js', `
+        import axios from 'axios';
+        axios.post('/api/login', { user });
+        fetcher.get('/users', handler);
+        router.get('/settings', { cache: true });
+      `);
+
+      expect(symbols).toEqual([]);
+    });
+  });
+
+  test('returns nothing for files it cannot parse or index', () => {
+    expect(index('README.md', '# Hello')).toEqual([]);
+    expect(index('src/broken.js', 'export function (')).toEqual([]);
+  });
+
+  describe('search', () => {
+    const symbols = [
+      ...index('src/components/LoginForm.jsx', 'export const LoginForm = () => <form />;'),
+      ...index('src/auth/login.js', 'export function login() {}\nfunction logout() {}'),
+      ...index('src/routes/auth.js', "router.post('/login', (req, res) => res.end());")
+    ];
+
+    test('ranks name matches above path matches', () => {
+      // logout only matches through its file's path
+      expect(symbolIndexer.search(symbols, 'the login form').map(symbol => symbol.name))
+        .toEqual(['LoginForm', 'login', 'POST /login', 'logout']);
+    });
+
+    test('takes kind words as a filter', () => {
+      expect(symbolIndexer.search(symbols, 'login component').map(symbol => symbol.name))
+        .toEqual(['LoginForm']);
+      expect(symbolIndexer.search(symbols, 'auth', { kind: 'route' }).map(symbol => symbol.name))
+        .toEqual(['POST /login']);
+    });
+  });
+});
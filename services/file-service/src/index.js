@@ -3,7 +3,16 @@ import express from 'express';
 import cors from 'cors';
 import winston from 'winston';
 import path from 'path';
+import os from 'os';
 import fs from 'fs/promises';
+import axios from 'axios';
+import multer from 'multer';
+import projectStore from './services/projectStore.js';
+import snapshotStore from './services/snapshotStore.js';
+import patchApplier from './services/patchApplier.js';
+import fileStore from './services/fileStore.js';
+import archiveImporter from './services/archiveImporter.js';
+import { detectMimeType, encodeContent, normalizeUploadPath } from './utils/fileContent.js';
 
 const app = express();
 const PORT = process.env.FILE_SERVICE_PORT || 3005;
@@ -50,56 +59,143 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploads are kept in memory and written to project_files
+const MAX_UPLOAD_FILE_SIZE = parseInt(process.env.MAX_UPLOAD_FILE_SIZE, 10) || 1024 * 1024;
+const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES, 10) || 20;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Keep folder paths from directory uploads, and non-ASCII names intact
+  preservePath: true,
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: MAX_UPLOAD_FILE_SIZE,
+    files: MAX_UPLOAD_FILES
+  }
+}).array('files', MAX_UPLOAD_FILES);
+
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge
+          ? `Files must be at most ${MAX_UPLOAD_FILE_SIZE} bytes`
+          : error.code === 'LIMIT_FILE_COUNT'
+            ? `At most ${MAX_UPLOAD_FILES} files can be uploaded at once`
+            : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+const requireStorage = (req, res, next) => {
+  if (!fileStore.isEnabled) {
+    return res.status(503).json({
+      success: false,
+      error: 'File storage is not configured'
+    });
+  }
+  next();
+};
+
+// A stored file the user owns (through its project), or null
+const findOwnedFile = async (fileId, userId) => {
+  const file = await fileStore.getFile(fileId);
+  if (!file || !(await projectStore.getProject(file.project_id, userId))) return null;
+  return file;
+};
+
 // File routes
-app.post('/upload', (req, res) => {
+app.post('/upload', requireStorage, handleUpload, async (req, res) => {
   try {
-    const { fileName, content, userId } = req.body;
+    const { projectId } = req.body;
+    const userId = req.headers['x-user-id'] || null;
+    const uploads = req.files || [];
+
+    if (!projectId || uploads.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'projectId and at least one file are required'
+      });
+    }
+
+    if (!(await projectStore.getProject(projectId, userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+
+    const files = [];
+    const errors = [];
+
+    for (const uploaded of uploads) {
+      const filePath = normalizeUploadPath(uploaded.originalname);
+      if (!filePath) {
+        errors.push({ name: uploaded.originalname, error: 'Invalid file path' });
+        continue;
+      }
+
+      const { content, encoding } = encodeContent(uploaded.buffer);
+
+      try {
+        files.push(await fileStore.saveFile({
+          projectId,
+          filePath,
+          fileName: path.posix.basename(filePath),
+          fileSize: uploaded.size,
+          mimeType: detectMimeType(filePath, uploaded.buffer),
+          content,
+          metadata: { encoding }
+        }));
+      } catch (error) {
+        logger.error(`Error storing ${filePath}:`, error);
+        errors.push({ name: filePath, error: 'Failed to store file' });
+      }
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files were uploaded',
+        errors
+      });
+    }
 
-    // Mock file upload response
     res.json({
       success: true,
-      data: {
-        fileId: Date.now().toString(),
-        fileName,
-        size: content ? content.length : 0,
-        uploadedAt: new Date().toISOString()
-      },
-      message: 'File uploaded successfully'
+      data: { files, errors },
+      message: errors.length > 0
+        ? `Uploaded ${files.length} of ${uploads.length} files`
+        : 'Files uploaded successfully'
     });
   } catch (error) {
-    logger.error('Error uploading file:', error);
+    logger.error('Error uploading files:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to upload file'
+      error: 'Failed to upload files'
     });
   }
 });
 
-app.get('/files/:userId', (req, res) => {
+app.get('/projects/:projectId/files', requireStorage, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { projectId } = req.params;
+    const userId = req.headers['x-user-id'] || null;
+
+    if (!(await projectStore.getProject(projectId, userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
 
-    // Mock file list response
     res.json({
       success: true,
-      data: {
-        files: [
-          {
-            id: '1',
-            name: 'example.js',
-            size: 1024,
-            type: 'javascript',
-            createdAt: new Date().toISOString()
-          },
-          {
-            id: '2',
-            name: 'README.md',
-            size: 512,
-            type: 'markdown',
-            createdAt: new Date().toISOString()
-          }
-        ]
-      },
+      data: { files: await fileStore.listFiles(projectId) },
       message: 'Files retrieved successfully'
     });
   } catch (error) {
@@ -111,20 +207,48 @@ app.get('/files/:userId', (req, res) => {
   }
 });
 
-app.get('/file/:fileId', (req, res) => {
+// A file with its content; ?version= returns an earlier upload
+app.get('/file/:fileId', requireStorage, async (req, res) => {
   try {
     const { fileId } = req.params;
+    const userId = req.headers['x-user-id'] || null;
+    const version = req.query.version ? parseInt(req.query.version, 10) : null;
+
+    const file = await findOwnedFile(fileId, userId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    if (version === null || version === file.version) {
+      return res.json({
+        success: true,
+        data: file,
+        message: 'File content retrieved successfully'
+      });
+    }
+
+    const archived = Number.isInteger(version) ? await fileStore.getVersion(fileId, version) : null;
+    if (!archived) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${req.query.version} not found`
+      });
+    }
 
-    // Mock file content response
     res.json({
       success: true,
       data: {
-        id: fileId,
-        name: 'example.js',
-        content: 'console.log("Hello, World!");',
-        type: 'javascript',
-        size: 28,
-        createdAt: new Date().toISOString()
+        ...file,
+        version: archived.version,
+        file_size: archived.file_size,
+        mime_type: archived.mime_type,
+        content: archived.content,
+        metadata: archived.metadata,
+        updated_at: archived.created_at,
+        archived_at: archived.archived_at
       },
       message: 'File content retrieved successfully'
     });
@@ -137,11 +261,50 @@ app.get('/file/:fileId', (req, res) => {
   }
 });
 
-app.delete('/file/:fileId', (req, res) => {
+app.get('/file/:fileId/versions', requireStorage, async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const userId = req.headers['x-user-id'] || null;
+
+    const file = await findOwnedFile(fileId, userId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: file.version,
+        versions: await fileStore.listVersions(fileId)
+      },
+      message: 'File versions retrieved successfully'
+    });
+  } catch (error) {
+    logger.error('Error retrieving file versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve file versions'
+    });
+  }
+});
+
+app.delete('/file/:fileId', requireStorage, async (req, res) => {
   try {
     const { fileId } = req.params;
+    const userId = req.headers['x-user-id'] || null;
+
+    if (!(await findOwnedFile(fileId, userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    await fileStore.deleteFile(fileId);
 
-    // Mock file deletion response
     res.json({
       success: true,
       message: 'File deleted successfully'
@@ -155,6 +318,292 @@ app.delete('/file/:fileId', (req, res) => {
   }
 });
 
+// Project archives are spooled to disk, then unpacked by archiveImporter
+const MAX_IMPORT_ARCHIVE_SIZE = parseInt(process.env.MAX_IMPORT_ARCHIVE_SIZE, 10) || 50 * 1024 * 1024;
+const CONTEXT_SERVICE_URL = `http://localhost:${process.env.CONTEXT_SERVICE_PORT || 3002}`;
+
+const archiveUpload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: MAX_IMPORT_ARCHIVE_SIZE,
+    files: 1
+  }
+}).single('archive');
+
+const handleArchiveUpload = (req, res, next) => {
+  archiveUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge
+          ? `Archives must be at most ${MAX_IMPORT_ARCHIVE_SIZE} bytes`
+          : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+const IMPORT_REJECTION_STATUS = {
+  unsafe_path: 400,
+  invalid_archive: 400,
+  too_large: 413,
+  too_many_files: 413
+};
+
+// Import a .zip or .tar.gz as a new project, or as the new contents of an
+// existing one, then analyze it like a local checkout
+app.post('/projects/import', handleArchiveUpload, async (req, res) => {
+  const archive = req.file;
+
+  try {
+    const { projectId, description = null } = req.body;
+    const userId = req.headers['x-user-id'] || null;
+
+    if (!projectStore.isEnabled) {
+      return res.status(503).json({
+        success: false,
+        error: 'Project storage is not configured'
+      });
+    }
+
+    const format = archiveImporter.detectFormat(archive?.originalname);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'A .zip or .tar.gz archive is required'
+      });
+    }
+
+    if (!projectId && !userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'A projectId or user is required'
+      });
+    }
+
+    let project = projectId ? await projectStore.getProject(projectId, userId) : null;
+    if (projectId && !project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+
+    const extraction = await archiveImporter.extract(archive.path, format);
+    if (!extraction.extracted) {
+      return res.status(IMPORT_REJECTION_STATUS[extraction.reason]).json({
+        success: false,
+        error: extraction.message,
+        reason: extraction.reason,
+        entry: extraction.entry
+      });
+    }
+
+    try {
+      if (!project) {
+        const name = req.body.name ||
+          archive.originalname.replace(/\.(zip|tar\.gz|tgz)$/i, '').slice(0, 100);
+        project = await projectStore.createProject({ userId, name, description, projectPath: null });
+      }
+
+      const projectPath = await archiveImporter.install(extraction, project.id);
+      if (project.project_path !== projectPath) {
+        project = await projectStore.setProjectPath(project.id, projectPath);
+      }
+    } catch (error) {
+      await archiveImporter.discard(extraction);
+      throw error;
+    }
+
+    // The import stands even if analysis fails; it can be rerun later
+    let analysis = null;
+    try {
+      const response = await axios.post(
+        `${CONTEXT_SERVICE_URL}/analyze`,
+        { projectId: project.id, projectPath: project.project_path, force: true },
+        { headers: { 'x-user-id': project.user_id }, timeout: 120000 }
+      );
+      analysis = {
+        context: response.data.data.context,
+        symbolCount: response.data.data.symbolCount
+      };
+    } catch (error) {
+      logger.warn(`Context analysis failed for imported project ${project.id}:`, error.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        project,
+        files: extraction.files,
+        bytes: extraction.bytes,
+        ignored: extraction.ignored,
+        skipped: extraction.skipped,
+        analysis
+      },
+      message: analysis
+        ? 'Project imported and analyzed successfully'
+        : 'Project imported; context analysis failed'
+    });
+  } catch (error) {
+    logger.error('Error importing project:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import project'
+    });
+  } finally {
+    if (archive) await fs.rm(archive.path, { force: true });
+  }
+});
+
+// Local directory of a registered project the user owns, or null
+const resolveProjectPath = async (projectId, userId) => {
+  const project = await projectStore.getProject(projectId, userId);
+  return project?.project_path || null;
+};
+
+// Apply a change set or unified diff to a project's files
+app.post('/projects/:projectId/apply', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { changeSet, diff, messageId = null, dryRun = false } = req.body;
+    const userId = req.headers['x-user-id'] || null;
+
+    if (!changeSet && typeof diff !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'A changeSet or unified diff is required'
+      });
+    }
+
+    const projectPath = await resolveProjectPath(projectId, userId);
+    if (!projectPath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project has no registered local path'
+      });
+    }
+
+    const files = changeSet
+      ? patchApplier.fromChangeSet(changeSet)
+      : patchApplier.fromUnifiedDiff(diff);
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to apply'
+      });
+    }
+
+    const result = await patchApplier.apply(projectPath, files, {
+      projectId,
+      userId,
+      messageId,
+      dryRun
+    });
+
+    if (result.conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Changes do not apply cleanly',
+        conflicts: result.conflicts
+      });
+    }
+
+    res.json({
+      success: true,
+      data: dryRun ? { files: result.files } : result.snapshot,
+      message: dryRun ? 'Changes apply cleanly' : 'Changes applied successfully'
+    });
+  } catch (error) {
+    logger.error('Error applying changes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply changes'
+    });
+  }
+});
+
+// Snapshots taken by applies, newest first
+app.get('/projects/:projectId/snapshots', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.headers['x-user-id'] || null;
+
+    if (!(await resolveProjectPath(projectId, userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project has no registered local path'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { snapshots: await snapshotStore.list(projectId) },
+      message: 'Snapshots retrieved successfully'
+    });
+  } catch (error) {
+    logger.error('Error listing snapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list snapshots'
+    });
+  }
+});
+
+// Undo an apply by restoring its snapshot
+app.post('/projects/:projectId/snapshots/:snapshotId/revert', async (req, res) => {
+  try {
+    const { projectId, snapshotId } = req.params;
+    const { force = false } = req.body;
+    const userId = req.headers['x-user-id'] || null;
+
+    const projectPath = await resolveProjectPath(projectId, userId);
+    if (!projectPath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project has no registered local path'
+      });
+    }
+
+    const snapshot = await snapshotStore.get(projectId, snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+
+    const result = await patchApplier.revert(projectPath, snapshot, { force });
+
+    if (!result.reverted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Snapshot cannot be reverted cleanly',
+        conflicts: result.conflicts
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: result.snapshot.id,
+        revertedAt: result.snapshot.revertedAt,
+        files: result.snapshot.files.map(({ path: filePath, action }) => ({ path: filePath, action }))
+      },
+      message: 'Changes reverted successfully'
+    });
+  } catch (error) {
+    logger.error('Error reverting snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revert changes'
+    });
+  }
+});
+
 // Error handler
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -0,0 +1,294 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import ignore from 'ignore';
+import tar from 'tar-stream';
+import yauzl from 'yauzl';
+import { DEFAULT_IGNORE_PATTERNS } from '@lpa/shared';
+
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+
+// Thrown while extracting to stop early; `extract` turns it into a result
+const rejection = (reason, message, entry = null) =>
+  Object.assign(new Error(message), { reason, entry });
+
+/**
+ * Unpacks uploaded .zip and .tar.gz projects into managed storage under
+ * PROJECTS_DIR/<projectId>, leaving out what project scans ignore and what
+ * the archive's own .gitignore files exclude.
+ */
+class ArchiveImporter {
+  constructor() {
+    this.baseDir = process.env.PROJECTS_DIR || path.join(os.homedir(), '.lpa', 'projects');
+    this.maxExtractedSize = parseInt(process.env.MAX_IMPORT_EXTRACTED_SIZE, 10) || 200 * 1024 * 1024;
+    this.maxFiles = parseInt(process.env.MAX_IMPORT_FILES, 10) || 5000;
+    this.defaultMatcher = ignore().add([...DEFAULT_IGNORE_PATTERNS]);
+  }
+
+  /**
+   * 'zip', 'tar.gz' or null, from the uploaded file name
+   */
+  detectFormat(fileName) {
+    const name = (fileName || '').toLowerCase();
+    if (name.endsWith('.zip')) return 'zip';
+    if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+    return null;
+  }
+
+  projectPath(projectId) {
+    // Ids end up in paths; keep them from escaping the projects directory
+    if (!/^[\w-]+$/.test(projectId)) {
+      throw new Error('Invalid project id');
+    }
+    return path.join(this.baseDir, projectId);
+  }
+
+  /**
+   * Unpack an archive into a staging directory. Returns
+   * `{ extracted: true, stagingPath, rootPath, files, bytes, ignored, skipped }`
+   * or `{ extracted: false, reason, message, entry }` with reason one of
+   * 'unsafe_path', 'too_large', 'too_many_files' or 'invalid_archive'.
+   * Nothing is left behind when extraction fails.
+   */
+  async extract(archivePath, format) {
+    await fs.mkdir(this.baseDir, { recursive: true });
+    const stagingPath = await fs.mkdtemp(path.join(this.baseDir, '.import-'));
+    const stats = { files: 0, bytes: 0, ignored: 0, skipped: 0 };
+
+    try {
+      const entries = format === 'zip' ? this.zipEntries(archivePath) : this.tarEntries(archivePath);
+      for await (const entry of entries) {
+        await this.writeEntry(stagingPath, entry, stats);
+      }
+
+      const rootPath = await this.findRoot(stagingPath);
+      const pruned = await this.prune(rootPath);
+
+      return {
+        extracted: true,
+        stagingPath,
+        rootPath,
+        files: stats.files - pruned,
+        bytes: stats.bytes,
+        ignored: stats.ignored + pruned,
+        skipped: stats.skipped
+      };
+    } catch (error) {
+      await fs.rm(stagingPath, { recursive: true, force: true });
+
+      if (error.reason) {
+        return { extracted: false, reason: error.reason, message: error.message, entry: error.entry };
+      }
+      return { extracted: false, reason: 'invalid_archive', message: `Could not read archive: ${error.message}`, entry: null };
+    }
+  }
+
+  /**
+   * Move an extracted tree into the project's storage, replacing any
+   * earlier import. Returns the project path.
+   */
+  async install(extraction, projectId) {
+    const target = this.projectPath(projectId);
+    const previous = `${target}.old-${crypto.randomBytes(4).toString('hex')}`;
+    const hadPrevious = await fs.rename(target, previous).then(() => true, error => {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    });
+
+    try {
+      await fs.rename(extraction.rootPath, target);
+    } catch (error) {
+      if (hadPrevious) await fs.rename(previous, target);
+      throw error;
+    }
+
+    await Promise.all([
+      hadPrevious && fs.rm(previous, { recursive: true, force: true }),
+      fs.rm(extraction.stagingPath, { recursive: true, force: true })
+    ]);
+
+    return target;
+  }
+
+  discard(extraction) {
+    return fs.rm(extraction.stagingPath, { recursive: true, force: true });
+  }
+
+  /**
+   * Archive entries as `{ name, type, size, open }`, type being 'file',
+   * 'directory' or 'other' (links and devices, which are skipped)
+   */
+  async *zipEntries(archivePath) {
+    // Names are decoded here rather than by yauzl, which fails the whole
+    // archive on an unsafe path instead of saying which entry it was
+    const zipfile = await yauzl.openPromise(archivePath, { lazyEntries: true, decodeStrings: false });
+
+    for await (const entry of zipfile.eachEntry()) {
+      const name = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileName, entry.extraFields, false);
+      const mode = (entry.externalFileAttributes >>> 16) & S_IFMT;
+      const isDirectory = name.endsWith('/') || mode === S_IFDIR;
+
+      yield {
+        name,
+        type: isDirectory ? 'directory' : !mode || mode === S_IFREG ? 'file' : 'other',
+        size: entry.uncompressedSize,
+        open: () => zipfile.openReadStreamPromise(entry)
+      };
+    }
+  }
+
+  async *tarEntries(archivePath) {
+    const extract = tar.extract();
+    const source = pipeline(createReadStream(archivePath), zlib.createGunzip(), extract);
+
+    try {
+      for await (const entry of extract) {
+        const { name, type, size } = entry.header;
+        yield {
+          name,
+          type: type === 'file' || type === 'contiguous-file' ? 'file' : type === 'directory' ? 'directory' : 'other',
+          size,
+          open: async () => entry
+        };
+        // Drain whatever wasn't read so the next header can be parsed
+        entry.resume();
+      }
+      await source;
+    } finally {
+      extract.destroy();
+      source.catch(() => {});
+    }
+  }
+
+  async writeEntry(stagingPath, entry, stats) {
+    const name = this.normalizeEntryName(entry.name);
+    if (name === null) {
+      throw rejection('unsafe_path', `Archive entry escapes the project directory: ${entry.name}`, entry.name);
+    }
+
+    if (entry.type === 'directory' || name === '') return;
+    if (entry.type !== 'file') {
+      stats.skipped++;
+      return;
+    }
+
+    if (this.isDefaultIgnored(name)) {
+      stats.ignored++;
+      return;
+    }
+
+    if (++stats.files > this.maxFiles) {
+      throw rejection('too_many_files', `Archive has more than ${this.maxFiles} files`);
+    }
+    if (stats.bytes + entry.size > this.maxExtractedSize) {
+      throw rejection('too_large', `Archive unpacks to more than ${this.maxExtractedSize} bytes`, entry.name);
+    }
+
+    const fullPath = path.join(stagingPath, name);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+    // Sizes in headers can lie; count what is actually written
+    const maxExtractedSize = this.maxExtractedSize;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        stats.bytes += chunk.length;
+        if (stats.bytes > maxExtractedSize) {
+          return callback(rejection('too_large', `Archive unpacks to more than ${maxExtractedSize} bytes`, entry.name));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(await entry.open(), counter, createWriteStream(fullPath));
+  }
+
+  /**
+   * Posix path of an entry inside the project ('' for the root), or null
+   * when it is absolute or climbs out with '..'
+   */
+  normalizeEntryName(name) {
+    const normalized = name.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.includes('\0')) return null;
+
+    const segments = normalized.split('/').filter(segment => segment && segment !== '.');
+    if (segments.includes('..')) return null;
+
+    return segments.join('/');
+  }
+
+  /**
+   * Checked while unpacking, before the project root is known, so a path is
+   * also tried without its first directory: most archives of a repository
+   * wrap it in one ("repo-main/node_modules/...")
+   */
+  isDefaultIgnored(name) {
+    const slash = name.indexOf('/');
+    return this.defaultMatcher.ignores(name) ||
+      (slash !== -1 && this.defaultMatcher.ignores(name.slice(slash + 1)));
+  }
+
+  /**
+   * The project root: the staging directory, or the single directory
+   * wrapping everything in it
+   */
+  async findRoot(stagingPath) {
+    const children = await fs.readdir(stagingPath, { withFileTypes: true });
+    if (children.length === 1 && children[0].isDirectory()) {
+      return path.join(stagingPath, children[0].name);
+    }
+    return stagingPath;
+  }
+
+  /**
+   * Remove files matched by the default patterns or by any .gitignore in
+   * the tree, each applying to its own directory. Returns the number of
+   * files removed.
+   */
+  async prune(rootPath) {
+    return this.pruneDirectory(rootPath, '', [{ base: '', matcher: this.defaultMatcher }]);
+  }
+
+  async pruneDirectory(rootPath, relativeDir, matchers) {
+    const dirPath = path.join(rootPath, relativeDir);
+
+    const gitignore = await fs.readFile(path.join(dirPath, '.gitignore'), 'utf8').catch(() => null);
+    if (gitignore !== null) {
+      matchers = [...matchers, { base: relativeDir, matcher: ignore().add(gitignore) }];
+    }
+
+    let removed = 0;
+    for (const child of await fs.readdir(dirPath, { withFileTypes: true })) {
+      const relativePath = relativeDir ? `${relativeDir}/${child.name}` : child.name;
+      const isIgnored = matchers.some(({ base, matcher }) => {
+        const fromBase = base ? relativePath.slice(base.length + 1) : relativePath;
+        return matcher.ignores(child.isDirectory() ? `${fromBase}/` : fromBase);
+      });
+
+      if (isIgnored) {
+        removed += child.isDirectory() ? await this.countFiles(path.join(rootPath, relativePath)) : 1;
+        await fs.rm(path.join(rootPath, relativePath), { recursive: true, force: true });
+      } else if (child.isDirectory()) {
+        removed += await this.pruneDirectory(rootPath, relativePath, matchers);
+      }
+    }
+
+    return removed;
+  }
+
+  async countFiles(dirPath) {
+    let count = 0;
+    for (const child of await fs.readdir(dirPath, { withFileTypes: true })) {
+      count += child.isDirectory() ? await this.countFiles(path.join(dirPath, child.name)) : 1;
+    }
+    return count;
+  }
+}
+
+export default new ArchiveImporter();
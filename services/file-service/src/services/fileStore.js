@@ -0,0 +1,131 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Everything but the content, for listings
+const FILE_COLUMNS = 'id, project_id, file_path, file_name, file_size, mime_type, metadata, version, created_at, updated_at';
+const VERSION_COLUMNS = 'id, file_id, version, file_size, mime_type, metadata, created_at, archived_at';
+
+/**
+ * Stores uploaded files on the `project_files` table. Saving a file_path
+ * that already exists replaces its content; the database archives the
+ * previous version into `project_file_versions`.
+ */
+class FileStore {
+  constructor() {
+    // Without database credentials uploads are refused
+    this.supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+      : null;
+  }
+
+  get isEnabled() {
+    return Boolean(this.supabase);
+  }
+
+  /**
+   * Insert a file, or replace the content of the same project/file_path.
+   * Returns the row without its content.
+   */
+  async saveFile({ projectId, filePath, fileName, fileSize, mimeType, content, metadata = {} }) {
+    const { data, error } = await this.supabase
+      .from('project_files')
+      .upsert({
+        project_id: projectId,
+        file_path: filePath,
+        file_name: fileName,
+        file_size: fileSize,
+        mime_type: mimeType,
+        content,
+        metadata
+      }, { onConflict: 'project_id,file_path' })
+      .select(FILE_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save file: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async listFiles(projectId) {
+    const { data, error } = await this.supabase
+      .from('project_files')
+      .select(FILE_COLUMNS)
+      .eq('project_id', projectId)
+      .order('file_path');
+
+    if (error) {
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a file with its content, or null if it doesn't exist
+   */
+  async getFile(fileId) {
+    const { data, error } = await this.supabase
+      .from('project_files')
+      .select('*')
+      .eq('id', fileId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load file: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get an archived version of a file, or null if there is none
+   */
+  async getVersion(fileId, version) {
+    const { data, error } = await this.supabase
+      .from('project_file_versions')
+      .select('*')
+      .eq('file_id', fileId)
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load file version: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Archived versions of a file, newest first, without content
+   */
+  async listVersions(fileId) {
+    const { data, error } = await this.supabase
+      .from('project_file_versions')
+      .select(VERSION_COLUMNS)
+      .eq('file_id', fileId)
+      .order('version', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to list file versions: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete a file; its archived versions go with it
+   */
+  async deleteFile(fileId) {
+    const { error } = await this.supabase
+      .from('project_files')
+      .delete()
+      .eq('id', fileId);
+
+    if (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+}
+
+export default new FileStore();
@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import snapshotStore from './snapshotStore.js';
+import { applyHunks, parseUnifiedDiff } from '@lpa/shared';
+
+const hashContent = content => crypto.createHash('sha256').update(content).digest('hex');
+
+const readIfExists = async fullPath => {
+  try {
+    const [content, stats] = await Promise.all([
+      fs.readFile(fullPath, 'utf8'),
+      fs.stat(fullPath)
+    ]);
+    return { content, mode: stats.mode };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Applies change sets and unified diffs to a project directory.
+ * Every file is checked before anything is written, files are swapped in
+ * via temp files, and the previous contents are kept as a snapshot that
+ * `revert` restores.
+ */
+class PatchApplier {
+  /**
+   * Files of a reviewed change set; rejected hunks are left out. Files the
+   * change set found in conflict carry `conflict`, which `plan` reports
+   * instead of applying them. So do changes to existing files that were
+   * built without their contents: their hunks weren't checked against
+   * anything and may just insert the whole new file.
+   */
+  fromChangeSet(changeSet) {
+    return (changeSet.files || [])
+      .filter(file => file.status !== 'invalid')
+      .map(file => {
+        const hunks = file.hunks.filter(hunk => hunk.decision !== 'rejected');
+        return {
+          path: file.path,
+          operation: file.operation,
+          baseHash: file.baseHash ?? null,
+          // A delete with some hunks rejected only removes part of the file
+          wholeFile: hunks.length === file.hunks.length,
+          conflict: file.status === 'conflict'
+            ? {
+              hunks: file.hunks.filter(hunk => hunk.status === 'conflict').map(hunk => hunk.id),
+              total: file.hunks.length
+            }
+            : null,
+          unverified: file.status === 'unverified' && file.operation !== 'create',
+          hunks
+        };
+      })
+      .filter(file => file.hunks.length > 0);
+  }
+
+  fromUnifiedDiff(diff) {
+    return parseUnifiedDiff(diff)
+      .filter(file => file.path && file.hunks.length > 0)
+      .map(file => ({ ...file, baseHash: null, wholeFile: true }));
+  }
+
+  /**
+   * Work out the new contents of every file without writing anything.
+   * Returns `{ writes, conflicts }`; a conflict is
+   * `{ path, reason, message, hunks? }` with reason one of
+   * 'outside_project', 'already_exists', 'missing', 'file_changed',
+   * 'hunk_mismatch' or 'unverified'.
+   */
+  async plan(projectPath, files) {
+    const root = path.resolve(projectPath);
+    const writes = [];
+    const conflicts = [];
+
+    for (const file of files) {
+      const fullPath = path.resolve(root, file.path);
+      const relative = path.relative(root, fullPath);
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        conflicts.push({
+          path: file.path,
+          reason: 'outside_project',
+          message: 'Path must be inside the project'
+        });
+        continue;
+      }
+
+      if (file.conflict) {
+        conflicts.push(file.conflict.hunks.length > 0
+          ? {
+            path: file.path,
+            reason: 'hunk_mismatch',
+            message: `${file.conflict.hunks.length} of ${file.conflict.total} hunks don't match the file`,
+            hunks: file.conflict.hunks
+          }
+          : {
+            path: file.path,
+            reason: 'file_changed',
+            message: 'File changed since the change was generated'
+          });
+        continue;
+      }
+
+      if (file.unverified) {
+        conflicts.push({
+          path: file.path,
+          reason: 'unverified',
+          message: 'The change was generated without the current file; regenerate it to apply'
+        });
+        continue;
+      }
+
+      const current = await readIfExists(fullPath);
+
+      if (file.operation === 'create' && current) {
+        conflicts.push({
+          path: file.path,
+          reason: 'already_exists',
+          message: 'File was created since the change was generated'
+        });
+        continue;
+      }
+
+      if (file.operation !== 'create' && !current) {
+        conflicts.push({
+          path: file.path,
+          reason: 'missing',
+          message: 'File no longer exists'
+        });
+        continue;
+      }
+
+      if (file.baseHash && current && hashContent(current.content) !== file.baseHash) {
+        conflicts.push({
+          path: file.path,
+          reason: 'file_changed',
+          message: 'File changed since the change was generated'
+        });
+        continue;
+      }
+
+      const result = applyHunks(current?.content || '', file.hunks);
+      const failed = file.hunks.filter((hunk, index) => result.results[index].status === 'conflict');
+      if (failed.length > 0) {
+        conflicts.push({
+          path: file.path,
+          reason: 'hunk_mismatch',
+          message: `${failed.length} of ${file.hunks.length} hunks don't match the file`,
+          hunks: failed.map(hunk => hunk.id ?? file.hunks.indexOf(hunk))
+        });
+        continue;
+      }
+
+      const removesFile = file.operation === 'delete' && file.wholeFile && result.content === '';
+      writes.push({
+        path: relative.split(path.sep).join('/'),
+        fullPath,
+        action: removesFile ? 'delete' : current ? 'modify' : 'create',
+        before: current?.content ?? null,
+        after: removesFile ? null : result.content,
+        mode: current?.mode ?? null
+      });
+    }
+
+    return { writes, conflicts };
+  }
+
+  /**
+   * Apply files (from fromChangeSet or fromUnifiedDiff) to a project.
+   * Returns `{ applied: false, conflicts }` without touching anything if
+   * any file doesn't apply cleanly, else `{ applied: true, snapshot }`.
+   */
+  async apply(projectPath, files, { projectId, userId = null, messageId = null, dryRun = false }) {
+    const { writes, conflicts } = await this.plan(projectPath, files);
+
+    if (conflicts.length > 0) {
+      return { applied: false, conflicts };
+    }
+
+    const summary = writes.map(({ path: filePath, action }) => ({ path: filePath, action }));
+    if (dryRun) {
+      return { applied: false, dryRun: true, conflicts: [], files: summary };
+    }
+
+    // Saved first, so even a failed write can be undone by hand
+    const snapshot = await snapshotStore.save({
+      id: crypto.randomUUID(),
+      projectId,
+      userId,
+      messageId,
+      createdAt: new Date().toISOString(),
+      revertedAt: null,
+      files: writes.map(({ path: filePath, action, before, after, mode }) => ({
+        path: filePath,
+        action,
+        before,
+        afterHash: after === null ? null : hashContent(after),
+        mode
+      }))
+    });
+
+    await this.writeAtomically(writes);
+
+    return { applied: true, conflicts: [], snapshot: { ...snapshot, files: summary } };
+  }
+
+  /**
+   * Restore the files of a snapshot. Files edited since the apply are
+   * conflicts unless `force` is set.
+   */
+  async revert(projectPath, snapshot, { force = false } = {}) {
+    if (snapshot.revertedAt) {
+      return {
+        reverted: false,
+        conflicts: [{ path: null, reason: 'already_reverted', message: 'Snapshot was already reverted' }]
+      };
+    }
+
+    const root = path.resolve(projectPath);
+    const writes = [];
+    const conflicts = [];
+
+    for (const file of snapshot.files) {
+      const fullPath = path.resolve(root, file.path);
+      const current = await readIfExists(fullPath);
+      const currentHash = current ? hashContent(current.content) : null;
+
+      if (currentHash !== file.afterHash && !force) {
+        conflicts.push({
+          path: file.path,
+          reason: 'file_changed',
+          message: 'File changed since the patch was applied'
+        });
+        continue;
+      }
+
+      writes.push({
+        path: file.path,
+        fullPath,
+        before: current?.content ?? null,
+        after: file.before,
+        mode: file.mode
+      });
+    }
+
+    if (conflicts.length > 0) {
+      return { reverted: false, conflicts };
+    }
+
+    await this.writeAtomically(writes);
+
+    const reverted = await snapshotStore.save({ ...snapshot, revertedAt: new Date().toISOString() });
+    return { reverted: true, snapshot: reverted };
+  }
+
+  /**
+   * Write all new contents to temp files next to their targets, then rename
+   * them into place (deleting files whose `after` is null). If any step
+   * fails, files already replaced are put back and the error is rethrown.
+   */
+  async writeAtomically(writes) {
+    const token = crypto.randomBytes(4).toString('hex');
+    const tempPath = write => `${write.fullPath}.lpa-${token}.tmp`;
+    const staged = [];
+    const done = [];
+
+    const removeStaged = () => Promise.all(
+      staged.map(write => fs.rm(tempPath(write), { force: true }))
+    );
+
+    try {
+      for (const write of writes) {
+        if (write.after === null) continue;
+
+        await fs.mkdir(path.dirname(write.fullPath), { recursive: true });
+        await fs.writeFile(tempPath(write), write.after);
+        if (write.mode !== null && write.mode !== undefined) {
+          await fs.chmod(tempPath(write), write.mode);
+        }
+        staged.push(write);
+      }
+
+      for (const write of writes) {
+        if (write.after === null) {
+          await fs.rm(write.fullPath, { force: true });
+        } else {
+          await fs.rename(tempPath(write), write.fullPath);
+        }
+        done.push(write);
+      }
+    } catch (error) {
+      for (const write of done.reverse()) {
+        if (write.before === null) {
+          await fs.rm(write.fullPath, { force: true });
+        } else {
+          await fs.writeFile(write.fullPath, write.before);
+        }
+      }
+      await removeStaged();
+      throw error;
+    }
+  }
+}
+
+export default new PatchApplier();
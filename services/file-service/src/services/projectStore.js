@@ -0,0 +1,80 @@
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Looks up and registers projects on the `projects` table
+ */
+class ProjectStore {
+  constructor() {
+    // Without database credentials no project is registered
+    this.supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+      : null;
+  }
+
+  get isEnabled() {
+    return Boolean(this.supabase);
+  }
+
+  /**
+   * Get a project row, optionally restricted to its owner
+   */
+  async getProject(projectId, userId = null) {
+    if (!this.supabase) return null;
+
+    let query = this.supabase
+      .from('projects')
+      .select('id, user_id, name, project_path')
+      .eq('id', projectId);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load project: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Register a project whose files live at `projectPath`
+   */
+  async createProject({ userId, name, description = null, projectPath }) {
+    const { data, error } = await this.supabase
+      .from('projects')
+      .insert({
+        user_id: userId,
+        name,
+        description,
+        project_path: projectPath
+      })
+      .select('id, user_id, name, project_path')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create project: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async setProjectPath(projectId, projectPath) {
+    const { data, error } = await this.supabase
+      .from('projects')
+      .update({ project_path: projectPath })
+      .eq('id', projectId)
+      .select('id, user_id, name, project_path')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update project: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+export default new ProjectStore();
@@ -0,0 +1,77 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Keeps the pre-apply contents of patched files on disk, one JSON file per
+ * snapshot under SNAPSHOT_DIR/<projectId>/, so applies can be reverted
+ */
+class SnapshotStore {
+  constructor() {
+    this.baseDir = process.env.SNAPSHOT_DIR || path.join(os.homedir(), '.lpa', 'snapshots');
+  }
+
+  snapshotPath(projectId, snapshotId) {
+    // Ids come from URLs; keep them from escaping the snapshot directory
+    if (!/^[\w-]+$/.test(projectId) || !/^[\w-]+$/.test(snapshotId)) {
+      throw new Error('Invalid snapshot id');
+    }
+    return path.join(this.baseDir, projectId, `${snapshotId}.json`);
+  }
+
+  async save(snapshot) {
+    const filePath = this.snapshotPath(snapshot.projectId, snapshot.id);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Written via a temp file so a crash never leaves half a snapshot
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.rename(tempPath, filePath);
+
+    return snapshot;
+  }
+
+  /**
+   * Get a snapshot, or null if it doesn't exist
+   */
+  async get(projectId, snapshotId) {
+    if (!/^[\w-]+$/.test(snapshotId)) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(this.snapshotPath(projectId, snapshotId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshots of a project, newest first, without file contents
+   */
+  async list(projectId, { limit = 20 } = {}) {
+    let names;
+    try {
+      names = await fs.readdir(path.dirname(this.snapshotPath(projectId, 'x')));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = await Promise.all(
+      names
+        .filter(name => name.endsWith('.json'))
+        .map(name => this.get(projectId, name.slice(0, -'.json'.length)))
+    );
+
+    return snapshots
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(({ files, ...snapshot }) => ({
+        ...snapshot,
+        files: files.map(({ path: filePath, action }) => ({ path: filePath, action }))
+      }));
+  }
+}
+
+export default new SnapshotStore();
@@ -0,0 +1,38 @@
+// services/file-service/src/utils/fileContent.js
+import path from 'path';
+import mime from 'mime-types';
+
+// Bytes looked at when deciding whether a file is binary, like git does
+const SNIFF_BYTES = 8000;
+
+/**
+ * Normalize a client-supplied upload path ("src\\App.jsx", "./src/App.jsx")
+ * to a project-relative posix path. Returns null for paths that escape the
+ * project or are absolute.
+ */
+export const normalizeUploadPath = name => {
+  const filePath = (name || '').replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+  const segments = filePath.split('/').filter(segment => segment && segment !== '.');
+
+  if (segments.length === 0 || filePath.startsWith('/') || /^[a-zA-Z]:/.test(filePath)) return null;
+  if (segments.includes('..')) return null;
+
+  return segments.join('/');
+};
+
+export const isBinary = buffer => buffer.subarray(0, SNIFF_BYTES).includes(0);
+
+/**
+ * Mime type from the extension, falling back to sniffing the content
+ */
+export const detectMimeType = (filePath, buffer) =>
+  mime.lookup(path.posix.basename(filePath)) ||
+  (isBinary(buffer) ? 'application/octet-stream' : 'text/plain');
+
+/**
+ * `project_files.content` is text, so binary files are stored as base64.
+ * Returns `{ content, encoding }`.
+ */
+export const encodeContent = buffer => isBinary(buffer)
+  ? { content: buffer.toString('base64'), encoding: 'base64' }
+  : { content: buffer.toString('utf8'), encoding: 'utf8' };
@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import tar from 'tar-stream';
+import archiveImporter from '../src/services/archiveImporter.js';
+
+// Smallest valid .zip of stored (uncompressed) entries; names are written
+// as given, so they can be unsafe
+const buildZip = entries => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content = '' }) => {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const buildTarGz = async entries => {
+  const pack = tar.pack();
+  entries.forEach(({ name, content = '' }) => pack.entry({ name }, content));
+  pack.finalize();
+
+  const chunks = [];
+  for await (const chunk of pack.pipe(zlib.createGzip())) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('Archive importer', () => {
+  let workDir;
+  const defaults = {
+    baseDir: archiveImporter.baseDir,
+    maxExtractedSize: archiveImporter.maxExtractedSize,
+    maxFiles: archiveImporter.maxFiles
+  };
+
+  const writeArchive = async (name, buffer) => {
+    const archivePath = path.join(workDir, name);
+    await fs.writeFile(archivePath, buffer);
+    return archivePath;
+  };
+
+  // Staging directories an extraction left behind
+  const leftovers = async () => (await fs.readdir(path.join(workDir, 'projects'))).filter(name => name.startsWith('.import-'));
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lpa-import-'));
+    archiveImporter.baseDir = path.join(workDir, 'projects');
+  });
+
+  afterEach(async () => {
+    Object.assign(archiveImporter, defaults);
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('detects the format from the file name', () => {
+    expect(archiveImporter.detectFormat('repo.ZIP')).toBe('zip');
+    expect(archiveImporter.detectFormat('repo.tgz')).toBe('tar.gz');
+    expect(archiveImporter.detectFormat('repo.rar')).toBeNull();
+  });
+
+  test('unpacks a zip, unwrapping its single top directory and skipping ignored files', async () => {
+    const archivePath = await writeArchive('repo.zip', buildZip([
+      { name: 'repo-main/src/index.js', content: 'console.log(1);\n' },
+      { name: 'repo-main/node_modules/dep/index.js', content: 'module.exports = 1;\n' },
+      { name: 'repo-main/.gitignore', content: 'secret.txt\n' },
+      { name: 'repo-main/secret.txt', content: 'hunter2' }
+    ]));
+
+    const extraction = await archiveImporter.extract(archivePath, 'zip');
+
+    expect(extraction).toEqual(expect.objectContaining({ extracted: true, files: 2 }));
+    expect(path.basename(extraction.rootPath)).toBe('repo-main');
+
+    const projectPath = await archiveImporter.install(extraction, 'p1');
+    expect(await fs.readFile(path.join(projectPath, 'src/index.js'), 'utf8')).toBe('console.log(1);\n');
+    await expect(fs.access(path.join(projectPath, 'secret.txt'))).rejects.toThrow();
+    await expect(fs.access(path.join(projectPath, 'node_modules'))).rejects.toThrow();
+    expect(await leftovers()).toEqual([]);
+  });
+
+  describe('zip slip', () => {
+    test.each([
+      '../evil.js',
+      'repo/../../evil.js',
+      '/etc/evil.js',
+      'C:/evil.js',
+      '..\\evil.js'
+    ])('rejects a zip entry named %s and leaves nothing behind', async name => {
+      const archivePath = await writeArchive('slip.zip', buildZip([
+        { name: 'repo/ok.js', content: 'ok' },
+        { name, content: 'pwned' }
+      ]));
+
+      const extraction = await archiveImporter.extract(archivePath, 'zip');
+
+      // yauzl hands over backslashes as slashes
+      expect(extraction).toEqual(expect.objectContaining({
+        extracted: false,
+        reason: 'unsafe_path',
+        entry: name.replace(/\\/g, '/')
+      }));
+      await expect(fs.access(path.join(workDir, 'evil.js'))).rejects.toThrow();
+      expect(await leftovers()).toEqual([]);
+    });
+
+    test('rejects a tar entry that climbs out of the project', async () => {
+      const archivePath = await writeArchive('slip.tar.gz', await buildTarGz([
+        { name: 'repo/../../evil.js', content: 'pwned' }
+      ]));
+
+      const extraction = await archiveImporter.extract(archivePath, 'tar.gz');
+
+      expect(extraction.reason).toBe('unsafe_path');
+      await expect(fs.access(path.join(workDir, 'evil.js'))).rejects.toThrow();
+    });
+  });
+
+  describe('size limits', () => {
+    test('rejects an archive that unpacks past the size limit', async () => {
+      archiveImporter.maxExtractedSize = 10;
+      const archivePath = await writeArchive('big.tar.gz', await buildTarGz([
+        { name: 'a.txt', content: '12345' },
+        { name: 'b.txt', content: '1234567890' }
+      ]));
+
+      const extraction = await archiveImporter.extract(archivePath, 'tar.gz');
+
+      expect(extraction).toEqual(expect.objectContaining({ extracted: false, reason: 'too_large', entry: 'b.txt' }));
+      expect(await leftovers()).toEqual([]);
+    });
+
+    test('rejects an archive with too many files', async () => {
+      archiveImporter.maxFiles = 2;
+      const archivePath = await writeArchive('many.zip', buildZip([
+        { name: 'a.js' }, { name: 'b.js' }, { name: 'c.js' }
+      ]));
+
+      const extraction = await archiveImporter.extract(archivePath, 'zip');
+
+      expect(extraction.reason).toBe('too_many_files');
+    });
+  });
+
+  test('reports an unreadable archive as invalid', async () => {
+    const archivePath = await writeArchive('broken.zip', Buffer.from('not a zip'));
+
+    const extraction = await archiveImporter.extract(archivePath, 'zip');
+
+    expect(extraction).toEqual(expect.objectContaining({ extracted: false, reason: 'invalid_archive' }));
+    expect(await leftovers()).toEqual([]);
+  });
+});
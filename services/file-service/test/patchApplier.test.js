@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import patchApplier from '../src/services/patchApplier.js';
+import snapshotStore from '../src/services/snapshotStore.js';
+
+describe('Patch applier', () => {
+  let projectPath;
+
+  const write = (filePath, content) => fs.writeFile(path.join(projectPath, filePath), content);
+  const read = filePath => fs.readFile(path.join(projectPath, filePath), 'utf8');
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'lpa-patch-'));
+    snapshotStore.baseDir = path.join(projectPath, '.snapshots');
+    await write('a.js', 'one\ntwo\nthree\nfour\nfive\n');
+  });
+
+  afterEach(() => fs.rm(projectPath, { recursive: true, force: true }));
+
+  describe('plan', () => {
+    test('applies a hunk found at an offset', async () => {
+      const files = patchApplier.fromUnifiedDiff([
+        '--- a/a.js',
+        '+++ b/a.js',
+        '@@ -1,2 +1,2 @@',
+        ' three',
+        '-four',
+        '+FOUR'
+      ].join('\n'));
+
+      const { writes, conflicts } = await patchApplier.plan(projectPath, files);
+
+      expect(conflicts).toEqual([]);
+      expect(writes[0].after).toBe('one\ntwo\nthree\nFOUR\nfive\n');
+    });
+
+    test('reports hunks that no longer match as a conflict', async () => {
+      const files = patchApplier.fromUnifiedDiff([
+        '--- a/a.js',
+        '+++ b/a.js',
+        '@@ -2,1 +2,1 @@',
+        '-two',
+        '+TWO',
+        '@@ -9,1 +9,1 @@',
+        '-nine',
+        '+NINE'
+      ].join('\n'));
+
+      const { writes, conflicts } = await patchApplier.plan(projectPath, files);
+
+      expect(writes).toEqual([]);
+      expect(conflicts).toEqual([
+        expect.objectContaining({ path: 'a.js', reason: 'hunk_mismatch', hunks: [1] })
+      ]);
+    });
+
+    test('reports change-set files already in conflict without applying them', async () => {
+      const files = patchApplier.fromChangeSet({
+        files: [{
+          path: 'a.js',
+          operation: 'modify',
+          status: 'conflict',
+          hunks: [
+            { id: '0-0', oldStart: 2, lines: ['-two', '+TWO'], status: 'clean', decision: 'accepted' },
+            { id: '0-1', oldStart: 9, lines: ['-nine', '+NINE'], status: 'conflict', decision: 'pending' }
+          ]
+        }]
+      });
+
+      const { writes, conflicts } = await patchApplier.plan(projectPath, files);
+
+      expect(writes).toEqual([]);
+      expect(conflicts).toEqual([
+        expect.objectContaining({ reason: 'hunk_mismatch', hunks: ['0-1'] })
+      ]);
+    });
+
+    test('refuses a change to an existing file built without its contents', async () => {
+      // What changeSetBuilder produces for a full file when the base is unknown
+      const files = patchApplier.fromChangeSet({
+        files: [{
+          path: 'a.js',
+          operation: 'modify',
+          status: 'unverified',
+          baseHash: null,
+          hunks: [{ id: '0-0', oldStart: 0, oldLines: 0, newStart: 1, newLines: 1, lines: ['+export const a = 2;'], decision: 'accepted' }]
+        }]
+      });
+
+      const { writes, conflicts } = await patchApplier.plan(projectPath, files);
+
+      expect(writes).toEqual([]);
+      expect(conflicts).toEqual([expect.objectContaining({ path: 'a.js', reason: 'unverified' })]);
+      expect(await read('a.js')).toBe('one\ntwo\nthree\nfour\nfive\n');
+    });
+
+    test('still creates new files built without a checkout', async () => {
+      const files = patchApplier.fromChangeSet({
+        files: [{
+          path: 'lib/new.js',
+          operation: 'create',
+          status: 'unverified',
+          baseHash: null,
+          hunks: [{ id: '0-0', oldStart: 0, oldLines: 0, newStart: 1, newLines: 1, lines: ['+export default 1;'], decision: 'accepted' }]
+        }]
+      });
+
+      const { writes, conflicts } = await patchApplier.plan(projectPath, files);
+
+      expect(conflicts).toEqual([]);
+      expect(writes).toEqual([expect.objectContaining({ path: 'lib/new.js', action: 'create', after: 'export default 1;\n' })]);
+    });
+
+    test('leaves out rejected hunks and refuses paths outside the project', async () => {
+      const files = patchApplier.fromChangeSet({
+        files: [
+          {
+            path: 'a.js',
+            operation: 'modify',
+            status: 'valid',
+            hunks: [
+              { id: '0-0', oldStart: 1, lines: ['-one', '+ONE'], decision: 'accepted' },
+              { id: '0-1', oldStart: 5, lines: ['-five', '+FIVE'], decision: 'rejected' }
+            ]
+          },
+          {
+            path: '../escape.js',
+            operation: 'create',
+            status: 'valid',
+            hunks: [{ id: '1-0', oldStart: 0, lines: ['+x'], decision: 'accepted' }]
+          }
+        ]
+      });
+
+      const { writes, conflicts } = await patchApplier.plan(projectPath, files);
+
+      expect(writes.map(planned => planned.after)).toEqual(['ONE\ntwo\nthree\nfour\nfive\n']);
+      expect(conflicts).toEqual([expect.objectContaining({ path: '../escape.js', reason: 'outside_project' })]);
+    });
+  });
+
+  describe('apply and revert', () => {
+    const diff = [
+      '--- a/a.js',
+      '+++ b/a.js',
+      '@@ -1,1 +1,1 @@',
+      '-one',
+      '+ONE',
+      '--- /dev/null',
+      '+++ b/lib/new.js',
+      '@@ -0,0 +1 @@',
+      '+export default 1;'
+    ].join('\n');
+
+    test('writes every file, and revert restores them', async () => {
+      const result = await patchApplier.apply(projectPath, patchApplier.fromUnifiedDiff(diff), { projectId: 'p1' });
+
+      expect(result.applied).toBe(true);
+      expect(await read('a.js')).toBe('ONE\ntwo\nthree\nfour\nfive\n');
+      expect(await read('lib/new.js')).toBe('export default 1;\n');
+
+      const snapshot = await snapshotStore.get('p1', result.snapshot.id);
+      const reverted = await patchApplier.revert(projectPath, snapshot);
+
+      expect(reverted.reverted).toBe(true);
+      expect(await read('a.js')).toBe('one\ntwo\nthree\nfour\nfive\n');
+      await expect(read('lib/new.js')).rejects.toThrow();
+    });
+
+    test('does not revert over files edited since the apply', async () => {
+      const result = await patchApplier.apply(projectPath, patchApplier.fromUnifiedDiff(diff), { projectId: 'p1' });
+      await write('a.js', 'edited by hand\n');
+
+      const snapshot = await snapshotStore.get('p1', result.snapshot.id);
+      const reverted = await patchApplier.revert(projectPath, snapshot);
+
+      expect(reverted.conflicts).toEqual([expect.objectContaining({ path: 'a.js', reason: 'file_changed' })]);
+      expect(await read('a.js')).toBe('edited by hand\n');
+    });
+
+    test('a dry run writes nothing', async () => {
+      const result = await patchApplier.apply(projectPath, patchApplier.fromUnifiedDiff(diff), { projectId: 'p1', dryRun: true });
+
+      expect(result).toEqual(expect.objectContaining({ applied: false, dryRun: true }));
+      expect(await read('a.js')).toBe('one\ntwo\nthree\nfour\nfive\n');
+    });
+  });
+
+  describe('writeAtomically', () => {
+    test('puts back files already replaced when a later write fails', async () => {
+      // Renaming a file over a non-empty directory fails
+      await fs.mkdir(path.join(projectPath, 'blocked'));
+      await write('blocked/keep.js', 'keep');
+
+      const writes = [
+        { path: 'a.js', fullPath: path.join(projectPath, 'a.js'), before: 'one\ntwo\nthree\nfour\nfive\n', after: 'replaced\n', mode: null },
+        { path: 'fresh.js', fullPath: path.join(projectPath, 'fresh.js'), before: null, after: 'new\n', mode: null },
+        { path: 'blocked', fullPath: path.join(projectPath, 'blocked'), before: 'x', after: 'y', mode: null }
+      ];
+
+      await expect(patchApplier.writeAtomically(writes)).rejects.toThrow();
+
+      expect(await read('a.js')).toBe('one\ntwo\nthree\nfour\nfive\n');
+      await expect(read('fresh.js')).rejects.toThrow();
+      expect((await fs.readdir(projectPath)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+  });
+});
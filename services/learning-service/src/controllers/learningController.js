@@ -0,0 +1,186 @@
+import learningEvents, { EVENT_TYPES, GATEWAY_EVENT_TYPES } from '../services/learningEvents.js';
+import insightsEngine from '../services/insightsEngine.js';
+import phraseLearner from '../services/phraseLearner.js';
+
+const DEFAULT_INSIGHTS_DAYS = 90;
+const FEEDBACK_HISTORY_DAYS = 180;
+
+// Feedback on a reply that can teach the vague_phrases dictionary
+const PHRASE_FEEDBACK_EVENTS = [
+  EVENT_TYPES.INTERPRETATION_ACCEPTED,
+  EVENT_TYPES.INTERPRETATION_REJECTED,
+  EVENT_TYPES.INTERPRETATION_CORRECTED
+];
+
+// Block reads of another user's data when the gateway identifies the caller
+const isOtherUser = (req, userId) => {
+  const requesterId = req.headers['x-user-id'];
+  return Boolean(requesterId) && requesterId !== userId;
+};
+
+const learningController = {
+  /**
+   * Record a learning event.
+   * The user comes only from the X-User-ID header set by the gateway (and by
+   * internal callers); a user ID in the body is ignored. Requests the
+   * gateway proxied from the browser (X-Proxied-Request) can't record
+   * gateway-only events.
+   */
+  async recordEvent(req, res) {
+    try {
+      const userId = req.headers['x-user-id'];
+      const { sessionId, eventType, eventData } = req.body;
+
+      if (!userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'User ID is required'
+        });
+      }
+
+      if (req.headers['x-proxied-request'] && GATEWAY_EVENT_TYPES.includes(eventType)) {
+        return res.status(403).json({
+          success: false,
+          error: `${eventType} events can only be recorded by the gateway`
+        });
+      }
+
+      const event = await learningEvents.recordEvent({
+        userId,
+        sessionId,
+        eventType,
+        eventData
+      });
+
+      await learningController.learnPhrase(userId, eventType, eventData);
+
+      res.status(201).json({
+        success: true,
+        data: { event },
+        message: 'Learning event recorded successfully'
+      });
+
+    } catch (error) {
+      console.error('Error recording learning event:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record learning event'
+      });
+    }
+  },
+
+  /**
+   * Feed interpretation feedback into the vague_phrases dictionary.
+   * The phrase and how it was interpreted come from the message_sent event
+   * the gateway recorded for the reply (`eventData.messageId`), not from the
+   * feedback event. The event is already recorded, so failures here are
+   * only logged.
+   */
+  async learnPhrase(userId, eventType, eventData = {}) {
+    const { messageId, correction } = eventData;
+    if (!PHRASE_FEEDBACK_EVENTS.includes(eventType) || typeof messageId !== 'string') return;
+
+    try {
+      const sent = await learningEvents.findMessageSent(userId, messageId);
+      const { phrase, category, interpretation } = sent?.event_data || {};
+      if (typeof phrase !== 'string') return;
+
+      if (eventType === EVENT_TYPES.INTERPRETATION_ACCEPTED) {
+        await phraseLearner.confirm({ phrase, category, interpretation });
+      } else if (eventType === EVENT_TYPES.INTERPRETATION_REJECTED) {
+        await phraseLearner.reject({ phrase, category });
+      } else if (eventType === EVENT_TYPES.INTERPRETATION_CORRECTED && correction?.category) {
+        await phraseLearner.confirm({
+          phrase,
+          category: correction.category,
+          interpretation: correction.text
+        });
+      }
+    } catch (error) {
+      console.error('Error learning vague phrase:', error);
+    }
+  },
+
+  /**
+   * Compute insights from a user's recent learning events
+   */
+  async getInsights(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (isOtherUser(req, userId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Cannot view insights for another user'
+        });
+      }
+
+      const days = parseInt(req.query.days, 10) || DEFAULT_INSIGHTS_DAYS;
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      const events = await learningEvents.getUserEvents(userId, { since });
+
+      res.json({
+        success: true,
+        data: {
+          userId,
+          period: { days, since: since.toISOString() },
+          ...insightsEngine.computeInsights(events)
+        },
+        message: 'Insights retrieved successfully'
+      });
+
+    } catch (error) {
+      console.error('Error retrieving insights:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve insights'
+      });
+    }
+  },
+
+  /**
+   * Interpretation weights learned from a user's feedback, for re-ranking
+   */
+  async getInterpretationFeedback(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (isOtherUser(req, userId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Cannot view feedback for another user'
+        });
+      }
+
+      const since = new Date(
+        Date.now() - FEEDBACK_HISTORY_DAYS * 24 * 60 * 60 * 1000
+      );
+      const events = await learningEvents.getUserEvents(userId, {
+        since,
+        eventTypes: [
+          EVENT_TYPES.INTERPRETATION_ACCEPTED,
+          EVENT_TYPES.INTERPRETATION_REJECTED,
+          EVENT_TYPES.INTERPRETATION_CORRECTED,
+          EVENT_TYPES.CODE_COPIED,
+          EVENT_TYPES.RETRY_CLICKED
+        ]
+      });
+
+      res.json({
+        success: true,
+        data: insightsEngine.getInterpretationWeights(events),
+        message: 'Interpretation feedback retrieved successfully'
+      });
+
+    } catch (error) {
+      console.error('Error retrieving interpretation feedback:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve interpretation feedback'
+      });
+    }
+  }
+};
+
+export default learningController;
@@ -2,6 +2,9 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import winston from 'winston';
+import { body, param, query, validationResult } from 'express-validator';
+import learningController from './controllers/learningController.js';
+import { EVENT_TYPES } from './services/learningEvents.js';
 
 const app = express();
 const PORT = process.env.LEARNING_SERVICE_PORT || 3004;
@@ -48,59 +51,47 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Learning routes
-app.post('/learn', (req, res) => {
-  try {
-    const { content, context, userId } = req.body;
-
-    // Mock learning response
-    res.json({
-      success: true,
-      data: {
-        learned: true,
-        insights: ['This appears to be a learning request'],
-        recommendations: ['Consider breaking this down into smaller chunks']
-      },
-      message: 'Learning processed successfully'
-    });
-  } catch (error) {
-    logger.error('Error processing learning:', error);
-    res.status(500).json({
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to process learning'
+      error: 'Validation failed',
+      details: errors.array()
     });
   }
-});
+  next();
+};
+
+// Learning routes
+app.post(
+  '/learn',
+  [
+    body('eventType').isIn(Object.values(EVENT_TYPES)),
+    body('eventData').optional().isObject(),
+    body('sessionId').optional({ nullable: true }).isUUID()
+  ],
+  handleValidationErrors,
+  learningController.recordEvent
+);
 
-app.get('/insights/:userId', (req, res) => {
-  try {
-    const { userId } = req.params;
+app.get(
+  '/insights/:userId',
+  [
+    param('userId').isUUID(),
+    query('days').optional().isInt({ min: 1, max: 365 })
+  ],
+  handleValidationErrors,
+  learningController.getInsights
+);
 
-    // Mock insights response
-    res.json({
-      success: true,
-      data: {
-        insights: [
-          'You tend to work on JavaScript projects',
-          'Your code quality has improved over time',
-          'You frequently use React patterns'
-        ],
-        recommendations: [
-          'Consider learning TypeScript',
-          'Try implementing more unit tests',
-          'Explore advanced React patterns'
-        ]
-      },
-      message: 'Insights retrieved successfully'
-    });
-  } catch (error) {
-    logger.error('Error retrieving insights:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve insights'
-    });
-  }
-});
+app.get(
+  '/feedback/:userId',
+  param('userId').isUUID(),
+  handleValidationErrors,
+  learningController.getInterpretationFeedback
+);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -0,0 +1,289 @@
+// services/learning-service/src/services/insightsEngine.js
+import { EVENT_TYPES } from './learningEvents.js';
+
+// How each event type reflects on the response it refers to.
+// Copying code counts as an implicit accept, retrying as an implicit reject.
+const FEEDBACK_SIGNALS = {
+  [EVENT_TYPES.INTERPRETATION_ACCEPTED]: 1,
+  [EVENT_TYPES.CODE_COPIED]: 1,
+  [EVENT_TYPES.INTERPRETATION_REJECTED]: -1,
+  [EVENT_TYPES.RETRY_CLICKED]: -1
+};
+
+// Minimum feedback events at a sass level before it can count as tolerated
+const MIN_SASS_SAMPLES = 2;
+
+// Pulls interpretation weights towards 0 until enough feedback accumulates
+const WEIGHT_SMOOTHING = 2;
+
+class InsightsEngine {
+  /**
+   * Compute all per-user aggregates from a list of learning_events rows
+   */
+  computeInsights(events) {
+    return {
+      totalEvents: events.length,
+      eventCounts: this.countEventTypes(events),
+      topLanguages: this.getTopLanguages(events),
+      commonVaguePhrases: this.getCommonVaguePhrases(events),
+      acceptanceRates: this.getAcceptanceRates(events),
+      sassTolerance: this.getSassTolerance(events),
+      lastActivity: events[0]?.created_at || null
+    };
+  }
+
+  /**
+   * Count events per event type
+   */
+  countEventTypes(events) {
+    return events.reduce((counts, event) => {
+      counts[event.event_type] = (counts[event.event_type] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Languages the user asks for and copies code in, most frequent first
+   */
+  getTopLanguages(events, limit = 5) {
+    const languageEvents = events.filter(event =>
+      [EVENT_TYPES.MESSAGE_SENT, EVENT_TYPES.CODE_COPIED].includes(event.event_type) &&
+      event.event_data?.language
+    );
+
+    return this.rank(
+      languageEvents.map(event => event.event_data.language.toLowerCase()),
+      limit
+    ).map(({ value, count }) => ({
+      language: value,
+      count,
+      share: this.ratio(count, languageEvents.length)
+    }));
+  }
+
+  /**
+   * Vague phrases detected in the user's messages, most frequent first
+   */
+  getCommonVaguePhrases(events, limit = 10) {
+    const phrases = events
+      .filter(event => event.event_type === EVENT_TYPES.MESSAGE_SENT)
+      .flatMap(event => event.event_data?.vaguePhrases || [])
+      .filter(phrase => typeof phrase === 'string' && phrase.trim())
+      .map(phrase => phrase.trim().toLowerCase());
+
+    return this.rank(phrases, limit).map(({ value, count }) => ({
+      phrase: value,
+      count
+    }));
+  }
+
+  /**
+   * Share of positive feedback per interpretation category
+   */
+  getAcceptanceRates(events) {
+    const rates = {};
+
+    this.getFeedbackEvents(events).forEach(({ event, signal }) => {
+      const category = event.event_data?.category || 'general';
+      rates[category] = rates[category] || { accepted: 0, rejected: 0 };
+
+      if (signal > 0) {
+        rates[category].accepted++;
+      } else {
+        rates[category].rejected++;
+      }
+    });
+
+    Object.values(rates).forEach(stats => {
+      stats.total = stats.accepted + stats.rejected;
+      stats.rate = this.ratio(stats.accepted, stats.total);
+    });
+
+    return rates;
+  }
+
+  /**
+   * How well the user takes responses at each sass level.
+   * `toleratedLevel` is the highest level that is accepted at least half the time.
+   */
+  getSassTolerance(events) {
+    const byLevel = {};
+
+    this.getFeedbackEvents(events).forEach(({ event, signal }) => {
+      const sassLevel = Number(event.event_data?.sassLevel);
+      if (!Number.isInteger(sassLevel)) return;
+
+      byLevel[sassLevel] = byLevel[sassLevel] || { sassLevel, accepted: 0, rejected: 0 };
+
+      if (signal > 0) {
+        byLevel[sassLevel].accepted++;
+      } else {
+        byLevel[sassLevel].rejected++;
+      }
+    });
+
+    const levels = Object.values(byLevel)
+      .map(stats => ({
+        ...stats,
+        rate: this.ratio(stats.accepted, stats.accepted + stats.rejected)
+      }))
+      .sort((a, b) => a.sassLevel - b.sassLevel);
+
+    const tolerated = levels.filter(stats =>
+      stats.accepted + stats.rejected >= MIN_SASS_SAMPLES && stats.rate >= 0.5
+    );
+
+    return {
+      levels,
+      toleratedLevel: tolerated.length > 0
+        ? tolerated[tolerated.length - 1].sassLevel
+        : null
+    };
+  }
+
+  /**
+   * Per-user preference weights (-1..1) for interpretation actions and
+   * categories, plus per-phrase action weights, used to re-rank interpretations.
+   * "I meant X" corrections count in favour of the interpretation picked instead.
+   */
+  getInterpretationWeights(events) {
+    const tallies = { actions: {}, categories: {}, phrases: {} };
+
+    const tally = (bucket, key, signal) => {
+      if (!key) return;
+      bucket[key] = bucket[key] || { positive: 0, negative: 0 };
+      bucket[key][signal > 0 ? 'positive' : 'negative']++;
+    };
+
+    const applySignal = ({ action, category, vaguePhrases }, signal) => {
+      tally(tallies.actions, action, signal);
+      tally(tallies.categories, category, signal);
+
+      if (!action || !Array.isArray(vaguePhrases)) return;
+      vaguePhrases.forEach(phrase => {
+        const key = phrase.trim().toLowerCase();
+        tallies.phrases[key] = tallies.phrases[key] || {};
+        tally(tallies.phrases[key], action, signal);
+      });
+    };
+
+    let sampleSize = 0;
+
+    this.getFeedbackEvents(events).forEach(({ event, signal }) => {
+      applySignal(event.event_data || {}, signal);
+      sampleSize++;
+    });
+
+    this.latestPerMessage(events.filter(event =>
+      event.event_type === EVENT_TYPES.INTERPRETATION_CORRECTED &&
+      event.event_data?.correction
+    ))
+      .forEach(event => {
+        applySignal(
+          {
+            ...event.event_data.correction,
+            vaguePhrases: event.event_data.vaguePhrases
+          },
+          1
+        );
+        sampleSize++;
+      });
+
+    const toWeights = bucket =>
+      Object.fromEntries(
+        Object.entries(bucket).map(([key, { positive, negative }]) => [
+          key,
+          this.ratio(positive - negative, positive + negative + WEIGHT_SMOOTHING)
+        ])
+      );
+
+    return {
+      actions: toWeights(tallies.actions),
+      categories: toWeights(tallies.categories),
+      phrases: Object.fromEntries(
+        Object.entries(tallies.phrases).map(([phrase, bucket]) => [
+          phrase,
+          toWeights(bucket)
+        ])
+      ),
+      sampleSize
+    };
+  }
+
+  /**
+   * Events that carry accept/reject feedback, paired with their signal.
+   * Only the latest feedback on each message counts, so a thumbs-up changed
+   * to a thumbs-down (or copied twice) is one signal. What the reply was
+   * about comes from the gateway's message_sent record when there is one,
+   * not from what the browser sent with the feedback.
+   */
+  getFeedbackEvents(events) {
+    const sentByReply = new Map(
+      events
+        .filter(event => event.event_type === EVENT_TYPES.MESSAGE_SENT && event.event_data?.replyId)
+        .map(event => [event.event_data.replyId, event.event_data])
+    );
+
+    return this.latestPerMessage(events.filter(event => FEEDBACK_SIGNALS[event.event_type]))
+      .map(event => {
+        const sent = sentByReply.get(event.event_data?.messageId);
+        const eventData = sent
+          ? {
+            ...event.event_data,
+            action: sent.action,
+            category: sent.category,
+            sassLevel: sent.sassLevel,
+            vaguePhrases: sent.vaguePhrases
+          }
+          : event.event_data;
+
+        return {
+          event: { ...event, event_data: eventData },
+          signal: FEEDBACK_SIGNALS[event.event_type]
+        };
+      });
+  }
+
+  /**
+   * The most recent event per `event_data.messageId`; events without one
+   * are all kept
+   */
+  latestPerMessage(events) {
+    const latest = new Map();
+    const unkeyed = [];
+
+    events.forEach(event => {
+      const messageId = event.event_data?.messageId;
+      if (!messageId) {
+        unkeyed.push(event);
+        return;
+      }
+
+      const kept = latest.get(messageId);
+      if (!kept || event.created_at > kept.created_at) {
+        latest.set(messageId, event);
+      }
+    });
+
+    return [...latest.values(), ...unkeyed];
+  }
+
+  /**
+   * Count occurrences and return the most frequent values
+   */
+  rank(values, limit) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    return [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 100) / 100 : 0;
+  }
+}
+
+export default new InsightsEngine();
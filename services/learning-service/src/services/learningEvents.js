@@ -0,0 +1,104 @@
+// services/learning-service/src/services/learningEvents.js
+import { createClient } from '@supabase/supabase-js';
+
+export const EVENT_TYPES = {
+  MESSAGE_SENT: 'message_sent',
+  INTERPRETATION_ACCEPTED: 'interpretation_accepted',
+  INTERPRETATION_REJECTED: 'interpretation_rejected',
+  INTERPRETATION_CORRECTED: 'interpretation_corrected',
+  CODE_COPIED: 'code_copied',
+  RETRY_CLICKED: 'retry_clicked',
+  CLARIFYING_QUESTION_ANSWERED: 'clarifying_question_answered'
+};
+
+// Recorded by the gateway itself from what it served; never accepted from
+// the browser, since phrase learning trusts their contents
+export const GATEWAY_EVENT_TYPES = [
+  EVENT_TYPES.MESSAGE_SENT,
+  EVENT_TYPES.CLARIFYING_QUESTION_ANSWERED
+];
+
+class LearningEventStore {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+
+    // Upper bound on the events pulled in for a single insights computation
+    this.maxEvents = 5000;
+  }
+
+  /**
+   * Record a learning event for a user
+   */
+  async recordEvent({ userId, sessionId = null, eventType, eventData = {} }) {
+    const { data, error } = await this.supabase
+      .from('learning_events')
+      .insert({
+        user_id: userId,
+        session_id: sessionId,
+        event_type: eventType,
+        event_data: eventData
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record learning event: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a user's events, newest first, optionally limited to those after `since`
+   */
+  async getUserEvents(userId, { since = null, eventTypes = null } = {}) {
+    let query = this.supabase
+      .from('learning_events')
+      .select('id, session_id, event_type, event_data, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(this.maxEvents);
+
+    if (since) {
+      query = query.gte('created_at', since.toISOString());
+    }
+
+    if (eventTypes) {
+      query = query.in('event_type', eventTypes);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load learning events: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * The message_sent event the gateway recorded for an assistant reply, or null
+   */
+  async findMessageSent(userId, replyId) {
+    const { data, error } = await this.supabase
+      .from('learning_events')
+      .select('id, session_id, event_type, event_data, created_at')
+      .eq('user_id', userId)
+      .eq('event_type', EVENT_TYPES.MESSAGE_SENT)
+      .eq('event_data->>replyId', replyId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load learning event: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+export default new LearningEventStore();
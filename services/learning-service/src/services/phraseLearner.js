@@ -0,0 +1,125 @@
+// services/learning-service/src/services/phraseLearner.js
+import { createClient } from '@supabase/supabase-js';
+
+// Confidence given to a phrase the first time a user confirms it
+const INITIAL_CONFIDENCE = 0.6;
+
+// How far each confirmation or rejection moves a phrase's confidence
+const LEARNING_RATE = 0.1;
+
+// Below this, a phrase's interpretation is replaced by the one users confirm instead
+const REPLACE_BELOW_CONFIDENCE = 0.4;
+
+/**
+ * Grows the vague_phrases dictionary from confirmed interpretations
+ */
+class PhraseLearner {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+
+  normalizePhrase(phrase) {
+    return phrase
+      .toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  async findPhrase(phrase) {
+    const { data, error } = await this.supabase
+      .from('vague_phrases')
+      .select('id, phrase, category, interpretation, confidence_score')
+      .eq('phrase', phrase)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up vague phrase: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * A user confirmed that `phrase` meant `interpretation` (in `category`).
+   * Unseen phrases are added; known ones gain confidence when the category agrees
+   * and lose it otherwise, switching interpretation once confidence runs low.
+   */
+  async confirm({ phrase, category, interpretation }) {
+    const normalized = this.normalizePhrase(phrase);
+    if (!normalized || !category || !interpretation) return null;
+
+    const existing = await this.findPhrase(normalized);
+
+    let row;
+    if (!existing) {
+      row = {
+        phrase: normalized,
+        category,
+        interpretation,
+        confidence_score: INITIAL_CONFIDENCE
+      };
+    } else if (existing.category === category) {
+      row = {
+        ...existing,
+        confidence_score: this.adjust(existing.confidence_score, 1)
+      };
+    } else {
+      const confidence = this.adjust(existing.confidence_score, -1);
+      row = confidence < REPLACE_BELOW_CONFIDENCE
+        ? { ...existing, category, interpretation, confidence_score: INITIAL_CONFIDENCE }
+        : { ...existing, confidence_score: confidence };
+    }
+
+    return this.save(row);
+  }
+
+  /**
+   * A user rejected `phrase` meaning `category`; known phrases lose confidence
+   */
+  async reject({ phrase, category }) {
+    const normalized = this.normalizePhrase(phrase);
+    if (!normalized) return null;
+
+    const existing = await this.findPhrase(normalized);
+    if (!existing || existing.category !== category) return null;
+
+    return this.save({
+      ...existing,
+      confidence_score: this.adjust(existing.confidence_score, -1)
+    });
+  }
+
+  async save(row) {
+    const { id, ...values } = row;
+
+    const { data, error } = await this.supabase
+      .from('vague_phrases')
+      .upsert(values, { onConflict: 'phrase' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save vague phrase: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Move confidence towards 1 (direction > 0) or 0 (direction < 0)
+   */
+  adjust(confidence, direction) {
+    const current = confidence ?? INITIAL_CONFIDENCE;
+    const next = direction > 0
+      ? current + (1 - current) * LEARNING_RATE
+      : current - current * LEARNING_RATE;
+
+    return Math.round(next * 1000) / 1000;
+  }
+}
+
+export default new PhraseLearner();
@@ -0,0 +1,134 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// learningEvents creates its Supabase client on import
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-key';
+
+const { default: insightsEngine } = await import('../src/services/insightsEngine.js');
+
+let sequence = 0;
+const event = (eventType, eventData = {}) => ({
+  id: `e${++sequence}`,
+  event_type: eventType,
+  event_data: eventData,
+  created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, sequence)).toISOString()
+});
+
+describe('Insights engine', () => {
+  test('counts events, languages and vague phrases', () => {
+    const insights = insightsEngine.computeInsights([
+      event('message_sent', { language: 'JavaScript', vaguePhrases: ['Make it Pop', 'fix it'] }),
+      event('message_sent', { language: 'python', vaguePhrases: ['make it pop'] }),
+      event('code_copied', { language: 'javascript' })
+    ]);
+
+    assert.equal(insights.totalEvents, 3);
+    assert.deepEqual(insights.eventCounts, { message_sent: 2, code_copied: 1 });
+    assert.deepEqual(insights.topLanguages, [
+      { language: 'javascript', count: 2, share: 0.67 },
+      { language: 'python', count: 1, share: 0.33 }
+    ]);
+    assert.deepEqual(insights.commonVaguePhrases, [
+      { phrase: 'make it pop', count: 2 },
+      { phrase: 'fix it', count: 1 }
+    ]);
+  });
+
+  test('rates acceptance per category, counting copies and retries', () => {
+    const rates = insightsEngine.getAcceptanceRates([
+      event('interpretation_accepted', { category: 'styling' }),
+      event('code_copied', { category: 'styling' }),
+      event('retry_clicked', { category: 'styling' }),
+      event('interpretation_rejected', {})
+    ]);
+
+    assert.deepEqual(rates, {
+      styling: { accepted: 2, rejected: 1, total: 3, rate: 0.67 },
+      general: { accepted: 0, rejected: 1, total: 1, rate: 0 }
+    });
+  });
+
+  describe('sass tolerance', () => {
+    test('is the highest level accepted at least half the time', () => {
+      const { levels, toleratedLevel } = insightsEngine.getSassTolerance([
+        event('interpretation_accepted', { sassLevel: 3 }),
+        event('interpretation_accepted', { sassLevel: 3 }),
+        event('interpretation_accepted', { sassLevel: 7 }),
+        event('interpretation_rejected', { sassLevel: 7 }),
+        event('interpretation_rejected', { sassLevel: 9 }),
+        event('interpretation_rejected', { sassLevel: 9 })
+      ]);
+
+      assert.deepEqual(levels.map(level => [level.sassLevel, level.rate]), [[3, 1], [7, 0.5], [9, 0]]);
+      assert.equal(toleratedLevel, 7);
+    });
+
+    test('needs enough feedback at a level before it counts', () => {
+      const { toleratedLevel } = insightsEngine.getSassTolerance([
+        event('interpretation_accepted', { sassLevel: 10 }),
+        event('interpretation_accepted', { sassLevel: 'loud' })
+      ]);
+
+      assert.equal(toleratedLevel, null);
+    });
+  });
+
+  describe('interpretation weights', () => {
+    test('are smoothed towards 0 while feedback is scarce', () => {
+      const accepted = { action: 'add_animation', category: 'styling', vaguePhrases: ['Make it pop'] };
+
+      const once = insightsEngine.getInterpretationWeights([event('interpretation_accepted', accepted)]);
+      const often = insightsEngine.getInterpretationWeights(
+        Array.from({ length: 8 }, () => event('interpretation_accepted', accepted))
+      );
+
+      assert.equal(once.actions.add_animation, 0.33);
+      assert.equal(often.actions.add_animation, 0.8);
+      assert.deepEqual(often.phrases, { 'make it pop': { add_animation: 0.8 } });
+      assert.equal(often.sampleSize, 8);
+    });
+
+    test('count only the latest feedback on each message', () => {
+      const reply = { messageId: 'reply-1', action: 'add_animation', category: 'styling' };
+
+      const weights = insightsEngine.getInterpretationWeights([
+        event('interpretation_accepted', reply),
+        event('code_copied', reply),
+        event('code_copied', reply),
+        event('interpretation_rejected', reply)
+      ]);
+
+      assert.equal(weights.actions.add_animation, -0.33);
+      assert.equal(weights.sampleSize, 1);
+    });
+
+    test('take what the reply was about from the gateway record, not the feedback', () => {
+      const weights = insightsEngine.getInterpretationWeights([
+        event('message_sent', { replyId: 'reply-1', action: 'add_animation', category: 'styling', vaguePhrases: [] }),
+        event('interpretation_accepted', { messageId: 'reply-1', action: 'delete_database', category: 'backend' })
+      ]);
+
+      assert.deepEqual(weights.actions, { add_animation: 0.33 });
+      assert.deepEqual(weights.categories, { styling: 0.33 });
+    });
+
+    test('count a correction against the rejected reading and for the chosen one', () => {
+      const weights = insightsEngine.getInterpretationWeights([
+        event('interpretation_rejected', { action: 'add_animation', category: 'styling' }),
+        event('interpretation_corrected', {
+          action: 'add_animation',
+          category: 'styling',
+          vaguePhrases: ['make it pop'],
+          correction: { action: 'increase_contrast', category: 'accessibility' }
+        })
+      ]);
+
+      assert.equal(weights.actions.add_animation, -0.33);
+      assert.equal(weights.actions.increase_contrast, 0.33);
+      assert.equal(weights.categories.accessibility, 0.33);
+      assert.deepEqual(weights.phrases, { 'make it pop': { increase_contrast: 0.33 } });
+      assert.equal(weights.sampleSize, 2);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// learningEvents and phraseLearner create their Supabase clients on import
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-key';
+
+const { default: learningController } = await import('../src/controllers/learningController.js');
+const { default: learningEvents } = await import('../src/services/learningEvents.js');
+const { default: phraseLearner } = await import('../src/services/phraseLearner.js');
+
+const USER_ID = '6f1c2a7e-8d1b-4c55-9a37-0d2f4b6e9c10';
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const request = (body, headers = {}) => ({
+  body,
+  headers: { 'x-user-id': USER_ID, ...headers }
+});
+
+describe('Learning controller', () => {
+  beforeEach(() => {
+    mock.method(learningEvents, 'recordEvent', async event => ({ id: 'event-1', ...event }));
+    mock.method(phraseLearner, 'confirm', async () => {});
+    mock.method(phraseLearner, 'reject', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('recordEvent', () => {
+    test('refuses gateway-only events proxied from the browser', async () => {
+      const res = response();
+
+      await learningController.recordEvent(request({
+        eventType: 'message_sent',
+        eventData: { replyId: 'reply-1', phrase: 'make it pop', category: 'styling' }
+      }, { 'x-proxied-request': 'true' }), res);
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(learningEvents.recordEvent.mock.callCount(), 0);
+    });
+
+    test('records gateway-only events from the gateway itself', async () => {
+      const res = response();
+
+      await learningController.recordEvent(request({
+        eventType: 'message_sent',
+        eventData: { replyId: 'reply-1' }
+      }), res);
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(learningEvents.recordEvent.mock.calls[0].arguments[0].userId, USER_ID);
+    });
+
+    test('records browser feedback events', async () => {
+      const res = response();
+
+      await learningController.recordEvent(request(
+        { eventType: 'code_copied', eventData: { language: 'javascript' } },
+        { 'x-proxied-request': 'true' }
+      ), res);
+
+      assert.equal(res.statusCode, 201);
+    });
+  });
+
+  describe('learnPhrase', () => {
+    test('learns the phrase the gateway recorded for the reply', async () => {
+      mock.method(learningEvents, 'findMessageSent', async () => ({
+        event_data: { phrase: 'make it pop', category: 'styling', interpretation: 'Add an entrance animation' }
+      }));
+
+      await learningController.learnPhrase(USER_ID, 'interpretation_accepted', {
+        messageId: 'reply-1',
+        phrase: 'something else entirely'
+      });
+
+      assert.deepEqual(learningEvents.findMessageSent.mock.calls[0].arguments, [USER_ID, 'reply-1']);
+      assert.deepEqual(phraseLearner.confirm.mock.calls[0].arguments[0], {
+        phrase: 'make it pop',
+        category: 'styling',
+        interpretation: 'Add an entrance animation'
+      });
+    });
+
+    test('learns nothing for a reply the gateway has no record of', async () => {
+      mock.method(learningEvents, 'findMessageSent', async () => null);
+
+      await learningController.learnPhrase(USER_ID, 'interpretation_accepted', { messageId: 'forged' });
+
+      assert.equal(phraseLearner.confirm.mock.callCount(), 0);
+    });
+  });
+});
@@ -25,8 +25,8 @@ export const API_ROUTES = {
     AI_PARSE: '/api/ai/parse',
     
     // Learning routes
-    LEARNING_FEEDBACK: '/api/learning/feedback',
-    LEARNING_PATTERNS: '/api/learning/patterns',
+    LEARNING_EVENTS: '/api/learning/learn',
+    LEARNING_INSIGHTS: '/api/learning/insights/:userId',
   } as const;
   
   export const SERVICE_PORTS = {
@@ -188,6 +188,29 @@ export const API_ROUTES = {
     [SUPPORTED_LANGUAGES.BASH]: ['.sh', '.bash'],
   } as const;
   
+  // Paths left out of project scans and imports (glob / .gitignore syntax)
+  export const DEFAULT_IGNORE_PATTERNS = [
+    'node_modules/**',
+    '.git/**',
+    'dist/**',
+    'build/**',
+    '.next/**',
+    'coverage/**',
+    '.nyc_output/**',
+    'logs/**',
+    '*.log',
+    '.env',
+    '.env.*',
+    'package-lock.json',
+    'yarn.lock',
+    '.DS_Store',
+    'Thumbs.db',
+    '*.min.js',
+    '*.min.css',
+    '.vscode/**',
+    '.idea/**',
+  ] as const;
+  
   export const ERROR_MESSAGES = {
     INVALID_REQUEST: 'Invalid request format',
     MISSING_CONTEXT: 'Project context is required',
@@ -3,4 +3,7 @@ export * from './constants/index.js';
 
 // Export types
 export * from './types/api.js';
-export * from './types/database.types.js'; 
\ No newline at end of file
+export * from './types/database.types.js';
+
+// Export utilities
+export * from './utils/unifiedDiff.js';
@@ -34,18 +34,216 @@ export interface ApiResponse<T = any> {
       assumptions?: string[];
       codeGenerated?: boolean;
       context?: any;
+      contextManifest?: ContextManifest | null;
+      changeSet?: ChangeSet | null;
+      patch?: AppliedPatch | null;
+      memory?: ConversationMemory | null;
+      clarification?: Clarification | null;
+      agentTrace?: AgentTrace | null;
+      repair?: CodeRepair | null;
     };
     createdAt: string;
   }
+
+  // Tool calls made in agent mode, in order
+  export interface AgentTrace {
+    steps: number;
+    maxSteps: number;
+    tokensUsed: number;
+    maxTokens: number;
+    stopReason: 'answered' | 'max_steps' | 'max_tokens';
+    toolCalls: AgentToolCall[];
+  }
+
+  export interface AgentToolCall {
+    step: number;
+    tool: 'list_files' | 'read_file' | 'search_symbols' | 'get_git_diff' | 'get_dependencies' | string;
+    arguments: Record<string, any>;
+    ok: boolean;
+    summary: string;
+    durationMs: number;
+  }
+
+  // Generated code is validated and sent back to the model to fix while it
+  // fails; `chosen` is the attempt returned (1-based)
+  export interface CodeRepair {
+    status: 'passed' | 'repaired' | 'gave_up';
+    chosen: number;
+    maxAttempts: number;
+    attempts: RepairAttempt[];
+  }
+
+  export interface RepairAttempt {
+    attempt: number;
+    isValid: boolean;
+    // Lower is better
+    score: number;
+    errors: string[];
+    warnings: string[];
+  }
+
+  // Stored with each reply and sent back with the next message: earlier
+  // turns folded into a summary, and the latest generated code
+  export interface ConversationMemory {
+    summary: string | null;
+    // Id of the newest message the summary covers
+    summarizedThrough: string | null;
+    lastCode: { language: string | null; code: string } | null;
+  }
+
+  // Clarifying questions asked about a vague request, kept on the session
+  // until a reply (or a clicked answer chip) resolves them
+  export interface Clarification {
+    originalText: string;
+    round: number;
+    candidates: ClarificationCandidate[];
+    questions: ClarificationQuestion[];
+    answers: ClarificationAnswer[];
+    askedAt: string;
+  }
+
+  export interface ClarificationCandidate {
+    id: string;
+    description: string;
+    action: string;
+    category: string;
+    confidence: number | null;
+  }
+
+  export interface ClarificationQuestion {
+    id: string;
+    text: string;
+    // Suggested answers, shown as chips; empty for free-form questions
+    options: { id: string; label: string }[];
+  }
+
+  export interface ClarificationAnswer {
+    questionId: string;
+    text: string;
+    // Candidates the answer pointed at
+    candidateIds: string[];
+  }
+
+  // Sent with a message when an answer chip was clicked
+  export interface ClarificationChipAnswer {
+    questionId: string;
+    optionId: string;
+  }
+
+  // An earlier turn as the gateway sends it to the ai-service
+  export interface ConversationTurn {
+    id: string;
+    role: 'user' | 'assistant';
+    content: string;
+    metadata: {
+      interpretation?: string | null;
+      action?: string | null;
+      category?: string | null;
+      alternatives?: { description: string; action: string; category: string }[];
+      language?: string | null;
+    };
+  }
+
+  // What a generation prompt included from the project, within its token budget
+  export interface ContextManifest {
+    model: string | null;
+    budgetTokens: number;
+    usedTokens: number;
+    included: ContextManifestEntry[];
+    dropped: (ContextManifestEntry & { reason: 'budget' | 'duplicate' })[];
+  }
+
+  export interface ContextManifestEntry {
+    id: string;
+    kind: 'focus' | 'symbol' | 'diff' | 'import' | 'search' | 'file' | 'history';
+    source: string;
+    label?: string;
+    tokens?: number;
+    mode?: 'full' | 'summary';
+  }
   
+  // Multi-file answer: per-file operations with hunks reviewed one by one
+  export interface ChangeSet {
+    files: ChangeSetFile[];
+    validated: boolean;
+    summary: {
+      files: number;
+      created: number;
+      modified: number;
+      deleted: number;
+      problems: number;
+      additions: number;
+      deletions: number;
+    };
+  }
+
+  export interface ChangeSetFile {
+    path: string;
+    operation: 'create' | 'modify' | 'delete';
+    language: string;
+    baseHash: string | null;
+    status: 'valid' | 'conflict' | 'invalid' | 'unverified';
+    errors: string[];
+    hunks: ChangeSetHunk[];
+  }
+
+  export interface ChangeSetHunk {
+    id: string;
+    header: string;
+    section: string;
+    oldStart: number;
+    oldLines: number;
+    newStart: number;
+    newLines: number;
+    lines: string[];
+    decision: 'pending' | 'accepted' | 'rejected';
+  }
+
+  // Changes from a message written into the project, revertible by snapshot
+  export interface AppliedPatch {
+    snapshotId: string;
+    appliedAt: string;
+    files: { path: string; action: 'create' | 'modify' | 'delete' }[];
+    revertedAt: string | null;
+  }
+
+  export interface PatchConflict {
+    path: string | null;
+    reason:
+      | 'outside_project'
+      | 'already_exists'
+      | 'missing'
+      | 'file_changed'
+      | 'hunk_mismatch'
+      | 'unverified'
+      | 'already_reverted';
+    message: string;
+    hunks?: (string | number)[];
+  }
+
   export interface ChatSession {
     id: string;
     userId: string;
     projectId?: string;
     title: string;
+    settings?: ChatSessionSettings;
+    // Questions the session is waiting on an answer to
+    clarification?: Clarification | null;
     createdAt: string;
     updatedAt: string;
   }
+
+  // Per-session overrides of the user's AI preferences
+  export interface ChatSessionSettings {
+    sassLevel?: number;
+    explanationStyle?: 'technical' | 'casual' | 'educational';
+    language?: string;
+    framework?: string;
+    temperature?: number;
+    neverGenerateCode?: boolean;
+    // Let the model read the project through tools before answering
+    agentMode?: boolean;
+  }
   
   export interface VagueRequest {
     text: string;
@@ -221,19 +419,98 @@ export interface ApiResponse<T = any> {
     clarifyingQuestions?: string[];
   }
   
+  // Blame-based ownership and churn of a project file or directory
+  export interface CodeOwner {
+    name: string;
+    email: string;
+    lines: number;
+    share: number;
+  }
+
+  export interface OwnershipChange {
+    hash: string;
+    shortHash: string;
+    author: { name: string; email: string };
+    date: string;
+    message: string;
+    linesChanged: number;
+  }
+
+  export interface ChurnStats {
+    commits: number;
+    linesChanged: number;
+    authors: number;
+  }
+
+  export interface OwnershipReport {
+    isGitRepo: boolean;
+    path: string;
+    type: 'file' | 'directory';
+    owners: CodeOwner[];
+    lastMeaningfulChange: OwnershipChange | null;
+    lastChange: OwnershipChange | null;
+    churn: { days30: ChurnStats; days90: ChurnStats };
+    totalFiles: number;
+    blamedFiles: number;
+    files?: { file: string; owner: CodeOwner | null; churn90: Omit<ChurnStats, 'authors'> }[];
+    directories?: { path: string; owner: CodeOwner | null; lines: number }[];
+  }
+
   // Learning service types
+  export type LearningEventType =
+    | 'message_sent'
+    | 'interpretation_accepted'
+    | 'interpretation_rejected'
+    | 'interpretation_corrected'
+    | 'code_copied'
+    | 'retry_clicked'
+    | 'clarifying_question_answered';
+
   export interface LearningEvent {
     userId: string;
-    eventType: 'successful_interpretation' | 'failed_interpretation' | 'user_correction' | 'code_accepted' | 'code_rejected';
-    data: {
-      originalRequest?: string;
-      interpretation?: string;
-      userFeedback?: string;
-      context?: any;
+    sessionId?: string | null;
+    eventType: LearningEventType;
+    eventData: {
+      messageId?: string;
+      category?: string;
+      action?: string;
+      language?: string;
+      sassLevel?: number;
+      vaguePhrases?: string[];
+      correction?: { text: string; action?: string; category?: string };
+      [key: string]: any;
     };
-    timestamp: string;
+  }
+
+  export interface AcceptanceStats {
+    accepted: number;
+    rejected: number;
+    total: number;
+    rate: number;
+  }
+
+  export interface LearningInsights {
+    userId: string;
+    period: { days: number; since: string };
+    totalEvents: number;
+    eventCounts: Partial<Record<LearningEventType, number>>;
+    topLanguages: { language: string; count: number; share: number }[];
+    commonVaguePhrases: { phrase: string; count: number }[];
+    acceptanceRates: Record<string, AcceptanceStats>;
+    sassTolerance: {
+      levels: (Omit<AcceptanceStats, 'total'> & { sassLevel: number })[];
+      toleratedLevel: number | null;
+    };
+    lastActivity: string | null;
   }
   
+  export interface InterpretationFeedback {
+    actions: Record<string, number>;
+    categories: Record<string, number>;
+    phrases: Record<string, Record<string, number>>;
+    sampleSize: number;
+  }
+
   export interface PatternLearning {
     pattern: string;
     interpretations: {
@@ -247,13 +524,53 @@ export interface ApiResponse<T = any> {
   
   // File service types
   export interface FileUploadRequest {
-    files: File[] | FileInfo[];
-    projectId?: string;
-    extractContext?: boolean;
+    files: File[];
+    projectId: string;
   }
   
   export interface FileUploadResponse {
-    uploadedFiles: FileInfo[];
-    extractedContext?: ProjectContext;
-    errors?: string[];
-  }
\ No newline at end of file
+    files: StoredFile[];
+    errors: { name: string; error: string }[];
+  }
+
+  // A project_files row; binary content is base64 (metadata.encoding)
+  export interface StoredFile {
+    id: string;
+    project_id: string;
+    file_path: string;
+    file_name: string;
+    file_size: number | null;
+    mime_type: string | null;
+    content?: string | null;
+    metadata: { encoding?: 'utf8' | 'base64'; [key: string]: any } | null;
+    version: number;
+    created_at: string;
+    updated_at: string;
+    archived_at?: string;
+  }
+
+  export interface StoredFileVersion {
+    id: string;
+    file_id: string;
+    version: number;
+    file_size: number | null;
+    mime_type: string | null;
+    metadata: StoredFile['metadata'];
+    created_at: string;
+    archived_at: string;
+  }
+
+  // Result of importing a .zip / .tar.gz into managed project storage
+  export interface ProjectImportResult {
+    project: { id: string; user_id: string; name: string; project_path: string };
+    files: number;
+    bytes: number;
+    ignored: number;
+    skipped: number;
+    analysis: { context: ProjectContext; symbolCount: number } | null;
+  }
+
+  export interface ProjectImportRejection {
+    reason: 'unsafe_path' | 'invalid_archive' | 'too_large' | 'too_many_files';
+    entry: string | null;
+  }
@@ -36,6 +36,7 @@ export type Database = {
     Tables: {
       chat_sessions: {
         Row: {
+          clarification: Json | null
           created_at: string
           id: string
           project_id: string | null
@@ -45,6 +46,7 @@ export type Database = {
           user_id: string
         }
         Insert: {
+          clarification?: Json | null
           created_at?: string
           id?: string
           project_id?: string | null
@@ -54,6 +56,7 @@ export type Database = {
           user_id: string
         }
         Update: {
+          clarification?: Json | null
           created_at?: string
           id?: string
           project_id?: string | null
@@ -142,6 +145,60 @@ export type Database = {
           },
         ]
       }
+      project_file_versions: {
+        Row: {
+          archived_at: string
+          content: string | null
+          created_at: string
+          file_id: string
+          file_size: number | null
+          id: string
+          metadata: Json | null
+          mime_type: string | null
+          project_id: string
+          version: number
+        }
+        Insert: {
+          archived_at?: string
+          content?: string | null
+          created_at: string
+          file_id: string
+          file_size?: number | null
+          id?: string
+          metadata?: Json | null
+          mime_type?: string | null
+          project_id: string
+          version: number
+        }
+        Update: {
+          archived_at?: string
+          content?: string | null
+          created_at?: string
+          file_id?: string
+          file_size?: number | null
+          id?: string
+          metadata?: Json | null
+          mime_type?: string | null
+          project_id?: string
+          version?: number
+        }
+        Relationships: [
+          {
+            foreignKeyName: "project_file_versions_file_id_fkey"
+            columns: ["file_id"]
+            isOneToOne: false
+            referencedRelation: "project_files"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "project_file_versions_project_id_fkey"
+            columns: ["project_id"]
+            isOneToOne: false
+            referencedRelation: "projects"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       project_files: {
         Row: {
           content: string | null
@@ -154,6 +211,7 @@ export type Database = {
           mime_type: string | null
           project_id: string
           updated_at: string
+          version: number
         }
         Insert: {
           content?: string | null
@@ -166,6 +224,7 @@ export type Database = {
           mime_type?: string | null
           project_id: string
           updated_at?: string
+          version?: number
         }
         Update: {
           content?: string | null
@@ -178,6 +237,7 @@ export type Database = {
           mime_type?: string | null
           project_id?: string
           updated_at?: string
+          version?: number
         }
         Relationships: [
           {
@@ -189,6 +249,53 @@ export type Database = {
           },
         ]
       }
+      project_symbols: {
+        Row: {
+          created_at: string
+          end_line: number | null
+          exported: boolean
+          file_path: string
+          id: string
+          kind: string
+          line: number
+          metadata: Json | null
+          name: string
+          project_id: string
+        }
+        Insert: {
+          created_at?: string
+          end_line?: number | null
+          exported?: boolean
+          file_path: string
+          id?: string
+          kind: string
+          line: number
+          metadata?: Json | null
+          name: string
+          project_id: string
+        }
+        Update: {
+          created_at?: string
+          end_line?: number | null
+          exported?: boolean
+          file_path?: string
+          id?: string
+          kind?: string
+          line?: number
+          metadata?: Json | null
+          name?: string
+          project_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "project_symbols_project_id_fkey"
+            columns: ["project_id"]
+            isOneToOne: false
+            referencedRelation: "projects"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       projects: {
         Row: {
           context_data: Json | null
@@ -299,6 +406,7 @@ export type Database = {
           id: string
           interpretation: string
           phrase: string
+          updated_at: string
         }
         Insert: {
           category: string
@@ -307,6 +415,7 @@ export type Database = {
           id?: string
           interpretation: string
           phrase: string
+          updated_at?: string
         }
         Update: {
           category?: string
@@ -315,6 +424,7 @@ export type Database = {
           id?: string
           interpretation?: string
           phrase?: string
+          updated_at?: string
         }
         Relationships: []
       }
@@ -0,0 +1,358 @@
+// shared/src/utils/unifiedDiff.ts
+// Unified diffs for change sets: the ai-service validates generated changes
+// and the file-service applies them with these same functions, so a change
+// that validates also applies.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+// Unchanged lines kept around each change
+const CONTEXT_LINES = 3;
+
+// Above this many old x new lines the middle of a file is diffed as one block
+const MAX_DIFF_CELLS = 4_000_000;
+
+export interface DiffHunk {
+  oldStart: number;
+  oldLines: number;
+  newStart: number;
+  newLines: number;
+  section: string;
+  header: string;
+  // ' ', '-' or '+' followed by the line
+  lines: string[];
+}
+
+export interface DiffFile {
+  // Null for hunks before any ---/+++ header
+  path: string | null;
+  operation: 'create' | 'modify' | 'delete';
+  hunks: DiffHunk[];
+}
+
+// What applying needs of a hunk
+export type ApplicableHunk = Pick<DiffHunk, 'oldStart' | 'lines'>;
+
+export interface HunkResult {
+  // 'offset': found elsewhere, or only with whitespace differences
+  status: 'clean' | 'offset' | 'conflict';
+  offset: number | null;
+}
+
+/**
+ * Split file contents into lines, remembering whether it ended in a newline
+ */
+export const splitLines = (content: string | null | undefined): { lines: string[]; trailingNewline: boolean } => {
+  if (!content) return { lines: [], trailingNewline: true };
+
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const trailingNewline = lines[lines.length - 1] === '';
+  if (trailingNewline) lines.pop();
+
+  return { lines, trailingNewline };
+};
+
+export const joinLines = (lines: string[], trailingNewline = true): string =>
+  lines.length === 0 ? '' : lines.join('\n') + (trailingNewline ? '\n' : '');
+
+const stripPrefix = (name: string): string => name.replace(/^[ab]\//, '');
+
+// A hunk as written, before its line counts are worked out
+type RawHunk = Pick<DiffHunk, 'oldStart' | 'newStart' | 'section' | 'lines'>;
+
+const withCounts = (hunk: RawHunk): DiffHunk => {
+  const oldLines = hunk.lines.filter(line => line[0] !== '+').length;
+  const newLines = hunk.lines.filter(line => line[0] !== '-').length;
+  return {
+    ...hunk,
+    oldLines,
+    newLines,
+    header: `@@ -${hunk.oldStart},${oldLines} +${hunk.newStart},${newLines} @@${hunk.section ? ` ${hunk.section}` : ''}`
+  };
+};
+
+/**
+ * Parse a (possibly multi-file) unified diff. `--- /dev/null` marks a
+ * created file and `+++ /dev/null` a deleted one; hunks before any header
+ * belong to a file with a null path. Line counts in hunk headers are
+ * recomputed from the body, since model-written diffs often get them wrong,
+ * and hunks without changes are dropped.
+ */
+export const parseUnifiedDiff = (text: string): DiffFile[] => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const files: DiffFile[] = [];
+  let file: DiffFile | null = null;
+  let hunk: RawHunk | null = null;
+  const hunksOf = new Map<DiffFile, RawHunk[]>();
+
+  const startFile = (next: DiffFile) => {
+    files.push(next);
+    hunksOf.set(next, []);
+    return next;
+  };
+
+  lines.forEach((line, index) => {
+    // A file header is a ---/+++ pair; a lone "---" is a removed "--" line
+    if (line.startsWith('--- ') && lines[index + 1]?.startsWith('+++ ')) {
+      const oldName = line.slice(4).split('\t')[0].trim();
+      const newName = lines[index + 1].slice(4).split('\t')[0].trim();
+      file = startFile({
+        path: stripPrefix(newName === '/dev/null' ? oldName : newName),
+        operation: oldName === '/dev/null' ? 'create' : newName === '/dev/null' ? 'delete' : 'modify',
+        hunks: []
+      });
+      hunk = null;
+      return;
+    }
+
+    if (line.startsWith('+++ ') && lines[index - 1]?.startsWith('--- ')) return;
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      if (!file) file = startFile({ path: null, operation: 'modify', hunks: [] });
+      hunk = {
+        oldStart: Number(header[1]),
+        newStart: Number(header[3]),
+        section: header[5].trim(),
+        lines: []
+      };
+      hunksOf.get(file)!.push(hunk);
+      return;
+    }
+
+    if (!hunk || line.startsWith('\\')) return;
+
+    // Blank context lines often lose their leading space in transit
+    if (line === '') {
+      hunk.lines.push(' ');
+    } else if (/^[ +-]/.test(line)) {
+      hunk.lines.push(line);
+    }
+  });
+
+  return files.map(parsed => ({
+    ...parsed,
+    hunks: hunksOf.get(parsed)!
+      .map(raw => {
+        // Trailing blank context is usually the gap before the next hunk
+        const body = [...raw.lines];
+        while (body.length > 0 && body[body.length - 1] === ' ') body.pop();
+        return withCounts({ ...raw, lines: body });
+      })
+      .filter(parsedHunk => parsedHunk.lines.some(line => line[0] !== ' '))
+  }));
+};
+
+/**
+ * The hunks of a diff for a single file; `---`/`+++` headers are optional
+ */
+export const parseHunks = (text: string): DiffHunk[] =>
+  parseUnifiedDiff(text).flatMap(file => file.hunks);
+
+const sameLine = (a: string | undefined, b: string, loose: boolean): boolean =>
+  a !== undefined && (loose ? a.trim() === b.trim() : a === b);
+
+const matchesAt = (lines: string[], block: string[], position: number, loose: boolean): boolean =>
+  block.every((line, i) => sameLine(lines[position + i], line, loose));
+
+/**
+ * Where a block of old lines sits in the file: at the expected position if
+ * possible, otherwise the nearest match at or after `from`. Whitespace-only
+ * differences are tolerated as a last resort.
+ */
+const locate = (
+  lines: string[],
+  block: string[],
+  expected: number,
+  from: number
+): { position: number; loose: boolean } | null => {
+  if (block.length === 0) {
+    return { position: Math.max(Math.min(expected, lines.length), from), loose: false };
+  }
+
+  const last = lines.length - block.length;
+  for (const loose of [false, true]) {
+    for (let distance = 0; distance <= lines.length; distance++) {
+      for (const position of distance === 0 ? [expected] : [expected - distance, expected + distance]) {
+        if (position >= from && position <= last && matchesAt(lines, block, position, loose)) {
+          return { position, loose };
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Apply hunks to file contents, in order. Hunks whose old lines can't be
+ * found are skipped and reported as conflicts.
+ * Returns the new contents and a result per hunk.
+ */
+export const applyHunks = (
+  content: string | null | undefined,
+  hunks: ApplicableHunk[]
+): { content: string; results: HunkResult[] } => {
+  const { lines, trailingNewline } = splitLines(content);
+  const results: HunkResult[] = [];
+  let delta = 0;
+  let from = 0;
+
+  hunks.forEach(hunk => {
+    const oldBlock = hunk.lines.filter(line => line[0] !== '+').map(line => line.slice(1));
+    const expected = Math.max(hunk.oldStart - 1, 0) + delta;
+
+    const match = locate(lines, oldBlock, expected, from);
+    if (!match) {
+      results.push({ status: 'conflict', offset: null });
+      return;
+    }
+
+    // Keep the file's own version of context lines that only matched loosely
+    const replacement: string[] = [];
+    let oldIndex = 0;
+    hunk.lines.forEach(line => {
+      if (line[0] === '+') {
+        replacement.push(line.slice(1));
+        return;
+      }
+      if (line[0] === ' ') {
+        replacement.push(match.loose ? lines[match.position + oldIndex] : line.slice(1));
+      }
+      oldIndex++;
+    });
+
+    lines.splice(match.position, oldBlock.length, ...replacement);
+    results.push({
+      status: match.position === expected && !match.loose ? 'clean' : 'offset',
+      offset: match.position - expected
+    });
+
+    delta += replacement.length - oldBlock.length;
+    from = match.position + replacement.length;
+  });
+
+  return {
+    content: joinLines(lines, trailingNewline),
+    results
+  };
+};
+
+/**
+ * Longest-common-subsequence edit script between two line arrays, as
+ * unified diff lines
+ */
+const editScript = (oldLines: string[], newLines: string[]): string[] => {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const middle: string[] = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach(line => middle.push(`-${line}`));
+    b.forEach(line => middle.push(`+${line}`));
+  } else {
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push(` ${a[i++]}`);
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        middle.push(`-${a[i++]}`);
+      } else {
+        middle.push(`+${b[j++]}`);
+      }
+    }
+  }
+
+  return [
+    ...oldLines.slice(0, prefix).map(line => ` ${line}`),
+    ...middle,
+    ...oldLines.slice(oldLines.length - suffix).map(line => ` ${line}`)
+  ];
+};
+
+/**
+ * Diff two versions of a file into hunks with CONTEXT_LINES of context
+ */
+export const diffContents = (
+  oldContent: string | null | undefined,
+  newContent: string | null | undefined,
+  { context = CONTEXT_LINES }: { context?: number } = {}
+): DiffHunk[] => {
+  const script = editScript(splitLines(oldContent).lines, splitLines(newContent).lines);
+  const changed = script.map((line, i) => (line[0] !== ' ' ? i : -1)).filter(i => i >= 0);
+  if (changed.length === 0) return [];
+
+  // Group changes whose context windows touch
+  const ranges: Array<{ start: number; end: number }> = [];
+  changed.forEach(index => {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  });
+
+  return ranges.map(({ start, end }) => {
+    const first = Math.max(start - context, 0);
+    const before = script.slice(0, first);
+    const oldBefore = before.filter(line => line[0] !== '+').length;
+    const newBefore = before.filter(line => line[0] !== '-').length;
+    const lines = script.slice(first, Math.min(end + context + 1, script.length));
+
+    // Unified diff convention: an empty range starts at the line before it
+    const hasOld = lines.some(line => line[0] !== '+');
+    const hasNew = lines.some(line => line[0] !== '-');
+
+    return withCounts({
+      oldStart: hasOld ? oldBefore + 1 : oldBefore,
+      newStart: hasNew ? newBefore + 1 : newBefore,
+      section: '',
+      lines
+    });
+  });
+};
+
+/**
+ * Render hunks as a unified diff for one file. Created files diff against
+ * /dev/null, deleted files into it.
+ */
+export const formatUnifiedDiff = (
+  filePath: string,
+  hunks: Array<Pick<DiffHunk, 'header' | 'lines'>>,
+  operation: DiffFile['operation'] = 'modify'
+): string => {
+  const oldName = operation === 'create' ? '/dev/null' : `a/${filePath}`;
+  const newName = operation === 'delete' ? '/dev/null' : `b/${filePath}`;
+
+  return [
+    `--- ${oldName}`,
+    `+++ ${newName}`,
+    ...hunks.flatMap(hunk => [hunk.header, ...hunk.lines])
+  ].join('\n');
+};
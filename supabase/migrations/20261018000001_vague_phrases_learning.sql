@@ -0,0 +1,20 @@
+-- Let the learning service grow vague_phrases from confirmed interpretations
+
+-- Phrases are stored normalized (lowercase) and upserted by phrase
+update public.vague_phrases set phrase = lower(trim(phrase));
+
+delete from public.vague_phrases a
+  using public.vague_phrases b
+  where a.phrase = b.phrase
+    and (coalesce(a.confidence_score, 0), a.id) < (coalesce(b.confidence_score, 0), b.id);
+
+alter table public.vague_phrases
+  add constraint vague_phrases_phrase_key unique (phrase);
+
+-- Track when a phrase's confidence or interpretation last changed
+alter table public.vague_phrases
+  add column updated_at timestamp with time zone default timezone('utc'::text, now()) not null;
+
+create trigger vague_phrases_updated_at
+  before update on public.vague_phrases
+  for each row execute procedure public.handle_updated_at();
@@ -0,0 +1,35 @@
+-- Symbol index built by the context service: exported functions, classes,
+-- React components, hooks and Express routes per project file
+
+create table public.project_symbols (
+  id uuid default uuid_generate_v4() primary key,
+  project_id uuid references public.projects(id) on delete cascade not null,
+  file_path text not null,
+  name text not null,
+  kind text not null,
+  line integer not null,
+  end_line integer,
+  exported boolean default false not null,
+  metadata jsonb default '{}'::jsonb,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+
+  -- Constraints
+  constraint symbol_kind_valid check (kind in ('function', 'class', 'component', 'hook', 'route')),
+  constraint symbol_name_length check (char_length(name) >= 1 and char_length(name) <= 500)
+);
+
+-- Create indexes for project symbols
+create index project_symbols_project_id_idx on public.project_symbols(project_id);
+create index project_symbols_file_path_idx on public.project_symbols(project_id, file_path);
+create index project_symbols_name_idx on public.project_symbols(lower(name));
+
+alter table public.project_symbols enable row level security;
+
+create policy "Users can view symbols in their projects" on public.project_symbols
+  for select using (
+    exists (
+      select 1 from public.projects
+      where projects.id = project_symbols.project_id
+      and projects.user_id = auth.uid()
+    )
+  );
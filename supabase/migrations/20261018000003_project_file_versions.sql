@@ -0,0 +1,59 @@
+-- Versioned project files: re-uploading the same file_path archives the
+-- previous contents into project_file_versions and bumps the version
+
+alter table public.project_files
+  add column version integer default 1 not null;
+
+create table public.project_file_versions (
+  id uuid default uuid_generate_v4() primary key,
+  file_id uuid references public.project_files(id) on delete cascade not null,
+  project_id uuid references public.projects(id) on delete cascade not null,
+  version integer not null,
+  file_size bigint,
+  mime_type text,
+  content text,
+  metadata jsonb default '{}'::jsonb,
+  -- When this version was uploaded, and when it was replaced
+  created_at timestamp with time zone not null,
+  archived_at timestamp with time zone default timezone('utc'::text, now()) not null,
+
+  unique(file_id, version)
+);
+
+create index project_file_versions_file_id_idx on public.project_file_versions(file_id);
+create index project_file_versions_project_id_idx on public.project_file_versions(project_id);
+
+-- Archive the old row whenever an update changes a file's content
+create or replace function public.archive_project_file_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.content is distinct from old.content then
+    insert into public.project_file_versions
+      (file_id, project_id, version, file_size, mime_type, content, metadata, created_at)
+    values
+      (old.id, old.project_id, old.version, old.file_size, old.mime_type, old.content, old.metadata, old.updated_at);
+    new.version := old.version + 1;
+  else
+    new.version := old.version;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger project_files_archive_version
+  before update on public.project_files
+  for each row execute procedure public.archive_project_file_version();
+
+alter table public.project_file_versions enable row level security;
+
+create policy "Users can view file versions in their projects" on public.project_file_versions
+  for select using (
+    exists (
+      select 1 from public.projects
+      where projects.id = project_file_versions.project_id
+      and projects.user_id = auth.uid()
+    )
+  );